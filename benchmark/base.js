@@ -5,11 +5,164 @@ function Benchmark (config) {
   this.config            = config;
   this.initOk            = true;    // Initialize all properties used on a Benchmark object
   this.cleanupOk         = true;
+  this.verifyOk          = true;
+  this.verifyError       = null;
+  this.skipReason        = null;    // set when kernelSkip says it can't run here
+  this.tolerance         = config.kernelTolerance || defaultTolerance;
   this.useAutoIterations = true;
   this.autoIterations    = 0;
   this.actualIterations  = 0;
-  this.simdTime          = 0;
+  this.samples           = config.kernelSamples || defaultSamples;
+  this.warmupSamples     = config.kernelWarmupSamples || defaultWarmupSamples;
+  this.simdSamples       = [];      // ms per sample
+  this.nonSimdSamples    = [];
+  this.speedupSamples    = [];
+  this.simdTime          = 0;       // median of the samples
   this.nonSimdTime       = 0;
+  this.speedup           = 0;       // median of the speedup samples
+  this.speedupStdDev     = 0;
+  this.speedupLow        = 0;       // 95% confidence interval of the median speedup
+  this.speedupHigh       = 0;
+}
+
+// Measured samples per kernel, and samples run and thrown away before them
+var defaultSamples = 10;
+var defaultWarmupSamples = 2;
+
+// Milliseconds from the best clock available: performance.now in browsers
+// and shells that have it, process.hrtime in node, Date.now otherwise
+var now = (function () {
+  if (typeof performance !== "undefined" && typeof performance.now === "function") {
+    return function () {
+      return performance.now();
+    };
+  }
+  if (typeof process !== "undefined" && typeof process.hrtime === "function") {
+    return function () {
+      var time = process.hrtime();
+      return time[0] * 1e3 + time[1] / 1e6;
+    };
+  }
+  return Date.now;
+}());
+
+// Reads a text file relative to the benchmark directory: with read() in
+// shells and a synchronous XHR in browsers
+function readTextFile (url) {
+  if (typeof read === "function") {
+    return read(url);
+  }
+  var request = new XMLHttpRequest();
+  request.open("GET", url, false);
+  request.overrideMimeType("text/plain");
+  request.send();
+  return request.responseText;
+}
+
+function median (values) {
+  var sorted = values.slice().sort(function (a, b) {
+    return a - b;
+  });
+  var middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean (values) {
+  var sum = 0;
+  for (var i = 0, n = values.length; i < n; ++i) {
+    sum += values[i];
+  }
+  return sum / values.length;
+}
+
+// Sample standard deviation
+function standardDeviation (values) {
+  if (values.length < 2) {
+    return 0;
+  }
+  var m = mean(values);
+  var sum = 0;
+  for (var i = 0, n = values.length; i < n; ++i) {
+    sum += (values[i] - m) * (values[i] - m);
+  }
+  return Math.sqrt(sum / (values.length - 1));
+}
+
+// 95% confidence interval of the median of values, as {low, high}. The
+// bounds are the kth smallest and largest values, k the largest with at
+// most 2.5% chance of fewer than k values falling below the true median.
+// Under 6 values there is no such k and the interval is the whole range
+function medianInterval95 (values) {
+  var sorted = values.slice().sort(function (a, b) {
+    return a - b;
+  });
+  var n = sorted.length;
+  if (n === 0) {
+    return {low: 0, high: 0};
+  }
+  // Binomial(n, 1/2) chance of at most k - 1 values below the median
+  var probability = Math.pow(0.5, n);
+  var cumulative = probability;
+  var k = 1;
+  while (cumulative <= 0.025) {
+    probability *= (n - k + 1) / k;
+    cumulative += probability;
+    ++k;
+  }
+  k = Math.max(k - 1, 1);
+  return {low: sorted[k - 1], high: sorted[n - k]};
+}
+
+// Float results pass when within epsilon or ulps of the reference
+var defaultTolerance = {epsilon: 0, ulps: 4};
+
+var ulpFloat = new Float32Array(1);
+var ulpInt = new Int32Array(ulpFloat.buffer);
+
+// Orders float32 bit patterns so that neighbouring floats are 1 apart
+function orderedFloatBits (value) {
+  ulpFloat[0] = value;
+  var bits = ulpInt[0];
+  return bits < 0 ? -2147483648 - bits : bits;
+}
+
+// Number of float32 values between a and b
+function ulpDistance (a, b) {
+  if (a !== a || b !== b) {
+    return (a !== a && b !== b) ? 0 : Infinity;
+  }
+  return Math.abs(orderedFloatBits(a) - orderedFloatBits(b));
+}
+
+// Compares the float32 arrays element by element, skipping the indices
+// skip(index) is true for. Returns {ok, index, expected, actual, ulps, diff}
+// where index is the element furthest from the reference in ulps among the
+// ones out of tolerance, or among all of them when none is. Elements within
+// epsilon can be many ulps off near 0 and still pass, so they don't count
+// once one has failed
+function compareFloat32 (expected, actual, tolerance, skip) {
+  var worst = {ok: true, index: -1, expected: 0, actual: 0, ulps: 0, diff: 0};
+  for (var i = 0, n = expected.length; i < n; ++i) {
+    if (skip && skip(i)) {
+      continue;
+    }
+    var diff = Math.abs(expected[i] - actual[i]);
+    var ulps = ulpDistance(expected[i], actual[i]);
+    var failed = !(diff <= tolerance.epsilon) && ulps > tolerance.ulps;
+    if (failed && worst.ok) {
+      // The first failure replaces whatever passed
+      worst.ok = false;
+      worst.index = -1;
+    }
+    if (failed !== worst.ok && (ulps > worst.ulps || worst.index < 0)) {
+      worst.index = i;
+      worst.expected = expected[i];
+      worst.actual = actual[i];
+      worst.ulps = ulps;
+      worst.diff = diff;
+    }
+  }
+  return worst;
 }
 
 function Benchmarks () {
@@ -25,17 +178,18 @@ Benchmarks.prototype.runOne = function (benchmark) {
 
   function timeKernel(kernel, iterations) {
     var start, stop;
-    start = Date.now();
+    start = now();
     kernel(iterations);
-    stop = Date.now();
+    stop = now();
     return stop - start;
   }
 
   function computeIterations() {
-    var desiredRuntime = 1000;  // milliseconds for longest running kernel
+    var desiredRuntime = 200;   // milliseconds per sample for longest running kernel
     var testIterations = 10;    // iterations used to determine time for desiredRuntime
 
-    // Make the slowest kernel run for at least 500ms
+    // Double the test iterations until the slowest kernel takes 500ms, long
+    // enough to time, then scale them down to desiredRuntime
     var simdTime = timeKernel(benchmark.config.kernelSimd, testIterations);
     var nonSimdTime = timeKernel(benchmark.config.kernelNonSimd, testIterations);
     var maxTime = simdTime > nonSimdTime ? simdTime : nonSimdTime;
@@ -47,16 +201,42 @@ Benchmarks.prototype.runOne = function (benchmark) {
     }
     maxTime = simdTime > nonSimdTime ? simdTime : nonSimdTime;
 
-    // Compute iteration count for 1 second run of slowest kernel
+    // Compute iteration count for a desiredRuntime run of slowest kernel
     var iterations = Math.ceil(desiredRuntime * testIterations / maxTime);
     return iterations;
   }
 
+  // Compares the results of the last simd and nonSimd runs, when the
+  // kernel has a kernelVerify
+  function verify() {
+    if (!benchmark.config.kernelVerify) {
+      return true;
+    }
+    var error = benchmark.config.kernelVerify(benchmark.tolerance);
+    if (error !== null) {
+      benchmark.verifyOk = false;
+      benchmark.verifyError = error;
+      return false;
+    }
+    return true;
+  }
+
+  // Kernels that need something this engine doesn't have say so
+  if (benchmark.config.kernelSkip) {
+    benchmark.skipReason = benchmark.config.kernelSkip();
+    if (benchmark.skipReason !== null) {
+      return false;
+    }
+  }
+
   // Initialize the kernels and check the correctness status
   if (!benchmark.config.kernelInit()) {
     benchmark.initOk = false;
     return false;
   }
+  if (!verify()) {
+    return false;
+  }
 
   // Determine how many iterations to use.
   if (benchmark.useAutoIterations) {
@@ -67,21 +247,71 @@ Benchmarks.prototype.runOne = function (benchmark) {
     benchmark.actualIterations = benchmark.config.kernelIterations;
   }
 
-  // Run the SIMD kernel
-  benchmark.simdTime = timeKernel(benchmark.config.kernelSimd, benchmark.actualIterations);
+  // Warm up, so the samples only see the optimized kernels
+  for (var i = 0; i < benchmark.warmupSamples; ++i) {
+    timeKernel(benchmark.config.kernelSimd, benchmark.actualIterations);
+    timeKernel(benchmark.config.kernelNonSimd, benchmark.actualIterations);
+  }
 
-  // Run the non-SIMD kernel
-  benchmark.nonSimdTime = timeKernel(benchmark.config.kernelNonSimd, benchmark.actualIterations);
+  // Take the samples, alternating which kernel goes first so that neither
+  // always runs on a warmer (or hotter) machine
+  benchmark.simdSamples = [];
+  benchmark.nonSimdSamples = [];
+  benchmark.speedupSamples = [];
+  for (var i = 0; i < benchmark.samples; ++i) {
+    var simdTime, nonSimdTime;
+    if (i % 2 === 0) {
+      simdTime = timeKernel(benchmark.config.kernelSimd, benchmark.actualIterations);
+      nonSimdTime = timeKernel(benchmark.config.kernelNonSimd, benchmark.actualIterations);
+    }
+    else {
+      nonSimdTime = timeKernel(benchmark.config.kernelNonSimd, benchmark.actualIterations);
+      simdTime = timeKernel(benchmark.config.kernelSimd, benchmark.actualIterations);
+    }
+    benchmark.simdSamples.push(simdTime);
+    benchmark.nonSimdSamples.push(nonSimdTime);
+    benchmark.speedupSamples.push(nonSimdTime / simdTime);
+  }
+
+  // Speedup and its interval are both of the median, which a few slow
+  // samples don't drag around
+  var interval = medianInterval95(benchmark.speedupSamples);
+  benchmark.simdTime = median(benchmark.simdSamples);
+  benchmark.nonSimdTime = median(benchmark.nonSimdSamples);
+  benchmark.speedup = median(benchmark.speedupSamples);
+  benchmark.speedupStdDev = standardDeviation(benchmark.speedupSamples);
+  benchmark.speedupLow = interval.low;
+  benchmark.speedupHigh = interval.high;
 
   // Do the final sanity check
   if (!benchmark.config.kernelCleanup()) {
     benchmark.cleanupOk = false;
     return false;
   }
+  if (!verify()) {
+    return false;
+  }
 
   return true;
 }
 
+// Why benchmark didn't produce timings, or null when it did
+function benchmarkFailure (benchmark) {
+  if (benchmark.skipReason !== null) {
+    return "SKIPPED, " + benchmark.skipReason;
+  }
+  if (!benchmark.initOk) {
+    return "FAILED INIT";
+  }
+  if (!benchmark.cleanupOk) {
+    return "FAILED CLEANUP";
+  }
+  if (!benchmark.verifyOk) {
+    return "FAILED VERIFY, " + benchmark.verifyError;
+  }
+  return null;
+}
+
 Benchmarks.prototype.report = function (benchmark, outputFunctions) {
 
   function fillRight(str, width) {
@@ -100,22 +330,22 @@ Benchmarks.prototype.report = function (benchmark, outputFunctions) {
     return str;
   }
 
-  if (!benchmark.initOk) {
-    outputFunctions.notifyError(fillRight(benchmark.config.kernelName + ": ", 23) + "FAILED INIT");
-    return;
-  }
-  if (!benchmark.cleanupOk) {
-    outputFunctions.notifyError(fillRight(benchmark.config.kernelName + ": ", 23) + "FAILED CLEANUP");
+  var failure = benchmarkFailure(benchmark);
+  if (failure !== null) {
+    outputFunctions.notifyError(fillRight(benchmark.config.kernelName + ": ", 24) + failure);
     return;
   }
 
-  var ratio = benchmark.nonSimdTime / benchmark.simdTime;
+  // Times are medians of the samples, Speedup is the median speedup
   outputFunctions.notifyResult(
-    fillRight(benchmark.config.kernelName + ": ", 23) +
+    fillRight(benchmark.config.kernelName + ": ", 24) +
     "Iterations(" + fillLeft(benchmark.actualIterations, 10) + ")" +
-    ", SIMD(" + fillLeft(benchmark.simdTime + "ms)", 8) +
-    ", Non-SIMD(" + fillLeft(benchmark.nonSimdTime + "ms)", 8) +
-    ", Speedup(" + ratio.toFixed(3) + ")");
+    ", Samples(" + benchmark.samples + ")" +
+    ", SIMD(" + fillLeft(benchmark.simdTime.toFixed(1) + "ms)", 10) +
+    ", Non-SIMD(" + fillLeft(benchmark.nonSimdTime.toFixed(1) + "ms)", 10) +
+    ", Speedup(" + benchmark.speedup.toFixed(3) + ")" +
+    ", StdDev(" + benchmark.speedupStdDev.toFixed(3) + ")" +
+    ", 95% CI(" + benchmark.speedupLow.toFixed(3) + "-" + benchmark.speedupHigh.toFixed(3) + ")");
 }
 
 Benchmarks.prototype.runAll = function (outputFunctions, useAutoIterations) {
@@ -130,4 +360,109 @@ Benchmarks.prototype.runAll = function (outputFunctions, useAutoIterations) {
   }
 }
 
+// Machine readable results
+
+// Name and version of the engine running the benchmarks
+function engineVersion () {
+  if (typeof navigator !== "undefined" && navigator.userAgent) {
+    return navigator.userAgent;
+  }
+  if (typeof process !== "undefined" && process.versions && process.versions.v8) {
+    return "node " + process.version + " (v8 " + process.versions.v8 + ")";
+  }
+  if (typeof version === "function") {
+    return "shell " + version();
+  }
+  return "unknown";
+}
+
+// The results of the benchmarks run so far, as
+// {engine, timestamp, benchmarks: [{name, ok, error, iterations, ...}]}.
+// Times are the medians in ms of one sample of iterations runs
+Benchmarks.prototype.results = function () {
+  var results = {
+    engine:     engineVersion(),
+    timestamp:  new Date().toISOString(),
+    benchmarks: []
+  };
+  for (var i = 0, n = this.benchmarks.length; i < n; ++i) {
+    var benchmark = this.benchmarks[i];
+    var failure = benchmarkFailure(benchmark);
+    results.benchmarks.push({
+      name:          benchmark.config.kernelName,
+      ok:            failure === null,
+      skipped:       benchmark.skipReason !== null,
+      error:         failure,
+      iterations:    benchmark.actualIterations,
+      samples:       benchmark.samples,
+      simdTime:      benchmark.simdTime,
+      nonSimdTime:   benchmark.nonSimdTime,
+      speedup:       benchmark.speedup,
+      speedupStdDev: benchmark.speedupStdDev,
+      speedupLow:    benchmark.speedupLow,
+      speedupHigh:   benchmark.speedupHigh
+    });
+  }
+  return results;
+}
+
+var resultColumns = ["name", "ok", "error", "iterations", "samples", "simdTime", "nonSimdTime",
+                     "speedup", "speedupStdDev", "speedupLow", "speedupHigh"];
+
+// results as CSV, one line per benchmark with the engine and timestamp
+// repeated on each
+function resultsToCSV (results) {
+  function field(value) {
+    value = value === null ? "" : String(value);
+    return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+  }
+
+  var lines = [resultColumns.concat(["engine", "timestamp"]).join(",")];
+  for (var i = 0, n = results.benchmarks.length; i < n; ++i) {
+    var benchmark = results.benchmarks[i];
+    var fields = [];
+    for (var j = 0; j < resultColumns.length; ++j) {
+      fields.push(field(benchmark[resultColumns[j]]));
+    }
+    fields.push(field(results.engine), field(results.timestamp));
+    lines.push(fields.join(","));
+  }
+  return lines.join("\n");
+}
+
+// Compares results against baseline (both as returned by results()) and
+// returns a message for each kernel that failed or whose SIMD or non-SIMD
+// time per iteration grew by more than threshold (0.1 is 10%). Kernels
+// missing from the baseline or skipped here are left out
+function compareResults (baseline, results, threshold) {
+  var regressions = [];
+  var baselineByName = {};
+  for (var i = 0, n = baseline.benchmarks.length; i < n; ++i) {
+    baselineByName[baseline.benchmarks[i].name] = baseline.benchmarks[i];
+  }
+
+  function check(name, kind, baselineTime, time) {
+    var change = time / baselineTime - 1;
+    if (change > threshold) {
+      regressions.push(name + ": " + kind + " time regressed " + (change * 100).toFixed(1) + "% (" +
+                       baselineTime.toPrecision(4) + "ms -> " + time.toPrecision(4) + "ms per iteration)");
+    }
+  }
+
+  for (var i = 0, n = results.benchmarks.length; i < n; ++i) {
+    var current = results.benchmarks[i];
+    var base = baselineByName[current.name];
+    if (!base || !base.ok || current.skipped) {
+      continue;
+    }
+    if (!current.ok) {
+      regressions.push(current.name + ": " + current.error);
+      continue;
+    }
+    check(current.name, "SIMD", base.simdTime / base.iterations, current.simdTime / current.iterations);
+    check(current.name, "Non-SIMD", base.nonSimdTime / base.iterations, current.nonSimdTime / current.iterations);
+  }
+  return regressions;
+}
+
 var benchmarks = new Benchmarks ();
@@ -10,9 +10,22 @@
     kernelSimd:       simd,
     kernelNonSimd:    nonSimd,
     kernelIterations: 100000000
+    // Optional, for kernels with float results:
+    //   kernelVerify:    function (tolerance) { ... },
+    //   kernelTolerance: {epsilon: 1e-5, ulps: 16}
+    // kernelVerify is called after init and cleanup and returns null when
+    // the simd and nonSimd results agree within tolerance (see
+    // compareFloat32 in base.js), or a message describing the difference.
+    // Optional, the number of timed samples per kernel and of untimed
+    // ones before them (defaults in base.js):
+    //   kernelSamples:       10,
+    //   kernelWarmupSamples: 2
+    // Optional, returns null when the kernels can run here, otherwise why
+    // not; the kernel is then reported as SKIPPED:
+    //   kernelSkip:      function () { ... }
   };
 
-  // Hook up to the harness
+  // Hook up to the harness. New kernel files go in kernels.js
   benchmarks.add (new Benchmark (kernelConfig));
 
   // Kernel Initializer
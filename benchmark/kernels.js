@@ -0,0 +1,17 @@
+// Benchmark manifest, read by run.js, run_node.js (through run.js) and
+// run_browser.js. Files are relative to the benchmark directory and loaded
+// in order, the libraries before the kernels. Every kernel file registers
+// its kernels with benchmarks.add
+
+var benchmarkLibraries = [
+  "../js/util/gl-matrix-min.js",
+  "../js/md5-core.js",
+  "../js/md5-binary.js",
+  "../js/md5-wasm.js"
+];
+
+var benchmarkKernels = [
+  "kernel-template.js",
+  "skinning.js",
+  "skinning-js.js"
+];
@@ -1,25 +1,96 @@
 "use strict"
 
 load ('base.js');
+load ('kernels.js');
 
-// load individual benchmarks
+// load the libraries and individual benchmarks listed in kernels.js
 
-load ('kernel-template.js');
-load ('skinning.js');
+for (var i = 0; i < benchmarkLibraries.length; ++i) {
+  load (benchmarkLibraries[i]);
+}
+for (var i = 0; i < benchmarkKernels.length; ++i) {
+  load (benchmarkKernels[i]);
+}
+
+// Options, after -- on the shell's command line:
+//   --filter=REGEX          only run the kernels whose name matches
+//   --iterations=N|auto     iterations per sample, auto (the default) runs
+//                           the slowest kernel for about 200ms
+//   --format=text|json|csv  what to print, text is the default
+//   --baseline=FILE         compare against results saved with --format=json,
+//                           exits with status 1 when a kernel regressed
+//   --threshold=0.1         how much a time may grow before it regressed
+var options = {filter: null, iterations: "auto", format: "text", baseline: null, threshold: 0.1};
+var formats = ["text", "json", "csv"];
+var args = typeof scriptArgs !== "undefined" ? scriptArgs :
+           typeof arguments !== "undefined" ? arguments : [];
+for (var i = 0; i < args.length; ++i) {
+  var match = /^--(\w+)=(.*)$/.exec(args[i]);
+  // Any other format would print nothing at all, a threshold that isn't a
+  // number would never find a regression and iterations must be a count
+  if (!match || !options.hasOwnProperty(match[1]) ||
+      (match[1] === "format" && formats.indexOf(match[2]) < 0) ||
+      (match[1] === "threshold" && !/^\d*\.?\d+$/.test(match[2])) ||
+      (match[1] === "iterations" && !/^(auto|[1-9]\d*)$/.test(match[2]))) {
+    print ("Unknown option " + args[i]);
+    quit (2);
+  }
+  options[match[1]] = match[1] === "threshold" ? parseFloat(match[2]) : match[2];
+}
 
 function printResult (str) {
-  print (str);
+  if (options.format === "text") {
+    print (str);
+  }
 }
 
 function printError (str) {
-  print (str);
+  if (options.format === "text") {
+    print (str);
+  }
 }
 
 function printScore (str) {
-  print (str);
+  if (options.format === "text") {
+    print (str);
+  }
+}
+
+if (options.filter !== null) {
+  var filter = new RegExp (options.filter);
+  benchmarks.benchmarks = benchmarks.benchmarks.filter (function (benchmark) {
+    return filter.test (benchmark.config.kernelName);
+  });
+}
+if (options.iterations !== "auto") {
+  for (var i = 0; i < benchmarks.benchmarks.length; ++i) {
+    benchmarks.benchmarks[i].config.kernelIterations = parseInt (options.iterations, 10);
+  }
 }
 
 benchmarks.runAll ({notifyResult: printResult,
                     notifyError:  printError,
                     notifyScore:  printScore},
-                   true);
+                   options.iterations === "auto");
+
+var results = benchmarks.results ();
+if (options.format === "json") {
+  print (JSON.stringify (results, null, 2));
+}
+else if (options.format === "csv") {
+  print (resultsToCSV (results));
+}
+
+// Regressions go to stderr where the shell has one, to keep the results
+// on stdout clean
+var printRegression = typeof printErr === "function" ? printErr : print;
+
+if (options.baseline !== null) {
+  var regressions = compareResults (JSON.parse (read (options.baseline)), results, options.threshold);
+  for (var i = 0; i < regressions.length; ++i) {
+    printRegression ("REGRESSION " + regressions[i]);
+  }
+  if (regressions.length > 0) {
+    quit (1);
+  }
+}
@@ -15,10 +15,67 @@ function printScore(str) {
   logs.innerHTML += str + '<br>';
 }
 
+// Query parameters: format=json|csv adds the results in that format below
+// the log, baseline=URL compares against results saved as json and
+// threshold=0.1 is how much a time may grow before it regressed
+function queryParameter(name) {
+  var match = new RegExp("[?&]" + name + "=([^&]*)").exec(window.location.search);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function printResults(results) {
+  var format = queryParameter("format");
+  if (format !== "json" && format !== "csv") {
+    return;
+  }
+  var pre = document.createElement("pre");
+  pre.id = "results";
+  pre.textContent = format === "json" ? JSON.stringify(results, null, 2) : resultsToCSV(results);
+  document.body.appendChild(pre);
+}
+
+function compareBaseline(results) {
+  var url = queryParameter("baseline");
+  if (url === null) {
+    return;
+  }
+  var request = new XMLHttpRequest();
+  request.open("GET", url, false);
+  request.overrideMimeType("application/json");
+  request.send();
+  var threshold = parseFloat(queryParameter("threshold") || "0.1");
+  var regressions = compareResults(JSON.parse(request.responseText), results, threshold);
+  for (var i = 0; i < regressions.length; ++i) {
+    printError("REGRESSION " + regressions[i]);
+  }
+  if (regressions.length === 0) {
+    printResult('No regressions against ' + url + '.');
+  }
+}
+
+// Adds a script element for each of files, one after the other
+function loadScripts(files, callback) {
+  if (files.length === 0) {
+    callback();
+    return;
+  }
+  var script = document.createElement("script");
+  script.src = files[0];
+  script.onload = function() {
+    loadScripts(files.slice(1), callback);
+  };
+  document.body.appendChild(script);
+}
+
 window.onload = function() {
-  console.log('Running benchmarks.');
-  benchmarks.runAll({notifyResult: printResult,
-                     notifyError:  printError,
-                     notifyScore:  printScore}, true);
-  printResult('Benchmarks completed.');
-}
\ No newline at end of file
+  loadScripts(benchmarkLibraries.concat(benchmarkKernels), function() {
+    console.log('Running benchmarks.');
+    benchmarks.runAll({notifyResult: printResult,
+                       notifyError:  printError,
+                       notifyScore:  printScore}, true);
+    printResult('Benchmarks completed.');
+    var results = benchmarks.results();
+    printResults(results);
+    compareBaseline(results);
+  });
+}
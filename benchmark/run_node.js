@@ -0,0 +1,51 @@
+// Runs the benchmarks in Node
+//
+// Usage: node benchmark/run_node.js [options]
+//
+// Takes the options of run.js (--filter, --iterations, --format, --baseline
+// and --threshold) and runs it with the functions it expects from a shell:
+// load, read, print, printErr, quit and scriptArgs. Falls back to the SIMD.js
+// polyfill when Node has no native SIMD.
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+if (typeof SIMD === "undefined") {
+  global.SIMD = require('../ecmascript_simd.js');
+}
+
+// The baseline is relative to where we were started, everything else to
+// the benchmark directory, like in a shell started there
+var args = process.argv.slice(2).map(function (arg) {
+  var match = /^--baseline=(.*)$/.exec(arg);
+  return match ? "--baseline=" + path.resolve(match[1]) : arg;
+});
+process.chdir(__dirname);
+
+// Scripts run in the global scope, as they would in a shell
+global.load = function (file) {
+  vm.runInThisContext(fs.readFileSync(file, 'utf8'), {filename: file});
+};
+
+global.read = function (file) {
+  return fs.readFileSync(file, 'utf8');
+};
+
+global.print = function (str) {
+  console.log(str);
+};
+
+global.printErr = function (str) {
+  console.error(str);
+};
+
+global.quit = function (status) {
+  process.exit(status);
+};
+
+global.scriptArgs = args;
+
+load('run.js');
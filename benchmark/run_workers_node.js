@@ -0,0 +1,222 @@
+// Measures how skinning scales over Md5WorkerPool (js/md5-workers.js) with
+// Node's worker_threads
+//
+// Usage: node benchmark/run_workers_node.js [options]
+//
+//   --workers=1,2,4   pool sizes to run, doubling up to the number of CPUs
+//                     by default
+//   --instances=64    hellknights skinned every frame
+//   --frames=100      frames timed for each pool size
+//   --simd            skin with WebAssembly SIMD128
+//   --split           split every instance in ranges of meshes
+//
+// Lays the hellknight and idle2 out in a shared heap the way js/md5-asm.js
+// does, skins a frame of every instance on the main thread with the same
+// WebAssembly functions for the baseline, then on each pool. The workers'
+// vertices are checked against the main thread's first.
+
+"use strict";
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Md5Core = require('../js/md5-core');
+var Md5Binary = require('../js/md5-binary');
+var Md5Wasm = require('../js/md5-wasm');
+var Md5Workers = require('../js/md5-workers');
+
+var MESH_URL = "../root/models/md5/monsters/hellknight/hellknight.md5mesh";
+var ANIM_URL = "../root/models/md5/monsters/hellknight/idle2.md5anim";
+
+var HEADER_SIZE = 16;
+var i_MODEL_STRUCT_PTR_OFFSET = 0;
+var i_VERT_ARRAY_PTR_OFFSET = 4;
+var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
+var VERTEX_STRIDE = 44;
+
+var options = {workers: null, instances: 64, frames: 100, simd: false, split: false};
+process.argv.slice(2).forEach(function (arg) {
+  var match = /^--(\w+)(?:=(.*))?$/.exec(arg);
+  if (!match || !options.hasOwnProperty(match[1])) {
+    console.error("Unknown option " + arg);
+    process.exit(2);
+  }
+  var name = match[1];
+  if (name === "simd" || name === "split") {
+    options[name] = true;
+  } else if (name === "workers") {
+    options.workers = match[2].split(",").map(function (count) { return parseInt(count, 10); });
+  } else {
+    options[name] = parseInt(match[2], 10);
+  }
+});
+if (options.workers === null) {
+  options.workers = [];
+  for (var count = 1; count < os.cpus().length; count *= 2) {
+    options.workers.push(count);
+  }
+  options.workers.push(os.cpus().length);
+}
+
+function readFile (url) {
+  return fs.readFileSync(path.join(__dirname, url), 'utf8');
+}
+
+function align (size) {
+  return (size + 15) & ~15;
+}
+
+// The heap: the model and animation images, then a header and a vertex
+// array per instance. Blocks are bump allocated, with room at the end for
+// the pool's structs
+var model = Md5Core.parseMesh(readFile(MESH_URL), MESH_URL);
+var meshContainer = Md5Binary.read(Md5Binary.writeMesh(model));
+var animContainer = Md5Binary.read(Md5Binary.writeAnim(Md5Core.parseAnim(readFile(ANIM_URL), ANIM_URL)));
+var vertexArraySize = 0;
+for (var i = 0; i < model.meshes.length; ++i) {
+  vertexArraySize += model.meshes[i].verts.length * VERTEX_STRIDE;
+}
+
+var heapSize = 16 + align(meshContainer.image.length) + align(animContainer.image.length) +
+               options.instances * (HEADER_SIZE + align(vertexArraySize)) + 4 * 1024 * 1024;
+var memory = Md5Wasm.createMemory(heapSize, true);
+var heapTop = 16;
+var heapEnd = memory.buffer.byteLength;
+
+function alloc (size) {
+  var ptr = heapTop;
+  heapTop += align(size);
+  if (heapTop > heapEnd) {
+    throw new Error("Out of heap allocating " + size + " bytes");
+  }
+  return ptr;
+}
+
+var modelPtr = alloc(meshContainer.image.length);
+Md5Binary.copyToHeap(meshContainer, memory.buffer, modelPtr);
+var animPtr = alloc(animContainer.image.length);
+Md5Binary.copyToHeap(animContainer, memory.buffer, animPtr);
+
+var HEAP32 = new Int32Array(memory.buffer);
+var instances = [];
+for (var i = 0; i < options.instances; ++i) {
+  var headerPtr = alloc(HEADER_SIZE);
+  var vertexArrayPtr = alloc(vertexArraySize);
+  HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = modelPtr;
+  HEAP32[(headerPtr + i_VERT_ARRAY_PTR_OFFSET)>>2] = vertexArrayPtr;
+  HEAP32[(headerPtr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = animPtr;
+  HEAP32[(headerPtr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = 0;
+  instances.push({headerPtr: headerPtr, vertexArrayPtr: vertexArrayPtr});
+}
+
+var wasm = Md5Wasm.instantiate(memory);
+var simd = options.simd && wasm.skinSIMD !== null;
+if (options.simd && !simd) {
+  console.log("No WebAssembly SIMD128, skinning without it");
+}
+
+// Each instance is at a frame of its own, as in main-asm.js
+function skinOnMainThread (frame) {
+  for (var i = 0; i < instances.length; ++i) {
+    if (simd) {
+      wasm.getFrameJointsSIMD(frame + i, instances[i].headerPtr);
+      wasm.skinSIMD(instances[i].headerPtr);
+    } else {
+      wasm.getFrameJoints(frame + i, instances[i].headerPtr);
+      wasm.skin(instances[i].headerPtr);
+    }
+  }
+}
+
+function skinOnPool (pool, frame, callback) {
+  for (var i = 0; i < instances.length; ++i) {
+    pool.add(instances[i].headerPtr, frame + i, simd);
+  }
+  pool.run(callback);
+}
+
+function vertexArrays () {
+  return instances.map(function (instance) {
+    return new Float32Array(memory.buffer, instance.vertexArrayPtr, vertexArraySize >> 2).slice();
+  });
+}
+
+// Returns null when the workers skinned frame 0 as the main thread does,
+// both run the same functions so they should match exactly
+function verify (pool, callback) {
+  skinOnMainThread(0);
+  var expected = vertexArrays();
+  instances.forEach(function (instance) {
+    new Float32Array(memory.buffer, instance.vertexArrayPtr, vertexArraySize >> 2).fill(0);
+  });
+  skinOnPool(pool, 0, function () {
+    var actual = vertexArrays();
+    for (var i = 0; i < actual.length; ++i) {
+      for (var j = 0; j < actual[i].length; ++j) {
+        if (actual[i][j] !== expected[i][j]) {
+          return callback("instance " + i + " element " + j + ": main thread " + expected[i][j] +
+                          ", worker " + actual[i][j]);
+        }
+      }
+    }
+    callback(null);
+  });
+}
+
+function timeMainThread () {
+  var start = Date.now();
+  for (var frame = 0; frame < options.frames; ++frame) {
+    skinOnMainThread(frame);
+  }
+  return Date.now() - start;
+}
+
+function timePool (pool, callback) {
+  var start = Date.now();
+  var frame = 0;
+  var next = function () {
+    if (frame == options.frames) {
+      return callback(Date.now() - start);
+    }
+    skinOnPool(pool, frame++, next);
+  };
+  next();
+}
+
+function report (name, time, baseline) {
+  console.log(name + ": " + (options.frames * 1000 / time).toFixed(1) + " frames/s, " +
+              (time / options.frames).toFixed(2) + "ms per frame, Speedup(" + (baseline / time).toFixed(3) + ")");
+}
+
+console.log(options.instances + " instances, " + options.frames + " frames" +
+            (simd ? ", SIMD128" : "") + (options.split ? ", split in mesh ranges" : ""));
+var baseline = timeMainThread();
+report("Main thread", baseline, baseline);
+
+var runs = options.workers.slice();
+var failed = false;
+function runNext () {
+  if (runs.length === 0) {
+    process.exit(failed ? 1 : 0);
+  }
+  var count = runs.shift();
+  // Each pool takes a little more of the heap, which isn't given back
+  var pool = new Md5Workers.Md5WorkerPool(memory, alloc, count);
+  pool.splitMeshes = options.split;
+  verify(pool, function (error) {
+    if (error) {
+      console.log("Workers(" + count + "): FAILED, " + error);
+      failed = true;
+      pool.terminate();
+      return runNext();
+    }
+    timePool(pool, function (time) {
+      report("Workers(" + count + ")", time, baseline);
+      pool.terminate();
+      runNext();
+    });
+  });
+}
+runNext();
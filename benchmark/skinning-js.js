@@ -0,0 +1,213 @@
+// Skinning in plain JS: Md5Mesh's _skin against _skinSIMD from
+// js/md5-core.js, which js/md5.js draws with, on the hellknight. Then
+// Md5Anim's getFrameJoints with and without setSIMDJoints, _skinSoA
+// against _skinSIMD, and both skins again with the normals and tangents
+// recomputed from the positions
+(function () {
+
+  // Kernel configurations
+  var kernelConfig = {
+    kernelName:       "Skinning (JS)",
+    kernelInit:       init,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simd,
+    kernelNonSimd:    nonSimd,
+    kernelVerify:     verify,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // The non-SIMD version composes in doubles and the SIMD one in floats,
+  // which drift apart down the hierarchy. Positions go up to about 100
+  var jointsKernelConfig = {
+    kernelName:       "Skinning (JS joints)",
+    kernelInit:       init,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simdJoints,
+    kernelNonSimd:    nonSimdJoints,
+    kernelVerify:     verifyJoints,
+    kernelTolerance:  {epsilon: 1e-4, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  var soaKernelConfig = {
+    kernelName:       "Skinning (JS SoA)",
+    kernelInit:       init,
+    kernelCleanup:    cleanup,
+    kernelSimd:       soa,
+    kernelNonSimd:    simd,
+    kernelVerify:     verifySoA,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // _recomputeNormalsSIMD against _recomputeNormals, each after its skin.
+  // The face normals are summed in floats and in doubles, so the unit
+  // vectors only agree to about 1e-5
+  var normalsKernelConfig = {
+    kernelName:       "Skinning (JS normals)",
+    kernelInit:       init,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simdNormals,
+    kernelNonSimd:    nonSimdNormals,
+    kernelVerify:     verifyNormals,
+    kernelTolerance:  {epsilon: 1e-4, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // Hook up to the harness
+  benchmarks.add (new Benchmark (kernelConfig));
+  benchmarks.add (new Benchmark (jointsKernelConfig));
+  benchmarks.add (new Benchmark (soaKernelConfig));
+  benchmarks.add (new Benchmark (normalsKernelConfig));
+
+  var MESH_URL = "../root/models/md5/monsters/hellknight/hellknight.md5mesh";
+  var ANIM_URL = "../root/models/md5/monsters/hellknight/idle2.md5anim";
+
+  var VERTEX_ELEMENTS = 11;
+  var VERTEX_COMPONENTS = ["position.x", "position.y", "position.z", "texCoord.u", "texCoord.v",
+                           "normal.x", "normal.y", "normal.z", "tangent.x", "tangent.y", "tangent.z"];
+
+  // The hellknight and frame 0 of idle2, as joints for _skin and as
+  // pos4f/orient4f jointsData for _skinSIMD. Each kernel has its own
+  // vert array
+  var model = null;
+  var anim = null;
+  var joints = null;
+  var jointsData = null;
+  var vertArray = null;
+  var simdVertArray = null;
+  var soaVertArray = null;
+
+  // Kernel Initializer
+  function init () {
+    if (!model) {
+      model = Md5Core.parseMesh(readTextFile(MESH_URL), MESH_URL);
+      anim = Md5Core.parseAnim(readTextFile(ANIM_URL), ANIM_URL);
+      Md5Core.setSIMD(false);
+      joints = anim.getFrameJoints(0);
+      Md5Core.setSIMD(true);
+      jointsData = anim.getFrameJoints(0).slice();
+      Md5Core.setSIMD(false);
+      vertArray = new Float32Array(model.vertArray.length);
+      simdVertArray = new Float32Array(model.vertArray.length);
+      soaVertArray = new Float32Array(model.vertArray.length);
+    }
+    return simd (1) === nonSimd (1);
+  }
+
+  // Kernel Cleanup
+  function cleanup () {
+    return simd (1) === nonSimd (1);
+  }
+
+  function verify (tolerance) {
+    nonSimd (1);
+    simd (1);
+    return compareVertArrays (vertArray, simdVertArray, tolerance);
+  }
+
+  function verifySoA (tolerance) {
+    simd (1);
+    soa (1);
+    return compareVertArrays (simdVertArray, soaVertArray, tolerance);
+  }
+
+  function verifyNormals (tolerance) {
+    nonSimdNormals (1);
+    simdNormals (1);
+    return compareVertArrays (vertArray, simdVertArray, tolerance);
+  }
+
+  // Returns null when both vert arrays are within tolerance, otherwise
+  // describes the worst vertex
+  function compareVertArrays (expected, actual, tolerance) {
+    var length = model.vertArray.length - 1; // the last one is padding
+    var worst = compareFloat32(expected.subarray(0, length), actual.subarray(0, length), tolerance);
+    if (worst.ok) {
+      return null;
+    }
+    return "vertex " + Math.floor(worst.index / VERTEX_ELEMENTS) + " " +
+           VERTEX_COMPONENTS[worst.index % VERTEX_ELEMENTS] + ": non-SIMD " + worst.expected +
+           ", SIMD " + worst.actual + " (" + worst.ulps + " ulps, " + worst.diff + " apart)";
+  }
+
+  var JOINT_COMPONENTS = ["pos.x", "pos.y", "pos.z", "pos.w",
+                          "orient.x", "orient.y", "orient.z", "orient.w"];
+
+  // Compares a frame's jointsData composed with and without SIMD
+  function verifyJoints (tolerance) {
+    nonSimdJoints (2);
+    var expected = anim.jointsData.slice();
+    simdJoints (2);
+    var worst = compareFloat32(expected, anim.jointsData, tolerance);
+    if (worst.ok) {
+      return null;
+    }
+    return "joint " + Math.floor(worst.index / 8) + " " + JOINT_COMPONENTS[worst.index % 8] +
+           ": non-SIMD " + worst.expected + ", SIMD " + worst.actual +
+           " (" + worst.ulps + " ulps, " + worst.diff + " apart)";
+  }
+
+  // SIMD version of the kernel
+  function simd (n) {
+    for (var i = 0; i < n; ++i) {
+      model._skinSIMD(jointsData, simdVertArray);
+    }
+    return true;
+  }
+
+  // Non SIMD version of the kernel
+  function nonSimd (n) {
+    for (var i = 0; i < n; ++i) {
+      model._skin(joints, vertArray);
+    }
+    return true;
+  }
+
+  function soa (n) {
+    for (var i = 0; i < n; ++i) {
+      model._skinSoA(jointsData, soaVertArray);
+    }
+    return true;
+  }
+
+  function simdNormals (n) {
+    for (var i = 0; i < n; ++i) {
+      model._skinSIMD(jointsData, simdVertArray);
+      model._recomputeNormalsSIMD(simdVertArray);
+    }
+    return true;
+  }
+
+  function nonSimdNormals (n) {
+    for (var i = 0; i < n; ++i) {
+      model._skin(joints, vertArray);
+      model._recomputeNormals(vertArray);
+    }
+    return true;
+  }
+
+  // Both compose into anim.jointsData. The toggles are put back the way
+  // init left them
+  function simdJoints (n) {
+    Md5Core.setSIMD(true);
+    Md5Core.setSIMDJoints(true);
+    for (var i = 0; i < n; ++i) {
+      anim.getFrameJoints(i % anim.frames.length);
+    }
+    Md5Core.setSIMDJoints(false);
+    Md5Core.setSIMD(false);
+    return true;
+  }
+
+  function nonSimdJoints (n) {
+    Md5Core.setSIMD(true);
+    for (var i = 0; i < n; ++i) {
+      anim.getFrameJoints(i % anim.frames.length);
+    }
+    Md5Core.setSIMD(false);
+    return true;
+  }
+
+} ());
@@ -1,25 +1,151 @@
 
 (function () {
 
-  // Kernel configuration
+  // Kernel configurations, the hellknight and a synthetic model with
+  // 100 weights on every vertex, then the stages of the hellknight one on
+  // their own, the three weight layouts and the WebAssembly versions of
+  // js/md5-wasm.js. All skin the model in the shared heap
   var kernelConfig = {
     kernelName:       "Skinning",
     kernelInit:       init,
     kernelCleanup:    cleanup,
     kernelSimd:       simd,
     kernelNonSimd:    nonSimd,
+    kernelVerify:     verify,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  var syntheticKernelConfig = {
+    kernelName:       "Skinning (synthetic)",
+    kernelInit:       initSynthetic,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simd,
+    kernelNonSimd:    nonSimd,
+    kernelVerify:     verify,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  var jointsKernelConfig = {
+    kernelName:       "Skinning (joints)",
+    kernelInit:       init,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simdJoints,
+    kernelNonSimd:    nonSimdJoints,
+    kernelVerify:     verifyJoints,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  var skinKernelConfig = {
+    kernelName:       "Skinning (skin)",
+    kernelInit:       initSkin,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simdSkin,
+    kernelNonSimd:    nonSimdSkin,
+    kernelVerify:     verify,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // Native SIMD against the polyfill, both running asmSkinSIMD
+  var polyfillKernelConfig = {
+    kernelName:       "Skinning (polyfill)",
+    kernelSkip:       skipPolyfill,
+    kernelInit:       initPolyfill,
+    kernelCleanup:    cleanup,
+    kernelSimd:       simdSkin,
+    kernelNonSimd:    polyfillSkin,
+    kernelVerify:     verifyPolyfill,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // asmSkinSoA, four vertices at a time from the weight groups, against
+  // asmSkinSIMD, one at a time
+  var soaKernelConfig = {
+    kernelName:       "Skinning (SoA)",
+    kernelInit:       initSkin,
+    kernelCleanup:    cleanup,
+    kernelSimd:       soaSkin,
+    kernelNonSimd:    simdSkin,
+    kernelVerify:     verifySoA,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // asmSkinQuantized, from the 16 bit weights, against asmSkinSIMD. They
+  // only match to the quantization, a few hundredths of a unit
+  var quantizedKernelConfig = {
+    kernelName:       "Skinning (quantized)",
+    kernelInit:       initSkin,
+    kernelCleanup:    cleanup,
+    kernelSimd:       quantizedSkin,
+    kernelNonSimd:    simdSkin,
+    kernelVerify:     verifyQuantized,
+    kernelTolerance:  {epsilon: 0.05, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // The wasm SIMD128 skin against the wasm scalar one, each after the wasm
+  // getFrameJoints
+  var wasmKernelConfig = {
+    kernelName:       "Skinning (wasm)",
+    kernelSkip:       skipWasmSIMD,
+    kernelInit:       initWasm,
+    kernelCleanup:    cleanup,
+    kernelSimd:       wasmSimd,
+    kernelNonSimd:    wasmNonSimd,
+    kernelVerify:     verifyWasm,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  var wasmJointsKernelConfig = {
+    kernelName:       "Skinning (wasm joints)",
+    kernelSkip:       skipWasmSIMD,
+    kernelInit:       initWasm,
+    kernelCleanup:    cleanup,
+    kernelSimd:       wasmSimdJoints,
+    kernelNonSimd:    wasmNonSimdJoints,
+    kernelVerify:     verifyWasmJoints,
+    kernelTolerance:  {epsilon: 1e-5, ulps: 16},
+    kernelIterations: 100000000
+  };
+
+  // The scalar wasm skin against asmSkin, which it should match exactly
+  var wasmSkinKernelConfig = {
+    kernelName:       "Skinning (wasm skin)",
+    kernelSkip:       skipWasm,
+    kernelInit:       initWasmSkin,
+    kernelCleanup:    cleanup,
+    kernelSimd:       wasmSkin,
+    kernelNonSimd:    nonSimdSkin,
+    kernelVerify:     verifyWasmSkin,
+    kernelTolerance:  {epsilon: 0, ulps: 0},
     kernelIterations: 100000000
   };
 
   // Hook up to the harness
   benchmarks.add (new Benchmark (kernelConfig));
+  benchmarks.add (new Benchmark (syntheticKernelConfig));
+  benchmarks.add (new Benchmark (jointsKernelConfig));
+  benchmarks.add (new Benchmark (skinKernelConfig));
+  benchmarks.add (new Benchmark (polyfillKernelConfig));
+  benchmarks.add (new Benchmark (soaKernelConfig));
+  benchmarks.add (new Benchmark (quantizedKernelConfig));
+  benchmarks.add (new Benchmark (wasmKernelConfig));
+  benchmarks.add (new Benchmark (wasmJointsKernelConfig));
+  benchmarks.add (new Benchmark (wasmSkinKernelConfig));
 
   var HEAP_BASE = 0;
   // Header
-  var HEADER_SIZE = 12;
+  var HEADER_SIZE = 16;
   var i_MODEL_STRUCT_PTR_OFFSET = 0;
   var i_VERT_ARRAY_PTR_OFFSET = 4;
   var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+  var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
   
   // Model struct
   var MODEL_STRUCT_SIZE = 16;
@@ -106,6 +232,60 @@
   var FRAME_STRUCT_SIZE = 4;
   var f_FRAME_VALUE_OFFSET = 0;
 
+  // Weight groups struct, one per mesh in the order of the model's, for
+  // asmSkinSoA. The vertices go in groups of four
+  var WEIGHT_GROUPS_STRUCT_SIZE = 16;
+  var i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET = 0;
+  var i_WEIGHT_GROUPS_VERTS_LENGTH_OFFSET = 4;
+  var i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET = 8;
+  var i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET = 12;
+
+  // Group struct, as many slots as its vertex with the most weights, and
+  // the texCoords of the four vertices
+  var GROUP_STRUCT_SIZE = 48;
+  var i_GROUP_SLOTS_PTR_OFFSET = 0;
+  var i_GROUP_SLOTS_LENGTH_OFFSET = 4;
+  var i_GROUP_VERTS_LENGTH_OFFSET = 8;
+  var f_GROUP_TEXCOORD_0_OFFSET = 16;
+  var f_GROUP_TEXCOORD_1_OFFSET = 32;
+
+  // Slot struct, a weight of each of the four vertices, bias 0 where a
+  // vertex has fewer
+  var SLOT_STRUCT_SIZE = 176;
+  var i_SLOT_JOINT_INDEX_OFFSET = 0;
+  var f_SLOT_BIAS_OFFSET = 16;
+  var f_SLOT_POS_0_OFFSET = 32;
+  var f_SLOT_POS_1_OFFSET = 48;
+  var f_SLOT_POS_2_OFFSET = 64;
+  var f_SLOT_NORMAL_0_OFFSET = 80;
+  var f_SLOT_NORMAL_1_OFFSET = 96;
+  var f_SLOT_NORMAL_2_OFFSET = 112;
+  var f_SLOT_TANGENT_0_OFFSET = 128;
+  var f_SLOT_TANGENT_1_OFFSET = 144;
+  var f_SLOT_TANGENT_2_OFFSET = 160;
+
+  // Quantized weights struct, one per mesh in the order of the model's,
+  // for asmSkinQuantized
+  var QUANTIZED_WEIGHTS_STRUCT_SIZE = 16;
+  var i_QUANTIZED_WEIGHTS_PTR_OFFSET = 0;
+  var f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET = 4;
+
+  // Quantized weight struct, see asmjsModuleSIMD
+  var QWEIGHT_STRUCT_SIZE = 24;
+  var s_QWEIGHT_POS_0_OFFSET = 0;
+  var s_QWEIGHT_POS_1_OFFSET = 2;
+  var s_QWEIGHT_POS_2_OFFSET = 4;
+  var s_QWEIGHT_JOINT_INDEX_OFFSET = 6;
+  var s_QWEIGHT_NORMAL_0_OFFSET = 8;
+  var s_QWEIGHT_NORMAL_1_OFFSET = 10;
+  var s_QWEIGHT_NORMAL_2_OFFSET = 12;
+  var b_QWEIGHT_BIAS_OFFSET = 14;
+  var s_QWEIGHT_TANGENT_0_OFFSET = 16;
+  var s_QWEIGHT_TANGENT_1_OFFSET = 18;
+  var s_QWEIGHT_TANGENT_2_OFFSET = 20;
+  // What the loads of the last weight of a mesh read past it
+  var QWEIGHT_PADDING = 8;
+
   var VERTEX_ELEMENTS = 11;
   var VERTEX_STRIDE = 44;
 
@@ -115,11 +295,20 @@
   var MESH_WEIGHTS_LENGTH = 100;
   var VERT_WEIGHT_COUNT = 100;
 
+  // Each kernel skins into its own vert array, see verify. The skinned
+  // verts are the first skinnedVerts of it, the synthetic meshes all
+  // write to the same ones
+  var numOfVerts = 0;
+  var skinnedVerts = 0;
+  var vertexArrayPtr = 0;
+  var simdVertexArrayPtr = 0;
+
   function initializeArrayBuffer(buffer) {
       var HEAPF32 = new Float32Array(buffer);
       var HEAP32 = new Int32Array(buffer);
-      var numOfVerts = 0;
       var ptr = HEAP_BASE;
+      numOfVerts = 0;
+      skinnedVerts = 0;
       
       // Allocate Header
       var header_ptr = ptr;
@@ -127,6 +316,7 @@
       HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = 0;
       HEAP32[(header_ptr + i_VERT_ARRAY_PTR_OFFSET)>>2] = 0;
       HEAP32[(header_ptr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = 0;
+      HEAP32[(header_ptr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = 0;
       // Allocate Model struct
       HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = ptr;
       var model_ptr = ptr;
@@ -146,6 +336,7 @@
           HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_LENGTH_OFFSET)>>2] = MESH_VERTS_LENGTH;
           HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_WEIGHTS_PTR_OFFSET)>>2] = 0;
           HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2] = MESH_WEIGHTS_LENGTH;
+          skinnedVerts = Math.max(skinnedVerts, MESH_VERTS_LENGTH);
          
          // Allocate vert array of mesh
          var verts_array_ptr = ptr;
@@ -195,16 +386,24 @@
           HEAPF32[(joints_ptr + i * JOINT_STRUCT_SIZE + f_JOINT_ORIENT_3_OFFSET)>>2] = 0.1;
       }
 
-      // Allocate vert Array
-      var vertex_array_ptr = ptr;
-      HEAP32[(header_ptr + i_VERT_ARRAY_PTR_OFFSET)>>2] = ptr;
-      ptr += numOfVerts * VERTEX_STRIDE;
-      ptr += 4; // padding
+      ptr = allocateVertexArrays(HEAP32, header_ptr, ptr);
       
       var animation_ptr = ptr;
       HEAP32[(header_ptr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = ptr;
   };
 
+  // Allocates the vert arrays of numOfVerts verts at ptr, returns the end
+  function allocateVertexArrays(HEAP32, header_ptr, ptr) {
+      vertexArrayPtr = ptr;
+      HEAP32[(header_ptr + i_VERT_ARRAY_PTR_OFFSET)>>2] = ptr;
+      ptr += numOfVerts * VERTEX_STRIDE;
+      ptr += 4; // padding
+      simdVertexArrayPtr = ptr;
+      ptr += numOfVerts * VERTEX_STRIDE;
+      ptr += 4; // padding
+      return ptr;
+  }
+
   var ANIM_HIERARCHY_LENGTH = 100;
   var ANIM_BASEFRAME_LENGTH = 100;
   var ANIM_FRAMES_LENGTH = 100;
@@ -266,20 +465,399 @@
       }
   };
 
-  var buffer = new ArrayBuffer(512 * 1024);
+  var HELLKNIGHT_MESH_URL = "../root/models/md5/monsters/hellknight/hellknight.md5mesh";
+  var HELLKNIGHT_ANIM_URL = "../root/models/md5/monsters/hellknight/idle2.md5anim";
+
+  // Binary containers of the hellknight, parsed on first use
+  var hellknightMesh = null;
+  var hellknightAnim = null;
+
+  // Slot component and the weight struct component it's copied from
+  var SLOT_WEIGHT_OFFSETS = [
+    [f_SLOT_BIAS_OFFSET, f_WEIGHT_BIAS_OFFSET],
+    [f_SLOT_POS_0_OFFSET, f_WEIGHT_POS_0_OFFSET],
+    [f_SLOT_POS_1_OFFSET, f_WEIGHT_POS_1_OFFSET],
+    [f_SLOT_POS_2_OFFSET, f_WEIGHT_POS_2_OFFSET],
+    [f_SLOT_NORMAL_0_OFFSET, f_WEIGHT_NORMAL_0_OFFSET],
+    [f_SLOT_NORMAL_1_OFFSET, f_WEIGHT_NORMAL_1_OFFSET],
+    [f_SLOT_NORMAL_2_OFFSET, f_WEIGHT_NORMAL_2_OFFSET],
+    [f_SLOT_TANGENT_0_OFFSET, f_WEIGHT_TANGENT_0_OFFSET],
+    [f_SLOT_TANGENT_1_OFFSET, f_WEIGHT_TANGENT_1_OFFSET],
+    [f_SLOT_TANGENT_2_OFFSET, f_WEIGHT_TANGENT_2_OFFSET]
+  ];
+
+  // Writes the weight groups of the model structs at model_ptr to ptr, like
+  // Md5Model._writeWeightGroups in md5-asm.js, returns the end
+  function writeWeightGroups(buffer, model_ptr, ptr) {
+      var HEAP32 = new Int32Array(buffer);
+      var HEAPF32 = new Float32Array(buffer);
+      var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+      var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+      var groups_ptr = ptr;
+      ptr += WEIGHT_GROUPS_STRUCT_SIZE * meshesLength;
+
+      for (var i = 0; i < meshesLength; ++i) {
+          var mesh_ptr = meshes_ptr + i * MESH_STRUCT_SIZE;
+          var weight_groups_ptr = groups_ptr + i * WEIGHT_GROUPS_STRUCT_SIZE;
+          var vertsPtr = HEAP32[(mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2];
+          var vertsLength = HEAP32[(mesh_ptr + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+          var weightsPtr = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2];
+          var groupsLength = Math.ceil(vertsLength / 4);
+          HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET)>>2] = HEAP32[(mesh_ptr + i_MESH_VERT_OFFSET_OFFSET)>>2];
+          HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_VERTS_LENGTH_OFFSET)>>2] = vertsLength;
+          HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET)>>2] = ptr;
+          HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET)>>2] = groupsLength;
+
+          var groups_array_ptr = ptr;
+          ptr += GROUP_STRUCT_SIZE * groupsLength;
+          for (var j = 0; j < groupsLength; ++j) {
+              var group_ptr = groups_array_ptr + j * GROUP_STRUCT_SIZE;
+              var lanes = Math.min(4, vertsLength - j * 4);
+              var slots = 0;
+              for (var lane = 0; lane < lanes; ++lane) {
+                  var vert_ptr = vertsPtr + (j * 4 + lane) * VERT_STRUCT_SIZE;
+                  slots = Math.max(slots, HEAP32[(vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2]);
+              }
+              HEAP32[(group_ptr + i_GROUP_SLOTS_PTR_OFFSET)>>2] = ptr;
+              HEAP32[(group_ptr + i_GROUP_SLOTS_LENGTH_OFFSET)>>2] = slots;
+              HEAP32[(group_ptr + i_GROUP_VERTS_LENGTH_OFFSET)>>2] = lanes;
+
+              // Missing weights and texCoords stay 0
+              for (var k = 0; k < GROUP_STRUCT_SIZE - 12; k += 4) {
+                  HEAP32[(group_ptr + 12 + k)>>2] = 0;
+              }
+              for (var k = 0; k < SLOT_STRUCT_SIZE * slots; k += 4) {
+                  HEAP32[(ptr + k)>>2] = 0;
+              }
+
+              var slots_ptr = ptr;
+              ptr += SLOT_STRUCT_SIZE * slots;
+              for (var lane = 0; lane < lanes; ++lane) {
+                  var vert_ptr = vertsPtr + (j * 4 + lane) * VERT_STRUCT_SIZE;
+                  var weightIndex = HEAP32[(vert_ptr + i_VERT_WEIGHT_INDEX_OFFSET)>>2];
+                  var weightCount = HEAP32[(vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2];
+                  HEAPF32[(group_ptr + f_GROUP_TEXCOORD_0_OFFSET + lane * 4)>>2] = HEAPF32[(vert_ptr + f_VERT_TEXCOORD_0_OFFSET)>>2];
+                  HEAPF32[(group_ptr + f_GROUP_TEXCOORD_1_OFFSET + lane * 4)>>2] = HEAPF32[(vert_ptr + f_VERT_TEXCOORD_1_OFFSET)>>2];
+                  for (var k = 0; k < weightCount; ++k) {
+                      var slot_ptr = slots_ptr + k * SLOT_STRUCT_SIZE;
+                      var weight_ptr = weightsPtr + (weightIndex + k) * WEIGHT_STRUCT_SIZE;
+                      HEAP32[(slot_ptr + i_SLOT_JOINT_INDEX_OFFSET + lane * 4)>>2] = HEAP32[(weight_ptr + i_WEIGHT_JOINT_INDEX_OFFSET)>>2];
+                      for (var n = 0; n < SLOT_WEIGHT_OFFSETS.length; ++n) {
+                          HEAPF32[(slot_ptr + SLOT_WEIGHT_OFFSETS[n][0] + lane * 4)>>2] =
+                              HEAPF32[(weight_ptr + SLOT_WEIGHT_OFFSETS[n][1])>>2];
+                      }
+                  }
+              }
+          }
+      }
+      return ptr;
+  }
+
+  // Rounds the biases of a vertex to 255ths so they still add up to their
+  // sum, like quantizeBiases in md5-asm.js
+  function quantizeBiases(biases) {
+      var total = 0;
+      var quantized = new Array();
+      var sum = 0;
+      for (var k = 0; k < biases.length; ++k) {
+          total += biases[k];
+          quantized.push(Math.floor(biases[k] * 255));
+          sum += quantized[k];
+      }
+      var target = Math.min(Math.round(total * 255), 255 * biases.length);
+      while (sum < target) {
+          var best = 0;
+          for (var k = 1; k < biases.length; ++k) {
+              if (biases[k] * 255 - quantized[k] > biases[best] * 255 - quantized[best]) { best = k; }
+          }
+          ++quantized[best];
+          ++sum;
+      }
+      return quantized;
+  }
+
+  // Writes the weights of the model structs at model_ptr again at ptr in the
+  // 16 bit layout of asmSkinQuantized, like Md5Model._writeQuantizedWeights
+  // in md5-asm.js, returns the end
+  function writeQuantizedWeights(buffer, model_ptr, ptr) {
+      var HEAP32 = new Int32Array(buffer);
+      var HEAPF32 = new Float32Array(buffer);
+      var HEAP16 = new Int16Array(buffer);
+      var HEAPU8 = new Uint8Array(buffer);
+      var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+      var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+      var toInt16 = function (value) {
+          return Math.max(-32767, Math.min(32767, Math.round(value)));
+      };
+      var q_ptr = ptr;
+      ptr += (QUANTIZED_WEIGHTS_STRUCT_SIZE * meshesLength + 15) & ~15;
+
+      for (var i = 0; i < meshesLength; ++i) {
+          var mesh_ptr = meshes_ptr + i * MESH_STRUCT_SIZE;
+          var quantized_ptr = q_ptr + i * QUANTIZED_WEIGHTS_STRUCT_SIZE;
+          var vertsPtr = HEAP32[(mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2];
+          var vertsLength = HEAP32[(mesh_ptr + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+          var weightsPtr = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2];
+          var weightsLength = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2];
+
+          var largest = 0;
+          for (var j = 0; j < weightsLength; ++j) {
+              var weight_ptr = weightsPtr + j * WEIGHT_STRUCT_SIZE;
+              largest = Math.max(largest, Math.abs(HEAPF32[(weight_ptr + f_WEIGHT_POS_0_OFFSET)>>2]),
+                                 Math.abs(HEAPF32[(weight_ptr + f_WEIGHT_POS_1_OFFSET)>>2]),
+                                 Math.abs(HEAPF32[(weight_ptr + f_WEIGHT_POS_2_OFFSET)>>2]));
+          }
+          var scale = largest > 0 ? largest / 32767 : 1;
+          HEAP32[(quantized_ptr + i_QUANTIZED_WEIGHTS_PTR_OFFSET)>>2] = ptr;
+          HEAPF32[(quantized_ptr + f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET)>>2] = scale;
+
+          var weights_array_ptr = ptr;
+          var size = (QWEIGHT_STRUCT_SIZE * weightsLength + QWEIGHT_PADDING + 15) & ~15;
+          HEAPU8.fill(0, ptr, ptr + size);
+          ptr += size;
+          for (var j = 0; j < weightsLength; ++j) {
+              var weight_ptr = weightsPtr + j * WEIGHT_STRUCT_SIZE;
+              var qweight_ptr = weights_array_ptr + j * QWEIGHT_STRUCT_SIZE;
+              HEAP16[(qweight_ptr + s_QWEIGHT_POS_0_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_POS_0_OFFSET)>>2] / scale);
+              HEAP16[(qweight_ptr + s_QWEIGHT_POS_1_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_POS_1_OFFSET)>>2] / scale);
+              HEAP16[(qweight_ptr + s_QWEIGHT_POS_2_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_POS_2_OFFSET)>>2] / scale);
+              HEAP16[(qweight_ptr + s_QWEIGHT_JOINT_INDEX_OFFSET)>>1] = HEAP32[(weight_ptr + i_WEIGHT_JOINT_INDEX_OFFSET)>>2];
+              HEAP16[(qweight_ptr + s_QWEIGHT_NORMAL_0_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_0_OFFSET)>>2] * 32767);
+              HEAP16[(qweight_ptr + s_QWEIGHT_NORMAL_1_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_1_OFFSET)>>2] * 32767);
+              HEAP16[(qweight_ptr + s_QWEIGHT_NORMAL_2_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_2_OFFSET)>>2] * 32767);
+              HEAP16[(qweight_ptr + s_QWEIGHT_TANGENT_0_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_0_OFFSET)>>2] * 32767);
+              HEAP16[(qweight_ptr + s_QWEIGHT_TANGENT_1_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_1_OFFSET)>>2] * 32767);
+              HEAP16[(qweight_ptr + s_QWEIGHT_TANGENT_2_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_2_OFFSET)>>2] * 32767);
+          }
+
+          for (var j = 0; j < vertsLength; ++j) {
+              var vert_ptr = vertsPtr + j * VERT_STRUCT_SIZE;
+              var weightIndex = HEAP32[(vert_ptr + i_VERT_WEIGHT_INDEX_OFFSET)>>2];
+              var weightCount = HEAP32[(vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2];
+              var biases = new Array();
+              for (var k = 0; k < weightCount; ++k) {
+                  biases.push(HEAPF32[(weightsPtr + (weightIndex + k) * WEIGHT_STRUCT_SIZE + f_WEIGHT_BIAS_OFFSET)>>2]);
+              }
+              biases = quantizeBiases(biases);
+              for (var k = 0; k < weightCount; ++k) {
+                  HEAPU8[weights_array_ptr + (weightIndex + k) * QWEIGHT_STRUCT_SIZE + b_QWEIGHT_BIAS_OFFSET] = biases[k];
+              }
+          }
+      }
+      return ptr;
+  }
+
+  // Copies the model and animation containers into the heap the same way
+  // md5-asm.js does: the structs of md5-binary.js behind the header, and
+  // one vert array after the other for the meshes. The weight groups go
+  // last, 16 byte aligned for the SIMD loads, then the quantized weights,
+  // which asmSkinQuantized finds in the same header slot while it runs
+  function initializeArrayBufferFromModel(buffer, meshContainer, animContainer) {
+      var HEAP32 = new Int32Array(buffer);
+      var ptr = HEAP_BASE;
+      numOfVerts = 0;
+
+      var header_ptr = ptr;
+      ptr += HEADER_SIZE;
+      HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = ptr;
+      ptr = Md5Binary.copyToHeap(meshContainer, buffer, ptr);
+      var meshes = Md5Binary.readMeshes(meshContainer);
+      for (var i = 0; i < meshes.length; ++i) {
+          numOfVerts += meshes[i].vertCount;
+      }
+      skinnedVerts = numOfVerts;
+
+      ptr = allocateVertexArrays(HEAP32, header_ptr, ptr);
+
+      HEAP32[(header_ptr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = ptr;
+      ptr = Md5Binary.copyToHeap(animContainer, buffer, ptr);
+
+      ptr = (ptr + 15) & ~15;
+      HEAP32[(header_ptr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = ptr;
+      weightGroupsPtr = ptr;
+      ptr = writeWeightGroups(buffer, HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2], ptr);
+      quantizedWeightsPtr = (ptr + 15) & ~15;
+      writeQuantizedWeights(buffer, HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2], quantizedWeightsPtr);
+  }
+
+  var weightGroupsPtr = 0;
+  var quantizedWeightsPtr = 0;
+
+  // A WebAssembly.Memory's buffer where there is WebAssembly, so the wasm
+  // kernels skin in the same heap
+  var memory = typeof WebAssembly === "object" ?
+      new WebAssembly.Memory({initial: 32, maximum: 32}) : null;
+  var buffer = memory ? memory.buffer : new ArrayBuffer(2 * 1024 * 1024);
 
   // Kernel Initializer
   function init () {
+    if (!hellknightMesh) {
+      hellknightMesh = Md5Binary.read(Md5Binary.writeMesh(
+          Md5Core.parseMesh(readTextFile(HELLKNIGHT_MESH_URL), HELLKNIGHT_MESH_URL)));
+      hellknightAnim = Md5Binary.read(Md5Binary.writeAnim(
+          Md5Core.parseAnim(readTextFile(HELLKNIGHT_ANIM_URL), HELLKNIGHT_ANIM_URL)));
+    }
+    initializeArrayBufferFromModel(buffer, hellknightMesh, hellknightAnim);
+    return simd (1) === nonSimd (1);
+  }
+
+  function initSynthetic () {
     initializeArrayBuffer(buffer);
     initializeArrayBufferForAnimation(buffer);
     return simd (1) === nonSimd (1);
   }
 
+  // The skin kernels all skin frame 0
+  function initSkin () {
+    var ok = init();
+    getFrameJoints(0);
+    return ok;
+  }
+
+  function hasNativeSIMD () {
+    return typeof SIMD !== "undefined" &&
+           /\[native code\]/.test(Function.prototype.toString.call(SIMD.float32x4));
+  }
+
+  function skipPolyfill () {
+    return hasNativeSIMD() ? null : "no native SIMD to compare the polyfill with";
+  }
+
+  // asmSkinSIMD linked against a copy of the polyfill of its own, which
+  // doesn't touch the native SIMD object
+  var polyfillSkinSIMD = null;
+
+  function initPolyfill () {
+    if (!polyfillSkinSIMD) {
+      var polyfillGlobal = {Float32Array: Float32Array, Int32Array: Int32Array,
+                            Uint8Array: Uint8Array, Math: Math};
+      (new Function ("window", "module", readTextFile ("../ecmascript_simd.js"))) (polyfillGlobal, undefined);
+      polyfillSkinSIMD = asmjsModuleSIMD(polyfillGlobal, {}, buffer).asmSkinSIMD;
+    }
+    return initSkin();
+  }
+
+  function skipWasm () {
+    return memory && Md5Wasm.isSupported() ? null : "no WebAssembly";
+  }
+
+  function skipWasmSIMD () {
+    return skipWasm() || (Md5Wasm.isSIMDSupported() ? null : "no WebAssembly SIMD128");
+  }
+
+  // The functions of js/md5-wasm.js, which take the header like the ones
+  // in js/md5-asm.js
+  var wasm = null;
+
+  function initWasm () {
+    if (!wasm) {
+      wasm = Md5Wasm.instantiate(memory);
+    }
+    return init();
+  }
+
+  function initWasmSkin () {
+    var ok = initWasm();
+    getFrameJoints(0);
+    return ok;
+  }
+
   // Kernel Cleanup
   function cleanup () {
     return simd (1) === nonSimd (1);
   }
 
+  var VERTEX_COMPONENTS = ["position.x", "position.y", "position.z", "texCoord.u", "texCoord.v",
+                           "normal.x", "normal.y", "normal.z", "tangent.x", "tangent.y", "tangent.z"];
+
+  function verify (tolerance) {
+    return verifyKernels(skin, skinSIMD, tolerance);
+  }
+
+  function verifyPolyfill (tolerance) {
+    return verifyKernels(polyfillSkinSIMD, skinSIMD, tolerance);
+  }
+
+  function verifySoA (tolerance) {
+    return verifyKernels(skinSIMD, skinSoA, tolerance);
+  }
+
+  function verifyQuantized (tolerance) {
+    return verifyKernels(skinSIMD, function () { quantizedSkin(1); }, tolerance);
+  }
+
+  function verifyWasm (tolerance) {
+    return verifyKernels(function () { wasm.skin(HEAP_BASE); },
+                         function () { wasm.skinSIMD(HEAP_BASE); }, tolerance);
+  }
+
+  function verifyWasmSkin (tolerance) {
+    return verifyKernels(skin, function () { wasm.skin(HEAP_BASE); }, tolerance);
+  }
+
+  var JOINT_COMPONENTS = ["pos.x", "pos.y", "pos.z", "pos.w",
+                          "orient.x", "orient.y", "orient.z", "orient.w"];
+
+  function verifyJoints (tolerance) {
+    return verifyJointKernels(getFrameJoints, getFrameJointsSIMD, tolerance);
+  }
+
+  function verifyWasmJoints (tolerance) {
+    return verifyJointKernels(function (frame) { wasm.getFrameJoints(frame, HEAP_BASE); },
+                              function (frame) { wasm.getFrameJointsSIMD(frame, HEAP_BASE); }, tolerance);
+  }
+
+  // Computes a frame's joints with both versions of getFrameJoints and
+  // compares them, the pos4f padding lane included
+  function verifyJointKernels (nonSimdKernel, simdKernel, tolerance) {
+    var HEAP32 = new Int32Array(buffer);
+    var modelPtr = HEAP32[(HEAP_BASE + i_MODEL_STRUCT_PTR_OFFSET)>>2];
+    var jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2];
+    var length = HEAP32[(modelPtr + i_MODEL_JOINTS_LENGTH_OFFSET)>>2] * JOINT_STRUCT_SIZE / 4;
+    var joints = new Float32Array(buffer, jointsPtr, length);
+
+    nonSimdKernel(1);
+    var expected = new Float32Array(joints);
+    simdKernel(1);
+    var worst = compareFloat32(expected, joints, tolerance);
+    if (worst.ok) {
+      return null;
+    }
+    return "joint " + Math.floor(worst.index / 8) + " " + JOINT_COMPONENTS[worst.index % 8] +
+           ": non-SIMD " + worst.expected + ", SIMD " + worst.actual +
+           " (" + worst.ulps + " ulps, " + worst.diff + " apart)";
+  }
+
+  // Skins one pose with both kernels, into their own vert arrays, and
+  // compares them. In the synthetic model every joint's parent is joint 0,
+  // so getFrameJoints moves the joints on every call and the kernels' own
+  // runs can't be compared. Returns null when every position,
+  // normal and tangent is within tolerance, otherwise describes the worst
+  // vertex
+  function verifyKernels (nonSimdKernel, simdKernel, tolerance) {
+    var HEAP32 = new Int32Array(buffer);
+    getFrameJoints();
+    HEAP32[(HEAP_BASE + i_VERT_ARRAY_PTR_OFFSET)>>2] = vertexArrayPtr;
+    nonSimdKernel();
+    HEAP32[(HEAP_BASE + i_VERT_ARRAY_PTR_OFFSET)>>2] = simdVertexArrayPtr;
+    simdKernel();
+    HEAP32[(HEAP_BASE + i_VERT_ARRAY_PTR_OFFSET)>>2] = vertexArrayPtr;
+
+    var length = skinnedVerts * VERTEX_ELEMENTS;
+    var expected = new Float32Array(buffer, vertexArrayPtr, length);
+    var actual = new Float32Array(buffer, simdVertexArrayPtr, length);
+    var worst = compareFloat32(expected, actual, tolerance, function (i) {
+      var element = i % VERTEX_ELEMENTS;
+      return element == 3 || element == 4; // texCoords are copied
+    });
+    if (worst.ok) {
+      return null;
+    }
+    return "vertex " + Math.floor(worst.index / VERTEX_ELEMENTS) + " " +
+           VERTEX_COMPONENTS[worst.index % VERTEX_ELEMENTS] + ": non-SIMD " + worst.expected +
+           ", SIMD " + worst.actual + " (" + worst.ulps + " ulps, " + worst.diff + " apart)";
+  }
+
   function asmjsModule (global, imp, buffer) {
       "use asm";
       var HEAPF32 = new global.Float32Array(buffer);
@@ -306,10 +884,11 @@
       // Memory Layout
       var HEAP_BASE = 0;
       // Header
-      var HEADER_SIZE = 12;
+      var HEADER_SIZE = 16;
       var i_MODEL_STRUCT_PTR_OFFSET = 0;
       var i_VERT_ARRAY_PTR_OFFSET = 4;
       var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+      var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
       
       // Model struct
       var MODEL_STRUCT_SIZE = 16;
@@ -685,6 +1264,13 @@
       var SIMD_float32x4_sub = SIMD_float32x4.sub;
       var SIMD_float32x4_swizzle = SIMD_float32x4.swizzle;
       var SIMD_float32x4_splat = SIMD_float32x4.splat;
+      var SIMD_float32x4_extractLane = SIMD_float32x4.extractLane;
+      var SIMD_float32x4_fromInt32x4 = SIMD_float32x4.fromInt32x4;
+      var SIMD_int32x4_fromInt16x8Bits = global.SIMD.int32x4.fromInt16x8Bits;
+      var SIMD_int16x8 = global.SIMD.int16x8;
+      var SIMD_int16x8_load = SIMD_int16x8.load;
+      var SIMD_int16x8_shuffle = SIMD_int16x8.shuffle;
+      var SIMD_int16x8_extractLane = SIMD_int16x8.extractLane;
       var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
       var VERTEX_STRIDE = 44;
       var f_VERTEX_POS_0_OFFSET = 0;
@@ -702,10 +1288,11 @@
       // Memory Layout
       var HEAP_BASE = 0;
       // Header
-      var HEADER_SIZE = 12;
+      var HEADER_SIZE = 16;
       var i_MODEL_STRUCT_PTR_OFFSET = 0;
       var i_VERT_ARRAY_PTR_OFFSET = 4;
       var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+      var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
       
       // Model struct
       var MODEL_STRUCT_SIZE = 16;
@@ -791,6 +1378,61 @@
       // Frame
       var FRAME_STRUCT_SIZE = 4;
       var f_FRAME_VALUE_OFFSET = 0;
+
+      // Weight groups struct, one per mesh in the order of the model's, for
+      // asmSkinSoA. The vertices go in groups of four
+      var WEIGHT_GROUPS_STRUCT_SIZE = 16;
+      var i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET = 0;
+      var i_WEIGHT_GROUPS_VERTS_LENGTH_OFFSET = 4;
+      var i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET = 8;
+      var i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET = 12;
+
+      // Group struct, as many slots as its vertex with the most weights, and
+      // the texCoords of the four vertices
+      var GROUP_STRUCT_SIZE = 48;
+      var i_GROUP_SLOTS_PTR_OFFSET = 0;
+      var i_GROUP_SLOTS_LENGTH_OFFSET = 4;
+      var i_GROUP_VERTS_LENGTH_OFFSET = 8;
+      var f_GROUP_TEXCOORD_0_OFFSET = 16;
+      var f_GROUP_TEXCOORD_1_OFFSET = 32;
+
+      // Slot struct, a weight of each of the four vertices, bias 0 where a
+      // vertex has fewer
+      var SLOT_STRUCT_SIZE = 176;
+      var i_SLOT_JOINT_INDEX_OFFSET = 0;
+      var f_SLOT_BIAS_OFFSET = 16;
+      var f_SLOT_POS_0_OFFSET = 32;
+      var f_SLOT_POS_1_OFFSET = 48;
+      var f_SLOT_POS_2_OFFSET = 64;
+      var f_SLOT_NORMAL_0_OFFSET = 80;
+      var f_SLOT_NORMAL_1_OFFSET = 96;
+      var f_SLOT_NORMAL_2_OFFSET = 112;
+      var f_SLOT_TANGENT_0_OFFSET = 128;
+      var f_SLOT_TANGENT_1_OFFSET = 144;
+      var f_SLOT_TANGENT_2_OFFSET = 160;
+
+      // Quantized weights struct, one per mesh in the order of the model's,
+      // for asmSkinQuantized. Positions are in units of the mesh's pos scale
+      var QUANTIZED_WEIGHTS_STRUCT_SIZE = 16;
+      var i_QUANTIZED_WEIGHTS_PTR_OFFSET = 0;
+      var f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET = 4;
+
+      // Quantized weight struct, the weight struct in 16 bit fixed point:
+      // normal and tangent in 1/32767ths, and the bias in 1/255ths in the low
+      // byte of lane 7, whose high byte is 0. The two int16x8 loads of a
+      // weight read 8 bytes past it
+      var QWEIGHT_STRUCT_SIZE = 24;
+      var s_QWEIGHT_POS_0_OFFSET = 0;
+      var s_QWEIGHT_POS_1_OFFSET = 2;
+      var s_QWEIGHT_POS_2_OFFSET = 4;
+      var s_QWEIGHT_JOINT_INDEX_OFFSET = 6;
+      var s_QWEIGHT_NORMAL_0_OFFSET = 8;
+      var s_QWEIGHT_NORMAL_1_OFFSET = 10;
+      var s_QWEIGHT_NORMAL_2_OFFSET = 12;
+      var b_QWEIGHT_BIAS_OFFSET = 14;
+      var s_QWEIGHT_TANGENT_0_OFFSET = 16;
+      var s_QWEIGHT_TANGENT_1_OFFSET = 18;
+      var s_QWEIGHT_TANGENT_2_OFFSET = 20;
       
       function asmSkinSIMD() {
           var i = 0, j = 0, k = 0;
@@ -922,20 +1564,504 @@
           }
       }
       
+      // asmGetFrameJoints, composing the joints with float32x4s
+      function asmGetFrameJointsSIMD(frame) {
+          frame = frame|0;
+          
+          var i = 0, j = 0,
+              animationPtr = 0, modelPtr = 0, jointsPtr = 0,
+              baseFrameLength = 0, baseFramePtr = 0,
+              hierarchyLength = 0, hierarchyArrayPtr = 0,
+              framesArrayLength = 0, framesArrayPtr = 0, framesStructPtr = 0, framesPtr = 0,
+              baseJointPtr = 0, hierarchyPtr = 0, frameIndex = 0, parentIndex = 0,
+              flags = 0,
+              posX = 0.0, posY = 0.0, posZ = 0.0,
+              orientX = 0.0, orientY = 0.0, orientZ = 0.0, orientW = 0.0,
+              parentJointPtr = 0, jointPtr = 0,
+              temp = 0.0;
+          var pos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), orient = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              parentPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), parentOrient = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              ix4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              tempx4 = SIMD_float32x4(1.0, 1.0, 1.0, -1.0), posMask = SIMD_float32x4(1.0, 1.0, 1.0, 0.0);
+          
+          animationPtr = HEAP32[(HEAP_BASE + i_ANIMATION_STRUCT_PTR_OFFSET)>>2]|0;
+          modelPtr = HEAP32[(HEAP_BASE + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+          jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+          
+          hierarchyArrayPtr = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2]|0;
+          hierarchyLength = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2]|0;
+          baseFramePtr = HEAP32[(animationPtr + i_ANIMATION_BASEFRAME_PTR_OFFSET)>>2]|0;
+          baseFrameLength = HEAP32[(animationPtr + i_ANIMATION_BASEFRAME_LENGTH_OFFSET)>>2]|0;
+          framesArrayPtr = HEAP32[(animationPtr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2]|0;
+          framesArrayLength = HEAP32[(animationPtr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2]|0;
+          
+          frame = ((frame|0) % (framesArrayLength|0))|0;
+          framesStructPtr = (framesArrayPtr + (imul(frame, FRAMES_STRUCT_SIZE)|0))|0;
+          framesPtr = HEAP32[(framesStructPtr + i_FRAMES_PTR_OFFSET)>>2]|0;
+          
+          for (i = 0; (i|0) < (baseFrameLength|0); i = (i + 1)|0) {
+              baseJointPtr = (baseFramePtr + (imul(i, BASEFRAME_STRUCT_SIZE)|0))|0;
+              posX = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_0_OFFSET)>>2]);
+              posY = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_1_OFFSET)>>2]);
+              posZ = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_2_OFFSET)>>2]);
+              orientX = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_0_OFFSET)>>2]);
+              orientY = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_1_OFFSET)>>2]);
+              orientZ = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_2_OFFSET)>>2]);
+              
+              hierarchyPtr = (hierarchyArrayPtr + (imul(i, HIERARCHY_STRUCT_SIZE)|0))|0;
+              parentIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_PARENT_OFFSET)>>2]|0;
+              flags = HEAP32[(hierarchyPtr + i_HIERARCHY_FLAGS_OFFSET)>>2]|0;
+              frameIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_INDEX_OFFSET)>>2]|0;
+              
+              j = 0|0;
+              
+              if (flags & 1) { // Translate X
+                  posX = +(HEAPF32[(framesPtr + (imul(frameIndex, FRAME_STRUCT_SIZE)|0) + j)>>2]);
+                  j = (j + FRAME_STRUCT_SIZE)|0;
+              }
+  
+              if (flags & 2) { // Translate Y
+                  posY = +(HEAPF32[(framesPtr + (imul(frameIndex, FRAME_STRUCT_SIZE)|0) + j)>>2]);
+                  j = (j + FRAME_STRUCT_SIZE)|0;
+              }
+  
+              if (flags & 4) { // Translate Z
+                  posZ = +(HEAPF32[(framesPtr + (imul(frameIndex, FRAME_STRUCT_SIZE)|0) + j)>>2]);
+                  j = (j + FRAME_STRUCT_SIZE)|0;
+              }
+  
+              if (flags & 8) { // Orient X
+                  orientX = +(HEAPF32[(framesPtr + (imul(frameIndex, FRAME_STRUCT_SIZE)|0) + j)>>2]);
+                  j = (j + FRAME_STRUCT_SIZE)|0;
+              }
+  
+              if (flags & 16) { // Orient Y
+                  orientY = +(HEAPF32[(framesPtr + (imul(frameIndex, FRAME_STRUCT_SIZE)|0) + j)>>2]);
+                  j = (j + FRAME_STRUCT_SIZE)|0;
+              }
+  
+              if (flags & 32) { // Orient Z
+                  orientZ = +(HEAPF32[(framesPtr + (imul(frameIndex, FRAME_STRUCT_SIZE)|0) + j)>>2]);
+                  j = (j + FRAME_STRUCT_SIZE)|0;
+              }
+              
+              temp = 1.0 - orientX * orientX - orientY * orientY - orientZ * orientZ;
+              orientW = -sqrt(abs(temp));
+
+              pos = SIMD_float32x4(toF(posX), toF(posY), toF(posZ), toF(0.0));
+              orient = SIMD_float32x4(toF(orientX), toF(orientY), toF(orientZ), toF(orientW));
+                  
+              if ((parentIndex|0) >= (0|0)) {
+                  parentJointPtr = (jointsPtr + (imul(parentIndex, JOINT_STRUCT_SIZE)|0))|0;
+                  parentPos = SIMD_float32x4_load(HEAPU8, (parentJointPtr + f_JOINT_POS_0_OFFSET)|0);
+                  parentOrient = SIMD_float32x4_load(HEAPU8, (parentJointPtr + f_JOINT_ORIENT_0_OFFSET)|0);
+                  
+                  ix4 = SIMD_float32x4_sub(
+                      SIMD_float32x4_add(
+                          SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 3, 3, 3, 0), tempx4),
+                                             SIMD_float32x4_swizzle(pos, 0, 1, 2, 0)),
+                          SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 1, 2, 0, 1), tempx4),
+                                             SIMD_float32x4_swizzle(pos, 2, 0, 1, 1))),
+                      SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 2, 0, 1, 2),
+                                         SIMD_float32x4_swizzle(pos, 1, 2, 0, 2)));
+
+                  pos = SIMD_float32x4_add(
+                      SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(parentOrient, 3, 3, 3, 0)),
+                                         SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), parentOrient)),
+                      SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(parentOrient, 1, 2, 0, 0)),
+                                         SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(parentOrient, 2, 0, 1, 0))));
+
+                  pos = SIMD_float32x4_mul(SIMD_float32x4_add(pos, parentPos), posMask);
+                  
+                  orient = SIMD_float32x4_sub(
+                      SIMD_float32x4_add(
+                          SIMD_float32x4_add(
+                              SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 3, 3, 3, 3), orient),
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 0, 1, 2, 0),
+                                                                    SIMD_float32x4_swizzle(orient, 3, 3, 3, 0)), tempx4)),
+                          SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 1, 2, 0, 1),
+                                                                SIMD_float32x4_swizzle(orient, 2, 0, 1, 1)), tempx4)),
+                      SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 2, 0, 1, 2),
+                                         SIMD_float32x4_swizzle(orient, 1, 2, 0, 2)));
+              }
+              
+              jointPtr = (jointsPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+              SIMD_float32x4_store(HEAPU8, (jointPtr + f_JOINT_POS_0_OFFSET)|0, pos);
+              SIMD_float32x4_store(HEAPU8, (jointPtr + f_JOINT_ORIENT_0_OFFSET)|0, orient);
+          }
+      }
+      
+      // asmSkinSIMD from the quantized weights, see the Quantized weights
+      // structs. Each weight is decoded to float32x4s, the rest is the same
+      function asmSkinQuantized() {
+          var i = 0, j = 0, k = 0;
+          var modelPtr = 0,
+              meshesPtr = 0, meshesLength = 0,
+              jointsPtr = 0, jointsLength = 0,
+              vertexArrayPtr = 0, quantizedArrayPtr = 0, quantizedPtr = 0;
+
+          var meshPtr = 0, vertsPtr = 0, vertsLength = 0,
+              weightsPtr = 0, weightsLength = 0, vertPtr = 0, vertWeightsCount = 0,
+              vertWeightsIndex = 0, weightPtr = 0, jointPtr = 0, vertexPtr = 0,
+              jointIndex = 0, meshOffset = 0;
+            
+          var rotatedPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), jointOrient = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              weightPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ix4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              jointPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightBias = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              vx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightNormal = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              nx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightTangent = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              tempx4 = SIMD_float32x4(1.0, 1.0, 1.0, -1.0), tx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              posScale = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), normalBias = SIMD_float32x4(0.0, 0.0, 0.0, 0.0);
+          var weight = SIMD_int16x8(0, 0, 0, 0, 0, 0, 0, 0), zero = SIMD_int16x8(0, 0, 0, 0, 0, 0, 0, 0);
+          var scale = toF(0);
+
+          // The int16s are widened to int32s by shuffling them into the high
+          // half, so the factors include the 1/65536. Lane 3 of the normal
+          // scales the bias
+          var normalScale = SIMD_float32x4(toF(4.656754986e-10), toF(4.656754986e-10), toF(4.656754986e-10), toF(5.983838848e-8));
+            
+          modelPtr = HEAP32[(HEAP_BASE + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+          meshesPtr = HEAP32[(modelPtr + i_MODEL_MESHES_PTR_OFFSET)>>2]|0; 
+          meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]|0;
+          jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+          jointsLength = HEAP32[(modelPtr + i_MODEL_JOINTS_LENGTH_OFFSET)>>2]|0;
+          vertexArrayPtr = HEAP32[(HEAP_BASE + i_VERT_ARRAY_PTR_OFFSET)>>2]|0;
+          quantizedArrayPtr = HEAP32[(HEAP_BASE + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2]|0;
+        
+          for(i = 0; (i|0) < (meshesLength|0); i = (i + 1)|0) {
+              meshPtr = (meshesPtr + (imul(i, MESH_STRUCT_SIZE)|0))|0;
+              meshOffset = (HEAP32[(meshPtr + i_MESH_VERT_OFFSET_OFFSET)>>2]|0)<<2;
+              meshOffset = (meshOffset + vertexArrayPtr)|0;
+              vertsPtr = HEAP32[(meshPtr + i_MESH_VERTS_PTR_OFFSET)>>2]|0;
+              vertsLength = HEAP32[(meshPtr + i_MESH_VERTS_LENGTH_OFFSET)>>2]|0;
+              weightsLength = HEAP32[(meshPtr + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2]|0;
+              quantizedPtr = (quantizedArrayPtr + (imul(i, QUANTIZED_WEIGHTS_STRUCT_SIZE)|0))|0;
+              weightsPtr = HEAP32[(quantizedPtr + i_QUANTIZED_WEIGHTS_PTR_OFFSET)>>2]|0;
+              scale = toF(toF(HEAPF32[(quantizedPtr + f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET)>>2]) * toF(1.52587890625e-5));
+              posScale = SIMD_float32x4(scale, scale, scale, toF(0));
+            
+              // Calculate transformed vertices in the bind pose
+              for(j = 0; (j|0) < (vertsLength|0); j = (j + 1)|0) {
+                  vertexPtr = ((imul(j, VERTEX_STRIDE)|0) + meshOffset)|0;
+                  vertPtr = (vertsPtr + (imul(j, VERT_STRUCT_SIZE)|0))|0;
+                
+                  vx4 = SIMD_float32x4_splat(toF(0));
+                  nx4 = SIMD_float32x4_splat(toF(0));
+                  tx4 = SIMD_float32x4_splat(toF(0));
+
+                  vertWeightsIndex = HEAP32[(vertPtr + i_VERT_WEIGHT_INDEX_OFFSET)>>2]|0;
+                  vertWeightsCount = HEAP32[(vertPtr + i_VERT_WEIGHT_COUNT_OFFSET)>>2]|0;
+                  for (k = 0; (k|0) < (vertWeightsCount|0); k = (k + 1)|0) {
+                      weightPtr = (weightsPtr + imul((k + vertWeightsIndex|0)|0, QWEIGHT_STRUCT_SIZE)|0)|0;
+                      weight = SIMD_int16x8_load(HEAPU8, (weightPtr + s_QWEIGHT_POS_0_OFFSET)|0);
+                      jointIndex = SIMD_int16x8_extractLane(weight, 3)|0;
+                      jointPtr = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0)|0);
+
+                      // Rotate position
+                      jointOrient = SIMD_float32x4_load(HEAPU8, (jointPtr + f_JOINT_ORIENT_0_OFFSET)|0);
+                      weightPos = SIMD_float32x4_mul(SIMD_float32x4_fromInt32x4(SIMD_int32x4_fromInt16x8Bits(
+                          SIMD_int16x8_shuffle(zero, weight, 0, 8, 0, 9, 0, 10, 0, 11))), posScale);
+                      ix4 = SIMD_float32x4_sub(
+                          SIMD_float32x4_add(
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                                 SIMD_float32x4_swizzle(weightPos, 0, 1, 2, 0)),
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                                 SIMD_float32x4_swizzle(weightPos, 2, 0, 1, 1))),
+                          SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 2),
+                                             SIMD_float32x4_swizzle(weightPos, 1, 2, 0, 2)));
+
+                      rotatedPos = SIMD_float32x4_add(
+                          SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0)),
+                                             SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                          SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 0)),
+                                             SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 0))));
+
+                      jointPos = SIMD_float32x4_load(HEAPU8, (jointPtr + f_JOINT_POS_0_OFFSET)|0);
+                      normalBias = SIMD_float32x4_mul(SIMD_float32x4_fromInt32x4(SIMD_int32x4_fromInt16x8Bits(
+                          SIMD_int16x8_shuffle(zero, weight, 0, 12, 0, 13, 0, 14, 0, 15))), normalScale);
+                      weightBias = SIMD_float32x4_swizzle(normalBias, 3, 3, 3, 3);
+
+                      // Translate position
+                      vx4 = SIMD_float32x4_add(vx4, SIMD_float32x4_mul(SIMD_float32x4_add(jointPos, rotatedPos), weightBias));
+
+                      // Rotate Normal
+                      weightNormal = normalBias;
+                      ix4 = SIMD_float32x4_sub(
+                          SIMD_float32x4_add(
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                                 SIMD_float32x4_swizzle(weightNormal, 0, 1, 2, 0)),
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                                 SIMD_float32x4_swizzle(weightNormal, 2, 0, 1, 1))),
+                          SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 2),
+                                             SIMD_float32x4_swizzle(weightNormal, 1, 2, 0, 2)));
+
+                      rotatedPos = SIMD_float32x4_add(
+                          SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0)),
+                                             SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                          SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 0)),
+                                             SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 0))));
+
+                      nx4 = SIMD_float32x4_add(nx4, SIMD_float32x4_mul(rotatedPos, weightBias))
+
+                      // Rotate Tangent
+                      weight = SIMD_int16x8_load(HEAPU8, (weightPtr + s_QWEIGHT_TANGENT_0_OFFSET)|0);
+                      weightTangent = SIMD_float32x4_mul(SIMD_float32x4_fromInt32x4(SIMD_int32x4_fromInt16x8Bits(
+                          SIMD_int16x8_shuffle(zero, weight, 0, 8, 0, 9, 0, 10, 0, 11))), normalScale);
+                      ix4 = SIMD_float32x4_sub(
+                          SIMD_float32x4_add(
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                                 SIMD_float32x4_swizzle(weightTangent, 0, 1, 2, 0)),
+                              SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                                 SIMD_float32x4_swizzle(weightTangent, 2, 0, 1, 1))),
+                          SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 2),
+                                             SIMD_float32x4_swizzle(weightTangent, 1, 2, 0, 2)));
+
+                      rotatedPos = SIMD_float32x4_add(
+                          SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0)),
+                                             SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                          SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 0)),
+                                             SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 0))));
+
+                      tx4 = SIMD_float32x4_add(tx4, SIMD_float32x4_mul(rotatedPos, weightBias))
+                  }
+
+                  // Position
+                  SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_POS_0_OFFSET)|0, vx4);
+
+                  // TexCoord
+                  SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_UV_0_OFFSET)|0, SIMD_float32x4_load(HEAPU8, (vertPtr + f_VERT_TEXCOORD_0_OFFSET)|0));
+
+                  // Normal
+                  SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_NORMAL_0_OFFSET)|0, nx4);
+
+                  // Tangent
+                  SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_TANGENT_0_OFFSET)|0, tx4);
+              }
+          }
+      }
+
+      // asmSkinSIMD with the weights in structure of arrays, see the Weight
+      // groups structs. Each float32x4 holds a component of four vertices, so
+      // the math needs no swizzles, but their joints have to be gathered
+      function asmSkinSoA() {
+          var i = 0, j = 0, k = 0;
+          var modelPtr = 0, meshesLength = 0, jointsPtr = 0, vertexArrayPtr = 0,
+              weightGroupsArrayPtr = 0, weightGroupsPtr = 0, meshOffset = 0,
+              groupsPtr = 0, groupsLength = 0, groupPtr = 0, groupVerts = 0,
+              slotsPtr = 0, slotsLength = 0, slotPtr = 0, vertexPtr = 0, jointIndex = 0,
+              jointPtr0 = 0, jointPtr1 = 0, jointPtr2 = 0, jointPtr3 = 0;
+
+          var qx = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), qy = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), qz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              qw = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), px = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), py = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              pz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), bias = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), wx = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              wy = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), wz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ix = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              iy = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), iz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), iw = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              rx = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ry = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), rz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              vx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), vy4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), vz4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              nx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ny4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), nz4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+              tx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ty4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), tz4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0);
+
+          modelPtr = HEAP32[(HEAP_BASE + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+          meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]|0;
+          jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+          vertexArrayPtr = HEAP32[(HEAP_BASE + i_VERT_ARRAY_PTR_OFFSET)>>2]|0;
+          weightGroupsArrayPtr = HEAP32[(HEAP_BASE + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2]|0;
+
+          for(i = 0; (i|0) < (meshesLength|0); i = (i + 1)|0) {
+              weightGroupsPtr = (weightGroupsArrayPtr + (imul(i, WEIGHT_GROUPS_STRUCT_SIZE)|0))|0;
+              meshOffset = (HEAP32[(weightGroupsPtr + i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET)>>2]|0)<<2;
+              meshOffset = (meshOffset + vertexArrayPtr)|0;
+              groupsPtr = HEAP32[(weightGroupsPtr + i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET)>>2]|0;
+              groupsLength = HEAP32[(weightGroupsPtr + i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET)>>2]|0;
+
+              for(j = 0; (j|0) < (groupsLength|0); j = (j + 1)|0) {
+                  groupPtr = (groupsPtr + (imul(j, GROUP_STRUCT_SIZE)|0))|0;
+                  slotsPtr = HEAP32[(groupPtr + i_GROUP_SLOTS_PTR_OFFSET)>>2]|0;
+                  slotsLength = HEAP32[(groupPtr + i_GROUP_SLOTS_LENGTH_OFFSET)>>2]|0;
+                  groupVerts = HEAP32[(groupPtr + i_GROUP_VERTS_LENGTH_OFFSET)>>2]|0;
+
+                  vx4 = SIMD_float32x4_splat(toF(0));
+                  vy4 = SIMD_float32x4_splat(toF(0));
+                  vz4 = SIMD_float32x4_splat(toF(0));
+                  nx4 = SIMD_float32x4_splat(toF(0));
+                  ny4 = SIMD_float32x4_splat(toF(0));
+                  nz4 = SIMD_float32x4_splat(toF(0));
+                  tx4 = SIMD_float32x4_splat(toF(0));
+                  ty4 = SIMD_float32x4_splat(toF(0));
+                  tz4 = SIMD_float32x4_splat(toF(0));
+
+                  for (k = 0; (k|0) < (slotsLength|0); k = (k + 1)|0) {
+                      slotPtr = (slotsPtr + (imul(k, SLOT_STRUCT_SIZE)|0))|0;
+
+                      // Gather the joints of the four vertices
+                      jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 0)>>2]|0;
+                      jointPtr0 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                      jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 4)>>2]|0;
+                      jointPtr1 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                      jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 8)>>2]|0;
+                      jointPtr2 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                      jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 12)>>2]|0;
+                      jointPtr3 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                      qx = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_0_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_0_OFFSET)>>2]));
+                      qy = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_1_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_1_OFFSET)>>2]));
+                      qz = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_2_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_2_OFFSET)>>2]));
+                      qw = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_3_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_3_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_3_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_3_OFFSET)>>2]));
+                      px = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_POS_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_POS_0_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_POS_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_POS_0_OFFSET)>>2]));
+                      py = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_POS_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_POS_1_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_POS_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_POS_1_OFFSET)>>2]));
+                      pz = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_POS_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_POS_2_OFFSET)>>2]),
+                                          toF(HEAPF32[(jointPtr2 + f_JOINT_POS_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_POS_2_OFFSET)>>2]));
+                      bias = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_BIAS_OFFSET)|0);
+
+                      // Rotate and translate position, iw is negated
+                      wx = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_POS_0_OFFSET)|0);
+                      wy = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_POS_1_OFFSET)|0);
+                      wz = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_POS_2_OFFSET)|0);
+                      ix = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wx), SIMD_float32x4_mul(qy, wz)), SIMD_float32x4_mul(qz, wy));
+                      iy = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wy), SIMD_float32x4_mul(qz, wx)), SIMD_float32x4_mul(qx, wz));
+                      iz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wz), SIMD_float32x4_mul(qx, wy)), SIMD_float32x4_mul(qy, wx));
+                      iw = SIMD_float32x4_add(SIMD_float32x4_add(SIMD_float32x4_mul(qx, wx), SIMD_float32x4_mul(qy, wy)), SIMD_float32x4_mul(qz, wz));
+                      rx = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(ix, qw), SIMD_float32x4_mul(iw, qx)),
+                                              SIMD_float32x4_mul(iy, qz));
+                      rx = SIMD_float32x4_add(rx, SIMD_float32x4_mul(iz, qy));
+                      ry = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iy, qw), SIMD_float32x4_mul(iw, qy)),
+                                              SIMD_float32x4_mul(iz, qx));
+                      ry = SIMD_float32x4_add(ry, SIMD_float32x4_mul(ix, qz));
+                      rz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iz, qw), SIMD_float32x4_mul(iw, qz)),
+                                              SIMD_float32x4_mul(ix, qy));
+                      rz = SIMD_float32x4_add(rz, SIMD_float32x4_mul(iy, qx));
+                      vx4 = SIMD_float32x4_add(vx4, SIMD_float32x4_mul(SIMD_float32x4_add(rx, px), bias));
+                      vy4 = SIMD_float32x4_add(vy4, SIMD_float32x4_mul(SIMD_float32x4_add(ry, py), bias));
+                      vz4 = SIMD_float32x4_add(vz4, SIMD_float32x4_mul(SIMD_float32x4_add(rz, pz), bias));
+
+                      // Rotate normal
+                      wx = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_NORMAL_0_OFFSET)|0);
+                      wy = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_NORMAL_1_OFFSET)|0);
+                      wz = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_NORMAL_2_OFFSET)|0);
+                      ix = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wx), SIMD_float32x4_mul(qy, wz)), SIMD_float32x4_mul(qz, wy));
+                      iy = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wy), SIMD_float32x4_mul(qz, wx)), SIMD_float32x4_mul(qx, wz));
+                      iz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wz), SIMD_float32x4_mul(qx, wy)), SIMD_float32x4_mul(qy, wx));
+                      iw = SIMD_float32x4_add(SIMD_float32x4_add(SIMD_float32x4_mul(qx, wx), SIMD_float32x4_mul(qy, wy)), SIMD_float32x4_mul(qz, wz));
+                      rx = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(ix, qw), SIMD_float32x4_mul(iw, qx)),
+                                              SIMD_float32x4_mul(iy, qz));
+                      rx = SIMD_float32x4_add(rx, SIMD_float32x4_mul(iz, qy));
+                      ry = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iy, qw), SIMD_float32x4_mul(iw, qy)),
+                                              SIMD_float32x4_mul(iz, qx));
+                      ry = SIMD_float32x4_add(ry, SIMD_float32x4_mul(ix, qz));
+                      rz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iz, qw), SIMD_float32x4_mul(iw, qz)),
+                                              SIMD_float32x4_mul(ix, qy));
+                      rz = SIMD_float32x4_add(rz, SIMD_float32x4_mul(iy, qx));
+                      nx4 = SIMD_float32x4_add(nx4, SIMD_float32x4_mul(rx, bias));
+                      ny4 = SIMD_float32x4_add(ny4, SIMD_float32x4_mul(ry, bias));
+                      nz4 = SIMD_float32x4_add(nz4, SIMD_float32x4_mul(rz, bias));
+
+                      // Rotate tangent
+                      wx = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_TANGENT_0_OFFSET)|0);
+                      wy = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_TANGENT_1_OFFSET)|0);
+                      wz = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_TANGENT_2_OFFSET)|0);
+                      ix = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wx), SIMD_float32x4_mul(qy, wz)), SIMD_float32x4_mul(qz, wy));
+                      iy = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wy), SIMD_float32x4_mul(qz, wx)), SIMD_float32x4_mul(qx, wz));
+                      iz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wz), SIMD_float32x4_mul(qx, wy)), SIMD_float32x4_mul(qy, wx));
+                      iw = SIMD_float32x4_add(SIMD_float32x4_add(SIMD_float32x4_mul(qx, wx), SIMD_float32x4_mul(qy, wy)), SIMD_float32x4_mul(qz, wz));
+                      rx = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(ix, qw), SIMD_float32x4_mul(iw, qx)),
+                                              SIMD_float32x4_mul(iy, qz));
+                      rx = SIMD_float32x4_add(rx, SIMD_float32x4_mul(iz, qy));
+                      ry = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iy, qw), SIMD_float32x4_mul(iw, qy)),
+                                              SIMD_float32x4_mul(iz, qx));
+                      ry = SIMD_float32x4_add(ry, SIMD_float32x4_mul(ix, qz));
+                      rz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iz, qw), SIMD_float32x4_mul(iw, qz)),
+                                              SIMD_float32x4_mul(ix, qy));
+                      rz = SIMD_float32x4_add(rz, SIMD_float32x4_mul(iy, qx));
+                      tx4 = SIMD_float32x4_add(tx4, SIMD_float32x4_mul(rx, bias));
+                      ty4 = SIMD_float32x4_add(ty4, SIMD_float32x4_mul(ry, bias));
+                      tz4 = SIMD_float32x4_add(tz4, SIMD_float32x4_mul(rz, bias));
+                  }
+
+                  // Scatter the four vertices, the last group of a mesh may have fewer
+                  vertexPtr = ((imul(j << 2, VERTEX_STRIDE)|0) + meshOffset)|0;
+                  HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 0)>>2];
+                  HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 0)>>2];
+                  HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 0);
+                  HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 0);
+                  if ((groupVerts|0) > 1) {
+                      vertexPtr = (vertexPtr + VERTEX_STRIDE)|0;
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 4)>>2];
+                      HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 4)>>2];
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 1);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 1);
+                  }
+                  if ((groupVerts|0) > 2) {
+                      vertexPtr = (vertexPtr + VERTEX_STRIDE)|0;
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 8)>>2];
+                      HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 8)>>2];
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 2);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 2);
+                  }
+                  if ((groupVerts|0) > 3) {
+                      vertexPtr = (vertexPtr + VERTEX_STRIDE)|0;
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 12)>>2];
+                      HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 12)>>2];
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 3);
+                      HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 3);
+                  }
+              }
+          }
+      }
+      
       return {
           asmSkinSIMD: asmSkinSIMD,
+          asmSkinSoA: asmSkinSoA,
+          asmSkinQuantized: asmSkinQuantized,
+          asmGetFrameJointsSIMD: asmGetFrameJointsSIMD
       };
   }
 
   var module = asmjsModule(this, {}, buffer);
   var skin = module.asmSkin;
   var getFrameJoints = module.asmGetFrameJoints;
-  var skinSIMD = asmjsModuleSIMD(this, {}, buffer).asmSkinSIMD;
+  var moduleSIMD = asmjsModuleSIMD(this, {}, buffer);
+  var skinSIMD = moduleSIMD.asmSkinSIMD;
+  var skinSoA = moduleSIMD.asmSkinSoA;
+  var skinQuantized = moduleSIMD.asmSkinQuantized;
+  var getFrameJointsSIMD = moduleSIMD.asmGetFrameJointsSIMD;
 
   // SIMD version of the kernel
   function simd (n) {
     for (var i = 0; i < n; ++i) {
-      getFrameJoints();
+      getFrameJoints(i);
       skinSIMD();
     }
     return true;
@@ -944,10 +2070,100 @@
   // Non SIMD version of the kernel
   function nonSimd (n) {
     for (var i = 0; i < n; ++i) {
-      getFrameJoints();
+      getFrameJoints(i);
       skin();
     }
     return true;
   }
 
+  function simdJoints (n) {
+    for (var i = 0; i < n; ++i) {
+      getFrameJointsSIMD(i);
+    }
+    return true;
+  }
+
+  function nonSimdJoints (n) {
+    for (var i = 0; i < n; ++i) {
+      getFrameJoints(i);
+    }
+    return true;
+  }
+
+  function simdSkin (n) {
+    for (var i = 0; i < n; ++i) {
+      skinSIMD();
+    }
+    return true;
+  }
+
+  function nonSimdSkin (n) {
+    for (var i = 0; i < n; ++i) {
+      skin();
+    }
+    return true;
+  }
+
+  function soaSkin (n) {
+    for (var i = 0; i < n; ++i) {
+      skinSoA();
+    }
+    return true;
+  }
+
+  // Points the header at the quantized weights while asmSkinQuantized runs
+  function quantizedSkin (n) {
+    var HEAP32 = new Int32Array(buffer);
+    HEAP32[(HEAP_BASE + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = quantizedWeightsPtr;
+    for (var i = 0; i < n; ++i) {
+      skinQuantized();
+    }
+    HEAP32[(HEAP_BASE + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = weightGroupsPtr;
+    return true;
+  }
+
+  function polyfillSkin (n) {
+    for (var i = 0; i < n; ++i) {
+      polyfillSkinSIMD();
+    }
+    return true;
+  }
+
+  function wasmSimd (n) {
+    for (var i = 0; i < n; ++i) {
+      wasm.getFrameJoints(i, HEAP_BASE);
+      wasm.skinSIMD(HEAP_BASE);
+    }
+    return true;
+  }
+
+  function wasmNonSimd (n) {
+    for (var i = 0; i < n; ++i) {
+      wasm.getFrameJoints(i, HEAP_BASE);
+      wasm.skin(HEAP_BASE);
+    }
+    return true;
+  }
+
+  function wasmSimdJoints (n) {
+    for (var i = 0; i < n; ++i) {
+      wasm.getFrameJointsSIMD(i, HEAP_BASE);
+    }
+    return true;
+  }
+
+  function wasmNonSimdJoints (n) {
+    for (var i = 0; i < n; ++i) {
+      wasm.getFrameJoints(i, HEAP_BASE);
+    }
+    return true;
+  }
+
+  function wasmSkin (n) {
+    for (var i = 0; i < n; ++i) {
+      wasm.skin(HEAP_BASE);
+    }
+    return true;
+  }
+
 } ());
\ No newline at end of file
@@ -26,13 +26,14 @@
  *    distribution.
  */
 
-var buffer = new ArrayBuffer(0x7000000);
-var MESH_MEMORY_SIZE = 302556;
+var HEAP_SIZE = 0x7000000;
+// The heap is a WebAssembly.Memory's buffer where there is WebAssembly, so
+// the modules of md5-wasm.js can skin in it too (see setWasm)
+var memory = typeof WebAssembly === "object" ?
+    new WebAssembly.Memory({initial: HEAP_SIZE / 0x10000, maximum: HEAP_SIZE / 0x10000}) : null;
+var buffer = memory ? memory.buffer : new ArrayBuffer(HEAP_SIZE);
 var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
 var VERTEX_STRIDE = 44;
-var VERTEX_MEMORY_BASE = 60511200; // MESH_MEMORY_SIZE * 128
-var VERTEX_NUM = 1737;
-var VERTEX_MEMORY_SIZE = 76428; // VERTEX_NUM * VERTEX_ELEMENTS * 4
 
 function _asmjsModule (global, imp, buffer) {
     "use asm";
@@ -43,6 +44,8 @@ function _asmjsModule (global, imp, buffer) {
     var toF = global.Math.fround;
     var sqrt = global.Math.sqrt;
     var abs = global.Math.abs;
+    var acos = global.Math.acos;
+    var sin = global.Math.sin;
     var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
     var VERTEX_STRIDE = 44;
     var f_VERTEX_POS_0_OFFSET = 0;
@@ -60,10 +63,11 @@ function _asmjsModule (global, imp, buffer) {
     // Memory Layout
     var HEAP_BASE = 0;
     // Header
-    var HEADER_SIZE = 12;
+    var HEADER_SIZE = 16;
     var i_MODEL_STRUCT_PTR_OFFSET = 0;
     var i_VERT_ARRAY_PTR_OFFSET = 4;
     var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+    var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
     
     // Model struct
     var MODEL_STRUCT_SIZE = 16;
@@ -150,14 +154,12 @@ function _asmjsModule (global, imp, buffer) {
     var FRAME_STRUCT_SIZE = 4;
     var f_FRAME_VALUE_OFFSET = 0;
 
-    var MESH_MEMORY_SIZE = 302556;
-
-    function asmGetFrameJoints(frame, meshIndex) {
+    function asmGetFrameJoints(frame, headerPtr) {
         frame = frame|0;
-        meshIndex = meshIndex|0
+        headerPtr = headerPtr|0;
         
         var i = 0, j = 0,
-            headerPtr = 0, animationPtr = 0, modelPtr = 0, jointsPtr = 0,
+            animationPtr = 0, modelPtr = 0, jointsPtr = 0,
             baseFrameLength = 0, baseFramePtr = 0,
             hierarchyLength = 0, hierarchyArrayPtr = 0,
             framesArrayLength = 0, framesArrayPtr = 0, framesStructPtr = 0, framesPtr = 0,
@@ -170,7 +172,6 @@ function _asmjsModule (global, imp, buffer) {
             parentJointPtr = 0, jointPtr = 0,
             temp = 0.0;
         
-        headerPtr = (HEAP_BASE + (imul(meshIndex, MESH_MEMORY_SIZE)|0))|0;
         animationPtr = HEAP32[(headerPtr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2]|0;
         modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
         jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
@@ -279,8 +280,445 @@ function _asmjsModule (global, imp, buffer) {
         }
     }
 
-    function asmSkin(meshIndex) {
-        meshIndex = meshIndex|0;
+    // Same as asmGetFrameJoints, but lerps positions and slerps orientations
+    // from frame towards frame + 1 by blend [0, 1)
+    function asmGetFrameJointsLerp(frame, blend, headerPtr) {
+        frame = frame|0;
+        blend = +blend;
+        headerPtr = headerPtr|0;
+
+        var i = 0, j = 0,
+            animationPtr = 0, modelPtr = 0, jointsPtr = 0,
+            baseFrameLength = 0, baseFramePtr = 0,
+            hierarchyLength = 0, hierarchyArrayPtr = 0,
+            framesArrayLength = 0, framesArrayPtr = 0, framesStructPtr = 0, framesPtr = 0,
+            nextFrame = 0, nextFramesPtr = 0, valueOffset = 0,
+            baseJointPtr = 0, hierarchyPtr = 0, frameIndex = 0, parentIndex = 0,
+            flags = 0,
+            posX = 0.0, posY = 0.0, posZ = 0.0, parentPosX = 0.0, parentPosY = 0.0, parentPosZ = 0.0,
+            orientX = 0.0, orientY = 0.0, orientZ = 0.0, orientW = 0.0,
+            nextPosX = 0.0, nextPosY = 0.0, nextPosZ = 0.0,
+            nextOrientX = 0.0, nextOrientY = 0.0, nextOrientZ = 0.0, nextOrientW = 0.0,
+            parentOrientX = 0.0, parentOrientY = 0.0, parentOrientZ = 0.0, parentOrientW = 0.0,
+            ix = 0.0, iy = 0.0, iz = 0.0, iw = 0.0,
+            cosHalfTheta = 0.0, halfTheta = 0.0, sinHalfTheta = 0.0, ratioA = 0.0, ratioB = 0.0,
+            parentJointPtr = 0, jointPtr = 0,
+            temp = 0.0;
+
+        animationPtr = HEAP32[(headerPtr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2]|0;
+        modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+        jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+
+        hierarchyArrayPtr = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2]|0;
+        hierarchyLength = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2]|0;
+        baseFramePtr = HEAP32[(animationPtr + i_ANIMATION_BASEFRAME_PTR_OFFSET)>>2]|0;
+        baseFrameLength = HEAP32[(animationPtr + i_ANIMATION_BASEFRAME_LENGTH_OFFSET)>>2]|0;
+        framesArrayPtr = HEAP32[(animationPtr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2]|0;
+        framesArrayLength = HEAP32[(animationPtr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2]|0;
+
+        frame = ((frame|0) % (framesArrayLength|0))|0;
+        framesStructPtr = (framesArrayPtr + (imul(frame, FRAMES_STRUCT_SIZE)|0))|0;
+        framesPtr = HEAP32[(framesStructPtr + i_FRAMES_PTR_OFFSET)>>2]|0;
+
+        nextFrame = (((frame + 1)|0) % (framesArrayLength|0))|0;
+        framesStructPtr = (framesArrayPtr + (imul(nextFrame, FRAMES_STRUCT_SIZE)|0))|0;
+        nextFramesPtr = HEAP32[(framesStructPtr + i_FRAMES_PTR_OFFSET)>>2]|0;
+
+        for (i = 0; (i|0) < (baseFrameLength|0); i = (i + 1)|0) {
+            baseJointPtr = (baseFramePtr + (imul(i, BASEFRAME_STRUCT_SIZE)|0))|0;
+            posX = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_0_OFFSET)>>2]);
+            posY = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_1_OFFSET)>>2]);
+            posZ = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_2_OFFSET)>>2]);
+            orientX = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_0_OFFSET)>>2]);
+            orientY = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_1_OFFSET)>>2]);
+            orientZ = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_2_OFFSET)>>2]);
+            nextPosX = posX; nextPosY = posY; nextPosZ = posZ;
+            nextOrientX = orientX; nextOrientY = orientY; nextOrientZ = orientZ;
+
+            hierarchyPtr = (hierarchyArrayPtr + (imul(i, HIERARCHY_STRUCT_SIZE)|0))|0;
+            parentIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_PARENT_OFFSET)>>2]|0;
+            flags = HEAP32[(hierarchyPtr + i_HIERARCHY_FLAGS_OFFSET)>>2]|0;
+            frameIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_INDEX_OFFSET)>>2]|0;
+
+            valueOffset = imul(frameIndex, FRAME_STRUCT_SIZE)|0;
+
+            if (flags & 1) { // Translate X
+                posX = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextPosX = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 2) { // Translate Y
+                posY = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextPosY = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 4) { // Translate Z
+                posZ = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextPosZ = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 8) { // Orient X
+                orientX = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextOrientX = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 16) { // Orient Y
+                orientY = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextOrientY = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 32) { // Orient Z
+                orientZ = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextOrientZ = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            temp = 1.0 - orientX * orientX - orientY * orientY - orientZ * orientZ;
+            orientW = -sqrt(abs(temp));
+            temp = 1.0 - nextOrientX * nextOrientX - nextOrientY * nextOrientY - nextOrientZ * nextOrientZ;
+            nextOrientW = -sqrt(abs(temp));
+
+            // Lerp position
+            posX = posX + (nextPosX - posX) * blend;
+            posY = posY + (nextPosY - posY) * blend;
+            posZ = posZ + (nextPosZ - posZ) * blend;
+
+            // Slerp orientation, taking the shortest path
+            cosHalfTheta = orientX * nextOrientX + orientY * nextOrientY + orientZ * nextOrientZ + orientW * nextOrientW;
+            if (cosHalfTheta < 0.0) {
+                nextOrientX = -nextOrientX;
+                nextOrientY = -nextOrientY;
+                nextOrientZ = -nextOrientZ;
+                nextOrientW = -nextOrientW;
+                cosHalfTheta = -cosHalfTheta;
+            }
+            if (cosHalfTheta < 0.999) {
+                halfTheta = +acos(cosHalfTheta);
+                sinHalfTheta = +sqrt(1.0 - cosHalfTheta * cosHalfTheta);
+                ratioA = +sin((1.0 - blend) * halfTheta) / sinHalfTheta;
+                ratioB = +sin(blend * halfTheta) / sinHalfTheta;
+            } else {
+                // Nearly identical orientations, lerp is good enough
+                ratioA = 1.0 - blend;
+                ratioB = blend;
+            }
+            orientX = orientX * ratioA + nextOrientX * ratioB;
+            orientY = orientY * ratioA + nextOrientY * ratioB;
+            orientZ = orientZ * ratioA + nextOrientZ * ratioB;
+            orientW = orientW * ratioA + nextOrientW * ratioB;
+
+            if ((parentIndex|0) >= (0|0)) {
+                parentJointPtr = (jointsPtr + (imul(parentIndex, JOINT_STRUCT_SIZE)|0))|0;
+                parentPosX = +(HEAPF32[(parentJointPtr + f_JOINT_POS_0_OFFSET)>>2]);
+                parentPosY = +(HEAPF32[(parentJointPtr + f_JOINT_POS_1_OFFSET)>>2]);
+                parentPosZ = +(HEAPF32[(parentJointPtr + f_JOINT_POS_2_OFFSET)>>2]);
+                parentOrientX = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2]);
+                parentOrientY = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2]);
+                parentOrientZ = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2]);
+                parentOrientW = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2]);
+
+                ix = parentOrientW * posX + parentOrientY * posZ - parentOrientZ * posY;
+                iy = parentOrientW * posY + parentOrientZ * posX - parentOrientX * posZ;
+                iz = parentOrientW * posZ + parentOrientX * posY - parentOrientY * posX;
+                iw = -parentOrientX * posX - parentOrientY * posY - parentOrientZ * posZ;
+
+                posX = ix * parentOrientW + iw * -parentOrientX + iy * -parentOrientZ - iz * -parentOrientY;
+                posY = iy * parentOrientW + iw * -parentOrientY + iz * -parentOrientX - ix * -parentOrientZ;
+                posZ = iz * parentOrientW + iw * -parentOrientZ + ix * -parentOrientY - iy * -parentOrientX;
+
+                posX = posX + parentPosX;
+                posY = posY + parentPosY;
+                posZ = posZ + parentPosZ;
+
+                ix = parentOrientX * orientW + parentOrientW * orientX + parentOrientY * orientZ - parentOrientZ * orientY;
+                iy = parentOrientY * orientW + parentOrientW * orientY + parentOrientZ * orientX - parentOrientX * orientZ;
+                iz = parentOrientZ * orientW + parentOrientW * orientZ + parentOrientX * orientY - parentOrientY * orientX;
+                iw = parentOrientW * orientW - parentOrientX * orientX - parentOrientY * orientY - parentOrientZ * orientZ;
+                orientX = ix;
+                orientY = iy;
+                orientZ = iz;
+                orientW = iw;
+            }
+
+            jointPtr = (jointsPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            HEAPF32[(jointPtr + f_JOINT_POS_0_OFFSET)>>2] = posX;
+            HEAPF32[(jointPtr + f_JOINT_POS_1_OFFSET)>>2] = posY;
+            HEAPF32[(jointPtr + f_JOINT_POS_2_OFFSET)>>2] = posZ;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_0_OFFSET)>>2] = orientX;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_1_OFFSET)>>2] = orientY;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_2_OFFSET)>>2] = orientZ;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_3_OFFSET)>>2] = orientW;
+        }
+    }
+
+    // Writes the joints of frame, lerped/slerped towards frame + 1 by blend
+    // [0, 1), to the joint structs at localPtr. The joints are left relative
+    // to their parents, see asmComposeJoints
+    function asmGetLocalJoints(animationPtr, frame, blend, localPtr) {
+        animationPtr = animationPtr|0;
+        frame = frame|0;
+        blend = +blend;
+        localPtr = localPtr|0;
+
+        var i = 0,
+            baseFrameLength = 0, baseFramePtr = 0, hierarchyArrayPtr = 0,
+            framesArrayLength = 0, framesArrayPtr = 0, framesStructPtr = 0, framesPtr = 0,
+            nextFrame = 0, nextFramesPtr = 0, valueOffset = 0,
+            baseJointPtr = 0, hierarchyPtr = 0, frameIndex = 0, flags = 0, jointPtr = 0,
+            posX = 0.0, posY = 0.0, posZ = 0.0,
+            orientX = 0.0, orientY = 0.0, orientZ = 0.0, orientW = 0.0,
+            nextPosX = 0.0, nextPosY = 0.0, nextPosZ = 0.0,
+            nextOrientX = 0.0, nextOrientY = 0.0, nextOrientZ = 0.0, nextOrientW = 0.0,
+            cosHalfTheta = 0.0, halfTheta = 0.0, sinHalfTheta = 0.0, ratioA = 0.0, ratioB = 0.0,
+            temp = 0.0;
+
+        hierarchyArrayPtr = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2]|0;
+        baseFramePtr = HEAP32[(animationPtr + i_ANIMATION_BASEFRAME_PTR_OFFSET)>>2]|0;
+        baseFrameLength = HEAP32[(animationPtr + i_ANIMATION_BASEFRAME_LENGTH_OFFSET)>>2]|0;
+        framesArrayPtr = HEAP32[(animationPtr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2]|0;
+        framesArrayLength = HEAP32[(animationPtr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2]|0;
+
+        frame = ((frame|0) % (framesArrayLength|0))|0;
+        framesStructPtr = (framesArrayPtr + (imul(frame, FRAMES_STRUCT_SIZE)|0))|0;
+        framesPtr = HEAP32[(framesStructPtr + i_FRAMES_PTR_OFFSET)>>2]|0;
+
+        nextFrame = (((frame + 1)|0) % (framesArrayLength|0))|0;
+        framesStructPtr = (framesArrayPtr + (imul(nextFrame, FRAMES_STRUCT_SIZE)|0))|0;
+        nextFramesPtr = HEAP32[(framesStructPtr + i_FRAMES_PTR_OFFSET)>>2]|0;
+
+        for (i = 0; (i|0) < (baseFrameLength|0); i = (i + 1)|0) {
+            baseJointPtr = (baseFramePtr + (imul(i, BASEFRAME_STRUCT_SIZE)|0))|0;
+            posX = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_0_OFFSET)>>2]);
+            posY = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_1_OFFSET)>>2]);
+            posZ = +(HEAPF32[(baseJointPtr + f_BASEFRAME_POS_2_OFFSET)>>2]);
+            orientX = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_0_OFFSET)>>2]);
+            orientY = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_1_OFFSET)>>2]);
+            orientZ = +(HEAPF32[(baseJointPtr + f_BASEFRAME_ORIENT_2_OFFSET)>>2]);
+            nextPosX = posX; nextPosY = posY; nextPosZ = posZ;
+            nextOrientX = orientX; nextOrientY = orientY; nextOrientZ = orientZ;
+
+            hierarchyPtr = (hierarchyArrayPtr + (imul(i, HIERARCHY_STRUCT_SIZE)|0))|0;
+            flags = HEAP32[(hierarchyPtr + i_HIERARCHY_FLAGS_OFFSET)>>2]|0;
+            frameIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_INDEX_OFFSET)>>2]|0;
+
+            valueOffset = imul(frameIndex, FRAME_STRUCT_SIZE)|0;
+
+            if (flags & 1) { // Translate X
+                posX = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextPosX = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 2) { // Translate Y
+                posY = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextPosY = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 4) { // Translate Z
+                posZ = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextPosZ = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 8) { // Orient X
+                orientX = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextOrientX = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 16) { // Orient Y
+                orientY = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextOrientY = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            if (flags & 32) { // Orient Z
+                orientZ = +(HEAPF32[(framesPtr + valueOffset)>>2]);
+                nextOrientZ = +(HEAPF32[(nextFramesPtr + valueOffset)>>2]);
+                valueOffset = (valueOffset + FRAME_STRUCT_SIZE)|0;
+            }
+
+            temp = 1.0 - orientX * orientX - orientY * orientY - orientZ * orientZ;
+            orientW = -sqrt(abs(temp));
+            temp = 1.0 - nextOrientX * nextOrientX - nextOrientY * nextOrientY - nextOrientZ * nextOrientZ;
+            nextOrientW = -sqrt(abs(temp));
+
+            // Lerp position
+            posX = posX + (nextPosX - posX) * blend;
+            posY = posY + (nextPosY - posY) * blend;
+            posZ = posZ + (nextPosZ - posZ) * blend;
+
+            // Slerp orientation, taking the shortest path
+            cosHalfTheta = orientX * nextOrientX + orientY * nextOrientY + orientZ * nextOrientZ + orientW * nextOrientW;
+            if (cosHalfTheta < 0.0) {
+                nextOrientX = -nextOrientX;
+                nextOrientY = -nextOrientY;
+                nextOrientZ = -nextOrientZ;
+                nextOrientW = -nextOrientW;
+                cosHalfTheta = -cosHalfTheta;
+            }
+            if (cosHalfTheta < 0.999) {
+                halfTheta = +acos(cosHalfTheta);
+                sinHalfTheta = +sqrt(1.0 - cosHalfTheta * cosHalfTheta);
+                ratioA = +sin((1.0 - blend) * halfTheta) / sinHalfTheta;
+                ratioB = +sin(blend * halfTheta) / sinHalfTheta;
+            } else {
+                // Nearly identical orientations, lerp is good enough
+                ratioA = 1.0 - blend;
+                ratioB = blend;
+            }
+
+            jointPtr = (localPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            HEAPF32[(jointPtr + f_JOINT_POS_0_OFFSET)>>2] = posX;
+            HEAPF32[(jointPtr + f_JOINT_POS_1_OFFSET)>>2] = posY;
+            HEAPF32[(jointPtr + f_JOINT_POS_2_OFFSET)>>2] = posZ;
+            HEAPF32[(jointPtr + f_JOINT_POS_3_OFFSET)>>2] = 0.0;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_0_OFFSET)>>2] = orientX * ratioA + nextOrientX * ratioB;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_1_OFFSET)>>2] = orientY * ratioA + nextOrientY * ratioB;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_2_OFFSET)>>2] = orientZ * ratioA + nextOrientZ * ratioB;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_3_OFFSET)>>2] = orientW * ratioA + nextOrientW * ratioB;
+        }
+    }
+
+    // Moves the local joints at dstPtr towards the ones at srcPtr by weight.
+    // Positions are lerped and orientations nlerped
+    function asmBlendLocalJoints(dstPtr, srcPtr, weight, length) {
+        dstPtr = dstPtr|0;
+        srcPtr = srcPtr|0;
+        weight = +weight;
+        length = length|0;
+
+        var i = 0, dstJointPtr = 0, srcJointPtr = 0,
+            x = 0.0, y = 0.0, z = 0.0, w = 0.0,
+            srcWeight = 0.0, len = 0.0;
+
+        for (i = 0; (i|0) < (length|0); i = (i + 1)|0) {
+            dstJointPtr = (dstPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            srcJointPtr = (srcPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+
+            x = +(HEAPF32[(dstJointPtr + f_JOINT_POS_0_OFFSET)>>2]);
+            y = +(HEAPF32[(dstJointPtr + f_JOINT_POS_1_OFFSET)>>2]);
+            z = +(HEAPF32[(dstJointPtr + f_JOINT_POS_2_OFFSET)>>2]);
+            HEAPF32[(dstJointPtr + f_JOINT_POS_0_OFFSET)>>2] = x + (+(HEAPF32[(srcJointPtr + f_JOINT_POS_0_OFFSET)>>2]) - x) * weight;
+            HEAPF32[(dstJointPtr + f_JOINT_POS_1_OFFSET)>>2] = y + (+(HEAPF32[(srcJointPtr + f_JOINT_POS_1_OFFSET)>>2]) - y) * weight;
+            HEAPF32[(dstJointPtr + f_JOINT_POS_2_OFFSET)>>2] = z + (+(HEAPF32[(srcJointPtr + f_JOINT_POS_2_OFFSET)>>2]) - z) * weight;
+
+            x = +(HEAPF32[(srcJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2]);
+            y = +(HEAPF32[(srcJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2]);
+            z = +(HEAPF32[(srcJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2]);
+            w = +(HEAPF32[(srcJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2]);
+
+            // Take the shortest path between the two orientations
+            srcWeight = weight;
+            if (x * +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2]) +
+                y * +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2]) +
+                z * +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2]) +
+                w * +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2]) < 0.0) {
+                srcWeight = -weight;
+            }
+
+            x = +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2]) * (1.0 - weight) + x * srcWeight;
+            y = +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2]) * (1.0 - weight) + y * srcWeight;
+            z = +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2]) * (1.0 - weight) + z * srcWeight;
+            w = +(HEAPF32[(dstJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2]) * (1.0 - weight) + w * srcWeight;
+
+            len = +sqrt(x * x + y * y + z * z + w * w);
+            if (len > 0.0) {
+                len = 1.0 / len;
+            }
+            HEAPF32[(dstJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2] = x * len;
+            HEAPF32[(dstJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2] = y * len;
+            HEAPF32[(dstJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2] = z * len;
+            HEAPF32[(dstJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2] = w * len;
+        }
+    }
+
+    // Multiplies the local joints at localPtr against their parents, using the
+    // hierarchy of the animation at animationPtr, into the joints of the mesh
+    function asmComposeJoints(headerPtr, animationPtr, localPtr) {
+        headerPtr = headerPtr|0;
+        animationPtr = animationPtr|0;
+        localPtr = localPtr|0;
+
+        var i = 0, modelPtr = 0, jointsPtr = 0,
+            hierarchyLength = 0, hierarchyArrayPtr = 0, hierarchyPtr = 0, parentIndex = 0,
+            localJointPtr = 0, parentJointPtr = 0, jointPtr = 0,
+            posX = 0.0, posY = 0.0, posZ = 0.0, parentPosX = 0.0, parentPosY = 0.0, parentPosZ = 0.0,
+            orientX = 0.0, orientY = 0.0, orientZ = 0.0, orientW = 0.0,
+            parentOrientX = 0.0, parentOrientY = 0.0, parentOrientZ = 0.0, parentOrientW = 0.0,
+            ix = 0.0, iy = 0.0, iz = 0.0, iw = 0.0;
+
+        modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+        jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+
+        hierarchyArrayPtr = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2]|0;
+        hierarchyLength = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2]|0;
+
+        for (i = 0; (i|0) < (hierarchyLength|0); i = (i + 1)|0) {
+            localJointPtr = (localPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            posX = +(HEAPF32[(localJointPtr + f_JOINT_POS_0_OFFSET)>>2]);
+            posY = +(HEAPF32[(localJointPtr + f_JOINT_POS_1_OFFSET)>>2]);
+            posZ = +(HEAPF32[(localJointPtr + f_JOINT_POS_2_OFFSET)>>2]);
+            orientX = +(HEAPF32[(localJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2]);
+            orientY = +(HEAPF32[(localJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2]);
+            orientZ = +(HEAPF32[(localJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2]);
+            orientW = +(HEAPF32[(localJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2]);
+
+            hierarchyPtr = (hierarchyArrayPtr + (imul(i, HIERARCHY_STRUCT_SIZE)|0))|0;
+            parentIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_PARENT_OFFSET)>>2]|0;
+
+            if ((parentIndex|0) >= (0|0)) {
+                parentJointPtr = (jointsPtr + (imul(parentIndex, JOINT_STRUCT_SIZE)|0))|0;
+                parentPosX = +(HEAPF32[(parentJointPtr + f_JOINT_POS_0_OFFSET)>>2]);
+                parentPosY = +(HEAPF32[(parentJointPtr + f_JOINT_POS_1_OFFSET)>>2]);
+                parentPosZ = +(HEAPF32[(parentJointPtr + f_JOINT_POS_2_OFFSET)>>2]);
+                parentOrientX = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_0_OFFSET)>>2]);
+                parentOrientY = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_1_OFFSET)>>2]);
+                parentOrientZ = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_2_OFFSET)>>2]);
+                parentOrientW = +(HEAPF32[(parentJointPtr + f_JOINT_ORIENT_3_OFFSET)>>2]);
+
+                ix = parentOrientW * posX + parentOrientY * posZ - parentOrientZ * posY;
+                iy = parentOrientW * posY + parentOrientZ * posX - parentOrientX * posZ;
+                iz = parentOrientW * posZ + parentOrientX * posY - parentOrientY * posX;
+                iw = -parentOrientX * posX - parentOrientY * posY - parentOrientZ * posZ;
+
+                posX = ix * parentOrientW + iw * -parentOrientX + iy * -parentOrientZ - iz * -parentOrientY;
+                posY = iy * parentOrientW + iw * -parentOrientY + iz * -parentOrientX - ix * -parentOrientZ;
+                posZ = iz * parentOrientW + iw * -parentOrientZ + ix * -parentOrientY - iy * -parentOrientX;
+
+                posX = posX + parentPosX;
+                posY = posY + parentPosY;
+                posZ = posZ + parentPosZ;
+
+                ix = parentOrientX * orientW + parentOrientW * orientX + parentOrientY * orientZ - parentOrientZ * orientY;
+                iy = parentOrientY * orientW + parentOrientW * orientY + parentOrientZ * orientX - parentOrientX * orientZ;
+                iz = parentOrientZ * orientW + parentOrientW * orientZ + parentOrientX * orientY - parentOrientY * orientX;
+                iw = parentOrientW * orientW - parentOrientX * orientX - parentOrientY * orientY - parentOrientZ * orientZ;
+                orientX = ix;
+                orientY = iy;
+                orientZ = iz;
+                orientW = iw;
+            }
+
+            jointPtr = (jointsPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            HEAPF32[(jointPtr + f_JOINT_POS_0_OFFSET)>>2] = posX;
+            HEAPF32[(jointPtr + f_JOINT_POS_1_OFFSET)>>2] = posY;
+            HEAPF32[(jointPtr + f_JOINT_POS_2_OFFSET)>>2] = posZ;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_0_OFFSET)>>2] = orientX;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_1_OFFSET)>>2] = orientY;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_2_OFFSET)>>2] = orientZ;
+            HEAPF32[(jointPtr + f_JOINT_ORIENT_3_OFFSET)>>2] = orientW;
+        }
+    }
+
+    function asmSkin(headerPtr) {
+        headerPtr = headerPtr|0;
 
         var i = 0, j = 0, k = 0;
         var vx = 0.0, vy = 0.0, vz = 0.0,
@@ -292,7 +730,7 @@ function _asmjsModule (global, imp, buffer) {
             ix = 0.0, iy = 0.0, iz = 0.0, iw = 0.0,
             weightBias = 0.0;
 
-        var headerPtr = 0, modelPtr = 0,
+        var modelPtr = 0,
             meshesPtr = 0, meshesLength = 0,
             jointsPtr = 0, jointsLength = 0,
             vertexArrayPtr = 0;
@@ -302,7 +740,6 @@ function _asmjsModule (global, imp, buffer) {
             vertWeightsIndex = 0, weightPtr = 0, jointPtr = 0, vertexPtr = 0,
             jointIndex = 0, meshOffset = 0;
 
-        headerPtr = (HEAP_BASE + (imul(meshIndex, MESH_MEMORY_SIZE)|0))|0;
         modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
         meshesPtr = HEAP32[(modelPtr + i_MODEL_MESHES_PTR_OFFSET)>>2]|0; 
         meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]|0;
@@ -425,7 +862,11 @@ function _asmjsModule (global, imp, buffer) {
 
     return {
         asmSkin: asmSkin,
-        asmGetFrameJoints: asmGetFrameJoints
+        asmGetFrameJoints: asmGetFrameJoints,
+        asmGetFrameJointsLerp: asmGetFrameJointsLerp,
+        asmGetLocalJoints: asmGetLocalJoints,
+        asmBlendLocalJoints: asmBlendLocalJoints,
+        asmComposeJoints: asmComposeJoints
     };
 }
 
@@ -446,6 +887,13 @@ function _asmjsModuleSIMD (global, imp, buffer) {
     var SIMD_float32x4_sub = SIMD_float32x4.sub;
     var SIMD_float32x4_swizzle = SIMD_float32x4.swizzle;
     var SIMD_float32x4_splat = SIMD_float32x4.splat;
+    var SIMD_float32x4_extractLane = SIMD_float32x4.extractLane;
+    var SIMD_float32x4_fromInt32x4 = SIMD_float32x4.fromInt32x4;
+    var SIMD_int32x4_fromInt16x8Bits = global.SIMD.int32x4.fromInt16x8Bits;
+    var SIMD_int16x8 = global.SIMD.int16x8;
+    var SIMD_int16x8_load = SIMD_int16x8.load;
+    var SIMD_int16x8_shuffle = SIMD_int16x8.shuffle;
+    var SIMD_int16x8_extractLane = SIMD_int16x8.extractLane;
     var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
     var VERTEX_STRIDE = 44;
     var f_VERTEX_POS_0_OFFSET = 0;
@@ -463,10 +911,11 @@ function _asmjsModuleSIMD (global, imp, buffer) {
     // Memory Layout
     var HEAP_BASE = 0;
     // Header
-    var HEADER_SIZE = 12;
+    var HEADER_SIZE = 16;
     var i_MODEL_STRUCT_PTR_OFFSET = 0;
     var i_VERT_ARRAY_PTR_OFFSET = 4;
     var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+    var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
     
     // Model struct
     var MODEL_STRUCT_SIZE = 16;
@@ -553,13 +1002,67 @@ function _asmjsModuleSIMD (global, imp, buffer) {
     var FRAME_STRUCT_SIZE = 4;
     var f_FRAME_VALUE_OFFSET = 0;
 
-    var MESH_MEMORY_SIZE = 302556;
+    // Weight groups struct, one per mesh in the order of the model's, for
+    // asmSkinSoA. The vertices go in groups of four
+    var WEIGHT_GROUPS_STRUCT_SIZE = 16;
+    var i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET = 0;
+    var i_WEIGHT_GROUPS_VERTS_LENGTH_OFFSET = 4;
+    var i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET = 8;
+    var i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET = 12;
+
+    // Group struct, as many slots as its vertex with the most weights, and
+    // the texCoords of the four vertices
+    var GROUP_STRUCT_SIZE = 48;
+    var i_GROUP_SLOTS_PTR_OFFSET = 0;
+    var i_GROUP_SLOTS_LENGTH_OFFSET = 4;
+    var i_GROUP_VERTS_LENGTH_OFFSET = 8;
+    var f_GROUP_TEXCOORD_0_OFFSET = 16;
+    var f_GROUP_TEXCOORD_1_OFFSET = 32;
+
+    // Slot struct, a weight of each of the four vertices, bias 0 where a
+    // vertex has fewer
+    var SLOT_STRUCT_SIZE = 176;
+    var i_SLOT_JOINT_INDEX_OFFSET = 0;
+    var f_SLOT_BIAS_OFFSET = 16;
+    var f_SLOT_POS_0_OFFSET = 32;
+    var f_SLOT_POS_1_OFFSET = 48;
+    var f_SLOT_POS_2_OFFSET = 64;
+    var f_SLOT_NORMAL_0_OFFSET = 80;
+    var f_SLOT_NORMAL_1_OFFSET = 96;
+    var f_SLOT_NORMAL_2_OFFSET = 112;
+    var f_SLOT_TANGENT_0_OFFSET = 128;
+    var f_SLOT_TANGENT_1_OFFSET = 144;
+    var f_SLOT_TANGENT_2_OFFSET = 160;
+
+    // Quantized weights struct, one per mesh in the order of the model's,
+    // for asmSkinQuantized. Positions are in units of the mesh's pos scale
+    var QUANTIZED_WEIGHTS_STRUCT_SIZE = 16;
+    var i_QUANTIZED_WEIGHTS_PTR_OFFSET = 0;
+    var f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET = 4;
+
+    // Quantized weight struct, the weight struct in 16 bit fixed point:
+    // normal and tangent in 1/32767ths, and the bias in 1/255ths in the low
+    // byte of lane 7, whose high byte is 0. The two int16x8 loads of a
+    // weight read 8 bytes past it
+    var QWEIGHT_STRUCT_SIZE = 24;
+    var s_QWEIGHT_POS_0_OFFSET = 0;
+    var s_QWEIGHT_POS_1_OFFSET = 2;
+    var s_QWEIGHT_POS_2_OFFSET = 4;
+    var s_QWEIGHT_JOINT_INDEX_OFFSET = 6;
+    var s_QWEIGHT_NORMAL_0_OFFSET = 8;
+    var s_QWEIGHT_NORMAL_1_OFFSET = 10;
+    var s_QWEIGHT_NORMAL_2_OFFSET = 12;
+    var b_QWEIGHT_BIAS_OFFSET = 14;
+    var s_QWEIGHT_TANGENT_0_OFFSET = 16;
+    var s_QWEIGHT_TANGENT_1_OFFSET = 18;
+    var s_QWEIGHT_TANGENT_2_OFFSET = 20;
+
     
-    function asmSkinSIMD(meshIndex) {
-        meshIndex = meshIndex|0;
+    function asmSkinSIMD(headerPtr) {
+        headerPtr = headerPtr|0;
 
         var i = 0, j = 0, k = 0;
-        var headerPtr = 0, modelPtr = 0,
+        var modelPtr = 0,
             meshesPtr = 0, meshesLength = 0,
             jointsPtr = 0, jointsLength = 0,
             vertexArrayPtr = 0;
@@ -576,7 +1079,6 @@ function _asmjsModuleSIMD (global, imp, buffer) {
             nx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightTangent = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
             tempx4 = SIMD_float32x4(1.0, 1.0, 1.0, -1.0), tx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0);
             
-        headerPtr = (HEAP_BASE + (imul(meshIndex, MESH_MEMORY_SIZE)|0))|0;
         modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
         meshesPtr = HEAP32[(modelPtr + i_MODEL_MESHES_PTR_OFFSET)>>2]|0; 
         meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]|0;
@@ -686,260 +1188,898 @@ function _asmjsModuleSIMD (global, imp, buffer) {
             }
         }
     }
-    
-    return {
-        asmSkinSIMD: asmSkinSIMD,
-    };
-}
-
-var module = _asmjsModule(this, {}, buffer);
-var asmSkin = module.asmSkin;
-var asmGetFrameJoints = module.asmGetFrameJoints;
-var asmSkinSIMD = _asmjsModuleSIMD(this, {}, buffer).asmSkinSIMD;
-
-var getFrameJoints = asmGetFrameJoints;
-var skin = asmSkin;
-
-var vertBuffer = null;
-var vertArray = null;
-
-var indexBuffer = null;
-var indexArray = null;
 
-var diffuseMap = null;
-var specularMap = null;
-var normalMap = null;
+    // asmSkinSIMD from the quantized weights, see the Quantized weights
+    // structs. Each weight is decoded to float32x4s, the rest is the same
+    function asmSkinQuantized(headerPtr) {
+        headerPtr = headerPtr|0;
 
-var MAX_VERTEX_NUM = 10;
+        var i = 0, j = 0, k = 0;
+        var modelPtr = 0,
+            meshesPtr = 0, meshesLength = 0,
+            jointsPtr = 0, jointsLength = 0,
+            vertexArrayPtr = 0, quantizedArrayPtr = 0, quantizedPtr = 0;
 
-function createVertexBuffer(gl, meshCount) {
-    if (vertBuffer === null) {
-        vertBuffer = gl.createBuffer();
-        vertArray = new Float32Array(buffer, VERTEX_MEMORY_BASE, MAX_VERTEX_NUM * VERTEX_NUM * VERTEX_ELEMENTS)
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
-    }
-}
+        var meshPtr = 0, vertsPtr = 0, vertsLength = 0,
+            weightsPtr = 0, weightsLength = 0, vertPtr = 0, vertWeightsCount = 0,
+            vertWeightsIndex = 0, weightPtr = 0, jointPtr = 0, vertexPtr = 0,
+            jointIndex = 0, meshOffset = 0;
+            
+        var rotatedPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), jointOrient = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            weightPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ix4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            jointPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightBias = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            vx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightNormal = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            nx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), weightTangent = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            tempx4 = SIMD_float32x4(1.0, 1.0, 1.0, -1.0), tx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            posScale = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), normalBias = SIMD_float32x4(0.0, 0.0, 0.0, 0.0);
+        var weight = SIMD_int16x8(0, 0, 0, 0, 0, 0, 0, 0), zero = SIMD_int16x8(0, 0, 0, 0, 0, 0, 0, 0);
+        var scale = toF(0);
+
+        // The int16s are widened to int32s by shuffling them into the high
+        // half, so the factors include the 1/65536. Lane 3 of the normal
+        // scales the bias
+        var normalScale = SIMD_float32x4(toF(4.656754986e-10), toF(4.656754986e-10), toF(4.656754986e-10), toF(5.983838848e-8));
+            
+        modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+        meshesPtr = HEAP32[(modelPtr + i_MODEL_MESHES_PTR_OFFSET)>>2]|0; 
+        meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]|0;
+        jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+        jointsLength = HEAP32[(modelPtr + i_MODEL_JOINTS_LENGTH_OFFSET)>>2]|0;
+        vertexArrayPtr = HEAP32[(headerPtr + i_VERT_ARRAY_PTR_OFFSET)>>2]|0;
+        quantizedArrayPtr = HEAP32[(headerPtr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2]|0;
+        
+        for(i = 0; (i|0) < (meshesLength|0); i = (i + 1)|0) {
+            meshPtr = (meshesPtr + (imul(i, MESH_STRUCT_SIZE)|0))|0;
+            meshOffset = (HEAP32[(meshPtr + i_MESH_VERT_OFFSET_OFFSET)>>2]|0)<<2;
+            meshOffset = (meshOffset + vertexArrayPtr)|0;
+            vertsPtr = HEAP32[(meshPtr + i_MESH_VERTS_PTR_OFFSET)>>2]|0;
+            vertsLength = HEAP32[(meshPtr + i_MESH_VERTS_LENGTH_OFFSET)>>2]|0;
+            weightsLength = HEAP32[(meshPtr + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2]|0;
+            quantizedPtr = (quantizedArrayPtr + (imul(i, QUANTIZED_WEIGHTS_STRUCT_SIZE)|0))|0;
+            weightsPtr = HEAP32[(quantizedPtr + i_QUANTIZED_WEIGHTS_PTR_OFFSET)>>2]|0;
+            scale = toF(toF(HEAPF32[(quantizedPtr + f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET)>>2]) * toF(1.52587890625e-5));
+            posScale = SIMD_float32x4(scale, scale, scale, toF(0));
+            
+            // Calculate transformed vertices in the bind pose
+            for(j = 0; (j|0) < (vertsLength|0); j = (j + 1)|0) {
+                vertexPtr = ((imul(j, VERTEX_STRIDE)|0) + meshOffset)|0;
+                vertPtr = (vertsPtr + (imul(j, VERT_STRUCT_SIZE)|0))|0;
+                
+                vx4 = SIMD_float32x4_splat(toF(0));
+                nx4 = SIMD_float32x4_splat(toF(0));
+                tx4 = SIMD_float32x4_splat(toF(0));
+
+                vertWeightsIndex = HEAP32[(vertPtr + i_VERT_WEIGHT_INDEX_OFFSET)>>2]|0;
+                vertWeightsCount = HEAP32[(vertPtr + i_VERT_WEIGHT_COUNT_OFFSET)>>2]|0;
+                for (k = 0; (k|0) < (vertWeightsCount|0); k = (k + 1)|0) {
+                    weightPtr = (weightsPtr + imul((k + vertWeightsIndex|0)|0, QWEIGHT_STRUCT_SIZE)|0)|0;
+                    weight = SIMD_int16x8_load(HEAPU8, (weightPtr + s_QWEIGHT_POS_0_OFFSET)|0);
+                    jointIndex = SIMD_int16x8_extractLane(weight, 3)|0;
+                    jointPtr = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0)|0);
+
+                    // Rotate position
+                    jointOrient = SIMD_float32x4_load(HEAPU8, (jointPtr + f_JOINT_ORIENT_0_OFFSET)|0);
+                    weightPos = SIMD_float32x4_mul(SIMD_float32x4_fromInt32x4(SIMD_int32x4_fromInt16x8Bits(
+                        SIMD_int16x8_shuffle(zero, weight, 0, 8, 0, 9, 0, 10, 0, 11))), posScale);
+                    ix4 = SIMD_float32x4_sub(
+                        SIMD_float32x4_add(
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                               SIMD_float32x4_swizzle(weightPos, 0, 1, 2, 0)),
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                               SIMD_float32x4_swizzle(weightPos, 2, 0, 1, 1))),
+                        SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 2),
+                                           SIMD_float32x4_swizzle(weightPos, 1, 2, 0, 2)));
 
-function bindVertexBuffer(gl) {
-    gl.bindBuffer(gl.ARRAY_BUFFER, vertBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+                    rotatedPos = SIMD_float32x4_add(
+                        SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0)),
+                                           SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                        SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 0)),
+                                           SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 0))));
+
+                    jointPos = SIMD_float32x4_load(HEAPU8, (jointPtr + f_JOINT_POS_0_OFFSET)|0);
+                    normalBias = SIMD_float32x4_mul(SIMD_float32x4_fromInt32x4(SIMD_int32x4_fromInt16x8Bits(
+                        SIMD_int16x8_shuffle(zero, weight, 0, 12, 0, 13, 0, 14, 0, 15))), normalScale);
+                    weightBias = SIMD_float32x4_swizzle(normalBias, 3, 3, 3, 3);
+
+                    // Translate position
+                    vx4 = SIMD_float32x4_add(vx4, SIMD_float32x4_mul(SIMD_float32x4_add(jointPos, rotatedPos), weightBias));
+
+                    // Rotate Normal
+                    weightNormal = normalBias;
+                    ix4 = SIMD_float32x4_sub(
+                        SIMD_float32x4_add(
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                               SIMD_float32x4_swizzle(weightNormal, 0, 1, 2, 0)),
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                               SIMD_float32x4_swizzle(weightNormal, 2, 0, 1, 1))),
+                        SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 2),
+                                           SIMD_float32x4_swizzle(weightNormal, 1, 2, 0, 2)));
+
+                    rotatedPos = SIMD_float32x4_add(
+                        SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0)),
+                                           SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                        SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 0)),
+                                           SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 0))));
+
+                    nx4 = SIMD_float32x4_add(nx4, SIMD_float32x4_mul(rotatedPos, weightBias))
+
+                    // Rotate Tangent
+                    weight = SIMD_int16x8_load(HEAPU8, (weightPtr + s_QWEIGHT_TANGENT_0_OFFSET)|0);
+                    weightTangent = SIMD_float32x4_mul(SIMD_float32x4_fromInt32x4(SIMD_int32x4_fromInt16x8Bits(
+                        SIMD_int16x8_shuffle(zero, weight, 0, 8, 0, 9, 0, 10, 0, 11))), normalScale);
+                    ix4 = SIMD_float32x4_sub(
+                        SIMD_float32x4_add(
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                               SIMD_float32x4_swizzle(weightTangent, 0, 1, 2, 0)),
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                               SIMD_float32x4_swizzle(weightTangent, 2, 0, 1, 1))),
+                        SIMD_float32x4_mul(SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 2),
+                                           SIMD_float32x4_swizzle(weightTangent, 1, 2, 0, 2)));
+
+                    rotatedPos = SIMD_float32x4_add(
+                        SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(jointOrient, 3, 3, 3, 0)),
+                                           SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                        SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(jointOrient, 1, 2, 0, 0)),
+                                           SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(jointOrient, 2, 0, 1, 0))));
+
+                    tx4 = SIMD_float32x4_add(tx4, SIMD_float32x4_mul(rotatedPos, weightBias))
+                }
+
+                // Position
+                SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_POS_0_OFFSET)|0, vx4);
+
+                // TexCoord
+                SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_UV_0_OFFSET)|0, SIMD_float32x4_load(HEAPU8, (vertPtr + f_VERT_TEXCOORD_0_OFFSET)|0));
+
+                // Normal
+                SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_NORMAL_0_OFFSET)|0, nx4);
+
+                // Tangent
+                SIMD_float32x4_store(HEAPU8, (vertexPtr + f_VERTEX_TANGENT_0_OFFSET)|0, tx4);
+            }
+        }
+    }
+
+    // asmSkinSIMD with the weights in structure of arrays, see the Weight
+    // groups structs. Each float32x4 holds a component of four vertices, so
+    // the math needs no swizzles, but their joints have to be gathered
+    function asmSkinSoA(headerPtr) {
+        headerPtr = headerPtr|0;
+
+        var i = 0, j = 0, k = 0;
+        var modelPtr = 0, meshesLength = 0, jointsPtr = 0, vertexArrayPtr = 0,
+            weightGroupsArrayPtr = 0, weightGroupsPtr = 0, meshOffset = 0,
+            groupsPtr = 0, groupsLength = 0, groupPtr = 0, groupVerts = 0,
+            slotsPtr = 0, slotsLength = 0, slotPtr = 0, vertexPtr = 0, jointIndex = 0,
+            jointPtr0 = 0, jointPtr1 = 0, jointPtr2 = 0, jointPtr3 = 0;
+
+        var qx = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), qy = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), qz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            qw = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), px = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), py = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            pz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), bias = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), wx = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            wy = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), wz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ix = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            iy = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), iz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), iw = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            rx = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ry = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), rz = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            vx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), vy4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), vz4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            nx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ny4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), nz4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            tx4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), ty4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), tz4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0);
+
+        modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+        meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]|0;
+        jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+        vertexArrayPtr = HEAP32[(headerPtr + i_VERT_ARRAY_PTR_OFFSET)>>2]|0;
+        weightGroupsArrayPtr = HEAP32[(headerPtr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2]|0;
+
+        for(i = 0; (i|0) < (meshesLength|0); i = (i + 1)|0) {
+            weightGroupsPtr = (weightGroupsArrayPtr + (imul(i, WEIGHT_GROUPS_STRUCT_SIZE)|0))|0;
+            meshOffset = (HEAP32[(weightGroupsPtr + i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET)>>2]|0)<<2;
+            meshOffset = (meshOffset + vertexArrayPtr)|0;
+            groupsPtr = HEAP32[(weightGroupsPtr + i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET)>>2]|0;
+            groupsLength = HEAP32[(weightGroupsPtr + i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET)>>2]|0;
+
+            for(j = 0; (j|0) < (groupsLength|0); j = (j + 1)|0) {
+                groupPtr = (groupsPtr + (imul(j, GROUP_STRUCT_SIZE)|0))|0;
+                slotsPtr = HEAP32[(groupPtr + i_GROUP_SLOTS_PTR_OFFSET)>>2]|0;
+                slotsLength = HEAP32[(groupPtr + i_GROUP_SLOTS_LENGTH_OFFSET)>>2]|0;
+                groupVerts = HEAP32[(groupPtr + i_GROUP_VERTS_LENGTH_OFFSET)>>2]|0;
+
+                vx4 = SIMD_float32x4_splat(toF(0));
+                vy4 = SIMD_float32x4_splat(toF(0));
+                vz4 = SIMD_float32x4_splat(toF(0));
+                nx4 = SIMD_float32x4_splat(toF(0));
+                ny4 = SIMD_float32x4_splat(toF(0));
+                nz4 = SIMD_float32x4_splat(toF(0));
+                tx4 = SIMD_float32x4_splat(toF(0));
+                ty4 = SIMD_float32x4_splat(toF(0));
+                tz4 = SIMD_float32x4_splat(toF(0));
+
+                for (k = 0; (k|0) < (slotsLength|0); k = (k + 1)|0) {
+                    slotPtr = (slotsPtr + (imul(k, SLOT_STRUCT_SIZE)|0))|0;
+
+                    // Gather the joints of the four vertices
+                    jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 0)>>2]|0;
+                    jointPtr0 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                    jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 4)>>2]|0;
+                    jointPtr1 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                    jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 8)>>2]|0;
+                    jointPtr2 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                    jointIndex = HEAP32[(slotPtr + i_SLOT_JOINT_INDEX_OFFSET + 12)>>2]|0;
+                    jointPtr3 = (jointsPtr + (imul(jointIndex, JOINT_STRUCT_SIZE)|0))|0;
+                    qx = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_0_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_0_OFFSET)>>2]));
+                    qy = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_1_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_1_OFFSET)>>2]));
+                    qz = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_2_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_2_OFFSET)>>2]));
+                    qw = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_ORIENT_3_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_ORIENT_3_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_ORIENT_3_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_ORIENT_3_OFFSET)>>2]));
+                    px = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_POS_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_POS_0_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_POS_0_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_POS_0_OFFSET)>>2]));
+                    py = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_POS_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_POS_1_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_POS_1_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_POS_1_OFFSET)>>2]));
+                    pz = SIMD_float32x4(toF(HEAPF32[(jointPtr0 + f_JOINT_POS_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr1 + f_JOINT_POS_2_OFFSET)>>2]),
+                                        toF(HEAPF32[(jointPtr2 + f_JOINT_POS_2_OFFSET)>>2]), toF(HEAPF32[(jointPtr3 + f_JOINT_POS_2_OFFSET)>>2]));
+                    bias = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_BIAS_OFFSET)|0);
+
+                    // Rotate and translate position, iw is negated
+                    wx = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_POS_0_OFFSET)|0);
+                    wy = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_POS_1_OFFSET)|0);
+                    wz = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_POS_2_OFFSET)|0);
+                    ix = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wx), SIMD_float32x4_mul(qy, wz)), SIMD_float32x4_mul(qz, wy));
+                    iy = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wy), SIMD_float32x4_mul(qz, wx)), SIMD_float32x4_mul(qx, wz));
+                    iz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wz), SIMD_float32x4_mul(qx, wy)), SIMD_float32x4_mul(qy, wx));
+                    iw = SIMD_float32x4_add(SIMD_float32x4_add(SIMD_float32x4_mul(qx, wx), SIMD_float32x4_mul(qy, wy)), SIMD_float32x4_mul(qz, wz));
+                    rx = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(ix, qw), SIMD_float32x4_mul(iw, qx)),
+                                            SIMD_float32x4_mul(iy, qz));
+                    rx = SIMD_float32x4_add(rx, SIMD_float32x4_mul(iz, qy));
+                    ry = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iy, qw), SIMD_float32x4_mul(iw, qy)),
+                                            SIMD_float32x4_mul(iz, qx));
+                    ry = SIMD_float32x4_add(ry, SIMD_float32x4_mul(ix, qz));
+                    rz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iz, qw), SIMD_float32x4_mul(iw, qz)),
+                                            SIMD_float32x4_mul(ix, qy));
+                    rz = SIMD_float32x4_add(rz, SIMD_float32x4_mul(iy, qx));
+                    vx4 = SIMD_float32x4_add(vx4, SIMD_float32x4_mul(SIMD_float32x4_add(rx, px), bias));
+                    vy4 = SIMD_float32x4_add(vy4, SIMD_float32x4_mul(SIMD_float32x4_add(ry, py), bias));
+                    vz4 = SIMD_float32x4_add(vz4, SIMD_float32x4_mul(SIMD_float32x4_add(rz, pz), bias));
+
+                    // Rotate normal
+                    wx = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_NORMAL_0_OFFSET)|0);
+                    wy = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_NORMAL_1_OFFSET)|0);
+                    wz = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_NORMAL_2_OFFSET)|0);
+                    ix = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wx), SIMD_float32x4_mul(qy, wz)), SIMD_float32x4_mul(qz, wy));
+                    iy = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wy), SIMD_float32x4_mul(qz, wx)), SIMD_float32x4_mul(qx, wz));
+                    iz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wz), SIMD_float32x4_mul(qx, wy)), SIMD_float32x4_mul(qy, wx));
+                    iw = SIMD_float32x4_add(SIMD_float32x4_add(SIMD_float32x4_mul(qx, wx), SIMD_float32x4_mul(qy, wy)), SIMD_float32x4_mul(qz, wz));
+                    rx = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(ix, qw), SIMD_float32x4_mul(iw, qx)),
+                                            SIMD_float32x4_mul(iy, qz));
+                    rx = SIMD_float32x4_add(rx, SIMD_float32x4_mul(iz, qy));
+                    ry = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iy, qw), SIMD_float32x4_mul(iw, qy)),
+                                            SIMD_float32x4_mul(iz, qx));
+                    ry = SIMD_float32x4_add(ry, SIMD_float32x4_mul(ix, qz));
+                    rz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iz, qw), SIMD_float32x4_mul(iw, qz)),
+                                            SIMD_float32x4_mul(ix, qy));
+                    rz = SIMD_float32x4_add(rz, SIMD_float32x4_mul(iy, qx));
+                    nx4 = SIMD_float32x4_add(nx4, SIMD_float32x4_mul(rx, bias));
+                    ny4 = SIMD_float32x4_add(ny4, SIMD_float32x4_mul(ry, bias));
+                    nz4 = SIMD_float32x4_add(nz4, SIMD_float32x4_mul(rz, bias));
+
+                    // Rotate tangent
+                    wx = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_TANGENT_0_OFFSET)|0);
+                    wy = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_TANGENT_1_OFFSET)|0);
+                    wz = SIMD_float32x4_load(HEAPU8, (slotPtr + f_SLOT_TANGENT_2_OFFSET)|0);
+                    ix = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wx), SIMD_float32x4_mul(qy, wz)), SIMD_float32x4_mul(qz, wy));
+                    iy = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wy), SIMD_float32x4_mul(qz, wx)), SIMD_float32x4_mul(qx, wz));
+                    iz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(qw, wz), SIMD_float32x4_mul(qx, wy)), SIMD_float32x4_mul(qy, wx));
+                    iw = SIMD_float32x4_add(SIMD_float32x4_add(SIMD_float32x4_mul(qx, wx), SIMD_float32x4_mul(qy, wy)), SIMD_float32x4_mul(qz, wz));
+                    rx = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(ix, qw), SIMD_float32x4_mul(iw, qx)),
+                                            SIMD_float32x4_mul(iy, qz));
+                    rx = SIMD_float32x4_add(rx, SIMD_float32x4_mul(iz, qy));
+                    ry = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iy, qw), SIMD_float32x4_mul(iw, qy)),
+                                            SIMD_float32x4_mul(iz, qx));
+                    ry = SIMD_float32x4_add(ry, SIMD_float32x4_mul(ix, qz));
+                    rz = SIMD_float32x4_sub(SIMD_float32x4_add(SIMD_float32x4_mul(iz, qw), SIMD_float32x4_mul(iw, qz)),
+                                            SIMD_float32x4_mul(ix, qy));
+                    rz = SIMD_float32x4_add(rz, SIMD_float32x4_mul(iy, qx));
+                    tx4 = SIMD_float32x4_add(tx4, SIMD_float32x4_mul(rx, bias));
+                    ty4 = SIMD_float32x4_add(ty4, SIMD_float32x4_mul(ry, bias));
+                    tz4 = SIMD_float32x4_add(tz4, SIMD_float32x4_mul(rz, bias));
+                }
+
+                // Scatter the four vertices, the last group of a mesh may have fewer
+                vertexPtr = ((imul(j << 2, VERTEX_STRIDE)|0) + meshOffset)|0;
+                HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 0)>>2];
+                HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 0)>>2];
+                HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 0);
+                HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 0);
+                if ((groupVerts|0) > 1) {
+                    vertexPtr = (vertexPtr + VERTEX_STRIDE)|0;
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 4)>>2];
+                    HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 4)>>2];
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 1);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 1);
+                }
+                if ((groupVerts|0) > 2) {
+                    vertexPtr = (vertexPtr + VERTEX_STRIDE)|0;
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 8)>>2];
+                    HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 8)>>2];
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 2);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 2);
+                }
+                if ((groupVerts|0) > 3) {
+                    vertexPtr = (vertexPtr + VERTEX_STRIDE)|0;
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_0_OFFSET)>>2] = SIMD_float32x4_extractLane(vx4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_1_OFFSET)>>2] = SIMD_float32x4_extractLane(vy4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_POS_2_OFFSET)>>2] = SIMD_float32x4_extractLane(vz4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_UV_0_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_0_OFFSET + 12)>>2];
+                    HEAPF32[(vertexPtr + f_VERTEX_UV_1_OFFSET)>>2] = HEAPF32[(groupPtr + f_GROUP_TEXCOORD_1_OFFSET + 12)>>2];
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_0_OFFSET)>>2] = SIMD_float32x4_extractLane(nx4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ny4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_NORMAL_2_OFFSET)>>2] = SIMD_float32x4_extractLane(nz4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_0_OFFSET)>>2] = SIMD_float32x4_extractLane(tx4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_1_OFFSET)>>2] = SIMD_float32x4_extractLane(ty4, 3);
+                    HEAPF32[(vertexPtr + f_VERTEX_TANGENT_2_OFFSET)>>2] = SIMD_float32x4_extractLane(tz4, 3);
+                }
+            }
+        }
+    }
+
+    // asmComposeJoints with float32x4s. Parents come before their children,
+    // so the parent joint read from the mesh's joints is already composed
+    function asmComposeJointsSIMD(headerPtr, animationPtr, localPtr) {
+        headerPtr = headerPtr|0;
+        animationPtr = animationPtr|0;
+        localPtr = localPtr|0;
+
+        var i = 0, modelPtr = 0, jointsPtr = 0,
+            hierarchyLength = 0, hierarchyArrayPtr = 0, hierarchyPtr = 0, parentIndex = 0,
+            localJointPtr = 0, parentJointPtr = 0, jointPtr = 0;
+
+        var pos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), orient = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            parentPos = SIMD_float32x4(0.0, 0.0, 0.0, 0.0), parentOrient = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            ix4 = SIMD_float32x4(0.0, 0.0, 0.0, 0.0),
+            tempx4 = SIMD_float32x4(1.0, 1.0, 1.0, -1.0), posMask = SIMD_float32x4(1.0, 1.0, 1.0, 0.0);
+
+        modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2]|0;
+        jointsPtr = HEAP32[(modelPtr + i_MODEL_JOINTS_PTR_OFFSET)>>2]|0;
+
+        hierarchyArrayPtr = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2]|0;
+        hierarchyLength = HEAP32[(animationPtr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2]|0;
+
+        for (i = 0; (i|0) < (hierarchyLength|0); i = (i + 1)|0) {
+            localJointPtr = (localPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            pos = SIMD_float32x4_load(HEAPU8, (localJointPtr + f_JOINT_POS_0_OFFSET)|0);
+            orient = SIMD_float32x4_load(HEAPU8, (localJointPtr + f_JOINT_ORIENT_0_OFFSET)|0);
+
+            hierarchyPtr = (hierarchyArrayPtr + (imul(i, HIERARCHY_STRUCT_SIZE)|0))|0;
+            parentIndex = HEAP32[(hierarchyPtr + i_HIERARCHY_PARENT_OFFSET)>>2]|0;
+
+            if ((parentIndex|0) >= (0|0)) {
+                parentJointPtr = (jointsPtr + (imul(parentIndex, JOINT_STRUCT_SIZE)|0))|0;
+                parentPos = SIMD_float32x4_load(HEAPU8, (parentJointPtr + f_JOINT_POS_0_OFFSET)|0);
+                parentOrient = SIMD_float32x4_load(HEAPU8, (parentJointPtr + f_JOINT_ORIENT_0_OFFSET)|0);
+
+                // Rotate position, w ends up in lane 3 of ix4
+                ix4 = SIMD_float32x4_sub(
+                    SIMD_float32x4_add(
+                        SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 3, 3, 3, 0), tempx4),
+                                           SIMD_float32x4_swizzle(pos, 0, 1, 2, 0)),
+                        SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 1, 2, 0, 1), tempx4),
+                                           SIMD_float32x4_swizzle(pos, 2, 0, 1, 1))),
+                    SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 2, 0, 1, 2),
+                                       SIMD_float32x4_swizzle(pos, 1, 2, 0, 2)));
+
+                pos = SIMD_float32x4_add(
+                    SIMD_float32x4_sub(SIMD_float32x4_mul(ix4, SIMD_float32x4_swizzle(parentOrient, 3, 3, 3, 0)),
+                                       SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 3, 3, 3, 0), parentOrient)),
+                    SIMD_float32x4_sub(SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 2, 0, 1, 0), SIMD_float32x4_swizzle(parentOrient, 1, 2, 0, 0)),
+                                       SIMD_float32x4_mul(SIMD_float32x4_swizzle(ix4, 1, 2, 0, 0), SIMD_float32x4_swizzle(parentOrient, 2, 0, 1, 0))));
+
+                // Translate position, keeping lane 3 at 0
+                pos = SIMD_float32x4_mul(SIMD_float32x4_add(pos, parentPos), posMask);
+
+                // parentOrient * orient
+                orient = SIMD_float32x4_sub(
+                    SIMD_float32x4_add(
+                        SIMD_float32x4_add(
+                            SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 3, 3, 3, 3), orient),
+                            SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 0, 1, 2, 0),
+                                                                  SIMD_float32x4_swizzle(orient, 3, 3, 3, 0)), tempx4)),
+                        SIMD_float32x4_mul(SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 1, 2, 0, 1),
+                                                              SIMD_float32x4_swizzle(orient, 2, 0, 1, 1)), tempx4)),
+                    SIMD_float32x4_mul(SIMD_float32x4_swizzle(parentOrient, 2, 0, 1, 2),
+                                       SIMD_float32x4_swizzle(orient, 1, 2, 0, 2)));
+            }
+
+            jointPtr = (jointsPtr + (imul(i, JOINT_STRUCT_SIZE)|0))|0;
+            SIMD_float32x4_store(HEAPU8, (jointPtr + f_JOINT_POS_0_OFFSET)|0, pos);
+            SIMD_float32x4_store(HEAPU8, (jointPtr + f_JOINT_ORIENT_0_OFFSET)|0, orient);
+        }
+    }
+    
+    return {
+        asmSkinSIMD: asmSkinSIMD,
+        asmSkinSoA: asmSkinSoA,
+        asmSkinQuantized: asmSkinQuantized,
+        asmComposeJointsSIMD: asmComposeJointsSIMD
+    };
 }
 
+var module, asmSkin, asmGetFrameJoints, asmGetFrameJointsLerp, asmGetLocalJoints,
+    asmBlendLocalJoints, asmComposeJoints;
+var moduleSIMD, asmSkinSIMD, asmSkinSoA, asmSkinQuantized, asmComposeJointsSIMD;
+
+// Links the asm.js modules against buffer, again when shareHeap replaces it
+var stdlib = this;
+var linkModules = function() {
+    module = _asmjsModule(stdlib, {}, buffer);
+    asmSkin = module.asmSkin;
+    asmGetFrameJoints = module.asmGetFrameJoints;
+    asmGetFrameJointsLerp = module.asmGetFrameJointsLerp;
+    asmGetLocalJoints = module.asmGetLocalJoints;
+    asmBlendLocalJoints = module.asmBlendLocalJoints;
+    asmComposeJoints = module.asmComposeJoints;
+    moduleSIMD = _asmjsModuleSIMD(stdlib, {}, buffer);
+    asmSkinSIMD = moduleSIMD.asmSkinSIMD;
+    asmSkinSoA = moduleSIMD.asmSkinSoA;
+    asmSkinQuantized = moduleSIMD.asmSkinQuantized;
+    asmComposeJointsSIMD = moduleSIMD.asmComposeJointsSIMD;
+};
+linkModules();
+
+var getFrameJoints = asmGetFrameJoints;
+var getFrameJointsLerp = asmGetFrameJointsLerp;
+var composeJoints = asmComposeJoints;
+var skin = asmSkin;
+
 define([
     "util/gl-util",
+    "md5-core",
+    "md5-binary",
+    "md5-wasm",
+    "md5-workers",
     "util/gl-matrix-min"
-], function(glUtil) {
+], function(glUtil, Md5Core, Md5Binary, Md5Wasm, Md5Workers) {
 
     "use strict";
 
     var BASE_PATH = "root/"
-    var MAX_WEIGHTS = 6;
+    // Instances of a model with a range of its vertex buffer, the others
+    // draw one of these ranges
+    var MAX_VERTEX_NUM = 10;
 
     var useSIMD = false;
 
     var setSIMD = function(set) {
         useSIMD = set;
-
-        if (useSIMD) {
-            skin = asmSkinSIMD;
+        clearFrameCaches();
+
+        if (useWasm) {
+            skin = (useSIMD && wasm.skinSIMD) || wasm.skin;
+            getFrameJoints = (useSIMD && wasm.getFrameJointsSIMD) || wasm.getFrameJoints;
+        } else if (useSIMD) {
+            skin = useQuantized ? asmSkinQuantized : useSoA ? asmSkinSoA : asmSkinSIMD;
+            getFrameJoints = asmGetFrameJoints;
         } else {
             skin = asmSkin;
+            getFrameJoints = asmGetFrameJoints;
+        }
+    }
+
+    var useSoA = false;
+
+    // Skins four vertices at a time from the weight groups with asmSkinSoA,
+    // instead of one at a time with asmSkinSIMD. Takes effect with
+    // setSIMD(true)
+    var setSoA = function(set) {
+        useSoA = set;
+        setSIMD(useSIMD);
+    }
+
+    var useQuantized = false;
+
+    // Skins from the 16 bit weights with asmSkinQuantized, see
+    // _writeQuantizedWeights. The headers point at them instead of the
+    // weight groups meanwhile, so setSoA waits until it's turned off. Takes
+    // effect with setSIMD(true), and has no wasm version
+    var setQuantized = function(set) {
+        useQuantized = set;
+        for (var key in models) {
+            var instances = models[key].instances;
+            for (var i = 0; i < instances.length; ++i) {
+                if (instances[i]) { instances[i].setWeightLod(instances[i].weightLod); }
+            }
         }
+        setSIMD(useSIMD);
     }
+
+    var useWasm = false;
+    var wasm = null;
+
+    // Skins and gets the frame joints with the WebAssembly modules of
+    // md5-wasm.js instead, their SIMD128 versions with setSIMD(true) where
+    // the browser has SIMD128. setSoA has no wasm version and is ignored
+    // meanwhile. Returns false, staying with asm.js, without WebAssembly
+    var setWasm = function(set) {
+        if (set && !wasm) {
+            if (!memory || !Md5Wasm.isSupported()) {
+                return false;
+            }
+            wasm = Md5Wasm.instantiate(memory);
+        }
+        useWasm = set;
+        setSIMD(useSIMD);
+        return true;
+    }
+
+    // Copies the heap to a shared WebAssembly.Memory and links everything
+    // to that instead, for the worker pool. Returns false, leaving the heap
+    // as it is, where it can't be shared: without SharedArrayBuffer or,
+    // in browsers, on a page that isn't cross origin isolated
+    var shareHeap = function() {
+        if (typeof SharedArrayBuffer === "undefined" || !memory) {
+            return false;
+        }
+        if (buffer instanceof SharedArrayBuffer) {
+            return true;
+        }
+        var shared;
+        try {
+            shared = Md5Wasm.createMemory(HEAP_SIZE, true);
+        } catch (e) {
+            return false;
+        }
+        new Uint8Array(shared.buffer).set(new Uint8Array(buffer));
+        memory = shared;
+        buffer = shared.buffer;
+        linkModules();
+        getFrameJointsLerp = asmGetFrameJointsLerp;
+        wasm = null;
+        setSIMDJoints(useSIMDJoints);
+        setWasm(useWasm);
+        return true;
+    }
+
+    // Starts a Md5Workers.Md5WorkerPool of count workers on the shared heap,
+    // see Md5Mesh.queueAnimationFrame. url is the worker script,
+    // js/md5-worker.js by default. Returns null if the heap can't be shared
+    var createWorkerPool = function(count, url) {
+        if (!Md5Workers.isSupported() || !shareHeap()) {
+            return null;
+        }
+        return new Md5Workers.Md5WorkerPool(memory, heapAlloc, count, url);
+    }
+
+    var useSIMDJoints = false;
+
+    // Composes the joint hierarchy with asmComposeJointsSIMD instead of the
+    // scalar asmGetFrameJoints(Lerp)
+    var setSIMDJoints = function(set) {
+        useSIMDJoints = set;
+        clearFrameCaches();
+
+        if (useSIMDJoints) {
+            composeJoints = asmComposeJointsSIMD;
+        } else {
+            composeJoints = asmComposeJoints;
+        }
+    }
+
+    var useFrameCache = false;
+
+    // Composes the joints of each animation frame once, for all the
+    // instances on it, and skins each pose once per frame drawn: later
+    // instances of the model on the same pose copy the vertices. See
+    // FrameCache, the worker pool doesn't use it
+    var setFrameCache = function(set) {
+        useFrameCache = set;
+        clearFrameCaches();
+    };
+
+    // First fit allocator for the heap. freeBlocks is kept in address order
+    // and merged on free, blocks are HEAP_ALIGN aligned for the SIMD loads.
+    // Pointer 0 is never handed out, the structs use it for none
+    var HEAP_ALIGN = 16;
+    var freeBlocks = [{ptr: HEAP_ALIGN, size: HEAP_SIZE - HEAP_ALIGN}];
+    var blockSizes = {};
+
+    // Thrown when the heap has no free block of size bytes
+    var Md5OutOfMemoryError = function(size) {
+        var stats = heapStats();
+        this.name = "Md5OutOfMemoryError";
+        this.size = size;
+        this.message = "Out of asm heap memory allocating " + size + " bytes: " + stats.free + " of " +
+                       HEAP_SIZE + " bytes free, largest free block " + stats.largestFree + " bytes";
+        this.stack = (new Error(this.message)).stack;
+    };
+
+    Md5OutOfMemoryError.prototype = Object.create(Error.prototype);
+    Md5OutOfMemoryError.prototype.constructor = Md5OutOfMemoryError;
+
+    var heapAlloc = function(size) {
+        size = (Math.max(size, 1) + HEAP_ALIGN - 1) & ~(HEAP_ALIGN - 1);
+        for (var i = 0; i < freeBlocks.length; ++i) {
+            var block = freeBlocks[i];
+            if (block.size >= size) {
+                var ptr = block.ptr;
+                if (block.size == size) {
+                    freeBlocks.splice(i, 1);
+                } else {
+                    block.ptr += size;
+                    block.size -= size;
+                }
+                blockSizes[ptr] = size;
+                return ptr;
+            }
+        }
+        throw new Md5OutOfMemoryError(size);
+    };
+
+    var heapFree = function(ptr) {
+        var size = blockSizes[ptr];
+        if (size === undefined) {
+            throw new Error("Heap pointer " + ptr + " was not allocated or is already freed");
+        }
+        delete blockSizes[ptr];
+
+        var i = 0;
+        while (i < freeBlocks.length && freeBlocks[i].ptr < ptr) { ++i; }
+        var prev = i > 0 ? freeBlocks[i - 1] : null;
+        var next = i < freeBlocks.length ? freeBlocks[i] : null;
+
+        if (prev && prev.ptr + prev.size == ptr) {
+            prev.size += size;
+            if (next && prev.ptr + prev.size == next.ptr) {
+                prev.size += next.size;
+                freeBlocks.splice(i, 1);
+            }
+        } else if (next && ptr + size == next.ptr) {
+            next.ptr = ptr;
+            next.size += size;
+        } else {
+            freeBlocks.splice(i, 0, {ptr: ptr, size: size});
+        }
+    };
+
+    // Bytes free and in use, and the largest block that can be allocated
+    var heapStats = function() {
+        var free = 0;
+        var largestFree = 0;
+        for (var i = 0; i < freeBlocks.length; ++i) {
+            free += freeBlocks[i].size;
+            largestFree = Math.max(largestFree, freeBlocks[i].size);
+        }
+        return {size: HEAP_SIZE, free: free, used: HEAP_SIZE - HEAP_ALIGN - free, largestFree: largestFree};
+    };
     
+    // An instance of a model, any number of them can share one
     var Md5Mesh = function(index) {
         this.simd = false
+        this.model = null;
         this.joints = null;
         this.meshes = null;
         this.pos = vec3.create([0.0, 0.0, 0.0]);
-        this.mesh_texture_loaded = 0;
-        this.end = 0;
         this.index = index;
+        // Place in the model's instances, see MAX_VERTEX_NUM
+        this.slot = -1;
+        // Heap block of this instance: header, vertex array and the local
+        // joints for blending
+        this.ptr = 0;
+        this.headerPtr = 0;
+        this.vertexArrayPtr = 0;
+        this.blendPtr = 0;
         this.anim = null;
+        // Frame (with a fraction when set by time) or blend layers set last
+        this.frame = 0;
+        this.layers = null;
+        // Set by the renderer when out of view, skinning then waits until
+        // the instance is drawn again
+        this.culled = false;
+        this.stale = false;
+        // Accept animations whose joints are only in a different order
+        this.remapJoints = false;
+        // Level of the model's weight LODs skinned with, see setWeightLod
+        this.weightLod = 0;
     }; 
 
+    // .bmd5mesh and .bmd5anim are made by tools/md5-convert.js
+    var isBinary = function(url) {
+        return /\.bmd5(mesh|anim)$/.test(url);
+    };
+
+    // Hands error to errorCallback, or throws it without one, as md5.js does
+    var loadFailed = function(errorCallback, error) {
+        if (!errorCallback) { throw error; }
+        errorCallback(error);
+    };
 
-    var joints = new Array();
-    var meshes = new Array();
+    // Loaded models by url, the ones with _simd textures by url + "#simd"
+    var models = {};
 
-    var hierarchy = new Array();
-    var baseFrame = new Array();
-    var frames = new Array();
+    // Parsed animations by url, each is copied once to the heap, and how
+    // many Md5Anims use them
+    var clips = {};
+    var clipUsers = {};
 
-    Md5Mesh.prototype.load = function(gl, url, callback) {
+    // Downloads the model the first time url is asked for, then adds this
+    // instance of it. errorCallback gets an Error when the model fails to
+    // load or the instance doesn't fit in the heap, later loads try again
+    Md5Mesh.prototype.load = function(gl, url, callback, errorCallback) {
         var self = this;
+        var key = url + (this.simd ? "#simd" : "");
+        var model = models[key];
 
-        if (meshes.length == 0) {
-            var request = new XMLHttpRequest();
-            request.addEventListener("load", function() {
-                self._parse(request.responseText);
-                self._initializeTextures(gl, function() {
-                    self._initializeBuffers(gl);
-                    if(callback) callback(self);
-                });
+        if (!model) {
+            model = models[key] = new Md5Model(this.simd);
+            model.load(gl, url, function() {
+                delete models[key];
             });
-            request.open('GET', BASE_PATH + url, true);
-            request.overrideMimeType('text/plain');
-            request.setRequestHeader('Content-Type', 'text/plain');
-            request.send(null);
-        } else {
-            self._initializeBuffers(gl);
-            if(callback) callback(self);
         }
+        model.ready(function() {
+            self.model = model;
+            self.joints = model.joints;
+            self.meshes = model.meshes;
+            try {
+                self._initializeArrayBuffer();
+            } catch (e) {
+                return loadFailed(errorCallback, e);
+            }
+            if(callback) callback(self);
+        }, errorCallback);
 
         return this;
     };
 
     /*
-     * Md5Mesh
+     * Md5Model
      */
 
-    Md5Mesh.prototype._parse = function(src) {
-        var model = this;
-        var jointsOffset = 0;
-        src.replace(/joints \{([^}]*)\}/m, function($0, jointSrc) {
-            jointSrc.replace(/\"(.+)\"\s(.+) \( (.+) (.+) (.+) \) \( (.+) (.+) (.+) \)/g, function($0, name, parent, x, y, z, ox, oy, oz) {
-                joints.push({
-                    name: name,
-                    parent: parseInt(parent), 
-                    pos: [parseFloat(x), parseFloat(y), parseFloat(z)], 
-                    orient: quat4.calculateW([parseFloat(ox), parseFloat(oy), parseFloat(oz), 0]),
-                });
-            });
-        });
-
-        src.replace(/mesh \{([^}]*)\}/mg, function($0, meshSrc) {
-            var mesh = {
-                shader: '',
-                verts: new Array(),
-                tris: new Array(),
-                weights: new Array(),
-                vertBuffer: null,
-                indexBuffer: null,
-                vertArray: null,
-                elementCount: 0
-            };
-
-            meshSrc.replace(/shader \"(.+)\"/, function($0, shader) {
-                mesh.shader = shader;
-            });
-
-            meshSrc.replace(/vert .+ \( (.+) (.+) \) (.+) (.+)/g, function($0, u, v, weightIndex, weightCount) {
-                mesh.verts.push({
-                    pos: [0, 0, 0],
-                    normal: [0, 0, 0],
-                    tangent: [0, 0, 0],
-                    texCoord: new Float32Array([parseFloat(u), parseFloat(v), 0, 0]),
-                    weight: {
-                        index: parseInt(weightIndex), 
-                        count: parseInt(weightCount)
-                    }
-                });
-            });
+    // What the instances of one url share: the parsed joints and meshes, a
+    // heap block with the model structs, the textures, the index buffer and
+    // a vertex buffer for the first MAX_VERTEX_NUM instances
+    var Md5Model = function(simd) {
+        this.simd = simd;
+        this.joints = null;
+        this.meshes = null;
+        // Binary container, when loaded from a .bmd5mesh
+        this.data = null;
+        this.ptr = 0;
+        // Heap block of the weight groups, see _writeWeightGroups
+        this.weightGroupsPtr = 0;
+        // Heap block of the quantized weights, see _writeQuantizedWeights
+        this.quantizedWeightsPtr = 0;
+        // {maxWeights, ptr, weightGroupsPtr, quantizedWeightsPtr, error} of
+        // each weight LOD, see
+        // _initializeWeightLods
+        this.weightLods = null;
+        // Bytes in the vertex array of one instance
+        this.vertexArraySize = 0;
+        this.vertBuffer = null;
+        this.indexBuffer = null;
+        this.instances = new Array();
+        // Waiting for the model to load and their error callbacks, null
+        // once it has loaded or failed
+        this.callbacks = new Array();
+        this.errorCallbacks = new Array();
+        // Why it failed to load
+        this.error = null;
+    };
 
-            mesh.tris = new Array();
-            meshSrc.replace(/tri .+ (.+) (.+) (.+)/g, function($0, i1, i2, i3) {
-                mesh.tris.push(parseInt(i1));
-                mesh.tris.push(parseInt(i2));
-                mesh.tris.push(parseInt(i3));
-            });
-            mesh.elementCount = mesh.tris.length;
-
-            var weightsOffset = 0;
-            meshSrc.replace(/weight .+ (.+) (.+) \( (.+) (.+) (.+) \)/g, function($0, joint, bias, x, y, z) {
-                mesh.weights.push({
-                    joint: parseInt(joint), 
-                    bias: parseFloat(bias), 
-                    pos: [parseFloat(x), parseFloat(y), parseFloat(z)],
-                    normal: [0, 0, 0],
-                    tangent: [0, 0, 0],
-                });
+    // errorCallback gets the Error when the request, the parse or the heap
+    // allocation fails, before the instances waiting in ready do
+    Md5Model.prototype.load = function(gl, url, errorCallback) {
+        var self = this;
+        var binary = isBinary(url);
+        var request = new XMLHttpRequest();
+        var failed = function(error) {
+            if (errorCallback) { errorCallback(error); }
+            self._fail(error);
+        };
+        request.addEventListener("load", function() {
+            if (request.status >= 400) {
+                return failed(new Error("Loading " + url + " failed with status " + request.status));
+            }
+            try {
+                if (binary) {
+                    self._read(request.response);
+                } else {
+                    self._parse(request.responseText, url);
+                }
+            } catch (e) {
+                return failed(e);
+            }
+            self._initializeTextures(gl, function() {
+                try {
+                    self._initializeBuffers(gl);
+                } catch (e) {
+                    return failed(e);
+                }
+                var callbacks = self.callbacks;
+                self.callbacks = null;
+                self.errorCallbacks = null;
+                for (var i = 0; i < callbacks.length; ++i) {
+                    callbacks[i]();
+                }
             });
-
-            model._compile(mesh);
-
-            meshes.push(mesh);
         });
-    };
-    
-    Md5Mesh.prototype._compile = function(mesh) {
-        var rotatedPos = [0, 0, 0];
-
-        // Calculate transformed vertices in the bind pose
-        for(var i = 0; i < mesh.verts.length; ++i) {
-            var vert = mesh.verts[i];
-
-            vert.pos = [0, 0, 0];
-            for (var j = 0; j < vert.weight.count; ++j) {
-                var weight = mesh.weights[vert.weight.index + j];
-                var joint = joints[weight.joint];
-
-                // Rotate position
-                quat4.multiplyVec3(joint.orient, weight.pos, rotatedPos);
-
-                // Translate position
-                // The sum of all weight biases should be 1.0
-                vert.pos[0] += (joint.pos[0] + rotatedPos[0]) * weight.bias;
-                vert.pos[1] += (joint.pos[1] + rotatedPos[1]) * weight.bias;
-                vert.pos[2] += (joint.pos[2] + rotatedPos[2]) * weight.bias;
-            }
-        }
-
-        // Calculate normals/tangents
-        var a = [0, 0, 0], b = [0, 0, 0];
-        var triNormal = [0, 0, 0];
-        var triTangent = [0, 0, 0];
-        for(var i = 0; i < mesh.tris.length; i+=3) {
-            var vert1 = mesh.verts[mesh.tris[i]];
-            var vert2 = mesh.verts[mesh.tris[i+1]];
-            var vert3 = mesh.verts[mesh.tris[i+2]];
-
-            // Normal
-            vec3.subtract(vert2.pos, vert1.pos, a);
-            vec3.subtract(vert3.pos, vert1.pos, b);
-
-            vec3.cross(b, a, triNormal);
-            vec3.add(vert1.normal, triNormal);
-            vec3.add(vert2.normal, triNormal);
-            vec3.add(vert3.normal, triNormal);
-
-            // Tangent
-            var c2c1t = vert2.texCoord[0] - vert1.texCoord[0];
-            var c2c1b = vert2.texCoord[1] - vert1.texCoord[1];
-            var c3c1t = vert3.texCoord[0] - vert1.texCoord[0];
-            var c3c1b = vert3.texCoord[0] - vert1.texCoord[1];
-
-            triTangent = [c3c1b * a[0] - c2c1b * b[0], c3c1b * a[1] - c2c1b * b[1], c3c1b * a[2] - c2c1b * b[2]];
-            vec3.add(vert1.tangent, triTangent);
-            vec3.add(vert2.tangent, triTangent);
-            vec3.add(vert3.tangent, triTangent);
+        request.addEventListener("error", function() {
+            failed(new Error("Loading " + url + " failed"));
+        });
+        request.open('GET', BASE_PATH + url, true);
+        if (binary) {
+            request.responseType = 'arraybuffer';
+        } else {
+            request.overrideMimeType('text/plain');
+            request.setRequestHeader('Content-Type', 'text/plain');
         }
+        request.send(null);
+    };
 
-        var invOrient = [0, 0, 0, 0];
-        // Get the "weighted" normal and tangent
-        for(var i = 0; i < mesh.verts.length; ++i) {
-            var vert = mesh.verts[i];
-
-            vec3.normalize(vert.normal);
-            vec3.normalize(vert.tangent);
+    // Calls callback once the model is loaded, or errorCallback with the
+    // Error when it fails to
+    Md5Model.prototype.ready = function(callback, errorCallback) {
+        if (this.error) {
+            loadFailed(errorCallback, this.error);
+        } else if (this.callbacks === null) {
+            callback();
+        } else {
+            this.callbacks.push(callback);
+            if (errorCallback) { this.errorCallbacks.push(errorCallback); }
+        }
+    };
 
-            for (var j = 0; j < vert.weight.count; ++j) {
-                var weight = mesh.weights[vert.weight.index + j];
-                if(weight.bias != 0) {
-                    var joint = joints[weight.joint];
+    // Hands error to everyone waiting in ready, or throws it when none of
+    // them has an error callback
+    Md5Model.prototype._fail = function(error) {
+        var errorCallbacks = this.errorCallbacks;
+        this.error = error;
+        this.callbacks = null;
+        this.errorCallbacks = null;
+        if (errorCallbacks.length == 0) {
+            throw error;
+        }
+        for (var i = 0; i < errorCallbacks.length; ++i) {
+            errorCallbacks[i](error);
+        }
+    };
 
-                    // Rotate position
-                    quat4.inverse(joint.orient, invOrient);
-                    quat4.multiplyVec3(invOrient, vert.normal, weight.normal);
-                    quat4.multiplyVec3(invOrient, vert.tangent, weight.tangent);
-                }
-            }
+    Md5Model.prototype._parse = function(src, fileName) {
+        var model = new Md5Core.Md5Mesh();
+        model._parse(src, fileName);
+        this.joints = model.joints;
+        this.meshes = model.meshes;
+        for (var i = 0; i < this.meshes.length; ++i) {
+            this.meshes[i].vertCount = this.meshes[i].verts.length;
         }
     };
+
+    Md5Model.prototype._read = function(data) {
+        this.data = Md5Binary.read(data);
+        this.joints = this.data.info.joints;
+        this.meshes = Md5Binary.readMeshes(this.data);
+    };
     
-    Md5Mesh.prototype._initializeTextures = function(gl, callback) {
-        var self = this;
+    Md5Model.prototype._initializeTextures = function(gl, callback) {
+        var meshes = this.meshes;
         var mesh_texture_loaded = 0;
         for(var i = 0; i < meshes.length; ++i) {
             var mesh = meshes[i];
@@ -956,31 +2096,12 @@ define([
                 }
             });
         }
-
-        if (diffuseMap !== null)
-            return;
-
-        // default
-        diffuseMap = glUtil.createSolidTexture(gl, [200, 200, 200, 255]);
-        specularMap = glUtil.createSolidTexture(gl, [0, 0, 0, 255]);
-        normalMap = glUtil.createSolidTexture(gl, [0, 0, 255, 255]);
-
-        var shader = 'models/monsters/hellknight/hellknight';
-        glUtil.loadTexture(gl, BASE_PATH + shader + '.png', function(texture) {
-            diffuseMap = texture;
-            glUtil.loadTexture(gl, BASE_PATH + shader + '_s.png', function(texture) {
-                specularMap = texture;
-                glUtil.loadTexture(gl, BASE_PATH + shader + '_local.png', function(texture) {
-                    normalMap = texture;
-                });
-            });
-        });
     };
     
     // Finds the meshes texures
     // Confession: Okay, so this function is a big giant cheat... 
     // but have you SEEN how those mtr files are structured?
-    Md5Mesh.prototype._loadMeshTextures = function(gl, mesh, callback) {
+    Md5Model.prototype._loadMeshTextures = function(gl, mesh, callback) {
         // Attempt to load actual textures
         var simd = '';
         if (this.simd)
@@ -1000,10 +2121,11 @@ define([
     // Memory Layout
     var HEAP_BASE = 0;
     // Header
-    var HEADER_SIZE = 12;
+    var HEADER_SIZE = 16;
     var i_MODEL_STRUCT_PTR_OFFSET = 0;
     var i_VERT_ARRAY_PTR_OFFSET = 4;
     var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+    var i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET = 12;
     
     // Model struct
     var MODEL_STRUCT_SIZE = 16;
@@ -1090,26 +2212,106 @@ define([
     var FRAME_STRUCT_SIZE = 4;
     var f_FRAME_VALUE_OFFSET = 0;
 
-    var MESH_MEMORY_SIZE = 302556;
+    // Weight groups struct, one per mesh in the order of the model's, for
+    // asmSkinSoA. The vertices go in groups of four
+    var WEIGHT_GROUPS_STRUCT_SIZE = 16;
+    var i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET = 0;
+    var i_WEIGHT_GROUPS_VERTS_LENGTH_OFFSET = 4;
+    var i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET = 8;
+    var i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET = 12;
+
+    // Group struct, as many slots as its vertex with the most weights, and
+    // the texCoords of the four vertices
+    var GROUP_STRUCT_SIZE = 48;
+    var i_GROUP_SLOTS_PTR_OFFSET = 0;
+    var i_GROUP_SLOTS_LENGTH_OFFSET = 4;
+    var i_GROUP_VERTS_LENGTH_OFFSET = 8;
+    var f_GROUP_TEXCOORD_0_OFFSET = 16;
+    var f_GROUP_TEXCOORD_1_OFFSET = 32;
+
+    // Slot struct, a weight of each of the four vertices, bias 0 where a
+    // vertex has fewer
+    var SLOT_STRUCT_SIZE = 176;
+    var i_SLOT_JOINT_INDEX_OFFSET = 0;
+    var f_SLOT_BIAS_OFFSET = 16;
+    var f_SLOT_POS_0_OFFSET = 32;
+    var f_SLOT_POS_1_OFFSET = 48;
+    var f_SLOT_POS_2_OFFSET = 64;
+    var f_SLOT_NORMAL_0_OFFSET = 80;
+    var f_SLOT_NORMAL_1_OFFSET = 96;
+    var f_SLOT_NORMAL_2_OFFSET = 112;
+    var f_SLOT_TANGENT_0_OFFSET = 128;
+    var f_SLOT_TANGENT_1_OFFSET = 144;
+    var f_SLOT_TANGENT_2_OFFSET = 160;
+
+    // Quantized weights struct, one per mesh in the order of the model's,
+    // for asmSkinQuantized
+    var QUANTIZED_WEIGHTS_STRUCT_SIZE = 16;
+    var i_QUANTIZED_WEIGHTS_PTR_OFFSET = 0;
+    var f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET = 4;
+
+    // Quantized weight struct, see the asm.js module
+    var QWEIGHT_STRUCT_SIZE = 24;
+    var s_QWEIGHT_POS_0_OFFSET = 0;
+    var s_QWEIGHT_POS_1_OFFSET = 2;
+    var s_QWEIGHT_POS_2_OFFSET = 4;
+    var s_QWEIGHT_JOINT_INDEX_OFFSET = 6;
+    var s_QWEIGHT_NORMAL_0_OFFSET = 8;
+    var s_QWEIGHT_NORMAL_1_OFFSET = 10;
+    var s_QWEIGHT_NORMAL_2_OFFSET = 12;
+    var b_QWEIGHT_BIAS_OFFSET = 14;
+    var s_QWEIGHT_TANGENT_0_OFFSET = 16;
+    var s_QWEIGHT_TANGENT_1_OFFSET = 18;
+    var s_QWEIGHT_TANGENT_2_OFFSET = 20;
+    // What the loads of the last weight of a mesh read past it
+    var QWEIGHT_PADDING = 8;
+
+    var align = function(size) {
+        return (size + HEAP_ALIGN - 1) & ~(HEAP_ALIGN - 1);
+    };
 
-    Md5Mesh.prototype._initializeArrayBuffer = function() {
+    // Bytes of the model structs, as Md5Model._writeStructs writes them
+    var modelSize = function(model) {
+        var meshes = model.meshes;
+        var joints = model.joints;
+        if (model.data !== null) {
+            return model.data.image.length;
+        }
+        var size = MODEL_STRUCT_SIZE + MESH_STRUCT_SIZE * meshes.length + JOINT_STRUCT_SIZE * joints.length;
+        for (var i = 0; i < meshes.length; ++i) {
+            size += VERT_STRUCT_SIZE * meshes[i].verts.length + WEIGHT_STRUCT_SIZE * meshes[i].weights.length;
+        }
+        return size;
+    };
+
+    // Bytes of the animation structs, as writeAnimation writes them
+    var animationSize = function(anim) {
+        if (anim.data) {
+            return anim.data.image.length;
+        }
+        var size = ANIMATION_STRUCT_SIZE + HIERARCHY_STRUCT_SIZE * anim.hierarchy.length +
+                   BASEFRAME_STRUCT_SIZE * anim.baseFrame.length + FRAMES_STRUCT_SIZE * anim.frames.length;
+        for (var i = 0; i < anim.frames.length; ++i) {
+            size += FRAME_STRUCT_SIZE * anim.frames[i].length;
+        }
+        return size;
+    };
+
+    // Writes the model structs at model_ptr
+    Md5Model.prototype._writeStructs = function(model_ptr) {
         var HEAPF32 = new Float32Array(buffer);
         var HEAP32 = new Int32Array(buffer);
-        var model = this;
-        var numOfVerts = 0;
-        var ptr = HEAP_BASE + this.index * MESH_MEMORY_SIZE;
-        
-        // Allocate Header
-        var header_ptr = ptr;
-        ptr += HEADER_SIZE;
-        HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = 0;
-        var vertex_array_ptr = VERTEX_MEMORY_BASE + this.index * VERTEX_MEMORY_SIZE;
-        HEAP32[(header_ptr + i_VERT_ARRAY_PTR_OFFSET)>>2] = vertex_array_ptr
-        HEAP32[(header_ptr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = 0;
+        var meshes = this.meshes;
+        var joints = this.joints;
+
+        if (this.data !== null) {
+            // Precompiled, copy the structs as they are
+            Md5Binary.copyToHeap(this.data, buffer, model_ptr);
+            return;
+        }
+
         // Allocate Model struct
-        HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = ptr;
-        var model_ptr = ptr;
-        ptr += MODEL_STRUCT_SIZE;
+        var ptr = model_ptr + MODEL_STRUCT_SIZE;
         HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2] = 0;
         HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2] = meshes.length;
         HEAP32[(model_ptr + i_MODEL_JOINTS_PTR_OFFSET)>>2] = 0;
@@ -1133,7 +2335,6 @@ define([
            HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_PTR_OFFSET)>>2] = ptr;
            ptr += VERT_STRUCT_SIZE * mesh.verts.length;
             for(var j = 0; j < mesh.verts.length; ++j) {
-                numOfVerts++;
                 var vert = mesh.verts[j];
                 HEAPF32[(verts_array_ptr + j * VERT_STRUCT_SIZE + f_VERT_TEXCOORD_0_OFFSET)>>2] = vert.texCoord[0];
                 HEAPF32[(verts_array_ptr + j * VERT_STRUCT_SIZE + f_VERT_TEXCOORD_1_OFFSET)>>2] = vert.texCoord[1];
@@ -1178,16 +2379,404 @@ define([
             HEAPF32[(joints_ptr + i * JOINT_STRUCT_SIZE + f_JOINT_ORIENT_2_OFFSET)>>2] = joint.orient[2];
             HEAPF32[(joints_ptr + i * JOINT_STRUCT_SIZE + f_JOINT_ORIENT_3_OFFSET)>>2] = joint.orient[3];
         }
-        
-        var animation_ptr = ptr;
-        HEAP32[(header_ptr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = ptr;
+    };
+
+    // Weight slots of the group of four vertices from first, as many as the
+    // one with the most weights
+    var groupSlots = function(HEAP32, vertsPtr, vertsLength, first) {
+        var slots = 0;
+        for (var lane = 0; lane < 4 && first + lane < vertsLength; ++lane) {
+            var vertPtr = vertsPtr + (first + lane) * VERT_STRUCT_SIZE;
+            slots = Math.max(slots, HEAP32[(vertPtr + i_VERT_WEIGHT_COUNT_OFFSET)>>2]);
+        }
+        return slots;
+    };
+
+    // Bytes of the weight groups of the model structs at model_ptr
+    var weightGroupsSize = function(model_ptr) {
+        var HEAP32 = new Int32Array(buffer);
+        var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+        var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+        var size = WEIGHT_GROUPS_STRUCT_SIZE * meshesLength;
+        for (var i = 0; i < meshesLength; ++i) {
+            var vertsPtr = HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_PTR_OFFSET)>>2];
+            var vertsLength = HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+            for (var j = 0; j < vertsLength; j += 4) {
+                size += GROUP_STRUCT_SIZE + SLOT_STRUCT_SIZE * groupSlots(HEAP32, vertsPtr, vertsLength, j);
+            }
+        }
+        return size;
+    };
+
+    // Slot component and the weight struct component it's copied from
+    var SLOT_WEIGHT_OFFSETS = [
+        [f_SLOT_BIAS_OFFSET, f_WEIGHT_BIAS_OFFSET],
+        [f_SLOT_POS_0_OFFSET, f_WEIGHT_POS_0_OFFSET],
+        [f_SLOT_POS_1_OFFSET, f_WEIGHT_POS_1_OFFSET],
+        [f_SLOT_POS_2_OFFSET, f_WEIGHT_POS_2_OFFSET],
+        [f_SLOT_NORMAL_0_OFFSET, f_WEIGHT_NORMAL_0_OFFSET],
+        [f_SLOT_NORMAL_1_OFFSET, f_WEIGHT_NORMAL_1_OFFSET],
+        [f_SLOT_NORMAL_2_OFFSET, f_WEIGHT_NORMAL_2_OFFSET],
+        [f_SLOT_TANGENT_0_OFFSET, f_WEIGHT_TANGENT_0_OFFSET],
+        [f_SLOT_TANGENT_1_OFFSET, f_WEIGHT_TANGENT_1_OFFSET],
+        [f_SLOT_TANGENT_2_OFFSET, f_WEIGHT_TANGENT_2_OFFSET]
+    ];
+
+    // Writes the weights of the model structs again at groups_ptr, in the
+    // structure of arrays layout of asmSkinSoA. Works from the structs, so
+    // the same for parsed and precompiled models. model_ptr is one of the
+    // weight LODs' instead of the model's when given
+    Md5Model.prototype._writeWeightGroups = function(groups_ptr, model_ptr) {
+        var HEAPF32 = new Float32Array(buffer);
+        var HEAP32 = new Int32Array(buffer);
+        if (!model_ptr) { model_ptr = this.ptr; }
+        var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+        var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+
+        // Missing weights and texCoords stay 0
+        var size = weightGroupsSize(model_ptr);
+        for (var i = 0; i < size; i += 4) {
+            HEAP32[(groups_ptr + i)>>2] = 0;
+        }
+
+        var ptr = groups_ptr + WEIGHT_GROUPS_STRUCT_SIZE * meshesLength;
+        for (var i = 0; i < meshesLength; ++i) {
+            var mesh_ptr = meshes_ptr + i * MESH_STRUCT_SIZE;
+            var weight_groups_ptr = groups_ptr + i * WEIGHT_GROUPS_STRUCT_SIZE;
+            var vertsPtr = HEAP32[(mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2];
+            var vertsLength = HEAP32[(mesh_ptr + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+            var weightsPtr = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2];
+            var groupsLength = Math.ceil(vertsLength / 4);
+
+            HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_VERT_OFFSET_OFFSET)>>2] = HEAP32[(mesh_ptr + i_MESH_VERT_OFFSET_OFFSET)>>2];
+            HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_VERTS_LENGTH_OFFSET)>>2] = vertsLength;
+            HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_GROUPS_PTR_OFFSET)>>2] = ptr;
+            HEAP32[(weight_groups_ptr + i_WEIGHT_GROUPS_GROUPS_LENGTH_OFFSET)>>2] = groupsLength;
+
+            // Allocate group array of mesh
+            var groups_array_ptr = ptr;
+            ptr += GROUP_STRUCT_SIZE * groupsLength;
+            for (var j = 0; j < groupsLength; ++j) {
+                var group_ptr = groups_array_ptr + j * GROUP_STRUCT_SIZE;
+                var slots = groupSlots(HEAP32, vertsPtr, vertsLength, j * 4);
+                var lanes = Math.min(4, vertsLength - j * 4);
+                HEAP32[(group_ptr + i_GROUP_SLOTS_PTR_OFFSET)>>2] = ptr;
+                HEAP32[(group_ptr + i_GROUP_SLOTS_LENGTH_OFFSET)>>2] = slots;
+                HEAP32[(group_ptr + i_GROUP_VERTS_LENGTH_OFFSET)>>2] = lanes;
+
+                // Allocate slot array of group
+                var slots_ptr = ptr;
+                ptr += SLOT_STRUCT_SIZE * slots;
+                for (var lane = 0; lane < lanes; ++lane) {
+                    var vert_ptr = vertsPtr + (j * 4 + lane) * VERT_STRUCT_SIZE;
+                    var weightIndex = HEAP32[(vert_ptr + i_VERT_WEIGHT_INDEX_OFFSET)>>2];
+                    var weightCount = HEAP32[(vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2];
+                    HEAPF32[(group_ptr + f_GROUP_TEXCOORD_0_OFFSET + lane * 4)>>2] = HEAPF32[(vert_ptr + f_VERT_TEXCOORD_0_OFFSET)>>2];
+                    HEAPF32[(group_ptr + f_GROUP_TEXCOORD_1_OFFSET + lane * 4)>>2] = HEAPF32[(vert_ptr + f_VERT_TEXCOORD_1_OFFSET)>>2];
+
+                    for (var k = 0; k < weightCount; ++k) {
+                        var slot_ptr = slots_ptr + k * SLOT_STRUCT_SIZE;
+                        var weight_ptr = weightsPtr + (weightIndex + k) * WEIGHT_STRUCT_SIZE;
+                        HEAP32[(slot_ptr + i_SLOT_JOINT_INDEX_OFFSET + lane * 4)>>2] = HEAP32[(weight_ptr + i_WEIGHT_JOINT_INDEX_OFFSET)>>2];
+                        for (var n = 0; n < SLOT_WEIGHT_OFFSETS.length; ++n) {
+                            HEAPF32[(slot_ptr + SLOT_WEIGHT_OFFSETS[n][0] + lane * 4)>>2] =
+                                HEAPF32[(weight_ptr + SLOT_WEIGHT_OFFSETS[n][1])>>2];
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    // Bytes of the quantized weights of the model structs at model_ptr
+    var quantizedWeightsSize = function(model_ptr) {
+        var HEAP32 = new Int32Array(buffer);
+        var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+        var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+        var size = align(QUANTIZED_WEIGHTS_STRUCT_SIZE * meshesLength);
+        for (var i = 0; i < meshesLength; ++i) {
+            var weightsLength = HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2];
+            size += align(QWEIGHT_STRUCT_SIZE * weightsLength + QWEIGHT_PADDING);
+        }
+        return size;
+    };
+
+    // Rounds the biases of a vertex to 255ths, the largest remainders up,
+    // so they still add up to their sum
+    var quantizeBiases = function(biases) {
+        var total = 0;
+        var quantized = new Array();
+        var sum = 0;
+        for (var k = 0; k < biases.length; ++k) {
+            total += biases[k];
+            quantized.push(Math.floor(biases[k] * 255));
+            sum += quantized[k];
+        }
+        var target = Math.min(Math.round(total * 255), 255 * biases.length);
+        while (sum < target) {
+            var best = 0;
+            for (var k = 1; k < biases.length; ++k) {
+                if (biases[k] * 255 - quantized[k] > biases[best] * 255 - quantized[best]) { best = k; }
+            }
+            ++quantized[best];
+            ++sum;
+        }
+        return quantized;
+    };
+
+    // Writes the weights of the model structs at model_ptr again at q_ptr,
+    // in the 16 bit layout of asmSkinQuantized. Positions are scaled to the
+    // largest component of the mesh's. Works from the structs like
+    // _writeWeightGroups
+    Md5Model.prototype._writeQuantizedWeights = function(q_ptr, model_ptr) {
+        var HEAPF32 = new Float32Array(buffer);
+        var HEAP32 = new Int32Array(buffer);
+        var HEAP16 = new Int16Array(buffer);
+        var HEAPU8 = new Uint8Array(buffer);
+        if (!model_ptr) { model_ptr = this.ptr; }
+        var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+        var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+        var toInt16 = function(value) {
+            return Math.max(-32767, Math.min(32767, Math.round(value)));
+        };
+
+        HEAPU8.fill(0, q_ptr, q_ptr + quantizedWeightsSize(model_ptr));
+        var ptr = q_ptr + align(QUANTIZED_WEIGHTS_STRUCT_SIZE * meshesLength);
+        for (var i = 0; i < meshesLength; ++i) {
+            var mesh_ptr = meshes_ptr + i * MESH_STRUCT_SIZE;
+            var quantized_ptr = q_ptr + i * QUANTIZED_WEIGHTS_STRUCT_SIZE;
+            var vertsPtr = HEAP32[(mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2];
+            var vertsLength = HEAP32[(mesh_ptr + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+            var weightsPtr = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2];
+            var weightsLength = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2];
+
+            var largest = 0;
+            for (var j = 0; j < weightsLength; ++j) {
+                var weight_ptr = weightsPtr + j * WEIGHT_STRUCT_SIZE;
+                largest = Math.max(largest, Math.abs(HEAPF32[(weight_ptr + f_WEIGHT_POS_0_OFFSET)>>2]),
+                                   Math.abs(HEAPF32[(weight_ptr + f_WEIGHT_POS_1_OFFSET)>>2]),
+                                   Math.abs(HEAPF32[(weight_ptr + f_WEIGHT_POS_2_OFFSET)>>2]));
+            }
+            var scale = largest > 0 ? largest / 32767 : 1;
+            HEAP32[(quantized_ptr + i_QUANTIZED_WEIGHTS_PTR_OFFSET)>>2] = ptr;
+            HEAPF32[(quantized_ptr + f_QUANTIZED_WEIGHTS_POS_SCALE_OFFSET)>>2] = scale;
+
+            // Allocate quantized weight array of mesh
+            var weights_array_ptr = ptr;
+            ptr += align(QWEIGHT_STRUCT_SIZE * weightsLength + QWEIGHT_PADDING);
+            for (var j = 0; j < weightsLength; ++j) {
+                var weight_ptr = weightsPtr + j * WEIGHT_STRUCT_SIZE;
+                var qweight_ptr = weights_array_ptr + j * QWEIGHT_STRUCT_SIZE;
+                HEAP16[(qweight_ptr + s_QWEIGHT_POS_0_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_POS_0_OFFSET)>>2] / scale);
+                HEAP16[(qweight_ptr + s_QWEIGHT_POS_1_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_POS_1_OFFSET)>>2] / scale);
+                HEAP16[(qweight_ptr + s_QWEIGHT_POS_2_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_POS_2_OFFSET)>>2] / scale);
+                HEAP16[(qweight_ptr + s_QWEIGHT_JOINT_INDEX_OFFSET)>>1] = HEAP32[(weight_ptr + i_WEIGHT_JOINT_INDEX_OFFSET)>>2];
+                HEAP16[(qweight_ptr + s_QWEIGHT_NORMAL_0_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_0_OFFSET)>>2] * 32767);
+                HEAP16[(qweight_ptr + s_QWEIGHT_NORMAL_1_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_1_OFFSET)>>2] * 32767);
+                HEAP16[(qweight_ptr + s_QWEIGHT_NORMAL_2_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_2_OFFSET)>>2] * 32767);
+                HEAP16[(qweight_ptr + s_QWEIGHT_TANGENT_0_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_0_OFFSET)>>2] * 32767);
+                HEAP16[(qweight_ptr + s_QWEIGHT_TANGENT_1_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_1_OFFSET)>>2] * 32767);
+                HEAP16[(qweight_ptr + s_QWEIGHT_TANGENT_2_OFFSET)>>1] = toInt16(HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_2_OFFSET)>>2] * 32767);
+            }
+
+            // The biases a vertex at a time, so each adds up like before
+            for (var j = 0; j < vertsLength; ++j) {
+                var vert_ptr = vertsPtr + j * VERT_STRUCT_SIZE;
+                var weightIndex = HEAP32[(vert_ptr + i_VERT_WEIGHT_INDEX_OFFSET)>>2];
+                var weightCount = HEAP32[(vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2];
+                var biases = new Array();
+                for (var k = 0; k < weightCount; ++k) {
+                    biases.push(HEAPF32[(weightsPtr + (weightIndex + k) * WEIGHT_STRUCT_SIZE + f_WEIGHT_BIAS_OFFSET)>>2]);
+                }
+                biases = quantizeBiases(biases);
+                for (var k = 0; k < weightCount; ++k) {
+                    HEAPU8[weights_array_ptr + (weightIndex + k) * QWEIGHT_STRUCT_SIZE + b_QWEIGHT_BIAS_OFFSET] = biases[k];
+                }
+            }
+        }
+    };
+
+    // The weights to keep of the vertex at vert_ptr at a weight LOD of
+    // maxWeights, as indices in the mesh's weights, and the factor scaling
+    // their biases back up to the sum of all of them (see
+    // Md5Core.topWeights)
+    var keptWeights = function(HEAPF32, HEAP32, vert_ptr, weights_ptr, maxWeights) {
+        var weightIndex = HEAP32[(vert_ptr + i_VERT_WEIGHT_INDEX_OFFSET)>>2];
+        var weightCount = HEAP32[(vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2];
+        var biases = new Array();
+        var total = 0;
+        for (var k = 0; k < weightCount; ++k) {
+            biases.push(HEAPF32[(weights_ptr + (weightIndex + k) * WEIGHT_STRUCT_SIZE + f_WEIGHT_BIAS_OFFSET)>>2]);
+            total += biases[k];
+        }
+        var kept = Md5Core.topWeights(biases, maxWeights);
+        var sum = 0;
+        for (var k = 0; k < kept.length; ++k) {
+            sum += biases[kept[k]];
+            kept[k] += weightIndex;
+        }
+        return {indices: kept, scale: (kept.length < weightCount && sum > 0) ? total / sum : 1};
+    };
+
+    // Bytes of the weight LOD of maxWeights of the model structs at
+    // model_ptr, as writeWeightLod writes it
+    var weightLodSize = function(model_ptr, maxWeights) {
+        var HEAP32 = new Int32Array(buffer);
+        var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+        var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+        var size = MODEL_STRUCT_SIZE + MESH_STRUCT_SIZE * meshesLength;
+        for (var i = 0; i < meshesLength; ++i) {
+            var vertsPtr = HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_PTR_OFFSET)>>2];
+            var vertsLength = HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+            size += VERT_STRUCT_SIZE * vertsLength;
+            for (var j = 0; j < vertsLength; ++j) {
+                var weightCount = HEAP32[(vertsPtr + j * VERT_STRUCT_SIZE + i_VERT_WEIGHT_COUNT_OFFSET)>>2];
+                size += WEIGHT_STRUCT_SIZE * Math.min(weightCount, maxWeights);
+            }
+        }
+        return size;
+    };
+
+    // Writes a copy of the model structs at model_ptr to lod_ptr with no
+    // more than maxWeights weights per vertex. It points at the same joints,
+    // so the frame joints of either skin both. Works from the structs like
+    // _writeWeightGroups
+    var writeWeightLod = function(model_ptr, lod_ptr, maxWeights) {
+        var HEAPF32 = new Float32Array(buffer);
+        var HEAP32 = new Int32Array(buffer);
+        var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+        var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+
+        HEAP32.copyWithin(lod_ptr>>2, model_ptr>>2, (model_ptr + MODEL_STRUCT_SIZE)>>2);
+        var ptr = lod_ptr + MODEL_STRUCT_SIZE;
+        var lod_meshes_ptr = ptr;
+        HEAP32[(lod_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2] = lod_meshes_ptr;
+        ptr += MESH_STRUCT_SIZE * meshesLength;
+
+        for (var i = 0; i < meshesLength; ++i) {
+            var mesh_ptr = meshes_ptr + i * MESH_STRUCT_SIZE;
+            var lod_mesh_ptr = lod_meshes_ptr + i * MESH_STRUCT_SIZE;
+            var vertsPtr = HEAP32[(mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2];
+            var vertsLength = HEAP32[(mesh_ptr + i_MESH_VERTS_LENGTH_OFFSET)>>2];
+            var weightsPtr = HEAP32[(mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2];
+            HEAP32.copyWithin(lod_mesh_ptr>>2, mesh_ptr>>2, (mesh_ptr + MESH_STRUCT_SIZE)>>2);
+
+            // Allocate vert array of mesh, the weights follow it
+            var verts_array_ptr = ptr;
+            HEAP32[(lod_mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2] = verts_array_ptr;
+            ptr += VERT_STRUCT_SIZE * vertsLength;
+            var weights_array_ptr = ptr;
+            HEAP32[(lod_mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2] = weights_array_ptr;
+
+            var weightsLength = 0;
+            for (var j = 0; j < vertsLength; ++j) {
+                var vert_ptr = vertsPtr + j * VERT_STRUCT_SIZE;
+                var lod_vert_ptr = verts_array_ptr + j * VERT_STRUCT_SIZE;
+                var kept = keptWeights(HEAPF32, HEAP32, vert_ptr, weightsPtr, maxWeights);
+                HEAP32.copyWithin(lod_vert_ptr>>2, vert_ptr>>2, (vert_ptr + VERT_STRUCT_SIZE)>>2);
+                HEAP32[(lod_vert_ptr + i_VERT_WEIGHT_INDEX_OFFSET)>>2] = weightsLength;
+                HEAP32[(lod_vert_ptr + i_VERT_WEIGHT_COUNT_OFFSET)>>2] = kept.indices.length;
+
+                for (var k = 0; k < kept.indices.length; ++k) {
+                    var weight_ptr = weightsPtr + kept.indices[k] * WEIGHT_STRUCT_SIZE;
+                    var lod_weight_ptr = weights_array_ptr + weightsLength * WEIGHT_STRUCT_SIZE;
+                    HEAP32.copyWithin(lod_weight_ptr>>2, weight_ptr>>2, (weight_ptr + WEIGHT_STRUCT_SIZE)>>2);
+                    HEAPF32[(lod_weight_ptr + f_WEIGHT_BIAS_OFFSET)>>2] *= kept.scale;
+                    ++weightsLength;
+                }
+            }
+            HEAP32[(lod_mesh_ptr + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2] = weightsLength;
+            ptr += WEIGHT_STRUCT_SIZE * weightsLength;
+        }
+    };
+
+    // Writes the weight LODs of Md5Core.WEIGHT_LODS, with their weight
+    // groups, the first time an instance asks for one. They stay until the
+    // page goes, like the model's structs
+    Md5Model.prototype._initializeWeightLods = function() {
+        if (this.weightLods !== null) {
+            return this.weightLods;
+        }
+        this.weightLods = new Array();
+        for (var i = 0; i < Md5Core.WEIGHT_LODS.length; ++i) {
+            var maxWeights = Md5Core.WEIGHT_LODS[i];
+            var ptr = heapAlloc(weightLodSize(this.ptr, maxWeights));
+            writeWeightLod(this.ptr, ptr, maxWeights);
+            var groupsPtr = heapAlloc(weightGroupsSize(ptr));
+            this._writeWeightGroups(groupsPtr, ptr);
+            var quantizedPtr = heapAlloc(quantizedWeightsSize(ptr));
+            this._writeQuantizedWeights(quantizedPtr, ptr);
+            this.weightLods.push({maxWeights: maxWeights, ptr: ptr, weightGroupsPtr: groupsPtr,
+                                  quantizedWeightsPtr: quantizedPtr, error: 0});
+        }
+        return this.weightLods;
+    };
+
+    // Allocates the instance's block and points its header at the model
+    Md5Mesh.prototype._initializeArrayBuffer = function() {
+        var HEAP32 = new Int32Array(buffer);
+        var model = this.model;
+
+        // One block for the instance, 2 sets of local joints for blending
+        var headerSize = align(HEADER_SIZE);
+        var vertexArraySize = align(model.vertexArraySize);
+        var blendSize = JOINT_STRUCT_SIZE * model.joints.length;
+        this.ptr = heapAlloc(headerSize + vertexArraySize + 2 * blendSize);
+        this.headerPtr = this.ptr;
+        this.vertexArrayPtr = this.ptr + headerSize;
+        this.blendPtr = this.vertexArrayPtr + vertexArraySize;
+
+        HEAP32[(this.headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = model.ptr;
+        HEAP32[(this.headerPtr + i_VERT_ARRAY_PTR_OFFSET)>>2] = this.vertexArrayPtr;
+        HEAP32[(this.headerPtr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = 0;
+        HEAP32[(this.headerPtr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = useQuantized ? model.quantizedWeightsPtr : model.weightGroupsPtr;
+
+        // Take the first free place
+        var slot = 0;
+        while (model.instances[slot]) { ++slot; }
+        model.instances[slot] = this;
+        this.slot = slot;
+    };
+
+    // Returns the instance's block to the heap, it can't be animated or
+    // drawn afterwards. The model stays loaded for other instances and
+    // animations are freed on their own, see Md5Anim.free
+    Md5Mesh.prototype.free = function() {
+        if (!this.ptr) { return; }
+        heapFree(this.ptr);
+        this.model.instances[this.slot] = null;
+        this.slot = -1;
+        this.ptr = 0;
+        this.headerPtr = 0;
+        this.vertexArrayPtr = 0;
+        this.blendPtr = 0;
     };
     
+    // Points the instance's header at the animation's structs
     Md5Mesh.prototype._initializeArrayBufferForAnimation = function(anim) {
+        var HEAP32 = new Int32Array(buffer);
+        if (!anim.ptr) { allocAnimation(anim); }
+        HEAP32[(this.headerPtr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2] = anim.ptr;
+    };
+
+    // Copies anim to a block of its own, sets and returns anim.ptr
+    var allocAnimation = function(anim) {
+        anim.ptr = heapAlloc(animationSize(anim));
+        writeAnimation(anim, anim.ptr);
+        return anim.ptr;
+    };
+
+    // Writes the animation struct at anim_ptr, returns the end of it
+    var writeAnimation = function(anim, anim_ptr) {
+        if (anim.data) {
+            return Md5Binary.copyToHeap(anim.data, buffer, anim_ptr);
+        }
+
         var HEAP32 = new Int32Array(buffer);
         var HEAPF32 = new Float32Array(buffer);
-        var header_ptr = HEAP_BASE + this.index * MESH_MEMORY_SIZE;
-        var anim_ptr = HEAP32[(header_ptr + i_ANIMATION_STRUCT_PTR_OFFSET)>>2];
+        var hierarchy = anim.hierarchy;
+        var baseFrame = anim.baseFrame;
+        var frames = anim.frames;
         var ptr = 0;
 
         // Allocate Animation struct
@@ -1240,16 +2829,20 @@ define([
                 HEAPF32[(frames_ptr + j * FRAME_STRUCT_SIZE + f_FRAME_VALUE_OFFSET)>>2] = f[j];       
             }
         }
-        this.end = ptr;
+        return ptr;
     };
 
+    // Throws a Md5Core.Md5CompatibilityError if anim doesn't fit the model's
+    // joints, set remapJoints to accept it in a different joint order
     Md5Mesh.prototype.setAnimation = function(anim) {
+        anim = bindAnimation(this.joints, anim, this.remapJoints);
         this.anim = anim;
         this._initializeArrayBufferForAnimation(anim);
     };
         
-    // Creates the model's gl buffers and populates them with the bind-pose mesh
-    Md5Mesh.prototype._initializeBuffers = function(gl) {
+    // Writes the model structs to the heap and creates the gl buffers
+    Md5Model.prototype._initializeBuffers = function(gl) {
+        var meshes = this.meshes;
         var i;
         
         var vertBufferLength = 0;
@@ -1257,48 +2850,472 @@ define([
         for(i = 0; i < meshes.length; ++i) {
             var mesh = meshes[i];
             mesh.offset = vertBufferLength;
-            vertBufferLength += VERTEX_ELEMENTS * mesh.verts.length;
+            vertBufferLength += VERTEX_ELEMENTS * mesh.vertCount;
             
             mesh.indexOffset = indexBufferLength;
             indexBufferLength += mesh.elementCount;
         } 
+        this.vertexArraySize = vertBufferLength * 4;
 
-        this._initializeArrayBuffer();
+        this.ptr = heapAlloc(modelSize(this));
+        this._writeStructs(this.ptr);
+        this.weightGroupsPtr = heapAlloc(weightGroupsSize(this.ptr));
+        this._writeWeightGroups(this.weightGroupsPtr);
+        this.quantizedWeightsPtr = heapAlloc(quantizedWeightsSize(this.ptr));
+        this._writeQuantizedWeights(this.quantizedWeightsPtr);
 
         // Fill the index buffer
-        if (indexBuffer === null) {
-            indexArray = new Uint16Array(indexBufferLength);
-            for(i = 0; i < meshes.length; ++i) {
-                var mesh = meshes[i];
-                indexArray.set(mesh.tris, mesh.indexOffset);
+        var indexArray = new Uint16Array(indexBufferLength);
+        for(i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            indexArray.set(mesh.tris, mesh.indexOffset);
+        }
+        this.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexArray, gl.STATIC_DRAW);
+
+        this.vertBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, MAX_VERTEX_NUM * this.vertexArraySize, gl.STATIC_DRAW);
+    };
+
+    // Uploads the skinned vertices of the instances with a range of the
+    // vertex buffer
+    Md5Model.prototype.bindVertexBuffer = function(gl) {
+        var vertexArraySize = this.vertexArraySize;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
+        for (var i = 0; i < MAX_VERTEX_NUM; ++i) {
+            var instance = this.instances[i];
+            if (instance) {
+                var vertArray = new Float32Array(buffer, instance.vertexArrayPtr, vertexArraySize >> 2);
+                gl.bufferSubData(gl.ARRAY_BUFFER, i * vertexArraySize, vertArray);
             }
-            indexBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexArray, gl.STATIC_DRAW);
         }
     };
 
-    
+    // Uploads the skinned vertices of every loaded model, once per frame
+    var bindVertexBuffers = function(gl) {
+        for (var key in frameCaches) {
+            frameCaches[key].nextFrame();
+        }
+        for (var key in models) {
+            if (models[key].vertBuffer !== null) {
+                models[key].bindVertexBuffer(gl);
+            }
+        }
+    };
+
+    /*
+     * FrameCache
+     */
+
+    // The frame joints of an animation composed so far, all frames in one
+    // heap block. Interpolated poses are kept by frame (with its fraction),
+    // and the instance that skinned each pose by pose and model struct,
+    // until the next bindVertexBuffers
+    var FrameCache = function(anim_ptr) {
+        var HEAP32 = new Int32Array(buffer);
+        this.framesLength = HEAP32[(anim_ptr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2];
+        this.jointsSize = JOINT_STRUCT_SIZE * HEAP32[(anim_ptr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2];
+        this.ptr = heapAlloc(this.jointsSize * this.framesLength);
+        this.cached = new Uint8Array(this.framesLength);
+        // Blocks for the interpolated poses, reused every frame
+        this.posePtrs = [];
+        this.poses = {};
+        this.posesLength = 0;
+        this.skinned = {};
+    };
+
+    // Frame caches by animation struct pointer
+    var frameCaches = {};
+
+    // Saved and done compositions of frame joints and skin calls since the
+    // last frameCacheStats(true)
+    var frameCacheCounts = {joints: 0, jointsSaved: 0, skins: 0, skinsSaved: 0};
+
+    // Forgets the frames of the current frame drawn
+    FrameCache.prototype.nextFrame = function() {
+        this.poses = {};
+        this.posesLength = 0;
+        this.skinned = {};
+    };
+
+    // Returns the block for the joints of frame, and whether they are in it
+    // already
+    FrameCache.prototype.lookup = function(frameIndex, blend) {
+        if (!blend) {
+            var cached = this.cached[frameIndex] == 1;
+            this.cached[frameIndex] = 1;
+            return {ptr: this.ptr + frameIndex * this.jointsSize, cached: cached};
+        }
+        var key = frameIndex + blend;
+        if (key in this.poses) {
+            return {ptr: this.poses[key], cached: true};
+        }
+        if (this.posesLength == this.posePtrs.length) {
+            this.posePtrs.push(heapAlloc(this.jointsSize));
+        }
+        var ptr = this.poses[key] = this.posePtrs[this.posesLength++];
+        return {ptr: ptr, cached: false};
+    };
+
+    FrameCache.prototype.free = function() {
+        heapFree(this.ptr);
+        for (var i = 0; i < this.posePtrs.length; ++i) {
+            heapFree(this.posePtrs[i]);
+        }
+    };
+
+    var clearFrameCaches = function() {
+        for (var key in frameCaches) {
+            frameCaches[key].free();
+        }
+        frameCaches = {};
+    };
+
+    var freeFrameCache = function(anim_ptr) {
+        if (frameCaches[anim_ptr]) {
+            frameCaches[anim_ptr].free();
+            delete frameCaches[anim_ptr];
+        }
+    };
+
+    // Returns the counts of frameCacheCounts, zeroing them if reset is set
+    var frameCacheStats = function(reset) {
+        var counts = frameCacheCounts;
+        if (reset) {
+            frameCacheCounts = {joints: 0, jointsSaved: 0, skins: 0, skinsSaved: 0};
+        }
+        return {joints: counts.joints, jointsSaved: counts.jointsSaved,
+                skins: counts.skins, skinsSaved: counts.skinsSaved};
+    };
+
+    // Skins at frame, a whole one or with a fraction, through the frame
+    // cache of the animation
+    Md5Mesh.prototype._skinCached = function(frame) {
+        var HEAP32 = new Int32Array(buffer);
+        var HEAPU8 = new Uint8Array(buffer);
+        var anim_ptr = this.anim.ptr;
+        var model_ptr = HEAP32[(this.headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2];
+        var cache = frameCaches[anim_ptr];
+        if (!cache) {
+            cache = frameCaches[anim_ptr] = new FrameCache(anim_ptr);
+        }
+        var frameIndex = Math.floor(frame);
+        var blend = frame - frameIndex;
+        frameIndex = ((frameIndex % cache.framesLength) + cache.framesLength) % cache.framesLength;
+
+        // An instance of the same model and weights skinned this pose
+        // already, and hasn't moved on since
+        this.pose = (frameIndex + blend) + "@" + model_ptr;
+        var skinned = cache.skinned[this.pose];
+        if (skinned && skinned !== this && skinned.pose === this.pose && skinned.ptr) {
+            var size = this.model.vertexArraySize;
+            HEAPU8.copyWithin(this.vertexArrayPtr, skinned.vertexArrayPtr, skinned.vertexArrayPtr + size);
+            ++frameCacheCounts.skinsSaved;
+            return;
+        }
+
+        var joints_ptr = HEAP32[(model_ptr + i_MODEL_JOINTS_PTR_OFFSET)>>2];
+        var entry = cache.lookup(frameIndex, blend);
+        if (entry.cached) {
+            HEAPU8.copyWithin(joints_ptr, entry.ptr, entry.ptr + cache.jointsSize);
+            ++frameCacheCounts.jointsSaved;
+        } else {
+            if (useSIMDJoints) {
+                this._getFrameJointsSIMD(frameIndex, blend);
+            } else if (blend) {
+                getFrameJointsLerp(frameIndex, blend, this.headerPtr);
+            } else {
+                getFrameJoints(frameIndex, this.headerPtr);
+            }
+            HEAPU8.copyWithin(entry.ptr, joints_ptr, joints_ptr + cache.jointsSize);
+            ++frameCacheCounts.joints;
+        }
+        skin(this.headerPtr);
+        cache.skinned[this.pose] = this;
+        ++frameCacheCounts.skins;
+    };
+
     Md5Mesh.prototype.setAnimationFrame = function(gl, frame) {
-        getFrameJoints(frame, this.index);
-        skin(this.index);
+        this.frame = frame;
+        this.layers = null;
+        if (this.culled) {
+            this.stale = true;
+            return;
+        }
+        this.stale = false;
+        if (useFrameCache) {
+            this._skinCached(frame);
+            return;
+        }
+        if (useSIMDJoints) {
+            this._getFrameJointsSIMD(frame, 0);
+        } else {
+            getFrameJoints(frame, this.headerPtr);
+        }
+        skin(this.headerPtr);
         //this._bindBuffers(gl);
     };
+
+    // setAnimationFrame on pool's workers, at its next run. The skinned
+    // vertices can be bound once run calls back
+    Md5Mesh.prototype.queueAnimationFrame = function(pool, frame) {
+        this.frame = frame;
+        this.layers = null;
+        if (this.culled) {
+            this.stale = true;
+            return;
+        }
+        this.stale = false;
+        pool.add(this.headerPtr, frame, useSIMD);
+    };
+
+    // Like setAnimationFrame, but interpolates between frames for the given
+    // time in milliseconds. The time wraps around the animation's length,
+    // the kernels can't take negative frames
+    Md5Mesh.prototype.setAnimationTime = function(gl, time) {
+        var length = this.anim.frames.length * this.anim.frameTime;
+        time = time % length;
+        if (time < 0) { time += length; }
+        this.frame = time / this.anim.frameTime;
+        this.layers = null;
+        this.stale = true;
+        if (!this.culled) { this._skin(); }
+    };
     
+    // Skins with no more than Md5Core.WEIGHT_LODS[level - 1] weights per
+    // vertex from the next frame on, or all of them at level 0, by pointing
+    // the header at the model's structs for that level
+    Md5Mesh.prototype.setWeightLod = function(level) {
+        var HEAP32 = new Int32Array(buffer);
+        var model = this.model;
+        var model_ptr = model.ptr;
+        var groups_ptr = useQuantized ? model.quantizedWeightsPtr : model.weightGroupsPtr;
+        level = Math.min(level, Md5Core.WEIGHT_LODS.length);
+        if (level > 0) {
+            var lod = model._initializeWeightLods()[level - 1];
+            model_ptr = lod.ptr;
+            groups_ptr = useQuantized ? lod.quantizedWeightsPtr : lod.weightGroupsPtr;
+        }
+        HEAP32[(this.headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = model_ptr;
+        HEAP32[(this.headerPtr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = groups_ptr;
+        this.weightLod = level;
+    };
+
+    // Skins every frame of the instance's animation, or the current joints
+    // without one, with all the weights and at each weight LOD, with asmSkin.
+    // Returns the largest distance a vertex moved at each level, 0 for
+    // level 0, and keeps the largest yet as the error of each LOD. The
+    // instance is skinned again at its frame with the next setAnimation*
+    Md5Mesh.prototype.measureWeightLods = function() {
+        var HEAP32 = new Int32Array(buffer);
+        var model = this.model;
+        var lods = model._initializeWeightLods();
+        var length = model.vertexArraySize >> 2;
+        var vertArray = new Float32Array(buffer, this.vertexArrayPtr, length);
+        var full = new Float32Array(length);
+        var errors = [0];
+        var frames = this.anim ? HEAP32[(this.anim.ptr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2] : 1;
+
+        for (var i = 0; i < lods.length; ++i) {
+            errors.push(0);
+        }
+        for (var frame = 0; frame < frames; ++frame) {
+            HEAP32[(this.headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = model.ptr;
+            if (this.anim) { asmGetFrameJoints(frame, this.headerPtr); }
+            asmSkin(this.headerPtr);
+            full.set(vertArray);
+            for (var i = 0; i < lods.length; ++i) {
+                HEAP32[(this.headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = lods[i].ptr;
+                asmSkin(this.headerPtr);
+                for (var j = 0; j < length; j += VERTEX_ELEMENTS) {
+                    var dx = vertArray[j] - full[j];
+                    var dy = vertArray[j + 1] - full[j + 1];
+                    var dz = vertArray[j + 2] - full[j + 2];
+                    errors[i + 1] = Math.max(errors[i + 1], Math.sqrt(dx * dx + dy * dy + dz * dz));
+                }
+            }
+        }
+
+        for (var i = 0; i < lods.length; ++i) {
+            lods[i].error = Math.max(lods[i].error, errors[i + 1]);
+        }
+        this.setWeightLod(this.weightLod);
+        this.stale = true;
+        return errors;
+    };
+
+    // Skins every frame of the instance's animation, or the current joints
+    // without one, at its weight LOD with asmSkinSIMD and with
+    // asmSkinQuantized. Returns the largest distance a position, normal and
+    // tangent moved, as {position, normal, tangent}. The instance is
+    // skinned again at its frame with the next setAnimation*
+    Md5Mesh.prototype.measureQuantization = function() {
+        var HEAP32 = new Int32Array(buffer);
+        var model = this.model;
+        var lod = this.weightLod > 0 ? model._initializeWeightLods()[this.weightLod - 1] : model;
+        var length = model.vertexArraySize >> 2;
+        var vertArray = new Float32Array(buffer, this.vertexArrayPtr, length);
+        var full = new Float32Array(length);
+        var errors = {position: 0, normal: 0, tangent: 0};
+        var frames = this.anim ? HEAP32[(this.anim.ptr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2] : 1;
+        var distance = function(j) {
+            var dx = vertArray[j] - full[j];
+            var dy = vertArray[j + 1] - full[j + 1];
+            var dz = vertArray[j + 2] - full[j + 2];
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        };
+
+        HEAP32[(this.headerPtr + i_WEIGHT_GROUPS_STRUCT_PTR_OFFSET)>>2] = lod.quantizedWeightsPtr;
+        for (var frame = 0; frame < frames; ++frame) {
+            if (this.anim) { asmGetFrameJoints(frame, this.headerPtr); }
+            asmSkinSIMD(this.headerPtr);
+            full.set(vertArray);
+            asmSkinQuantized(this.headerPtr);
+            for (var j = 0; j < length; j += VERTEX_ELEMENTS) {
+                errors.position = Math.max(errors.position, distance(j));
+                errors.normal = Math.max(errors.normal, distance(j + 5));
+                errors.tangent = Math.max(errors.tangent, distance(j + 8));
+            }
+        }
+
+        this.setWeightLod(this.weightLod);
+        this.stale = true;
+        return errors;
+    };
+
+    // Skins with a weighted blend of several animations of the same skeleton,
+    // layers is an array of {animation, time, weight} (see Md5AnimMixer)
+    Md5Mesh.prototype.setAnimationBlend = function(gl, layers) {
+        this.layers = layers;
+        this.stale = true;
+        if (!this.culled) { this._skin(); }
+    };
+
+    // Skins at the frame, or the layers, set last
+    Md5Mesh.prototype._skin = function() {
+        this.stale = false;
+        if (this.layers) {
+            this._blend(this.layers);
+            return;
+        }
+        if (useFrameCache) {
+            this._skinCached(this.frame);
+            return;
+        }
+        var frameIndex = Math.floor(this.frame);
+        if (useSIMDJoints) {
+            this._getFrameJointsSIMD(frameIndex, this.frame - frameIndex);
+        } else {
+            getFrameJointsLerp(frameIndex, this.frame - frameIndex, this.headerPtr);
+        }
+        skin(this.headerPtr);
+    };
+
+    // getFrameJointsLerp in two steps, the local joints go to blendPtr and
+    // are composed from there with SIMD
+    Md5Mesh.prototype._getFrameJointsSIMD = function(frame, blend) {
+        asmGetLocalJoints(this.anim.ptr, frame, blend, this.blendPtr);
+        composeJoints(this.headerPtr, this.anim.ptr, this.blendPtr);
+    };
+
+    // Returns the {min, max} box of the animation at the frame set last,
+    // relative to pos, or null when it isn't animated or has no bounds
+    Md5Mesh.prototype.getBounds = function(out) {
+        var anim = this.layers ? this.layers[0].animation : this.anim;
+        if (!anim) { return null; }
+        var frame = this.layers ? this.layers[0].time / anim.frameTime : this.frame;
+        return Md5Core.frameBounds(anim.bounds, frame, out);
+    };
+
+    Md5Mesh.prototype._blend = function(layers) {
+        var localPtr = this.blendPtr;
+        var layerPtr = localPtr + JOINT_STRUCT_SIZE * this.joints.length;
+        var anim = null;
+        var totalWeight = 0;
+
+        for (var i = 0; i < layers.length; ++i) {
+            var layer = layers[i];
+            if (layer.weight <= 0) {
+                continue;
+            }
+
+            if (anim === null) {
+                anim = bindAnimation(this.joints, layer.animation, this.remapJoints);
+                getLocalJointsAtTime(anim, layer.time, localPtr);
+                totalWeight = layer.weight;
+            } else {
+                getLocalJointsAtTime(bindAnimation(this.joints, layer.animation, this.remapJoints), layer.time, layerPtr);
+                totalWeight += layer.weight;
+                asmBlendLocalJoints(localPtr, layerPtr, layer.weight / totalWeight, anim.hierarchy.length);
+            }
+        }
+
+        if (anim === null) {
+            // Nothing is weighted, fall back to the first layer
+            anim = bindAnimation(this.joints, layers[0].animation, this.remapJoints);
+            getLocalJointsAtTime(anim, layers[0].time, localPtr);
+        }
+
+        composeJoints(this.headerPtr, anim.ptr, localPtr);
+        skin(this.headerPtr);
+    };
+
+    // Checks anim against the model's joints, see Md5Core.bindAnimation.
+    // Remapped copies get a heap block of their own, freed with anim
+    var bindAnimation = function(joints, anim, remap) {
+        var bound = Md5Core.bindAnimation(joints, anim, remap);
+        if (bound !== anim && !bound.ptr) {
+            allocAnimation(bound);
+        }
+        return bound;
+    };
+
+    var getLocalJointsAtTime = function(anim, time, localPtr) {
+        var length = anim.frames.length * anim.frameTime;
+        time = time % length;
+        if (time < 0) { time += length; }
+
+        var frame = time / anim.frameTime;
+        var frameIndex = Math.floor(frame);
+        asmGetLocalJoints(anim.ptr, frameIndex, frame - frameIndex, localPtr);
+    };
+
     Md5Mesh.prototype._bindBuffers = function(gl) {
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, this.vertArray, gl.STATIC_DRAW);
     }
         
+    // Catches up on skinning skipped while culled, the vertices are uploaded
+    // with the next bindVertexBuffers
     Md5Mesh.prototype.draw =function(gl, shader) {
-        if(!vertBuffer || !indexBuffer) { return; }
+        var model = this.model;
+        if(!model || !this.ptr) { return; }
+        if(this.stale) { this._skin(); }
         
         // Bind the appropriate buffers
+        gl.bindBuffer(gl.ARRAY_BUFFER, model.vertBuffer);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, model.indexBuffer);
 
+        var meshes = model.meshes;
         var meshCount = meshes.length;
         for(var i = 0; i < meshCount; ++i) {
             var mesh = meshes[i];
-            var meshOffset = mesh.offset * 4 + (this.index % MAX_VERTEX_NUM) * VERTEX_STRIDE * VERTEX_NUM;
+            var meshOffset = mesh.offset * 4 + (this.slot % MAX_VERTEX_NUM) * model.vertexArraySize;
+
+            // Set Textures
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, mesh.diffuseMap);
+            gl.uniform1i(shader.uniform.diffuse, 0);
+
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, mesh.specularMap);
+            gl.uniform1i(shader.uniform.specular, 1);
+
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, mesh.normalMap);
+            gl.uniform1i(shader.uniform.normalMap, 2);
 
             // Draw the mesh
             gl.vertexAttribPointer(shader.attribute.position, 3, gl.FLOAT, false, VERTEX_STRIDE, meshOffset+0);
@@ -1323,74 +3340,154 @@ define([
         this.hierarchy = null;
         this.baseFrame = null;
         this.frames = null;
+        this.bounds = null;
+        this.ptr = 0;
+        this.data = null;
+        this.url = null;
     };
         
-    Md5Anim.prototype.load = function(url, callback) {
-        if (hierarchy.length === 0) {        
-            var self = this;
-            
+    // errorCallback gets an Error when the request, the parse or the heap
+    // allocation fails. Nothing is kept of a failed clip, loading it again
+    // tries again
+    Md5Anim.prototype.load = function(url, callback, errorCallback) {
+        var self = this;
+
+        if (!clips[url]) {
+            var binary = isBinary(url);
             var request = new XMLHttpRequest();
             request.addEventListener("load", function() {
-                self._parse(request.responseText);
+                if (request.status >= 400) {
+                    return loadFailed(errorCallback, new Error("Loading " + url + " failed with status " + request.status));
+                }
+                if (!clips[url]) {
+                    try {
+                        if (binary) {
+                            self._read(request.response);
+                        } else {
+                            self._parse(request.responseText, url);
+                        }
+                        allocAnimation(self);
+                    } catch (e) {
+                        return loadFailed(errorCallback, e);
+                    }
+                    clips[url] = {
+                        frameRate: self.frameRate,
+                        frameTime: self.frameTime,
+                        hierarchy: self.hierarchy,
+                        baseFrame: self.baseFrame,
+                        frames: self.frames,
+                        bounds: self.bounds,
+                        ptr: self.ptr,
+                        data: self.data
+                    };
+                }
+                self._share(url);
                 if(callback) { callback(self); }
             });
+            request.addEventListener("error", function() {
+                loadFailed(errorCallback, new Error("Loading " + url + " failed"));
+            });
             
             request.open('GET', BASE_PATH + url, true);
-            request.overrideMimeType('text/plain');
-            request.setRequestHeader('Content-Type', 'text/plain');
+            if (binary) {
+                request.responseType = 'arraybuffer';
+            } else {
+                request.overrideMimeType('text/plain');
+                request.setRequestHeader('Content-Type', 'text/plain');
+            }
             request.send(null);
         } else {
+            this._share(url);
             if(callback) { callback(this); }
         }
 
         return this;
     };
-        
-    Md5Anim.prototype._parse = function(src) {
-        var anim = this;
-        
-        src.replace(/frameRate (.+)/, function($0, frameRate) {
-            anim.frameRate = parseInt(frameRate);
-            anim.frameTime = 1000 / frameRate;
-        });
-
-        src.replace(/hierarchy \{([^}]*)\}/m, function($0, hierarchySrc) {
-            hierarchySrc.replace(/\"(.+)\"\s([-\d]+) (\d+) (\d+)\s/g, function($0, name, parent, flags, index) {
-                hierarchy.push({
-                    name: name,
-                    parent: parseInt(parent), 
-                    flags: parseInt(flags), 
-                    index: parseInt(index)
-                });
-            });
-        });
 
-        src.replace(/baseframe \{([^}]*)\}/m, function($0, baseframeSrc) {
-            var offset = 0;
-            baseframeSrc.replace(/\( (.+) (.+) (.+) \) \( (.+) (.+) (.+) \)/g, function($0, x, y, z, ox, oy, oz) {
-                baseFrame.push({
-                    pos: [parseFloat(x), parseFloat(y), parseFloat(z)], 
-                    orient: [parseFloat(ox), parseFloat(oy), parseFloat(oz)]
-                });
-            });
-        });
-
-
-        src.replace(/frame \d+ \{([^}]*)\}/mg, function($0, frameSrc) {
-            var frame = new Array();
-            var offset = 0;
+    Md5Anim.prototype._share = function(url) {
+        var clip = clips[url];
+        this.url = url;
+        clipUsers[url] = (clipUsers[url] || 0) + 1;
+        this.frameRate = clip.frameRate;
+        this.frameTime = clip.frameTime;
+        this.hierarchy = clip.hierarchy;
+        this.baseFrame = clip.baseFrame;
+        this.frames = clip.frames;
+        this.bounds = clip.bounds;
+        this.ptr = clip.ptr;
+        this.data = clip.data;
+    };
 
-            frameSrc.replace(/([-\.\d]+)/g, function($0, value) {
-                frame.push(parseFloat(value));
-            });
+    // Drops this user of the clip, which is freed with its last user, and
+    // frees the remapped copies bound from this animation. Models still set
+    // to it must get another animation first
+    Md5Anim.prototype.free = function() {
+        var bindings = this._bindings || [];
+        for (var i = 0; i < bindings.length; ++i) {
+            var bound = bindings[i].animation;
+            if (bound && bound !== this && bound.ptr) {
+                freeFrameCache(bound.ptr);
+                heapFree(bound.ptr);
+                bound.ptr = 0;
+            }
+        }
+        this._bindings = null;
+
+        var url = this.url;
+        if (url !== null && --clipUsers[url] == 0) {
+            freeFrameCache(clips[url].ptr);
+            heapFree(clips[url].ptr);
+            delete clips[url];
+            delete clipUsers[url];
+        }
+        this.url = null;
+        this.ptr = 0;
+    };
+        
+    // See Md5Core.Md5Anim.getFrameBounds
+    Md5Anim.prototype.getFrameBounds = function(frame, out) {
+        return Md5Core.frameBounds(this.bounds, frame, out);
+    };
+        
+    Md5Anim.prototype._parse = function(src, fileName) {
+        var anim = Md5Core.parseAnim(src, fileName);
+        this.frameRate = anim.frameRate;
+        this.frameTime = anim.frameTime;
+        this.hierarchy = anim.hierarchy;
+        this.baseFrame = anim.baseFrame;
+        this.frames = anim.frames;
+        this.bounds = anim.bounds;
+    };
 
-            frames.push(frame);
-        });
+    Md5Anim.prototype._read = function(data) {
+        var container = Md5Binary.read(data);
+        var anim = Md5Binary.readAnim(container);
+        this.frameRate = anim.frameRate;
+        this.frameTime = anim.frameTime;
+        this.hierarchy = anim.hierarchy;
+        this.baseFrame = anim.baseFrame;
+        this.frames = anim.frames;
+        this.bounds = anim.bounds;
+        this.data = container;
     };
 
     return {
         Md5Mesh: Md5Mesh,
         Md5Anim: Md5Anim,
-        setSIMD: setSIMD
+        Md5AnimMixer: Md5Core.Md5AnimMixer,
+        Md5LodSelector: Md5Core.Md5LodSelector,
+        Md5OutOfMemoryError: Md5OutOfMemoryError,
+        heapStats: heapStats,
+        bindVertexBuffers: bindVertexBuffers,
+        getFrustumPlanes: Md5Core.getFrustumPlanes,
+        isBoxVisible: Md5Core.isBoxVisible,
+        setSIMD: setSIMD,
+        setSIMDJoints: setSIMDJoints,
+        setWasm: setWasm,
+        createWorkerPool: createWorkerPool,
+        setFrameCache: setFrameCache,
+        setQuantized: setQuantized,
+        frameCacheStats: frameCacheStats,
+        setSoA: setSoA
     };
 });
\ No newline at end of file
@@ -0,0 +1,514 @@
+/*
+ * md5-binary.js - Precompiled MD5 Mesh and Animation container
+ *
+ * The container holds the model or animation already laid out in the structs
+ * that md5-asm.js uses in the asm.js heap, so it can be copied straight into
+ * the heap with a single set() and a pointer fix up.
+ *
+ * Layout (little endian, all int32):
+ *   0  magic "MD5B"
+ *   4  version
+ *   8  kind (KIND_MESH or KIND_ANIM)
+ *   12 image offset, 16 image length (bytes)
+ *   20 index offset, 24 index length (Uint16 tris of every mesh, mesh only)
+ *   28 info offset, 32 info length (bytes of ASCII JSON with the names and
+ *      the animation bounds)
+ *
+ * Pointers in the image are relative to the start of the image.
+ */
+
+/*
+ * Copyright (c) 2015 Ningxin Hu
+ *
+ * This software is provided 'as-is', without any express or implied
+ * warranty. In no event will the authors be held liable for any damages
+ * arising from the use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ *    1. The origin of this software must not be misrepresented; you must not
+ *    claim that you wrote the original software. If you use this software
+ *    in a product, an acknowledgment in the product documentation would be
+ *    appreciated but is not required.
+ *
+ *    2. Altered source versions must be plainly marked as such, and must not
+ *    be misrepresented as being the original software.
+ *
+ *    3. This notice may not be removed or altered from any source
+ *    distribution.
+ */
+
+(function (root, factory) {
+    if (typeof exports === 'object') {
+        // Node
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        // Browser globals
+        root.Md5Binary = factory();
+    }
+}(this, function () {
+
+    "use strict";
+
+    var MAGIC = 0x4235444D; // "MD5B"
+    var VERSION = 1;
+    var KIND_MESH = 1;
+    var KIND_ANIM = 2;
+
+    var CONTAINER_HEADER_SIZE = 36;
+    var i_MAGIC_OFFSET = 0;
+    var i_VERSION_OFFSET = 4;
+    var i_KIND_OFFSET = 8;
+    var i_IMAGE_OFFSET_OFFSET = 12;
+    var i_IMAGE_LENGTH_OFFSET = 16;
+    var i_INDEX_OFFSET_OFFSET = 20;
+    var i_INDEX_LENGTH_OFFSET = 24;
+    var i_INFO_OFFSET_OFFSET = 28;
+    var i_INFO_LENGTH_OFFSET = 32;
+
+    var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
+
+    // Memory Layout, see md5-asm.js
+    // Model struct
+    var MODEL_STRUCT_SIZE = 16;
+    var i_MODEL_MESHES_PTR_OFFSET = 0;
+    var i_MODEL_MESHES_LENGTH_OFFSET = 4;
+    var i_MODEL_JOINTS_PTR_OFFSET = 8;
+    var i_MODEL_JOINTS_LENGTH_OFFSET = 12;
+
+    // Mesh struct
+    var MESH_STRUCT_SIZE = 20;
+    var i_MESH_VERT_OFFSET_OFFSET = 0;
+    var i_MESH_VERTS_PTR_OFFSET = 4;
+    var i_MESH_VERTS_LENGTH_OFFSET = 8;
+    var i_MESH_WEIGHTS_PTR_OFFSET = 12;
+    var i_MESH_WEIGHTS_LENGTH_OFFSET = 16;
+
+    // Vert struct
+    var VERT_STRUCT_SIZE = 16;
+    var f_VERT_TEXCOORD_0_OFFSET = 0;
+    var f_VERT_TEXCOORD_1_OFFSET = 4;
+    var i_VERT_WEIGHT_INDEX_OFFSET = 8;
+    var i_VERT_WEIGHT_COUNT_OFFSET = 12;
+
+    // Weight struct
+    var WEIGHT_STRUCT_SIZE = 56;
+    var i_WEIGHT_JOINT_INDEX_OFFSET = 0;
+    var f_WEIGHT_BIAS_OFFSET = 4;
+    var f_WEIGHT_POS_0_OFFSET = 8;
+    var f_WEIGHT_POS_1_OFFSET = 12;
+    var f_WEIGHT_POS_2_OFFSET = 16;
+    var f_WEIGHT_POS_3_OFFSET = 20;
+    var f_WEIGHT_NORMAL_0_OFFSET = 24;
+    var f_WEIGHT_NORMAL_1_OFFSET = 28;
+    var f_WEIGHT_NORMAL_2_OFFSET = 32;
+    var f_WEIGHT_NORMAL_3_OFFSET = 36;
+    var f_WEIGHT_TANGENT_0_OFFSET = 40;
+    var f_WEIGHT_TANGENT_1_OFFSET = 44;
+    var f_WEIGHT_TANGENT_2_OFFSET = 48;
+    var f_WEIGHT_TANGENT_3_OFFSET = 52;
+
+    // Joint struct
+    var JOINT_STRUCT_SIZE = 32;
+    var f_JOINT_POS_0_OFFSET = 0;
+    var f_JOINT_POS_1_OFFSET = 4;
+    var f_JOINT_POS_2_OFFSET = 8;
+    var f_JOINT_POS_3_OFFSET = 12;
+    var f_JOINT_ORIENT_0_OFFSET = 16;
+    var f_JOINT_ORIENT_1_OFFSET = 20;
+    var f_JOINT_ORIENT_2_OFFSET = 24;
+    var f_JOINT_ORIENT_3_OFFSET = 28;
+
+    // Animation Struct
+    var ANIMATION_STRUCT_SIZE = 24;
+    var i_ANIMATION_HIERARCHY_PTR_OFFSET = 0;
+    var i_ANIMATION_HIERARCHY_LENGTH_OFFSET = 4;
+    var i_ANIMATION_BASEFRAME_PTR_OFFSET = 8;
+    var i_ANIMATION_BASEFRAME_LENGTH_OFFSET = 12;
+    var i_ANIMATION_FRAMES_PTR_OFFSET = 16;
+    var i_ANIMATION_FRAMES_LENGTH_OFFSET = 20;
+
+    // Hierarchy Struct
+    var HIERARCHY_STRUCT_SIZE = 12;
+    var i_HIERARCHY_PARENT_OFFSET = 0;
+    var i_HIERARCHY_FLAGS_OFFSET = 4;
+    var i_HIERARCHY_INDEX_OFFSET = 8;
+
+    // BaseFrame Struct
+    var BASEFRAME_STRUCT_SIZE = 32;
+    var f_BASEFRAME_POS_0_OFFSET = 0;
+    var f_BASEFRAME_POS_1_OFFSET = 4;
+    var f_BASEFRAME_POS_2_OFFSET = 8;
+    var f_BASEFRAME_POS_3_OFFSET = 12;
+    var f_BASEFRAME_ORIENT_0_OFFSET = 16;
+    var f_BASEFRAME_ORIENT_1_OFFSET = 20;
+    var f_BASEFRAME_ORIENT_2_OFFSET = 24;
+    var f_BASEFRAME_ORIENT_3_OFFSET = 28;
+
+    // Frames Struct
+    var FRAMES_STRUCT_SIZE = 8;
+    var i_FRAMES_PTR_OFFSET = 0;
+    var i_FRAMES_LENGTH_OFFSET = 4;
+
+    // Frame
+    var FRAME_STRUCT_SIZE = 4;
+    var f_FRAME_VALUE_OFFSET = 0;
+
+    var align4 = function(n) {
+        return (n + 3) & ~3;
+    };
+
+    // JSON with everything outside ASCII escaped, one byte per char
+    var encodeInfo = function(info) {
+        return JSON.stringify(info).replace(/[\u0080-\uffff]/g, function(c) {
+            return "\\u" + ("0000" + c.charCodeAt(0).toString(16)).slice(-4);
+        });
+    };
+
+    var decodeInfo = function(bytes) {
+        var str = "";
+        for (var i = 0; i < bytes.length; i += 4096) {
+            str += String.fromCharCode.apply(null, bytes.subarray(i, i + 4096));
+        }
+        return JSON.parse(str);
+    };
+
+    // Wraps the image, indices and info into a container
+    var pack = function(kind, image, indices, info) {
+        var infoStr = encodeInfo(info);
+        var imageOffset = CONTAINER_HEADER_SIZE;
+        var indexOffset = imageOffset + image.byteLength;
+        var infoOffset = align4(indexOffset + indices.length * 2);
+        var data = new ArrayBuffer(align4(infoOffset + infoStr.length));
+        var header = new Int32Array(data, 0, CONTAINER_HEADER_SIZE >> 2);
+
+        header[i_MAGIC_OFFSET >> 2] = MAGIC;
+        header[i_VERSION_OFFSET >> 2] = VERSION;
+        header[i_KIND_OFFSET >> 2] = kind;
+        header[i_IMAGE_OFFSET_OFFSET >> 2] = imageOffset;
+        header[i_IMAGE_LENGTH_OFFSET >> 2] = image.byteLength;
+        header[i_INDEX_OFFSET_OFFSET >> 2] = indexOffset;
+        header[i_INDEX_LENGTH_OFFSET >> 2] = indices.length;
+        header[i_INFO_OFFSET_OFFSET >> 2] = infoOffset;
+        header[i_INFO_LENGTH_OFFSET >> 2] = infoStr.length;
+
+        new Uint8Array(data, imageOffset, image.byteLength).set(new Uint8Array(image));
+        new Uint16Array(data, indexOffset, indices.length).set(indices);
+        var infoBytes = new Uint8Array(data, infoOffset, infoStr.length);
+        for (var i = 0; i < infoStr.length; ++i) {
+            infoBytes[i] = infoStr.charCodeAt(i);
+        }
+        return data;
+    };
+
+    // Builds a container from a parsed Md5Core.Md5Mesh
+    var writeMesh = function(model) {
+        var joints = model.joints;
+        var meshes = model.meshes;
+        var size = MODEL_STRUCT_SIZE + MESH_STRUCT_SIZE * meshes.length + JOINT_STRUCT_SIZE * joints.length;
+        var indexLength = 0;
+        for (var i = 0; i < meshes.length; ++i) {
+            size += VERT_STRUCT_SIZE * meshes[i].verts.length + WEIGHT_STRUCT_SIZE * meshes[i].weights.length;
+            indexLength += meshes[i].tris.length;
+        }
+
+        var image = new ArrayBuffer(size);
+        var HEAPF32 = new Float32Array(image);
+        var HEAP32 = new Int32Array(image);
+        var indices = new Uint16Array(indexLength);
+        var info = {meshes: [], joints: []};
+        var ptr = 0;
+        var vertOffset = 0;
+        var indexOffset = 0;
+
+        // Model struct
+        var model_ptr = ptr;
+        ptr += MODEL_STRUCT_SIZE;
+        HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2] = meshes.length;
+        HEAP32[(model_ptr + i_MODEL_JOINTS_LENGTH_OFFSET)>>2] = joints.length;
+
+        // Mesh struct array
+        HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2] = ptr;
+        var meshes_ptr = ptr;
+        ptr += MESH_STRUCT_SIZE * meshes.length;
+        for (var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            var mesh_ptr = meshes_ptr + i * MESH_STRUCT_SIZE;
+
+            HEAP32[(mesh_ptr + i_MESH_VERT_OFFSET_OFFSET)>>2] = vertOffset;
+            HEAP32[(mesh_ptr + i_MESH_VERTS_LENGTH_OFFSET)>>2] = mesh.verts.length;
+            HEAP32[(mesh_ptr + i_MESH_WEIGHTS_LENGTH_OFFSET)>>2] = mesh.weights.length;
+            vertOffset += VERTEX_ELEMENTS * mesh.verts.length;
+
+            // Vert array of mesh
+            var verts_array_ptr = ptr;
+            HEAP32[(mesh_ptr + i_MESH_VERTS_PTR_OFFSET)>>2] = ptr;
+            ptr += VERT_STRUCT_SIZE * mesh.verts.length;
+            for (var j = 0; j < mesh.verts.length; ++j) {
+                var vert = mesh.verts[j];
+                HEAPF32[(verts_array_ptr + j * VERT_STRUCT_SIZE + f_VERT_TEXCOORD_0_OFFSET)>>2] = vert.texCoord[0];
+                HEAPF32[(verts_array_ptr + j * VERT_STRUCT_SIZE + f_VERT_TEXCOORD_1_OFFSET)>>2] = vert.texCoord[1];
+                HEAP32[(verts_array_ptr + j * VERT_STRUCT_SIZE + i_VERT_WEIGHT_INDEX_OFFSET)>>2] = vert.weight.index;
+                HEAP32[(verts_array_ptr + j * VERT_STRUCT_SIZE + i_VERT_WEIGHT_COUNT_OFFSET)>>2] = vert.weight.count;
+            }
+
+            // Weight array of mesh
+            var weights_array_ptr = ptr;
+            HEAP32[(mesh_ptr + i_MESH_WEIGHTS_PTR_OFFSET)>>2] = ptr;
+            ptr += WEIGHT_STRUCT_SIZE * mesh.weights.length;
+            for (var j = 0; j < mesh.weights.length; ++j) {
+                var weight = mesh.weights[j];
+                var weight_ptr = weights_array_ptr + j * WEIGHT_STRUCT_SIZE;
+                HEAP32[(weight_ptr + i_WEIGHT_JOINT_INDEX_OFFSET)>>2] = weight.joint;
+                HEAPF32[(weight_ptr + f_WEIGHT_BIAS_OFFSET)>>2] = weight.bias;
+                HEAPF32[(weight_ptr + f_WEIGHT_POS_0_OFFSET)>>2] = weight.pos[0];
+                HEAPF32[(weight_ptr + f_WEIGHT_POS_1_OFFSET)>>2] = weight.pos[1];
+                HEAPF32[(weight_ptr + f_WEIGHT_POS_2_OFFSET)>>2] = weight.pos[2];
+                HEAPF32[(weight_ptr + f_WEIGHT_POS_3_OFFSET)>>2] = 0;
+                HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_0_OFFSET)>>2] = weight.normal[0];
+                HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_1_OFFSET)>>2] = weight.normal[1];
+                HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_2_OFFSET)>>2] = weight.normal[2];
+                HEAPF32[(weight_ptr + f_WEIGHT_NORMAL_3_OFFSET)>>2] = 0;
+                HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_0_OFFSET)>>2] = weight.tangent[0];
+                HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_1_OFFSET)>>2] = weight.tangent[1];
+                HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_2_OFFSET)>>2] = weight.tangent[2];
+                HEAPF32[(weight_ptr + f_WEIGHT_TANGENT_3_OFFSET)>>2] = 0;
+            }
+
+            indices.set(mesh.tris, indexOffset);
+            indexOffset += mesh.tris.length;
+            info.meshes.push({
+                shader: mesh.shader,
+                vertCount: mesh.verts.length,
+                elementCount: mesh.tris.length
+            });
+        }
+
+        // Joints
+        var joints_ptr = ptr;
+        HEAP32[(model_ptr + i_MODEL_JOINTS_PTR_OFFSET)>>2] = ptr;
+        ptr += JOINT_STRUCT_SIZE * joints.length;
+        for (var i = 0; i < joints.length; ++i) {
+            var joint = joints[i];
+            var joint_ptr = joints_ptr + i * JOINT_STRUCT_SIZE;
+            HEAPF32[(joint_ptr + f_JOINT_POS_0_OFFSET)>>2] = joint.pos[0];
+            HEAPF32[(joint_ptr + f_JOINT_POS_1_OFFSET)>>2] = joint.pos[1];
+            HEAPF32[(joint_ptr + f_JOINT_POS_2_OFFSET)>>2] = joint.pos[2];
+            HEAPF32[(joint_ptr + f_JOINT_POS_3_OFFSET)>>2] = 0;
+            HEAPF32[(joint_ptr + f_JOINT_ORIENT_0_OFFSET)>>2] = joint.orient[0];
+            HEAPF32[(joint_ptr + f_JOINT_ORIENT_1_OFFSET)>>2] = joint.orient[1];
+            HEAPF32[(joint_ptr + f_JOINT_ORIENT_2_OFFSET)>>2] = joint.orient[2];
+            HEAPF32[(joint_ptr + f_JOINT_ORIENT_3_OFFSET)>>2] = joint.orient[3];
+            info.joints.push({name: joint.name, parent: joint.parent});
+        }
+
+        return pack(KIND_MESH, image, indices, info);
+    };
+
+    // Builds a container from a parsed Md5Core.Md5Anim
+    var writeAnim = function(anim) {
+        var hierarchy = anim.hierarchy;
+        var baseFrame = anim.baseFrame;
+        var frames = anim.frames;
+        var size = ANIMATION_STRUCT_SIZE + HIERARCHY_STRUCT_SIZE * hierarchy.length +
+                   BASEFRAME_STRUCT_SIZE * baseFrame.length + FRAMES_STRUCT_SIZE * frames.length;
+        for (var i = 0; i < frames.length; ++i) {
+            size += FRAME_STRUCT_SIZE * frames[i].length;
+        }
+
+        var image = new ArrayBuffer(size);
+        var HEAPF32 = new Float32Array(image);
+        var HEAP32 = new Int32Array(image);
+        var info = {frameRate: anim.frameRate, joints: [], bounds: anim.bounds};
+        var anim_ptr = 0;
+        var ptr = ANIMATION_STRUCT_SIZE;
+
+        HEAP32[(anim_ptr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2] = hierarchy.length;
+        HEAP32[(anim_ptr + i_ANIMATION_BASEFRAME_LENGTH_OFFSET)>>2] = baseFrame.length;
+        HEAP32[(anim_ptr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2] = frames.length;
+
+        // Hierarchy array
+        HEAP32[(anim_ptr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2] = ptr;
+        var hierarchy_array_ptr = ptr;
+        ptr += hierarchy.length * HIERARCHY_STRUCT_SIZE;
+        for (var i = 0; i < hierarchy.length; ++i) {
+            var h = hierarchy[i];
+            HEAP32[(hierarchy_array_ptr + i * HIERARCHY_STRUCT_SIZE + i_HIERARCHY_PARENT_OFFSET)>>2] = h.parent;
+            HEAP32[(hierarchy_array_ptr + i * HIERARCHY_STRUCT_SIZE + i_HIERARCHY_FLAGS_OFFSET)>>2] = h.flags;
+            HEAP32[(hierarchy_array_ptr + i * HIERARCHY_STRUCT_SIZE + i_HIERARCHY_INDEX_OFFSET)>>2] = h.index;
+            info.joints.push({name: h.name});
+        }
+
+        // BaseFrame array
+        HEAP32[(anim_ptr + i_ANIMATION_BASEFRAME_PTR_OFFSET)>>2] = ptr;
+        var baseframe_array_ptr = ptr;
+        ptr += baseFrame.length * BASEFRAME_STRUCT_SIZE;
+        for (var i = 0; i < baseFrame.length; ++i) {
+            var baseframe = baseFrame[i];
+            var baseframe_ptr = baseframe_array_ptr + i * BASEFRAME_STRUCT_SIZE;
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_POS_0_OFFSET)>>2] = baseframe.pos[0];
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_POS_1_OFFSET)>>2] = baseframe.pos[1];
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_POS_2_OFFSET)>>2] = baseframe.pos[2];
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_POS_3_OFFSET)>>2] = 0;
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_ORIENT_0_OFFSET)>>2] = baseframe.orient[0];
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_ORIENT_1_OFFSET)>>2] = baseframe.orient[1];
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_ORIENT_2_OFFSET)>>2] = baseframe.orient[2];
+            HEAPF32[(baseframe_ptr + f_BASEFRAME_ORIENT_3_OFFSET)>>2] = 0;
+        }
+
+        // Frames array
+        HEAP32[(anim_ptr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2] = ptr;
+        var frames_array_ptr = ptr;
+        ptr += frames.length * FRAMES_STRUCT_SIZE;
+        for (var i = 0; i < frames.length; ++i) {
+            var f = frames[i];
+            HEAP32[(frames_array_ptr + i * FRAMES_STRUCT_SIZE + i_FRAMES_PTR_OFFSET)>>2] = ptr;
+            HEAP32[(frames_array_ptr + i * FRAMES_STRUCT_SIZE + i_FRAMES_LENGTH_OFFSET)>>2] = f.length;
+            var frames_ptr = ptr;
+            ptr += f.length * FRAME_STRUCT_SIZE;
+            for (var j = 0; j < f.length; ++j) {
+                HEAPF32[(frames_ptr + j * FRAME_STRUCT_SIZE + f_FRAME_VALUE_OFFSET)>>2] = f[j];
+            }
+        }
+
+        return pack(KIND_ANIM, image, new Uint16Array(0), info);
+    };
+
+    // Checks the header of data (an ArrayBuffer) and returns its parts
+    var read = function(data) {
+        var header = new Int32Array(data, 0, CONTAINER_HEADER_SIZE >> 2);
+        if (header[i_MAGIC_OFFSET >> 2] !== MAGIC) {
+            throw new Error("Not a binary MD5 file");
+        }
+        if (header[i_VERSION_OFFSET >> 2] !== VERSION) {
+            throw new Error("Unsupported binary MD5 version " + header[i_VERSION_OFFSET >> 2]);
+        }
+
+        var infoOffset = header[i_INFO_OFFSET_OFFSET >> 2];
+        return {
+            kind: header[i_KIND_OFFSET >> 2],
+            image: new Uint8Array(data, header[i_IMAGE_OFFSET_OFFSET >> 2], header[i_IMAGE_LENGTH_OFFSET >> 2]),
+            indices: new Uint16Array(data, header[i_INDEX_OFFSET_OFFSET >> 2], header[i_INDEX_LENGTH_OFFSET >> 2]),
+            info: decodeInfo(new Uint8Array(data, infoOffset, header[i_INFO_LENGTH_OFFSET >> 2]))
+        };
+    };
+
+    // Returns the meshes of a mesh container with what is needed to draw
+    // them: shader, vertCount, elementCount and tris
+    var readMeshes = function(container) {
+        var meshes = new Array();
+        var indexOffset = 0;
+        for (var i = 0; i < container.info.meshes.length; ++i) {
+            var info = container.info.meshes[i];
+            meshes.push({
+                shader: info.shader,
+                vertCount: info.vertCount,
+                elementCount: info.elementCount,
+                tris: container.indices.subarray(indexOffset, indexOffset + info.elementCount)
+            });
+            indexOffset += info.elementCount;
+        }
+        return meshes;
+    };
+
+    // Returns the hierarchy, baseFrame, frames, bounds and frameRate of an
+    // anim container, in the same form as Md5Core.Md5Anim
+    var readAnim = function(container) {
+        var image = container.image;
+        var HEAPF32 = new Float32Array(image.buffer, image.byteOffset, image.length >> 2);
+        var HEAP32 = new Int32Array(image.buffer, image.byteOffset, image.length >> 2);
+        var anim_ptr = 0;
+        var anim = {
+            frameRate: container.info.frameRate,
+            frameTime: 1000 / container.info.frameRate,
+            hierarchy: new Array(),
+            baseFrame: new Array(),
+            frames: new Array(),
+            bounds: container.info.bounds || null
+        };
+
+        var hierarchy_array_ptr = HEAP32[(anim_ptr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2];
+        var hierarchyLength = HEAP32[(anim_ptr + i_ANIMATION_HIERARCHY_LENGTH_OFFSET)>>2];
+        for (var i = 0; i < hierarchyLength; ++i) {
+            var h_ptr = hierarchy_array_ptr + i * HIERARCHY_STRUCT_SIZE;
+            anim.hierarchy.push({
+                name: container.info.joints[i].name,
+                parent: HEAP32[(h_ptr + i_HIERARCHY_PARENT_OFFSET)>>2],
+                flags: HEAP32[(h_ptr + i_HIERARCHY_FLAGS_OFFSET)>>2],
+                index: HEAP32[(h_ptr + i_HIERARCHY_INDEX_OFFSET)>>2]
+            });
+        }
+
+        var baseframe_array_ptr = HEAP32[(anim_ptr + i_ANIMATION_BASEFRAME_PTR_OFFSET)>>2];
+        var baseFrameLength = HEAP32[(anim_ptr + i_ANIMATION_BASEFRAME_LENGTH_OFFSET)>>2];
+        for (var i = 0; i < baseFrameLength; ++i) {
+            var b_ptr = baseframe_array_ptr + i * BASEFRAME_STRUCT_SIZE;
+            anim.baseFrame.push({
+                pos: [HEAPF32[(b_ptr + f_BASEFRAME_POS_0_OFFSET)>>2],
+                      HEAPF32[(b_ptr + f_BASEFRAME_POS_1_OFFSET)>>2],
+                      HEAPF32[(b_ptr + f_BASEFRAME_POS_2_OFFSET)>>2]],
+                orient: [HEAPF32[(b_ptr + f_BASEFRAME_ORIENT_0_OFFSET)>>2],
+                         HEAPF32[(b_ptr + f_BASEFRAME_ORIENT_1_OFFSET)>>2],
+                         HEAPF32[(b_ptr + f_BASEFRAME_ORIENT_2_OFFSET)>>2]]
+            });
+        }
+
+        var frames_array_ptr = HEAP32[(anim_ptr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2];
+        var framesLength = HEAP32[(anim_ptr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2];
+        for (var i = 0; i < framesLength; ++i) {
+            var f_ptr = frames_array_ptr + i * FRAMES_STRUCT_SIZE;
+            var frame_ptr = HEAP32[(f_ptr + i_FRAMES_PTR_OFFSET)>>2];
+            var frameLength = HEAP32[(f_ptr + i_FRAMES_LENGTH_OFFSET)>>2];
+            anim.frames.push(HEAPF32.subarray(frame_ptr >> 2, (frame_ptr >> 2) + frameLength));
+        }
+
+        return anim;
+    };
+
+    // Copies the image of container into heap (an ArrayBuffer) at ptr and
+    // makes its pointers absolute. Returns the end of the copy
+    var copyToHeap = function(container, heap, ptr) {
+        var HEAP32 = new Int32Array(heap);
+        var image = container.image;
+        new Uint8Array(heap).set(image, ptr);
+
+        if (container.kind === KIND_MESH) {
+            var model_ptr = ptr;
+            HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2] += ptr;
+            HEAP32[(model_ptr + i_MODEL_JOINTS_PTR_OFFSET)>>2] += ptr;
+            var meshes_ptr = HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+            var meshesLength = HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+            for (var i = 0; i < meshesLength; ++i) {
+                HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_PTR_OFFSET)>>2] += ptr;
+                HEAP32[(meshes_ptr + i * MESH_STRUCT_SIZE + i_MESH_WEIGHTS_PTR_OFFSET)>>2] += ptr;
+            }
+        } else {
+            var anim_ptr = ptr;
+            HEAP32[(anim_ptr + i_ANIMATION_HIERARCHY_PTR_OFFSET)>>2] += ptr;
+            HEAP32[(anim_ptr + i_ANIMATION_BASEFRAME_PTR_OFFSET)>>2] += ptr;
+            HEAP32[(anim_ptr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2] += ptr;
+            var frames_array_ptr = HEAP32[(anim_ptr + i_ANIMATION_FRAMES_PTR_OFFSET)>>2];
+            var framesLength = HEAP32[(anim_ptr + i_ANIMATION_FRAMES_LENGTH_OFFSET)>>2];
+            for (var i = 0; i < framesLength; ++i) {
+                HEAP32[(frames_array_ptr + i * FRAMES_STRUCT_SIZE + i_FRAMES_PTR_OFFSET)>>2] += ptr;
+            }
+        }
+
+        return ptr + image.length;
+    };
+
+    return {
+        KIND_MESH: KIND_MESH,
+        KIND_ANIM: KIND_ANIM,
+        writeMesh: writeMesh,
+        writeAnim: writeAnim,
+        read: read,
+        readMeshes: readMeshes,
+        readAnim: readAnim,
+        copyToHeap: copyToHeap
+    };
+}));
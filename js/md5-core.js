@@ -0,0 +1,2195 @@
+/*
+ * md5-core.js - Parses and skins MD5 Mesh and Animation files (idTech 4)
+ * without WebGL, usable from RequireJS, CommonJS (Node) or as a global
+ */
+ 
+/*
+ * Copyright (c) 2011 Brandon Jones
+ * Copyright (c) 2015 Ningxin Hu
+ *
+ * This software is provided 'as-is', without any express or implied
+ * warranty. In no event will the authors be held liable for any damages
+ * arising from the use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ *    1. The origin of this software must not be misrepresented; you must not
+ *    claim that you wrote the original software. If you use this software
+ *    in a product, an acknowledgment in the product documentation would be
+ *    appreciated but is not required.
+ *
+ *    2. Altered source versions must be plainly marked as such, and must not
+ *    be misrepresented as being the original software.
+ *
+ *    3. This notice may not be removed or altered from any source
+ *    distribution.
+ */
+
+(function (root, factory) {
+    if (typeof exports === 'object') {
+        // Node
+        module.exports = factory(require('./util/gl-matrix-min'));
+    } else if (typeof define === 'function' && define.amd) {
+        define(["util/gl-matrix-min"], factory);
+    } else {
+        // Browser globals
+        root.Md5Core = factory(root);
+    }
+}(this, function (glMatrix) {
+
+    "use strict";
+
+    var vec3 = glMatrix.vec3;
+    var quat4 = glMatrix.quat4;
+
+    var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
+    var VERTEX_STRIDE = 44;
+
+    var useSIMD = false;
+
+    var setSIMD = function(set) {
+        useSIMD = set;
+    };
+
+    // Compose the frame joints with SIMD too. Only takes effect with
+    // setSIMD(true), as that is when jointsData is returned
+    var useSIMDJoints = false;
+
+    var setSIMDJoints = function(set) {
+        useSIMDJoints = set;
+    };
+
+    // Skin four vertices at a time from the weight groups (see
+    // initializeWeightGroups) with _skinSoA, instead of _skinSIMD. Also only
+    // with setSIMD(true)
+    var useSoA = false;
+
+    var setSoA = function(set) {
+        useSoA = set;
+    };
+
+    /*
+     * Md5Tokenizer
+     */
+
+    // Thrown for malformed files, with the position of the offending token
+    var Md5ParseError = function(message, fileName, line, column) {
+        this.name = "Md5ParseError";
+        this.fileName = fileName;
+        this.line = line;
+        this.column = column;
+        this.message = fileName + ":" + line + ":" + column + ": " + message;
+        this.stack = (new Error(this.message)).stack;
+    };
+
+    Md5ParseError.prototype = Object.create(Error.prototype);
+    Md5ParseError.prototype.constructor = Md5ParseError;
+
+    // Splits MD5 text into words, numbers, quoted strings and ( ) { },
+    // skipping // comments
+    var Md5Tokenizer = function(src, fileName) {
+        this.src = String(src);
+        this.fileName = fileName || "<md5>";
+        this.pos = 0;
+        this.line = 1;
+        this.lineStart = 0;
+        this.token = null;
+        this._advance();
+    };
+
+    // Returns the current token without consuming it, null at the end
+    Md5Tokenizer.prototype.peek = function() {
+        return this.token;
+    };
+
+    Md5Tokenizer.prototype.next = function() {
+        var token = this.token;
+        if (token === null) {
+            this.error("Unexpected end of file", null);
+        }
+        this._advance();
+        return token;
+    };
+
+    Md5Tokenizer.prototype._advance = function() {
+        var src = this.src;
+        var length = src.length;
+        var c;
+
+        // Skip whitespace and comments
+        while (this.pos < length) {
+            c = src.charCodeAt(this.pos);
+            if (c === 10) { // \n
+                this.pos++;
+                this.line++;
+                this.lineStart = this.pos;
+            } else if (c === 32 || c === 9 || c === 13) {
+                this.pos++;
+            } else if (c === 47 && src.charCodeAt(this.pos + 1) === 47) { // //
+                while (this.pos < length && src.charCodeAt(this.pos) !== 10) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+
+        if (this.pos >= length) {
+            this.token = null;
+            return;
+        }
+
+        var start = this.pos;
+        var token = {value: null, quoted: false, line: this.line, column: start - this.lineStart + 1};
+
+        c = src.charCodeAt(start);
+        if (c === 34) { // "
+            var end = src.indexOf('"', start + 1);
+            var newline = src.indexOf('\n', start + 1);
+            if (end < 0 || (newline >= 0 && newline < end)) {
+                this.error("Unterminated string", token);
+            }
+            token.value = src.substring(start + 1, end);
+            token.quoted = true;
+            this.pos = end + 1;
+        } else if (c === 40 || c === 41 || c === 123 || c === 125) { // ( ) { }
+            token.value = src.charAt(start);
+            this.pos++;
+        } else {
+            while (this.pos < length) {
+                c = src.charCodeAt(this.pos);
+                if (c === 32 || c === 9 || c === 10 || c === 13 ||
+                    c === 34 || c === 40 || c === 41 || c === 123 || c === 125) {
+                    break;
+                }
+                this.pos++;
+            }
+            token.value = src.substring(start, this.pos);
+        }
+
+        this.token = token;
+    };
+
+    // Throws a Md5ParseError at token, or at the end of the file
+    Md5Tokenizer.prototype.error = function(message, token) {
+        if (!token) {
+            token = {line: this.line, column: this.pos - this.lineStart + 1};
+        }
+        throw new Md5ParseError(message, this.fileName, token.line, token.column);
+    };
+
+    var describe = function(token) {
+        if (token === null) { return "end of file"; }
+        return token.quoted ? '"' + token.value + '"' : "'" + token.value + "'";
+    };
+
+    // Consumes the given word or punctuation
+    Md5Tokenizer.prototype.expect = function(value) {
+        var token = this.token;
+        if (token === null || token.quoted || token.value !== value) {
+            this.error("Expected '" + value + "' but found " + describe(token), token);
+        }
+        this._advance();
+        return token;
+    };
+
+    Md5Tokenizer.prototype.expectString = function() {
+        var token = this.token;
+        if (token === null || !token.quoted) {
+            this.error("Expected a quoted string but found " + describe(token), token);
+        }
+        this._advance();
+        return token.value;
+    };
+
+    Md5Tokenizer.prototype.expectInt = function() {
+        var token = this.token;
+        if (token === null || token.quoted || !/^-?\d+$/.test(token.value)) {
+            this.error("Expected an integer but found " + describe(token), token);
+        }
+        this._advance();
+        return parseInt(token.value, 10);
+    };
+
+    Md5Tokenizer.prototype.expectFloat = function() {
+        var token = this.token;
+        if (token === null || token.quoted || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(token.value)) {
+            this.error("Expected a number but found " + describe(token), token);
+        }
+        this._advance();
+        return parseFloat(token.value);
+    };
+
+    // Reads ( x y z ), or ( u v ) when size is 2
+    Md5Tokenizer.prototype.expectVector = function(size) {
+        var vector = new Array(size);
+        this.expect("(");
+        for (var i = 0; i < size; ++i) {
+            vector[i] = this.expectFloat();
+        }
+        this.expect(")");
+        return vector;
+    };
+
+    // Reads "keyword <int>" and checks the int is not negative
+    Md5Tokenizer.prototype.expectCount = function(keyword) {
+        this.expect(keyword);
+        var token = this.token;
+        var count = this.expectInt();
+        if (count < 0) {
+            this.error(keyword + " must not be negative", token);
+        }
+        return count;
+    };
+
+    // Checks that count items were read for keyword in the block ending at token
+    Md5Tokenizer.prototype.checkCount = function(keyword, expected, count, token) {
+        if (count !== expected) {
+            this.error(keyword + " is " + expected + " but " + count + " were read", token);
+        }
+    };
+
+    // Reads the MD5Version and commandline header shared by both files
+    var parseHeader = function(tokenizer) {
+        tokenizer.expect("MD5Version");
+        var token = tokenizer.peek();
+        var version = tokenizer.expectInt();
+        if (version !== 10) {
+            tokenizer.error("Unsupported MD5Version " + version, token);
+        }
+        tokenizer.expect("commandline");
+        tokenizer.expectString();
+    };
+
+    /*
+     * Md5Mesh
+     */
+
+    var Md5Mesh = function() {
+        this.joints = null;
+        this.jointsData = null;
+        this.meshes = null;
+        this.vertArray = null;
+        this.gpu = null;
+        // Accept animations whose joints are only in a different order
+        this.remapJoints = false;
+        // Reduced weight copies by level, see getWeightLod
+        this.weightLods = null;
+        // On a weight LOD, its influences per vertex and the largest
+        // displacement measureWeightLods found
+        this.maxWeights = 0;
+        this.error = 0;
+        // Recompute the normals and tangents from the skinned positions
+        // every skin, see _recomputeNormals. The weight LODs follow it
+        this.recomputeNormals = false;
+    };
+
+    // src is the text of a .md5mesh file, as a string or a Buffer. Throws a
+    // Md5ParseError naming fileName when it is malformed
+    Md5Mesh.prototype._parse = function(src, fileName) {
+        var tokenizer = new Md5Tokenizer(src, fileName);
+        var token;
+
+        parseHeader(tokenizer);
+        var numJoints = tokenizer.expectCount("numJoints");
+        var numMeshes = tokenizer.expectCount("numMeshes");
+
+        this.joints = new Array();
+        this.jointsData = new Float32Array(Math.max(numJoints, 1) * 8);
+        this.meshes = new Array();
+
+        tokenizer.expect("joints");
+        tokenizer.expect("{");
+        while ((token = tokenizer.peek()) !== null && token.value !== "}") {
+            this._parseJoint(tokenizer, numJoints);
+        }
+        tokenizer.checkCount("numJoints", numJoints, this.joints.length, token);
+        tokenizer.expect("}");
+
+        while ((token = tokenizer.peek()) !== null) {
+            if (token.value !== "mesh" || token.quoted) {
+                tokenizer.error("Expected 'mesh' but found " + describe(token), token);
+            }
+            this._parseMesh(tokenizer, numJoints);
+        }
+        tokenizer.checkCount("numMeshes", numMeshes, this.meshes.length, null);
+    };
+
+    Md5Mesh.prototype._parseJoint = function(tokenizer, numJoints) {
+        var index = this.joints.length;
+        var token = tokenizer.peek();
+        if (index >= numJoints) {
+            tokenizer.error("More joints than numJoints " + numJoints, token);
+        }
+
+        var name = tokenizer.expectString();
+        token = tokenizer.peek();
+        var parent = tokenizer.expectInt();
+        // Parents must come before their children, see Md5Anim
+        if (parent < -1 || parent >= index) {
+            tokenizer.error("Joint \"" + name + "\" has invalid parent " + parent, token);
+        }
+        var pos = tokenizer.expectVector(3);
+        var orient = tokenizer.expectVector(3);
+
+        this.joints.push({
+            name: name,
+            parent: parent,
+            pos: pos,
+            orient: quat4.calculateW([orient[0], orient[1], orient[2], 0]),
+        });
+        // Initialize jointsData for SIMD version
+        var jointsOffset = index * 8;
+        // pos
+        this.jointsData[jointsOffset++] = pos[0];
+        this.jointsData[jointsOffset++] = pos[1];
+        this.jointsData[jointsOffset++] = pos[2];
+        this.jointsData[jointsOffset++] = 0;
+        // orient
+        this.jointsData[jointsOffset++] = orient[0];
+        this.jointsData[jointsOffset++] = orient[1];
+        this.jointsData[jointsOffset++] = orient[2];
+        this.jointsData[jointsOffset++] = 0;
+    };
+
+    Md5Mesh.prototype._parseMesh = function(tokenizer, numJoints) {
+        var mesh = {
+            shader: '',
+            verts: new Array(),
+            tris: new Array(),
+            weights: new Array(),
+            weightsData: null,
+            vertBuffer: null,
+            indexBuffer: null,
+            vertArray: null,
+            elementCount: 0
+        };
+        var numVerts = -1, numTris = -1, numWeights = -1;
+        var vertTokens = new Array();
+        var token, index;
+
+        tokenizer.expect("mesh");
+        tokenizer.expect("{");
+        while ((token = tokenizer.peek()) !== null && token.value !== "}") {
+            switch (token.quoted ? "" : token.value) {
+            case "shader":
+                tokenizer.next();
+                mesh.shader = tokenizer.expectString();
+                break;
+            case "numverts":
+                numVerts = tokenizer.expectCount("numverts");
+                break;
+            case "numtris":
+                numTris = tokenizer.expectCount("numtris");
+                break;
+            case "numweights":
+                numWeights = tokenizer.expectCount("numweights");
+                mesh.weightsData = new Float32Array(Math.max(numWeights, 1) * 13);
+                break;
+            case "vert":
+                tokenizer.next();
+                this._checkIndex(tokenizer, "vert", mesh.verts.length, numVerts, "numverts");
+                var texCoord = tokenizer.expectVector(2);
+                vertTokens.push(tokenizer.peek());
+                var weightIndex = tokenizer.expectInt();
+                var weightCount = tokenizer.expectInt();
+                mesh.verts.push({
+                    pos: [0, 0, 0],
+                    normal: [0, 0, 0],
+                    tangent: [0, 0, 0],
+                    texCoord: new Float32Array([texCoord[0], texCoord[1], 0, 0]),
+                    weight: {
+                        index: weightIndex,
+                        count: weightCount
+                    }
+                });
+                break;
+            case "tri":
+                tokenizer.next();
+                this._checkIndex(tokenizer, "tri", mesh.tris.length / 3, numTris, "numtris");
+                for (var i = 0; i < 3; ++i) {
+                    token = tokenizer.peek();
+                    index = tokenizer.expectInt();
+                    if (index < 0 || index >= numVerts) {
+                        tokenizer.error("Triangle vertex " + index + " is out of range", token);
+                    }
+                    mesh.tris.push(index);
+                }
+                break;
+            case "weight":
+                tokenizer.next();
+                index = mesh.weights.length;
+                this._checkIndex(tokenizer, "weight", index, numWeights, "numweights");
+                token = tokenizer.peek();
+                var joint = tokenizer.expectInt();
+                if (joint < 0 || joint >= numJoints) {
+                    tokenizer.error("Weight joint " + joint + " is out of range", token);
+                }
+                var bias = tokenizer.expectFloat();
+                var pos = tokenizer.expectVector(3);
+                mesh.weights.push({
+                    joint: joint,
+                    bias: bias,
+                    pos: pos,
+                    normal: [0, 0, 0],
+                    tangent: [0, 0, 0],
+                });
+                // Initialize weigthsData for SIMD version
+                var weightsOffset = index * 13;
+                mesh.weightsData[weightsOffset++] = bias;
+                // pos
+                mesh.weightsData[weightsOffset++] = pos[0];
+                mesh.weightsData[weightsOffset++] = pos[1];
+                mesh.weightsData[weightsOffset++] = pos[2];
+                mesh.weightsData[weightsOffset++] = 0;
+                // normal and tangent are set by _compile
+                break;
+            default:
+                tokenizer.error("Unexpected " + describe(token) + " in mesh", token);
+            }
+        }
+        tokenizer.checkCount("numverts", numVerts, mesh.verts.length, token);
+        tokenizer.checkCount("numtris", numTris, mesh.tris.length / 3, token);
+        tokenizer.checkCount("numweights", numWeights, mesh.weights.length, token);
+        tokenizer.expect("}");
+
+        // Weights are only known once the block is read
+        for (var i = 0; i < mesh.verts.length; ++i) {
+            var weight = mesh.verts[i].weight;
+            if (weight.index < 0 || weight.count < 0 || weight.index + weight.count > numWeights) {
+                tokenizer.error("Vert " + i + " weights are out of range", vertTokens[i]);
+            }
+        }
+        mesh.elementCount = mesh.tris.length;
+
+        this._compile(mesh);
+
+        this.meshes.push(mesh);
+    };
+
+    // Checks the index of a vert, tri or weight line follows on the last one
+    // and the count was declared before
+    Md5Mesh.prototype._checkIndex = function(tokenizer, keyword, expected, count, countKeyword) {
+        var token = tokenizer.peek();
+        var index = tokenizer.expectInt();
+        if (count < 0) {
+            tokenizer.error(keyword + " before " + countKeyword, token);
+        }
+        if (index !== expected) {
+            tokenizer.error("Expected " + keyword + " " + expected + " but found " + index, token);
+        }
+        if (index >= count) {
+            tokenizer.error("More " + keyword + "s than " + countKeyword + " " + count, token);
+        }
+    };
+    
+    Md5Mesh.prototype._compile = function(mesh) {
+        var joints = this.joints;
+        var rotatedPos = [0, 0, 0];
+
+        // Calculate transformed vertices in the bind pose
+        for(var i = 0; i < mesh.verts.length; ++i) {
+            var vert = mesh.verts[i];
+
+            vert.pos = [0, 0, 0];
+            for (var j = 0; j < vert.weight.count; ++j) {
+                var weight = mesh.weights[vert.weight.index + j];
+                var joint = joints[weight.joint];
+
+                // Rotate position
+                quat4.multiplyVec3(joint.orient, weight.pos, rotatedPos);
+
+                // Translate position
+                // The sum of all weight biases should be 1.0
+                vert.pos[0] += (joint.pos[0] + rotatedPos[0]) * weight.bias;
+                vert.pos[1] += (joint.pos[1] + rotatedPos[1]) * weight.bias;
+                vert.pos[2] += (joint.pos[2] + rotatedPos[2]) * weight.bias;
+            }
+        }
+
+        // Calculate normals/tangents
+        var a = [0, 0, 0], b = [0, 0, 0];
+        var triNormal = [0, 0, 0];
+        var triTangent = [0, 0, 0];
+        for(var i = 0; i < mesh.tris.length; i+=3) {
+            var vert1 = mesh.verts[mesh.tris[i]];
+            var vert2 = mesh.verts[mesh.tris[i+1]];
+            var vert3 = mesh.verts[mesh.tris[i+2]];
+
+            // Normal
+            vec3.subtract(vert2.pos, vert1.pos, a);
+            vec3.subtract(vert3.pos, vert1.pos, b);
+
+            vec3.cross(b, a, triNormal);
+            vec3.add(vert1.normal, triNormal);
+            vec3.add(vert2.normal, triNormal);
+            vec3.add(vert3.normal, triNormal);
+
+            // Tangent
+            var c2c1t = vert2.texCoord[0] - vert1.texCoord[0];
+            var c2c1b = vert2.texCoord[1] - vert1.texCoord[1];
+            var c3c1t = vert3.texCoord[0] - vert1.texCoord[0];
+            var c3c1b = vert3.texCoord[0] - vert1.texCoord[1];
+
+            triTangent = [c3c1b * a[0] - c2c1b * b[0], c3c1b * a[1] - c2c1b * b[1], c3c1b * a[2] - c2c1b * b[2]];
+            vec3.add(vert1.tangent, triTangent);
+            vec3.add(vert2.tangent, triTangent);
+            vec3.add(vert3.tangent, triTangent);
+        }
+
+        var invOrient = [0, 0, 0, 0];
+        // Get the "weighted" normal and tangent
+        for(var i = 0; i < mesh.verts.length; ++i) {
+            var vert = mesh.verts[i];
+
+            vec3.normalize(vert.normal);
+            vec3.normalize(vert.tangent);
+
+            for (var j = 0; j < vert.weight.count; ++j) {
+                var weight = mesh.weights[vert.weight.index + j];
+                if(weight.bias != 0) {
+                    var joint = joints[weight.joint];
+
+                    // Rotate position
+                    quat4.inverse(joint.orient, invOrient);
+                    quat4.multiplyVec3(invOrient, vert.normal, weight.normal);
+                    quat4.multiplyVec3(invOrient, vert.tangent, weight.tangent);
+
+                    // Set weigthsData for SIMD version
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 5] = weight.normal[0];
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 6] = weight.normal[1];
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 7] = weight.normal[2];
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 8] = 0;
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 9] = weight.tangent[0];
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 10] = weight.tangent[1];
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 11] = weight.tangent[2];
+                    mesh.weightsData[(vert.weight.index + j) * 13 + 12] = 0;
+                }
+            }
+        }
+    };
+    
+
+    // Lays the meshes out in vertArray and skins it in the bind pose
+    Md5Mesh.prototype._initializeVertArray = function() {
+        var meshes = this.meshes;
+
+        var vertBufferLength = 0;
+        var indexBufferLength = 0;
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            mesh.vertOffset = vertBufferLength;
+            vertBufferLength += VERTEX_ELEMENTS * mesh.verts.length;
+            
+            mesh.indexOffset = indexBufferLength;
+            indexBufferLength += mesh.elementCount;
+        }
+        
+        // Append 1 byte for using SIMD.float32x4.store.
+        this.vertArray = new Float32Array(vertBufferLength + 1);
+        this.skin(null);
+    };
+
+    // Returns animation, or a copy remapped to the joints of this mesh, see
+    // bindAnimation
+    Md5Mesh.prototype.bindAnimation = function(animation) {
+        return bindAnimation(this.joints, animation, this.remapJoints);
+    };
+
+    // Skins vertArray with joints, or jointsData when SIMD is in use. Pass
+    // vertArray to skin into another array laid out like this.vertArray
+    Md5Mesh.prototype.skin = function(joints, vertArray) {
+        if (!useSIMD)
+            this._skin(joints, vertArray);
+        else if (useSoA)
+            this._skinSoA(joints, vertArray);
+        else
+            this._skinSIMD(joints, vertArray);
+
+        if (!this.recomputeNormals)
+            return;
+        if (!useSIMD)
+            this._recomputeNormals(vertArray);
+        else
+            this._recomputeNormalsSIMD(vertArray);
+    };
+    
+    // Skins the vertexArray with the given joint set
+    // Passing null to joints results in the bind pose
+    Md5Mesh.prototype._skin = function(joints, vertArray, arrayOffset) {
+        if(!joints) { joints = this.joints; }
+        if(!vertArray) { vertArray = this.vertArray }
+        if(!arrayOffset) { arrayOffset = 0; }
+
+        var rotatedPos = [0, 0, 0];
+
+        var vx, vy, vz;
+        var nx, ny, nz;
+        var tx, ty, tz;
+        
+        var meshes = this.meshes;
+        
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            var meshOffset = mesh.vertOffset + arrayOffset;
+
+            // Calculate transformed vertices in the bind pose
+            for(var j = 0; j < mesh.verts.length; ++j) {
+                var vertOffset = (j * VERTEX_ELEMENTS) + meshOffset;
+                var vert = mesh.verts[j];
+
+                vx = 0; vy = 0; vz = 0;
+                nx = 0; ny = 0; nz = 0;
+                tx = 0; ty = 0; tz = 0;
+
+                for (var k = 0; k < vert.weight.count; ++k) {
+                    var weight = mesh.weights[vert.weight.index + k];
+                    var joint = joints[weight.joint];
+
+                    // Rotate position
+                    quat4.multiplyVec3(joint.orient, weight.pos, rotatedPos);
+
+                    // Translate position
+                    vx += (joint.pos[0] + rotatedPos[0]) * weight.bias;
+                    vy += (joint.pos[1] + rotatedPos[1]) * weight.bias;
+                    vz += (joint.pos[2] + rotatedPos[2]) * weight.bias;
+
+                    // Rotate Normal
+                    quat4.multiplyVec3(joint.orient, weight.normal, rotatedPos);
+                    nx += rotatedPos[0] * weight.bias;
+                    ny += rotatedPos[1] * weight.bias;
+                    nz += rotatedPos[2] * weight.bias;
+
+                    // Rotate Tangent
+                    quat4.multiplyVec3(joint.orient, weight.tangent, rotatedPos);
+                    tx += rotatedPos[0] * weight.bias;
+                    ty += rotatedPos[1] * weight.bias;
+                    tz += rotatedPos[2] * weight.bias;
+                }
+
+                // Position
+                vertArray[vertOffset] = vx;
+                vertArray[vertOffset+1] = vy;
+                vertArray[vertOffset+2] = vz;
+
+                // TexCoord
+                vertArray[vertOffset+3] = vert.texCoord[0];
+                vertArray[vertOffset+4] = vert.texCoord[1];
+
+                // Normal
+                vertArray[vertOffset+5] = nx;
+                vertArray[vertOffset+6] = ny;
+                vertArray[vertOffset+7] = nz;
+
+                // Tangent
+                vertArray[vertOffset+8] = tx;
+                vertArray[vertOffset+9] = ty;
+                vertArray[vertOffset+10] = tz;
+            }
+        }
+    };
+
+    Md5Mesh.prototype._skinSIMD = function(jointsData, vertArray, arrayOffset) {
+        // joints holds pos4f and orient4f
+        if(!jointsData) { jointsData = this.jointsData; }
+        if(!vertArray) { vertArray = this.vertArray }
+        if(!arrayOffset) { arrayOffset = 0; }
+
+        var rotatedPos = SIMD.float32x4.splat(0);
+        var tempx4 = SIMD.float32x4(1, 1, 1, -1);
+        
+        var meshes = this.meshes;
+        
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            var meshOffset = mesh.vertOffset + arrayOffset;
+
+            // Calculate transformed vertices in the bind pose
+            for(var j = 0; j < mesh.verts.length; ++j) {
+                var vertOffset = (j * VERTEX_ELEMENTS) + meshOffset;
+                var vert = mesh.verts[j];
+
+                var vx4 = SIMD.float32x4.splat(0);
+                var nx4 = SIMD.float32x4.splat(0);
+                var tx4 = SIMD.float32x4.splat(0);
+
+                for (var k = 0; k < vert.weight.count; ++k) {
+                    var weight = mesh.weights[vert.weight.index + k];
+                    var weigthsData = mesh.weightsData;
+                    var weightsOffset = (vert.weight.index + k) * 13;
+
+                    // Rotate position
+                    var jointOrient = SIMD.float32x4.load(jointsData, weight.joint * 8 + 4);
+                    var weightPos = SIMD.float32x4.load(weigthsData, weightsOffset + 1);
+                    var ix4 = SIMD.float32x4.sub(
+                        SIMD.float32x4.add(
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                               SIMD.float32x4.swizzle(weightPos, 0, 1, 2, 0)),
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                               SIMD.float32x4.swizzle(weightPos, 2, 0, 1, 1))),
+                        SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 2),
+                                           SIMD.float32x4.swizzle(weightPos, 1, 2, 0, 2)));
+
+                    var rotatedPos = SIMD.float32x4.add(
+                        SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0)),
+                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                        SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 0)),
+                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 0))));
+
+                    var jointPos = SIMD.float32x4.load(jointsData, weight.joint * 8);
+                    var weightBias = SIMD.float32x4.swizzle(SIMD.float32x4.load(weigthsData, weightsOffset), 0, 0, 0, 0);
+
+                    // Translate position
+                    vx4 = SIMD.float32x4.add(vx4, SIMD.float32x4.mul(SIMD.float32x4.add(jointPos, rotatedPos), weightBias));
+
+                    // Rotate Normal
+                    var weightNormal = SIMD.float32x4.load(weigthsData, weightsOffset + 5);
+                    ix4 = SIMD.float32x4.sub(
+                        SIMD.float32x4.add(
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                               SIMD.float32x4.swizzle(weightNormal, 0, 1, 2, 0)),
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                               SIMD.float32x4.swizzle(weightNormal, 2, 0, 1, 1))),
+                        SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 2),
+                                           SIMD.float32x4.swizzle(weightNormal, 1, 2, 0, 2)));
+
+                    rotatedPos = SIMD.float32x4.add(
+                        SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0)),
+                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                        SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 0)),
+                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 0))));
+
+                    nx4 = SIMD.float32x4.add(nx4, SIMD.float32x4.mul(rotatedPos, weightBias))
+
+                    // Rotate Tangent
+                    var weightTangent = SIMD.float32x4.load(weigthsData, weightsOffset + 9);
+                    ix4 = SIMD.float32x4.sub(
+                        SIMD.float32x4.add(
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0), tempx4),
+                                               SIMD.float32x4.swizzle(weightTangent, 0, 1, 2, 0)),
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 1), tempx4),
+                                               SIMD.float32x4.swizzle(weightTangent, 2, 0, 1, 1))),
+                        SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 2),
+                                           SIMD.float32x4.swizzle(weightTangent, 1, 2, 0, 2)));
+
+                    rotatedPos = SIMD.float32x4.add(
+                        SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0)),
+                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), jointOrient)),
+                        SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 0)),
+                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 0))));
+
+                    tx4 = SIMD.float32x4.add(tx4, SIMD.float32x4.mul(rotatedPos, weightBias))
+                }
+
+                // Position
+                SIMD.float32x4.store(vertArray, vertOffset, vx4);
+
+                // TexCoord
+                SIMD.float32x4.store(vertArray, vertOffset + 3, SIMD.float32x4.load(vert.texCoord, 0));
+
+                // Normal
+                SIMD.float32x4.store(vertArray, vertOffset + 5, nx4);
+
+                // Tangent
+                SIMD.float32x4.store(vertArray, vertOffset + 8, tx4);
+            }
+        }
+    };
+
+    // Vertices per group and the weight slot components of groupWeights,
+    // bias, pos xyz, normal xyz and tangent xyz, each for four vertices
+    var GROUP_VERTS = 4;
+    var GROUP_WEIGHT_ELEMENTS = 40;
+    // Where they come from in weightsData
+    var GROUP_WEIGHT_SOURCES = [0, 1, 2, 3, 5, 6, 7, 9, 10, 11];
+
+    // Lays the weights of mesh out in structure of arrays for _skinSoA. Its
+    // vertices go in groups of four, each with as many weight slots as its
+    // vertex with the most weights. weightGroups holds the first slot and
+    // slot count of each group, groupJoints the joint of each vertex in a
+    // slot and groupWeights the rest. Missing weights have bias 0
+    var initializeWeightGroups = function(mesh) {
+        var verts = mesh.verts;
+        var groupCount = Math.ceil(verts.length / GROUP_VERTS);
+        var slotCount = 0;
+        var i, j, k;
+
+        mesh.weightGroups = new Int32Array(Math.max(groupCount, 1) * 2);
+        for (i = 0; i < groupCount; ++i) {
+            var slots = 0;
+            for (j = i * GROUP_VERTS; j < Math.min((i + 1) * GROUP_VERTS, verts.length); ++j) {
+                slots = Math.max(slots, verts[j].weight.count);
+            }
+            mesh.weightGroups[i * 2] = slotCount;
+            mesh.weightGroups[i * 2 + 1] = slots;
+            slotCount += slots;
+        }
+
+        mesh.groupJoints = new Int32Array(Math.max(slotCount, 1) * GROUP_VERTS);
+        mesh.groupWeights = new Float32Array(Math.max(slotCount, 1) * GROUP_WEIGHT_ELEMENTS);
+        for (j = 0; j < verts.length; ++j) {
+            var vert = verts[j];
+            var lane = j % GROUP_VERTS;
+            var firstSlot = mesh.weightGroups[Math.floor(j / GROUP_VERTS) * 2];
+            for (k = 0; k < vert.weight.count; ++k) {
+                var slot = firstSlot + k;
+                var weightsOffset = (vert.weight.index + k) * 13;
+                mesh.groupJoints[slot * GROUP_VERTS + lane] = mesh.weights[vert.weight.index + k].joint;
+                for (i = 0; i < GROUP_WEIGHT_SOURCES.length; ++i) {
+                    mesh.groupWeights[slot * GROUP_WEIGHT_ELEMENTS + i * GROUP_VERTS + lane] =
+                        mesh.weightsData[weightsOffset + GROUP_WEIGHT_SOURCES[i]];
+                }
+            }
+        }
+    };
+
+    // _skinSIMD with the weights in structure of arrays. Each float32x4 holds
+    // a component of four vertices, so the math needs no swizzles, but their
+    // joints have to be gathered
+    Md5Mesh.prototype._skinSoA = function(jointsData, vertArray, arrayOffset) {
+        if(!jointsData) { jointsData = this.jointsData; }
+        if(!vertArray) { vertArray = this.vertArray }
+        if(!arrayOffset) { arrayOffset = 0; }
+
+        var wx, wy, wz, ix, iy, iz, iw, rx, ry, rz;
+
+        var meshes = this.meshes;
+
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            var meshOffset = mesh.vertOffset + arrayOffset;
+
+            if (!mesh.weightGroups) { initializeWeightGroups(mesh); }
+            var weightGroups = mesh.weightGroups;
+            var groupJoints = mesh.groupJoints;
+            var groupWeights = mesh.groupWeights;
+
+            for(var j = 0; j * GROUP_VERTS < mesh.verts.length; ++j) {
+                var vx4 = SIMD.float32x4.splat(0);
+                var vy4 = SIMD.float32x4.splat(0);
+                var vz4 = SIMD.float32x4.splat(0);
+                var nx4 = SIMD.float32x4.splat(0);
+                var ny4 = SIMD.float32x4.splat(0);
+                var nz4 = SIMD.float32x4.splat(0);
+                var tx4 = SIMD.float32x4.splat(0);
+                var ty4 = SIMD.float32x4.splat(0);
+                var tz4 = SIMD.float32x4.splat(0);
+
+                var firstSlot = weightGroups[j * 2];
+                for (var k = firstSlot; k < firstSlot + weightGroups[j * 2 + 1]; ++k) {
+                    // Gather the joints of the four vertices
+                    var joint0 = groupJoints[k * 4] * 8;
+                    var joint1 = groupJoints[k * 4 + 1] * 8;
+                    var joint2 = groupJoints[k * 4 + 2] * 8;
+                    var joint3 = groupJoints[k * 4 + 3] * 8;
+                    var qx = SIMD.float32x4(jointsData[joint0 + 4], jointsData[joint1 + 4], jointsData[joint2 + 4], jointsData[joint3 + 4]);
+                    var qy = SIMD.float32x4(jointsData[joint0 + 5], jointsData[joint1 + 5], jointsData[joint2 + 5], jointsData[joint3 + 5]);
+                    var qz = SIMD.float32x4(jointsData[joint0 + 6], jointsData[joint1 + 6], jointsData[joint2 + 6], jointsData[joint3 + 6]);
+                    var qw = SIMD.float32x4(jointsData[joint0 + 7], jointsData[joint1 + 7], jointsData[joint2 + 7], jointsData[joint3 + 7]);
+                    var px = SIMD.float32x4(jointsData[joint0 + 0], jointsData[joint1 + 0], jointsData[joint2 + 0], jointsData[joint3 + 0]);
+                    var py = SIMD.float32x4(jointsData[joint0 + 1], jointsData[joint1 + 1], jointsData[joint2 + 1], jointsData[joint3 + 1]);
+                    var pz = SIMD.float32x4(jointsData[joint0 + 2], jointsData[joint1 + 2], jointsData[joint2 + 2], jointsData[joint3 + 2]);
+                    var weightsOffset = k * GROUP_WEIGHT_ELEMENTS;
+                    var bias = SIMD.float32x4.load(groupWeights, weightsOffset);
+
+                    // Rotate and translate position, iw is negated
+                    wx = SIMD.float32x4.load(groupWeights, weightsOffset + 4);
+                    wy = SIMD.float32x4.load(groupWeights, weightsOffset + 8);
+                    wz = SIMD.float32x4.load(groupWeights, weightsOffset + 12);
+                    ix = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wx), SIMD.float32x4.mul(qy, wz)), SIMD.float32x4.mul(qz, wy));
+                    iy = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wy), SIMD.float32x4.mul(qz, wx)), SIMD.float32x4.mul(qx, wz));
+                    iz = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wz), SIMD.float32x4.mul(qx, wy)), SIMD.float32x4.mul(qy, wx));
+                    iw = SIMD.float32x4.add(SIMD.float32x4.add(SIMD.float32x4.mul(qx, wx), SIMD.float32x4.mul(qy, wy)), SIMD.float32x4.mul(qz, wz));
+                    rx = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(ix, qw), SIMD.float32x4.mul(iw, qx)),
+                                            SIMD.float32x4.mul(iy, qz));
+                    rx = SIMD.float32x4.add(rx, SIMD.float32x4.mul(iz, qy));
+                    ry = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(iy, qw), SIMD.float32x4.mul(iw, qy)),
+                                            SIMD.float32x4.mul(iz, qx));
+                    ry = SIMD.float32x4.add(ry, SIMD.float32x4.mul(ix, qz));
+                    rz = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(iz, qw), SIMD.float32x4.mul(iw, qz)),
+                                            SIMD.float32x4.mul(ix, qy));
+                    rz = SIMD.float32x4.add(rz, SIMD.float32x4.mul(iy, qx));
+                    vx4 = SIMD.float32x4.add(vx4, SIMD.float32x4.mul(SIMD.float32x4.add(rx, px), bias));
+                    vy4 = SIMD.float32x4.add(vy4, SIMD.float32x4.mul(SIMD.float32x4.add(ry, py), bias));
+                    vz4 = SIMD.float32x4.add(vz4, SIMD.float32x4.mul(SIMD.float32x4.add(rz, pz), bias));
+
+                    // Rotate normal
+                    wx = SIMD.float32x4.load(groupWeights, weightsOffset + 16);
+                    wy = SIMD.float32x4.load(groupWeights, weightsOffset + 20);
+                    wz = SIMD.float32x4.load(groupWeights, weightsOffset + 24);
+                    ix = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wx), SIMD.float32x4.mul(qy, wz)), SIMD.float32x4.mul(qz, wy));
+                    iy = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wy), SIMD.float32x4.mul(qz, wx)), SIMD.float32x4.mul(qx, wz));
+                    iz = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wz), SIMD.float32x4.mul(qx, wy)), SIMD.float32x4.mul(qy, wx));
+                    iw = SIMD.float32x4.add(SIMD.float32x4.add(SIMD.float32x4.mul(qx, wx), SIMD.float32x4.mul(qy, wy)), SIMD.float32x4.mul(qz, wz));
+                    rx = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(ix, qw), SIMD.float32x4.mul(iw, qx)),
+                                            SIMD.float32x4.mul(iy, qz));
+                    rx = SIMD.float32x4.add(rx, SIMD.float32x4.mul(iz, qy));
+                    ry = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(iy, qw), SIMD.float32x4.mul(iw, qy)),
+                                            SIMD.float32x4.mul(iz, qx));
+                    ry = SIMD.float32x4.add(ry, SIMD.float32x4.mul(ix, qz));
+                    rz = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(iz, qw), SIMD.float32x4.mul(iw, qz)),
+                                            SIMD.float32x4.mul(ix, qy));
+                    rz = SIMD.float32x4.add(rz, SIMD.float32x4.mul(iy, qx));
+                    nx4 = SIMD.float32x4.add(nx4, SIMD.float32x4.mul(rx, bias));
+                    ny4 = SIMD.float32x4.add(ny4, SIMD.float32x4.mul(ry, bias));
+                    nz4 = SIMD.float32x4.add(nz4, SIMD.float32x4.mul(rz, bias));
+
+                    // Rotate tangent
+                    wx = SIMD.float32x4.load(groupWeights, weightsOffset + 28);
+                    wy = SIMD.float32x4.load(groupWeights, weightsOffset + 32);
+                    wz = SIMD.float32x4.load(groupWeights, weightsOffset + 36);
+                    ix = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wx), SIMD.float32x4.mul(qy, wz)), SIMD.float32x4.mul(qz, wy));
+                    iy = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wy), SIMD.float32x4.mul(qz, wx)), SIMD.float32x4.mul(qx, wz));
+                    iz = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(qw, wz), SIMD.float32x4.mul(qx, wy)), SIMD.float32x4.mul(qy, wx));
+                    iw = SIMD.float32x4.add(SIMD.float32x4.add(SIMD.float32x4.mul(qx, wx), SIMD.float32x4.mul(qy, wy)), SIMD.float32x4.mul(qz, wz));
+                    rx = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(ix, qw), SIMD.float32x4.mul(iw, qx)),
+                                            SIMD.float32x4.mul(iy, qz));
+                    rx = SIMD.float32x4.add(rx, SIMD.float32x4.mul(iz, qy));
+                    ry = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(iy, qw), SIMD.float32x4.mul(iw, qy)),
+                                            SIMD.float32x4.mul(iz, qx));
+                    ry = SIMD.float32x4.add(ry, SIMD.float32x4.mul(ix, qz));
+                    rz = SIMD.float32x4.sub(SIMD.float32x4.add(SIMD.float32x4.mul(iz, qw), SIMD.float32x4.mul(iw, qz)),
+                                            SIMD.float32x4.mul(ix, qy));
+                    rz = SIMD.float32x4.add(rz, SIMD.float32x4.mul(iy, qx));
+                    tx4 = SIMD.float32x4.add(tx4, SIMD.float32x4.mul(rx, bias));
+                    ty4 = SIMD.float32x4.add(ty4, SIMD.float32x4.mul(ry, bias));
+                    tz4 = SIMD.float32x4.add(tz4, SIMD.float32x4.mul(rz, bias));
+                }
+
+                // Scatter the four vertices, the last group of a mesh may have fewer
+                var lanes = Math.min(GROUP_VERTS, mesh.verts.length - j * GROUP_VERTS);
+                for (var lane = 0; lane < lanes; ++lane) {
+                    var vert = mesh.verts[j * GROUP_VERTS + lane];
+                    var vertOffset = ((j * GROUP_VERTS + lane) * VERTEX_ELEMENTS) + meshOffset;
+
+                    vertArray[vertOffset] = SIMD.float32x4.extractLane(vx4, lane);
+                    vertArray[vertOffset+1] = SIMD.float32x4.extractLane(vy4, lane);
+                    vertArray[vertOffset+2] = SIMD.float32x4.extractLane(vz4, lane);
+
+                    vertArray[vertOffset+3] = vert.texCoord[0];
+                    vertArray[vertOffset+4] = vert.texCoord[1];
+
+                    vertArray[vertOffset+5] = SIMD.float32x4.extractLane(nx4, lane);
+                    vertArray[vertOffset+6] = SIMD.float32x4.extractLane(ny4, lane);
+                    vertArray[vertOffset+7] = SIMD.float32x4.extractLane(nz4, lane);
+
+                    vertArray[vertOffset+8] = SIMD.float32x4.extractLane(tx4, lane);
+                    vertArray[vertOffset+9] = SIMD.float32x4.extractLane(ty4, lane);
+                    vertArray[vertOffset+10] = SIMD.float32x4.extractLane(tz4, lane);
+                }
+            }
+        }
+    };
+
+    // Sums the face normals and tangents around each vertex of vertArray
+    // from its skinned positions and the tris, instead of rotating the ones
+    // of the bind pose, then normalizes them. The faces are summed as in
+    // _compile, v difference of the third vertex taking its u included, so
+    // the bind pose gives its vertex normals. The rotated ones don't always:
+    // vertices sharing weights, as on texture seams, get the normal of the
+    // last of them. Costs a pass over the tris
+    Md5Mesh.prototype._recomputeNormals = function(vertArray, arrayOffset) {
+        if(!vertArray) { vertArray = this.vertArray }
+        if(!arrayOffset) { arrayOffset = 0; }
+
+        var meshes = this.meshes;
+
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            var meshOffset = mesh.vertOffset + arrayOffset;
+            var tris = mesh.tris;
+
+            // Normal and tangent sums of each vertex, in doubles like the
+            // vec3s of _compile
+            if (!mesh.normalSums) { mesh.normalSums = new Float64Array(Math.max(mesh.verts.length, 1) * 6); }
+            var sums = mesh.normalSums;
+            sums.fill(0);
+
+            for(var j = 0; j < tris.length; j += 3) {
+                var offset1 = meshOffset + tris[j] * VERTEX_ELEMENTS;
+                var offset2 = meshOffset + tris[j+1] * VERTEX_ELEMENTS;
+                var offset3 = meshOffset + tris[j+2] * VERTEX_ELEMENTS;
+
+                var ax = vertArray[offset2] - vertArray[offset1];
+                var ay = vertArray[offset2+1] - vertArray[offset1+1];
+                var az = vertArray[offset2+2] - vertArray[offset1+2];
+                var bx = vertArray[offset3] - vertArray[offset1];
+                var by = vertArray[offset3+1] - vertArray[offset1+1];
+                var bz = vertArray[offset3+2] - vertArray[offset1+2];
+
+                // Normal, b cross a
+                var nx = by * az - bz * ay;
+                var ny = bz * ax - bx * az;
+                var nz = bx * ay - by * ax;
+
+                // Tangent
+                var c2c1b = vertArray[offset2+4] - vertArray[offset1+4];
+                var c3c1b = vertArray[offset3+3] - vertArray[offset1+4];
+                var tx = c3c1b * ax - c2c1b * bx;
+                var ty = c3c1b * ay - c2c1b * by;
+                var tz = c3c1b * az - c2c1b * bz;
+
+                for(var k = 0; k < 3; ++k) {
+                    var sumOffset = tris[j+k] * 6;
+                    sums[sumOffset] += nx;
+                    sums[sumOffset+1] += ny;
+                    sums[sumOffset+2] += nz;
+                    sums[sumOffset+3] += tx;
+                    sums[sumOffset+4] += ty;
+                    sums[sumOffset+5] += tz;
+                }
+            }
+
+            for(var j = 0; j < mesh.verts.length; ++j) {
+                var vertOffset = (j * VERTEX_ELEMENTS) + meshOffset;
+                for(var k = 0; k < 6; k += 3) {
+                    var x = sums[j*6+k], y = sums[j*6+k+1], z = sums[j*6+k+2];
+                    var len = Math.sqrt(x * x + y * y + z * z);
+                    // Vertices on no tri stay 0, as their rotated ones do
+                    if (len > 0) { len = 1 / len; }
+                    vertArray[vertOffset+5+k] = x * len;
+                    vertArray[vertOffset+6+k] = y * len;
+                    vertArray[vertOffset+7+k] = z * len;
+                }
+            }
+        }
+    };
+
+    // _recomputeNormals with the face normal, tangent and sums in
+    // float32x4s. The sums take four floats each, normal then tangent, so
+    // they load and store whole. Writes the vertices with store3, which
+    // leaves the position of the next one alone
+    Md5Mesh.prototype._recomputeNormalsSIMD = function(vertArray, arrayOffset) {
+        if(!vertArray) { vertArray = this.vertArray }
+        if(!arrayOffset) { arrayOffset = 0; }
+
+        var meshes = this.meshes;
+
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            var meshOffset = mesh.vertOffset + arrayOffset;
+            var tris = mesh.tris;
+
+            if (!mesh.normalSumsData) { mesh.normalSumsData = new Float32Array(Math.max(mesh.verts.length, 1) * 8); }
+            var sums = mesh.normalSumsData;
+            sums.fill(0);
+
+            for(var j = 0; j < tris.length; j += 3) {
+                var offset1 = meshOffset + tris[j] * VERTEX_ELEMENTS;
+                var offset2 = meshOffset + tris[j+1] * VERTEX_ELEMENTS;
+                var offset3 = meshOffset + tris[j+2] * VERTEX_ELEMENTS;
+
+                var p1 = SIMD.float32x4.load3(vertArray, offset1);
+                var a = SIMD.float32x4.sub(SIMD.float32x4.load3(vertArray, offset2), p1);
+                var b = SIMD.float32x4.sub(SIMD.float32x4.load3(vertArray, offset3), p1);
+
+                // Normal, b cross a
+                var n = SIMD.float32x4.sub(
+                    SIMD.float32x4.mul(SIMD.float32x4.swizzle(b, 1, 2, 0, 3), SIMD.float32x4.swizzle(a, 2, 0, 1, 3)),
+                    SIMD.float32x4.mul(SIMD.float32x4.swizzle(b, 2, 0, 1, 3), SIMD.float32x4.swizzle(a, 1, 2, 0, 3)));
+
+                // Tangent
+                var c2c1b = SIMD.float32x4.splat(vertArray[offset2+4] - vertArray[offset1+4]);
+                var c3c1b = SIMD.float32x4.splat(vertArray[offset3+3] - vertArray[offset1+4]);
+                var t = SIMD.float32x4.sub(SIMD.float32x4.mul(c3c1b, a), SIMD.float32x4.mul(c2c1b, b));
+
+                for(var k = 0; k < 3; ++k) {
+                    var sumOffset = tris[j+k] * 8;
+                    SIMD.float32x4.store(sums, sumOffset, SIMD.float32x4.add(SIMD.float32x4.load(sums, sumOffset), n));
+                    SIMD.float32x4.store(sums, sumOffset + 4, SIMD.float32x4.add(SIMD.float32x4.load(sums, sumOffset + 4), t));
+                }
+            }
+
+            for(var j = 0; j < mesh.verts.length; ++j) {
+                var vertOffset = (j * VERTEX_ELEMENTS) + meshOffset;
+                SIMD.float32x4.store3(vertArray, vertOffset + 5, normalizeSIMD(SIMD.float32x4.load(sums, j * 8)));
+                SIMD.float32x4.store3(vertArray, vertOffset + 8, normalizeSIMD(SIMD.float32x4.load(sums, j * 8 + 4)));
+            }
+        }
+    };
+
+    // xyz of v scaled to length 1, left as they are when all 0
+    var normalizeSIMD = function(v) {
+        var squared = SIMD.float32x4.mul(v, v);
+        var lengthSquared = SIMD.float32x4.add(SIMD.float32x4.add(squared, SIMD.float32x4.swizzle(squared, 1, 2, 0, 3)),
+                                               SIMD.float32x4.swizzle(squared, 2, 0, 1, 3));
+        if (!(SIMD.float32x4.extractLane(lengthSquared, 0) > 0)) {
+            return v;
+        }
+        return SIMD.float32x4.div(v, SIMD.float32x4.sqrt(lengthSquared));
+    };
+
+    // Skins every frame of animation, or the bind pose without one, with
+    // the rotated normals and tangents and with recomputed ones. Returns
+    // the largest angle between the two, in degrees, as {normal, tangent}
+    Md5Mesh.prototype.measureNormals = function(animation) {
+        var length = this.vertArray.length;
+        var rotated = new Float32Array(length);
+        var recomputed = new Float32Array(length);
+        var errors = {normal: 0, tangent: 0};
+        var frames = 1;
+        if (animation) {
+            animation = this.bindAnimation(animation);
+            frames = animation.frames.length;
+        }
+
+        var recomputeNormals = this.recomputeNormals;
+        this.recomputeNormals = false;
+        for (var frame = 0; frame < frames; ++frame) {
+            this.skin(animation ? animation.getFrameJoints(frame) : null, rotated);
+            recomputed.set(rotated);
+            if (!useSIMD)
+                this._recomputeNormals(recomputed);
+            else
+                this._recomputeNormalsSIMD(recomputed);
+
+            for (var i = 0; i + VERTEX_ELEMENTS <= length; i += VERTEX_ELEMENTS) {
+                errors.normal = Math.max(errors.normal, angleBetween(rotated, recomputed, i + 5));
+                errors.tangent = Math.max(errors.tangent, angleBetween(rotated, recomputed, i + 8));
+            }
+        }
+        this.recomputeNormals = recomputeNormals;
+        return errors;
+    };
+
+    // Angle in degrees between the vec3s at offset of a and b, 0 when
+    // either is 0
+    var angleBetween = function(a, b, offset) {
+        var dot = a[offset] * b[offset] + a[offset+1] * b[offset+1] + a[offset+2] * b[offset+2];
+        var lengths = Math.sqrt((a[offset] * a[offset] + a[offset+1] * a[offset+1] + a[offset+2] * a[offset+2]) *
+                                (b[offset] * b[offset] + b[offset+1] * b[offset+1] + b[offset+2] * b[offset+2]));
+        if (!(lengths > 0)) { return 0; }
+        return Math.acos(Math.max(-1, Math.min(1, dot / lengths))) * 180 / Math.PI;
+    };
+
+    var GPU_MAX_WEIGHTS = 6;
+    var GPU_VERTEX_ELEMENTS = 4; // 2 UV, first weight, weight count
+    var WEIGHT_TEXELS = 4; // joint and bias, pos, normal, tangent
+    var JOINT_TEXELS = 2; // pos, orient
+
+    // Texels per row of the GPU skinning textures. Powers of two, so the
+    // vertex shader can split an index into row and column exactly
+    var WEIGHTS_TEXTURE_WIDTH = 1024;
+    var JOINTS_TEXTURE_WIDTH = 256;
+
+    var textureSize = function(texels, width) {
+        return [width, Math.ceil(texels / width)];
+    };
+
+    // Packs what the vertex shader needs to skin: a vertex array of texCoord,
+    // first weight and weight count, and the weights of all meshes as RGBA
+    // float texels. Joints go in jointTexels, see packJoints
+    Md5Mesh.prototype._initializeGPUData = function() {
+        var meshes = this.meshes;
+        var vertCount = 0;
+        var weightCount = 0;
+        var i, j;
+
+        for(i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+            mesh.gpuVertOffset = vertCount * GPU_VERTEX_ELEMENTS;
+            mesh.gpuWeightOffset = weightCount;
+            vertCount += mesh.verts.length;
+            weightCount += mesh.weights.length;
+        }
+
+        var weightsSize = textureSize(Math.max(weightCount, 1) * WEIGHT_TEXELS, WEIGHTS_TEXTURE_WIDTH);
+        var jointsSize = textureSize(Math.max(this.joints.length, 1) * JOINT_TEXELS, JOINTS_TEXTURE_WIDTH);
+        var vertArray = new Float32Array(vertCount * GPU_VERTEX_ELEMENTS);
+        var weightTexels = new Float32Array(weightsSize[0] * weightsSize[1] * 4);
+
+        for(i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+
+            for(j = 0; j < mesh.verts.length; ++j) {
+                var vert = mesh.verts[j];
+                if (vert.weight.count > GPU_MAX_WEIGHTS) {
+                    throw new Error("Vertex " + j + " of mesh " + i + " has " + vert.weight.count +
+                                    " weights, GPU skinning supports " + GPU_MAX_WEIGHTS);
+                }
+                var vertOffset = mesh.gpuVertOffset + j * GPU_VERTEX_ELEMENTS;
+                vertArray[vertOffset] = vert.texCoord[0];
+                vertArray[vertOffset+1] = vert.texCoord[1];
+                vertArray[vertOffset+2] = mesh.gpuWeightOffset + vert.weight.index;
+                vertArray[vertOffset+3] = vert.weight.count;
+            }
+
+            for(j = 0; j < mesh.weights.length; ++j) {
+                var weight = mesh.weights[j];
+                var texelOffset = (mesh.gpuWeightOffset + j) * WEIGHT_TEXELS * 4;
+                weightTexels[texelOffset] = weight.joint;
+                weightTexels[texelOffset+1] = weight.bias;
+                weightTexels.set(weight.pos, texelOffset + 4);
+                weightTexels.set(weight.normal, texelOffset + 8);
+                weightTexels.set(weight.tangent, texelOffset + 12);
+            }
+        }
+
+        this.gpu = {
+            vertArray: vertArray,
+            weightTexels: weightTexels,
+            weightsSize: weightsSize,
+            jointTexels: new Float32Array(jointsSize[0] * jointsSize[1] * 4),
+            jointsSize: jointsSize
+        };
+        this.packJoints(null);
+        return this.gpu;
+    };
+
+    // Writes joints (or jointsData for SIMD, null for the bind pose) into
+    // the joint texels as pos4f and orient4f
+    Md5Mesh.prototype.packJoints = function(joints) {
+        if(!joints) { joints = this.joints; }
+        var jointTexels = this.gpu.jointTexels;
+
+        if (joints instanceof Float32Array) {
+            jointTexels.set(joints.subarray(0, this.joints.length * 8));
+        } else {
+            for (var i = 0; i < this.joints.length; ++i) {
+                jointTexels.set(joints[i].pos, i * 8);
+                jointTexels.set(joints[i].orient, i * 8 + 4);
+            }
+        }
+        return jointTexels;
+    };
+
+    // Does what the GPU skinning vertex shader does, from the same texels,
+    // into vertArray laid out like _skin's. Lets the GPU path be checked on
+    // the CPU
+    Md5Mesh.prototype._skinGPUReference = function(vertArray) {
+        if(!vertArray) { vertArray = new Float32Array(this.vertArray.length); }
+
+        var gpu = this.gpu;
+        var texel = function(texels, size, index) {
+            var y = Math.floor((index + 0.5) / size[0]);
+            var x = index - y * size[0];
+            return texels.subarray((y * size[0] + x) * 4, (y * size[0] + x) * 4 + 4);
+        };
+        var rotate = function(q, v, out) {
+            // v + 2 * cross(q.xyz, cross(q.xyz, v) + q.w * v)
+            var cx = q[1] * v[2] - q[2] * v[1] + q[3] * v[0];
+            var cy = q[2] * v[0] - q[0] * v[2] + q[3] * v[1];
+            var cz = q[0] * v[1] - q[1] * v[0] + q[3] * v[2];
+            out[0] = v[0] + 2 * (q[1] * cz - q[2] * cy);
+            out[1] = v[1] + 2 * (q[2] * cx - q[0] * cz);
+            out[2] = v[2] + 2 * (q[0] * cy - q[1] * cx);
+            return out;
+        };
+        var rotated = [0, 0, 0];
+
+        var meshes = this.meshes;
+        for(var i = 0; i < meshes.length; ++i) {
+            var mesh = meshes[i];
+
+            for(var j = 0; j < mesh.verts.length; ++j) {
+                var gpuOffset = mesh.gpuVertOffset + j * GPU_VERTEX_ELEMENTS;
+                var vertOffset = mesh.vertOffset + j * VERTEX_ELEMENTS;
+                var first = gpu.vertArray[gpuOffset+2];
+                var count = gpu.vertArray[gpuOffset+3];
+                var v = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+                for (var k = 0; k < GPU_MAX_WEIGHTS && k < count; ++k) {
+                    var index = (first + k) * WEIGHT_TEXELS;
+                    var jointBias = texel(gpu.weightTexels, gpu.weightsSize, index);
+                    var jointPos = texel(gpu.jointTexels, gpu.jointsSize, jointBias[0] * JOINT_TEXELS);
+                    var jointOrient = texel(gpu.jointTexels, gpu.jointsSize, jointBias[0] * JOINT_TEXELS + 1);
+                    var bias = jointBias[1];
+
+                    rotate(jointOrient, texel(gpu.weightTexels, gpu.weightsSize, index + 1), rotated);
+                    v[0] += (jointPos[0] + rotated[0]) * bias;
+                    v[1] += (jointPos[1] + rotated[1]) * bias;
+                    v[2] += (jointPos[2] + rotated[2]) * bias;
+
+                    rotate(jointOrient, texel(gpu.weightTexels, gpu.weightsSize, index + 2), rotated);
+                    v[3] += rotated[0] * bias;
+                    v[4] += rotated[1] * bias;
+                    v[5] += rotated[2] * bias;
+
+                    rotate(jointOrient, texel(gpu.weightTexels, gpu.weightsSize, index + 3), rotated);
+                    v[6] += rotated[0] * bias;
+                    v[7] += rotated[1] * bias;
+                    v[8] += rotated[2] * bias;
+                }
+
+                vertArray.set(v.slice(0, 3), vertOffset);
+                vertArray[vertOffset+3] = gpu.vertArray[gpuOffset];
+                vertArray[vertOffset+4] = gpu.vertArray[gpuOffset+1];
+                vertArray.set(v.slice(3), vertOffset + 5);
+            }
+        }
+        return vertArray;
+    };
+
+    // Skins joints both with skin and with the GPU reference, returns the
+    // largest difference between the two vertex arrays
+    Md5Mesh.prototype.checkGPUSkinning = function(joints) {
+        if (!this.gpu) { this._initializeGPUData(); }
+        this.packJoints(joints);
+        this.skin(joints);
+        var reference = this._skinGPUReference();
+        var maxError = 0;
+        // Leave out the element appended for SIMD stores
+        for (var i = 0; i < reference.length - 1; ++i) {
+            maxError = Math.max(maxError, Math.abs(reference[i] - this.vertArray[i]));
+        }
+        return maxError;
+    };
+
+    /*
+     * Weight LODs
+     */
+
+    // Most influences per vertex of each weight LOD: level n skins with
+    // WEIGHT_LODS[n - 1], level 0 with all the weights
+    var WEIGHT_LODS = [4, 2, 1];
+
+    // Indices of the maxWeights largest biases, in their order. The first
+    // of equal ones is kept
+    var topWeights = function(biases, maxWeights) {
+        var indices = new Array();
+        for (var i = 0; i < biases.length; ++i) {
+            indices.push(i);
+        }
+        if (biases.length <= maxWeights) {
+            return indices;
+        }
+        indices.sort(function(a, b) { return biases[b] - biases[a] || a - b; });
+        return indices.slice(0, maxWeights).sort(function(a, b) { return a - b; });
+    };
+
+    // Copy of mesh whose vertices have no more than maxWeights weights,
+    // the largest, with their biases scaled up to the sum of all of them.
+    // Vertices with fewer keep theirs as they are
+    var reduceWeights = function(mesh, maxWeights) {
+        var lod = {
+            verts: new Array(),
+            weights: new Array(),
+            weightsData: null,
+            vertOffset: mesh.vertOffset,
+            tris: mesh.tris
+        };
+        var weightsData = new Array();
+
+        for (var i = 0; i < mesh.verts.length; ++i) {
+            var vert = mesh.verts[i];
+            var biases = new Array();
+            var total = 0;
+            for (var j = 0; j < vert.weight.count; ++j) {
+                biases.push(mesh.weights[vert.weight.index + j].bias);
+                total += biases[j];
+            }
+            var kept = topWeights(biases, maxWeights);
+            var sum = 0;
+            for (var j = 0; j < kept.length; ++j) {
+                sum += biases[kept[j]];
+            }
+            var scale = (kept.length < biases.length && sum > 0) ? total / sum : 1;
+
+            lod.verts.push({texCoord: vert.texCoord, weight: {index: lod.weights.length, count: kept.length}});
+            for (var j = 0; j < kept.length; ++j) {
+                var index = vert.weight.index + kept[j];
+                var weight = mesh.weights[index];
+                var bias = weight.bias * scale;
+                lod.weights.push({joint: weight.joint, bias: bias, pos: weight.pos,
+                                  normal: weight.normal, tangent: weight.tangent});
+                var data = Array.prototype.slice.call(mesh.weightsData, index * 13, index * 13 + 13);
+                data[0] = bias;
+                weightsData.push.apply(weightsData, data);
+            }
+        }
+        lod.weightsData = new Float32Array(Math.max(weightsData.length, 13));
+        lod.weightsData.set(weightsData);
+        return lod;
+    };
+
+    // Returns the mesh to skin with at a weight LOD: this one at level 0,
+    // otherwise a copy sharing its joints and vertArray with fewer weights
+    // per vertex (see WEIGHT_LODS). Skin it into the vertArray of this
+    // mesh or of one of its instances. The copies are made the first time
+    Md5Mesh.prototype.getWeightLod = function(level) {
+        if (!level) { return this; }
+        if (!this.weightLods) {
+            this.weightLods = new Array();
+            for (var i = 0; i < WEIGHT_LODS.length; ++i) {
+                var lod = new Md5Mesh();
+                lod.joints = this.joints;
+                lod.jointsData = this.jointsData;
+                lod.vertArray = this.vertArray;
+                lod.maxWeights = WEIGHT_LODS[i];
+                lod.meshes = this.meshes.map(function(mesh) { return reduceWeights(mesh, WEIGHT_LODS[i]); });
+                this.weightLods.push(lod);
+            }
+        }
+        var lod = this.weightLods[Math.min(level, WEIGHT_LODS.length) - 1];
+        lod.recomputeNormals = this.recomputeNormals;
+        return lod;
+    };
+
+    // Skins every frame of animation, or the bind pose without one, with
+    // all the weights and at each weight LOD. Returns the largest distance
+    // a vertex moved at each level, 0 for level 0, and keeps the largest
+    // yet as the error of each LOD
+    Md5Mesh.prototype.measureWeightLods = function(animation) {
+        var length = this.vertArray.length;
+        var full = new Float32Array(length);
+        var reduced = new Float32Array(length);
+        var errors = [0];
+        var frames = 1;
+        if (animation) {
+            animation = this.bindAnimation(animation);
+            frames = animation.frames.length;
+        }
+
+        for (var level = 1; level <= WEIGHT_LODS.length; ++level) {
+            errors.push(0);
+            this.getWeightLod(level);
+        }
+        for (var frame = 0; frame < frames; ++frame) {
+            var joints = animation ? animation.getFrameJoints(frame) : null;
+            this.skin(joints, full);
+            for (var level = 1; level <= WEIGHT_LODS.length; ++level) {
+                this.getWeightLod(level).skin(joints, reduced);
+                // Positions only, the element appended for SIMD stores is
+                // left out
+                for (var i = 0; i + VERTEX_ELEMENTS <= length; i += VERTEX_ELEMENTS) {
+                    var dx = reduced[i] - full[i];
+                    var dy = reduced[i + 1] - full[i + 1];
+                    var dz = reduced[i + 2] - full[i + 2];
+                    errors[level] = Math.max(errors[level], Math.sqrt(dx * dx + dy * dy + dz * dz));
+                }
+            }
+        }
+
+        for (var level = 1; level <= WEIGHT_LODS.length; ++level) {
+            var lod = this.weightLods[level - 1];
+            lod.error = Math.max(lod.error, errors[level]);
+        }
+        return errors;
+    };
+
+    // Picks the weight LOD of each instance by its distance to the camera,
+    // one level further past each of distances. With budget set, in
+    // milliseconds of skinning per frame, update moves every instance a
+    // level further while frames take longer and back while they take
+    // under 3/4 of it. With no distances the budget alone decides
+    var Md5LodSelector = function(distances) {
+        this.distances = distances || [400, 800, 1600];
+        this.budget = 0;
+        this.bias = 0;
+    };
+
+    Md5LodSelector.prototype.select = function(distance) {
+        var level = 0;
+        while (level < this.distances.length && distance > this.distances[level]) {
+            ++level;
+        }
+        return Math.min(level + this.bias, WEIGHT_LODS.length);
+    };
+
+    // time is how long skinning the last frame took
+    Md5LodSelector.prototype.update = function(time) {
+        if (!this.budget) {
+            this.bias = 0;
+        } else if (time > this.budget) {
+            this.bias = Math.min(this.bias + 1, WEIGHT_LODS.length);
+        } else if (time < this.budget * 0.75) {
+            this.bias = Math.max(this.bias - 1, 0);
+        }
+    };
+
+    /*
+     * Md5Anim
+     */
+
+    var Md5Anim = function() {
+        this.frameRate = 24;
+        this.frameTime = 1000.0 / this.frameRate;
+        this.hierarchy = null;
+        this.baseFrame = null;
+        this.baseFrameJointsData = null;
+        this.jointsData = null;
+        this.frames = null;
+        // {min, max} box of every frame, null if the file has none
+        this.bounds = null;
+    };
+        
+    // src is the text of a .md5anim file, as a string or a Buffer. Throws a
+    // Md5ParseError naming fileName when it is malformed
+    Md5Anim.prototype._parse = function(src, fileName) {
+        var tokenizer = new Md5Tokenizer(src, fileName);
+        var token, index;
+
+        parseHeader(tokenizer);
+        var numFrames = tokenizer.expectCount("numFrames");
+        var numJoints = tokenizer.expectCount("numJoints");
+        tokenizer.expect("frameRate");
+        token = tokenizer.peek();
+        this.frameRate = tokenizer.expectInt();
+        if (this.frameRate <= 0) {
+            tokenizer.error("frameRate must be positive", token);
+        }
+        this.frameTime = 1000 / this.frameRate;
+        var numAnimatedComponents = tokenizer.expectCount("numAnimatedComponents");
+
+        this.hierarchy = new Array();
+        this.baseFrame = new Array();
+        this.baseFrameJointsData = new Float32Array(Math.max(numJoints, 1) * 8);
+        this.jointsData = new Float32Array(Math.max(numJoints, 1) * 8);
+        this.frames = new Array();
+
+        tokenizer.expect("hierarchy");
+        tokenizer.expect("{");
+        while ((token = tokenizer.peek()) !== null && token.value !== "}") {
+            index = this.hierarchy.length;
+            if (index >= numJoints) {
+                tokenizer.error("More joints than numJoints " + numJoints, token);
+            }
+            var name = tokenizer.expectString();
+            token = tokenizer.peek();
+            var parent = tokenizer.expectInt();
+            if (parent < -1 || parent >= index) {
+                tokenizer.error("Joint \"" + name + "\" has invalid parent " + parent, token);
+            }
+            var flags = tokenizer.expectInt();
+            token = tokenizer.peek();
+            var startIndex = tokenizer.expectInt();
+            var components = 0;
+            for (var bit = 0; bit < 6; ++bit) {
+                if (flags & (1 << bit)) { components++; }
+            }
+            if (startIndex < 0 || startIndex + components > numAnimatedComponents) {
+                tokenizer.error("Joint \"" + name + "\" components are out of range", token);
+            }
+            this.hierarchy.push({
+                name: name,
+                parent: parent,
+                flags: flags,
+                index: startIndex
+            });
+        }
+        tokenizer.checkCount("numJoints", numJoints, this.hierarchy.length, token);
+        tokenizer.expect("}");
+
+        // Bounds are optional
+        token = tokenizer.peek();
+        if (token !== null && token.value === "bounds") {
+            tokenizer.next();
+            tokenizer.expect("{");
+            this.bounds = new Array();
+            while ((token = tokenizer.peek()) !== null && token.value !== "}") {
+                this.bounds.push({
+                    min: tokenizer.expectVector(3),
+                    max: tokenizer.expectVector(3)
+                });
+            }
+            tokenizer.checkCount("numFrames", numFrames, this.bounds.length, token);
+            tokenizer.expect("}");
+        }
+
+        tokenizer.expect("baseframe");
+        tokenizer.expect("{");
+        while ((token = tokenizer.peek()) !== null && token.value !== "}") {
+            if (this.baseFrame.length >= numJoints) {
+                tokenizer.error("More baseframe joints than numJoints " + numJoints, token);
+            }
+            this.baseFrame.push({
+                pos: tokenizer.expectVector(3),
+                orient: tokenizer.expectVector(3)
+            });
+        }
+        tokenizer.checkCount("numJoints", numJoints, this.baseFrame.length, token);
+        tokenizer.expect("}");
+
+        while ((token = tokenizer.peek()) !== null) {
+            tokenizer.expect("frame");
+            token = tokenizer.peek();
+            index = tokenizer.expectInt();
+            if (index !== this.frames.length) {
+                tokenizer.error("Expected frame " + this.frames.length + " but found " + index, token);
+            }
+            if (index >= numFrames) {
+                tokenizer.error("More frames than numFrames " + numFrames, token);
+            }
+            tokenizer.expect("{");
+            var frame = new Array();
+            while ((token = tokenizer.peek()) !== null && token.value !== "}") {
+                frame.push(tokenizer.expectFloat());
+            }
+            tokenizer.checkCount("numAnimatedComponents", numAnimatedComponents, frame.length, token);
+            tokenizer.expect("}");
+            this.frames.push(frame);
+        }
+        tokenizer.checkCount("numFrames", numFrames, this.frames.length, null);
+    };
+        
+    // Scratch joints in pos4f and orient4f layout, relative to their parents.
+    // They grow to the largest skeleton yet, see scratchJoints
+    var localData = new Float32Array(8);
+    var blendLocalData = new Float32Array(8);
+    var blendLayerData = new Float32Array(8);
+    var blendJointsData = new Float32Array(8);
+
+    // Returns data if it holds jointsLength joints, otherwise a new array
+    // that does
+    var scratchJoints = function(data, jointsLength) {
+        if (data.length >= jointsLength * 8) {
+            return data;
+        }
+        return new Float32Array(jointsLength * 8);
+    };
+
+    Md5Anim.prototype.getFrameJoints = function(frame) {
+        localData = scratchJoints(localData, this.hierarchy.length);
+        this._getLocalJoints(frame, frame, 0, localData);
+        return composeJoints(this.hierarchy, localData, this.jointsData);
+    };
+
+    // Returns the joints at the given time (in milliseconds), interpolated
+    // between the two nearest frames
+    Md5Anim.prototype.getJointsAtTime = function(time) {
+        localData = scratchJoints(localData, this.hierarchy.length);
+        this._getLocalJointsAtTime(time, localData);
+        return composeJoints(this.hierarchy, localData, this.jointsData);
+    };
+
+    // Returns the {min, max} box around the model at frame, interpolated
+    // when frame has a fraction, or null without bounds. Fills out if given
+    Md5Anim.prototype.getFrameBounds = function(frame, out) {
+        return frameBounds(this.bounds, frame, out);
+    };
+
+    Md5Anim.prototype.getBoundsAtTime = function(time, out) {
+        return frameBounds(this.bounds, time / this.frameTime, out);
+    };
+
+    // Shared with the Md5Anims of md5-asm.js, which only have the fields
+    var frameBounds = function(bounds, frame, out) {
+        if (!bounds || bounds.length == 0) {
+            return null;
+        }
+        var length = bounds.length;
+        frame = frame % length;
+        if (frame < 0) { frame += length; }
+
+        var frameA = Math.floor(frame);
+        var blend = frame - frameA;
+        var a = bounds[frameA];
+        var b = bounds[(frameA + 1) % length];
+        if (!out) {
+            out = {min: [0, 0, 0], max: [0, 0, 0]};
+        }
+        for (var i = 0; i < 3; ++i) {
+            out.min[i] = a.min[i] + (b.min[i] - a.min[i]) * blend;
+            out.max[i] = a.max[i] + (b.max[i] - a.max[i]) * blend;
+        }
+        return out;
+    };
+
+    Md5Anim.prototype._getLocalJointsAtTime = function(time, localData) {
+        var length = this.frames.length * this.frameTime;
+        time = time % length;
+        if (time < 0) { time += length; }
+
+        var frame = time / this.frameTime;
+        var frameA = Math.floor(frame);
+        this._getLocalJoints(frameA, frameA + 1, frame - frameA, localData);
+    };
+
+    // Reads the base-relative pos and orient of joint i from frameData
+    Md5Anim.prototype._readFrameJoint = function(i, frameData, pos, orient) {
+        var baseJoint = this.baseFrame[i];
+        var offset = this.hierarchy[i].index;
+        var flags = this.hierarchy[i].flags;
+
+        pos[0] = baseJoint.pos[0];
+        pos[1] = baseJoint.pos[1];
+        pos[2] = baseJoint.pos[2];
+        orient[0] = baseJoint.orient[0];
+        orient[1] = baseJoint.orient[1];
+        orient[2] = baseJoint.orient[2];
+
+        var j = 0;
+
+        if (flags & 1) { // Translate X
+            pos[0] = frameData[offset + j];
+            ++j;
+        }
+
+        if (flags & 2) { // Translate Y
+            pos[1] = frameData[offset + j];
+            ++j;
+        }
+
+        if (flags & 4) { // Translate Z
+            pos[2] = frameData[offset + j];
+            ++j;
+        }
+
+        if (flags & 8) { // Orient X
+            orient[0] = frameData[offset + j];
+            ++j;
+        }
+
+        if (flags & 16) { // Orient Y
+            orient[1] = frameData[offset + j];
+            ++j;
+        }
+
+        if (flags & 32) { // Orient Z
+            orient[2] = frameData[offset + j];
+            ++j;
+        }
+
+        // Recompute W value
+        quat4.calculateW(orient);
+    };
+
+    // Writes the joints of frameA, blended towards frameB by blend [0, 1),
+    // to localData. The joints are still relative to their parents
+    Md5Anim.prototype._getLocalJoints = function(frameA, frameB, blend, localData) {
+        var frameDataA = this.frames[frameA % this.frames.length];
+        var frameDataB = this.frames[frameB % this.frames.length];
+        var aPos = [0, 0, 0];
+        var aOrient = [0, 0, 0, 0];
+        var bPos = [0, 0, 0];
+        var bOrient = [0, 0, 0, 0];
+
+        for (var i = 0; i < this.baseFrame.length; ++i) {
+            this._readFrameJoint(i, frameDataA, aPos, aOrient);
+
+            if (blend > 0) {
+                this._readFrameJoint(i, frameDataB, bPos, bOrient);
+
+                vec3.lerp(aPos, bPos, blend);
+
+                // Take the shortest path between the two orientations
+                if (quat4.dot(aOrient, bOrient) < 0) {
+                    bOrient[0] = -bOrient[0];
+                    bOrient[1] = -bOrient[1];
+                    bOrient[2] = -bOrient[2];
+                    bOrient[3] = -bOrient[3];
+                }
+                quat4.slerp(aOrient, bOrient, blend);
+            }
+
+            var offset = i * 8;
+            localData[offset] = aPos[0];
+            localData[offset + 1] = aPos[1];
+            localData[offset + 2] = aPos[2];
+            localData[offset + 3] = 0;
+            localData[offset + 4] = aOrient[0];
+            localData[offset + 5] = aOrient[1];
+            localData[offset + 6] = aOrient[2];
+            localData[offset + 7] = aOrient[3];
+        }
+    };
+
+    // Multiplies the local joints against their parents. Returns the joint
+    // set, or jointsData filled with pos4f and orient4f for the SIMD version
+    var composeJoints = function(hierarchy, localData, jointsData) {
+        if (useSIMD && useSIMDJoints)
+            return composeJointsSIMD(hierarchy, localData, jointsData);
+
+        var joints = new Array();
+        var jointsOffset = 0;
+
+        for (var i = 0; i < hierarchy.length; ++i) {
+            var offset = i * 8;
+            var aPos = [localData[offset], localData[offset + 1], localData[offset + 2]];
+            var aOrient = [localData[offset + 4], localData[offset + 5], localData[offset + 6], localData[offset + 7]];
+
+            // Multiply against parent 
+            //(assumes parents always have a lower index than their children)
+            var parentIndex = hierarchy[i].parent;
+
+            if(parentIndex >= 0) {
+                var parentJoint = joints[parentIndex];
+
+                quat4.multiplyVec3(parentJoint.orient, aPos);
+                vec3.add(aPos, parentJoint.pos);
+                quat4.multiply(parentJoint.orient, aOrient, aOrient);
+            }
+
+            if (!useSIMD) {
+                joints.push({pos: aPos, orient: aOrient}); // This could be so much better!
+            } else {
+                joints.push({pos: aPos, orient: aOrient}); // This could be so much better!
+                jointsData[jointsOffset++] = aPos[0];
+                jointsData[jointsOffset++] = aPos[1];
+                jointsData[jointsOffset++] = aPos[2];
+                jointsData[jointsOffset++] = 0;
+                jointsData[jointsOffset++] = aOrient[0];
+                jointsData[jointsOffset++] = aOrient[1];
+                jointsData[jointsOffset++] = aOrient[2];
+                jointsData[jointsOffset++] = aOrient[3];
+            }
+        }
+
+        if (!useSIMD)
+            return joints;
+        else
+            return jointsData;
+    };
+
+    // composeJoints with float32x4s, straight from localData into jointsData.
+    // Parents are composed before their children, so they're read back from
+    // jointsData
+    var composeJointsSIMD = function(hierarchy, localData, jointsData) {
+        var tempx4 = SIMD.float32x4(1, 1, 1, -1);
+        var posMask = SIMD.float32x4(1, 1, 1, 0);
+
+        for (var i = 0; i < hierarchy.length; ++i) {
+            var offset = i * 8;
+            var pos = SIMD.float32x4.load(localData, offset);
+            var orient = SIMD.float32x4.load(localData, offset + 4);
+
+            var parentIndex = hierarchy[i].parent;
+
+            if(parentIndex >= 0) {
+                var parentPos = SIMD.float32x4.load(jointsData, parentIndex * 8);
+                var parentOrient = SIMD.float32x4.load(jointsData, parentIndex * 8 + 4);
+
+                // Rotate position, w ends up in lane 3 of ix4
+                var ix4 = SIMD.float32x4.sub(
+                    SIMD.float32x4.add(
+                        SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 3, 3, 3, 0), tempx4),
+                                           SIMD.float32x4.swizzle(pos, 0, 1, 2, 0)),
+                        SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 1, 2, 0, 1), tempx4),
+                                           SIMD.float32x4.swizzle(pos, 2, 0, 1, 1))),
+                    SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 2, 0, 1, 2),
+                                       SIMD.float32x4.swizzle(pos, 1, 2, 0, 2)));
+
+                pos = SIMD.float32x4.add(
+                    SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(parentOrient, 3, 3, 3, 0)),
+                                       SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), parentOrient)),
+                    SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(parentOrient, 1, 2, 0, 0)),
+                                       SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(parentOrient, 2, 0, 1, 0))));
+
+                // Translate position, keeping lane 3 at 0
+                pos = SIMD.float32x4.mul(SIMD.float32x4.add(pos, parentPos), posMask);
+
+                // parentOrient * orient
+                orient = SIMD.float32x4.sub(
+                    SIMD.float32x4.add(
+                        SIMD.float32x4.add(
+                            SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 3, 3, 3, 3), orient),
+                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 0, 1, 2, 0),
+                                                                  SIMD.float32x4.swizzle(orient, 3, 3, 3, 0)), tempx4)),
+                        SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 1, 2, 0, 1),
+                                                              SIMD.float32x4.swizzle(orient, 2, 0, 1, 1)), tempx4)),
+                    SIMD.float32x4.mul(SIMD.float32x4.swizzle(parentOrient, 2, 0, 1, 2),
+                                       SIMD.float32x4.swizzle(orient, 1, 2, 0, 2)));
+            }
+
+            SIMD.float32x4.store(jointsData, offset, pos);
+            SIMD.float32x4.store(jointsData, offset + 4, orient);
+        }
+
+        return jointsData;
+    };
+
+    // Moves the local joints in dst towards src by weight. Positions are
+    // lerped and orientations nlerped
+    var blendLocalJoints = function(dst, src, weight, length) {
+        for (var i = 0; i < length; ++i) {
+            var offset = i * 8;
+
+            dst[offset] += (src[offset] - dst[offset]) * weight;
+            dst[offset + 1] += (src[offset + 1] - dst[offset + 1]) * weight;
+            dst[offset + 2] += (src[offset + 2] - dst[offset + 2]) * weight;
+
+            var dot = dst[offset + 4] * src[offset + 4] + dst[offset + 5] * src[offset + 5] +
+                      dst[offset + 6] * src[offset + 6] + dst[offset + 7] * src[offset + 7];
+            // Take the shortest path between the two orientations
+            var srcWeight = dot < 0 ? -weight : weight;
+            var x = dst[offset + 4] * (1 - weight) + src[offset + 4] * srcWeight;
+            var y = dst[offset + 5] * (1 - weight) + src[offset + 5] * srcWeight;
+            var z = dst[offset + 6] * (1 - weight) + src[offset + 6] * srcWeight;
+            var w = dst[offset + 7] * (1 - weight) + src[offset + 7] * srcWeight;
+            var len = Math.sqrt(x * x + y * y + z * z + w * w);
+            if (len > 0) { len = 1 / len; }
+            dst[offset + 4] = x * len;
+            dst[offset + 5] = y * len;
+            dst[offset + 6] = z * len;
+            dst[offset + 7] = w * len;
+        }
+    };
+
+    // Blends several animations of the same skeleton into one joint set.
+    // layers is an array of {animation, time, weight}, weights need not sum
+    // to 1. Layers without weight are skipped
+    var blendJoints = function(layers) {
+        var hierarchy = null;
+        var totalWeight = 0;
+
+        for (var i = 0; i < layers.length; ++i) {
+            var layer = layers[i];
+            if (layer.weight <= 0) {
+                continue;
+            }
+
+            if (hierarchy === null) {
+                hierarchy = layer.animation.hierarchy;
+                blendLocalData = scratchJoints(blendLocalData, hierarchy.length);
+                layer.animation._getLocalJointsAtTime(layer.time, blendLocalData);
+                totalWeight = layer.weight;
+            } else {
+                blendLayerData = scratchJoints(blendLayerData, layer.animation.hierarchy.length);
+                layer.animation._getLocalJointsAtTime(layer.time, blendLayerData);
+                totalWeight += layer.weight;
+                blendLocalJoints(blendLocalData, blendLayerData, layer.weight / totalWeight, hierarchy.length);
+            }
+        }
+
+        if (hierarchy === null) {
+            // Nothing is weighted, fall back to the first layer
+            hierarchy = layers[0].animation.hierarchy;
+            blendLocalData = scratchJoints(blendLocalData, hierarchy.length);
+            layers[0].animation._getLocalJointsAtTime(layers[0].time, blendLocalData);
+        }
+
+        blendJointsData = scratchJoints(blendJointsData, hierarchy.length);
+        return composeJoints(hierarchy, blendLocalData, blendJointsData);
+    };
+
+    // Thrown when an animation's hierarchy doesn't match the mesh's joints.
+    // mismatches lists {index, expected, found} with the name and parent of
+    // the mesh joint and the animation joint, either may be null
+    var Md5CompatibilityError = function(mismatches, expectedCount, foundCount) {
+        var details = new Array();
+        for (var i = 0; i < mismatches.length && i < 5; ++i) {
+            var m = mismatches[i];
+            details.push("joint " + m.index + " " + describeJoint(m.expected) + " vs " + describeJoint(m.found));
+        }
+        if (mismatches.length > details.length) {
+            details.push((mismatches.length - details.length) + " more");
+        }
+
+        this.name = "Md5CompatibilityError";
+        this.mismatches = mismatches;
+        this.message = "Animation does not match the mesh (" + expectedCount + " joints vs " +
+                       foundCount + "): " + details.join(", ");
+        this.stack = (new Error(this.message)).stack;
+    };
+
+    Md5CompatibilityError.prototype = Object.create(Error.prototype);
+    Md5CompatibilityError.prototype.constructor = Md5CompatibilityError;
+
+    var describeJoint = function(joint) {
+        if (!joint) { return "(none)"; }
+        return '"' + joint.name + '" parent ' + joint.parent;
+    };
+
+    // Returns the joints of hierarchy that differ from joints by name or
+    // parent, including the ones only one of them has
+    var findMismatches = function(joints, hierarchy) {
+        var mismatches = new Array();
+        var length = Math.max(joints.length, hierarchy.length);
+        for (var i = 0; i < length; ++i) {
+            var expected = joints[i] || null;
+            var found = hierarchy[i] || null;
+            if (!expected || !found || expected.name !== found.name || expected.parent !== found.parent) {
+                mismatches.push({
+                    index: i,
+                    expected: expected && {name: expected.name, parent: expected.parent},
+                    found: found && {name: found.name, parent: found.parent}
+                });
+            }
+        }
+        return mismatches;
+    };
+
+    // Returns a copy of animation with its joints in the order of joints, or
+    // null when the two skeletons differ by more than the order
+    var remapAnimation = function(joints, animation) {
+        var hierarchy = animation.hierarchy;
+        if (joints.length !== hierarchy.length) {
+            return null;
+        }
+
+        var byName = {};
+        for (var i = 0; i < hierarchy.length; ++i) {
+            byName[hierarchy[i].name] = i;
+        }
+
+        var remapped = new Md5Anim();
+        remapped.frameRate = animation.frameRate;
+        remapped.frameTime = animation.frameTime;
+        remapped.hierarchy = new Array();
+        remapped.baseFrame = new Array();
+        remapped.baseFrameJointsData = new Float32Array(joints.length * 8);
+        remapped.jointsData = new Float32Array(joints.length * 8);
+        remapped.frames = animation.frames;
+        remapped.bounds = animation.bounds;
+
+        for (var i = 0; i < joints.length; ++i) {
+            var index = byName[joints[i].name];
+            if (index === undefined) {
+                return null;
+            }
+            var h = hierarchy[index];
+            var parent = joints[i].parent;
+            // Parents have to match by name too
+            if ((h.parent < 0) !== (parent < 0) ||
+                (parent >= 0 && hierarchy[h.parent].name !== joints[parent].name)) {
+                return null;
+            }
+            // Frame values are found through flags and index, which move with
+            // the joint
+            remapped.hierarchy.push({name: h.name, parent: parent, flags: h.flags, index: h.index});
+            remapped.baseFrame.push(animation.baseFrame[index]);
+        }
+        return remapped;
+    };
+
+    // Returns the animation to drive joints with. Throws a
+    // Md5CompatibilityError if animation doesn't match, unless remap is set
+    // and it only differs in the order of the joints, then a remapped copy
+    // is returned. Results are cached on the animation
+    var bindAnimation = function(joints, animation, remap) {
+        var bindings = animation._bindings;
+        if (!bindings) {
+            bindings = animation._bindings = new Array();
+        }
+        for (var i = 0; i < bindings.length; ++i) {
+            if (bindings[i].joints === joints && bindings[i].remap === !!remap) {
+                return bindings[i].animation;
+            }
+        }
+
+        var bound = animation;
+        var mismatches = findMismatches(joints, animation.hierarchy);
+        if (mismatches.length > 0) {
+            bound = remap ? remapAnimation(joints, animation) : null;
+            if (bound === null) {
+                throw new Md5CompatibilityError(mismatches, joints.length, animation.hierarchy.length);
+            }
+        }
+
+        bindings.push({joints: joints, remap: !!remap, animation: bound});
+        return bound;
+    };
+
+    /*
+     * Md5AnimMixer
+     */
+
+    // Keeps track of the playing animation and crossfades to the next one
+    var Md5AnimMixer = function() {
+        this.current = null;
+        this.previous = null;
+        this.fadeStart = 0;
+        this.fadeTime = 0;
+    };
+
+    // Plays animation from time (in milliseconds), fading out the current
+    // animation over fadeTime milliseconds
+    Md5AnimMixer.prototype.play = function(animation, time, fadeTime) {
+        if (this.current && this.current.animation === animation) {
+            return;
+        }
+        if (!fadeTime) { fadeTime = 0; }
+
+        this.previous = (this.current && fadeTime > 0) ? this.current : null;
+        this.current = {animation: animation, startTime: time};
+        this.fadeStart = time;
+        this.fadeTime = fadeTime;
+    };
+
+    // Returns the layers to pass to Md5Mesh.setAnimationBlend at time
+    Md5AnimMixer.prototype.getLayers = function(time) {
+        var current = this.current;
+        var previous = this.previous;
+
+        if (previous && time - this.fadeStart < this.fadeTime) {
+            var weight = Math.max(0, (time - this.fadeStart) / this.fadeTime);
+            return [
+                {animation: previous.animation, time: time - previous.startTime, weight: 1 - weight},
+                {animation: current.animation, time: time - current.startTime, weight: weight}
+            ];
+        }
+
+        this.previous = null;
+        return [{animation: current.animation, time: time - current.startTime, weight: 1}];
+    };
+
+    /*
+     * Culling
+     */
+
+    // Writes the 6 planes of the view frustum of viewProjMat (projection
+    // times view, column major) to planes, 4 floats each. Points on the
+    // inside have a positive distance to all of them
+    var getFrustumPlanes = function(viewProjMat, planes) {
+        var m = viewProjMat;
+        if (!planes) {
+            planes = new Float32Array(24);
+        }
+        for (var i = 0; i < 3; ++i) {
+            for (var j = 0; j < 4; ++j) {
+                planes[i * 8 + j] = m[j * 4 + 3] + m[j * 4 + i];
+                planes[i * 8 + 4 + j] = m[j * 4 + 3] - m[j * 4 + i];
+            }
+        }
+        return planes;
+    };
+
+    // False when the box from min to max, moved by pos, is entirely behind
+    // one of the planes
+    var isBoxVisible = function(planes, min, max, pos) {
+        for (var i = 0; i < 24; i += 4) {
+            var a = planes[i];
+            var b = planes[i + 1];
+            var c = planes[i + 2];
+            // The corner furthest along the plane's normal
+            var x = (a > 0 ? max[0] : min[0]) + pos[0];
+            var y = (b > 0 ? max[1] : min[1]) + pos[1];
+            var z = (c > 0 ? max[2] : min[2]) + pos[2];
+            if (a * x + b * y + c * z + planes[i + 3] < 0) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    var parseMesh = function(src, fileName) {
+        var model = new Md5Mesh();
+        model._parse(src, fileName);
+        model._initializeVertArray();
+        return model;
+    };
+
+    var parseAnim = function(src, fileName) {
+        var anim = new Md5Anim();
+        anim._parse(src, fileName);
+        return anim;
+    };
+
+    return {
+        VERTEX_ELEMENTS: VERTEX_ELEMENTS,
+        VERTEX_STRIDE: VERTEX_STRIDE,
+        GPU_MAX_WEIGHTS: GPU_MAX_WEIGHTS,
+        GPU_VERTEX_ELEMENTS: GPU_VERTEX_ELEMENTS,
+        WEIGHT_LODS: WEIGHT_LODS,
+        Md5Mesh: Md5Mesh,
+        Md5Anim: Md5Anim,
+        Md5AnimMixer: Md5AnimMixer,
+        Md5LodSelector: Md5LodSelector,
+        parseMesh: parseMesh,
+        parseAnim: parseAnim,
+        Md5ParseError: Md5ParseError,
+        Md5CompatibilityError: Md5CompatibilityError,
+        findMismatches: findMismatches,
+        bindAnimation: bindAnimation,
+        blendJoints: blendJoints,
+        topWeights: topWeights,
+        frameBounds: frameBounds,
+        getFrustumPlanes: getFrustumPlanes,
+        isBoxVisible: isBoxVisible,
+        setSIMD: setSIMD,
+        setSIMDJoints: setSIMDJoints,
+        setSoA: setSoA
+    };
+}));
@@ -0,0 +1,852 @@
+/*
+ * md5-wasm.js - WebAssembly versions of asmSkin and asmGetFrameJoints
+ *
+ * The modules are assembled here at load time, so there is no build step
+ * and no .wasm file to fetch. They import the heap as env.memory and work on
+ * the same structs as md5-asm.js, taking the header pointer like the asm.js
+ * functions do.
+ *
+ * There are two modules, as an engine without SIMD128 rejects a module that
+ * uses it at all:
+ *   scalar  skin(headerPtr), getFrameJoints(frame, headerPtr), in doubles
+ *           in the same order as asm.js so they give the same floats
+ *   SIMD    skinSIMD(headerPtr), getFrameJointsSIMD(frame, headerPtr), with
+ *           f32x4 like asmSkinSIMD and the benchmark's asmGetFrameJointsSIMD
+ */
+
+/*
+ * Copyright (c) 2015 Ningxin Hu
+ *
+ * This software is provided 'as-is', without any express or implied
+ * warranty. In no event will the authors be held liable for any damages
+ * arising from the use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ *    1. The origin of this software must not be misrepresented; you must not
+ *    claim that you wrote the original software. If you use this software
+ *    in a product, an acknowledgment in the product documentation would be
+ *    appreciated but is not required.
+ *
+ *    2. Altered source versions must be plainly marked as such, and must not
+ *    be misrepresented as being the original software.
+ *
+ *    3. This notice may not be removed or altered from any source
+ *    distribution.
+ */
+
+(function (root, factory) {
+    if (typeof exports === 'object') {
+        // Node
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        // Browser globals
+        root.Md5Wasm = factory();
+    }
+}(this, function () {
+
+    "use strict";
+
+    var VERTEX_STRIDE = 44;
+    var f_VERTEX_POS_0_OFFSET = 0;
+    var f_VERTEX_POS_1_OFFSET = 4;
+    var f_VERTEX_POS_2_OFFSET = 8;
+    var f_VERTEX_UV_0_OFFSET =  12;
+    var f_VERTEX_UV_1_OFFSET = 16;
+    var f_VERTEX_NORMAL_0_OFFSET = 20;
+    var f_VERTEX_NORMAL_1_OFFSET = 24;
+    var f_VERTEX_NORMAL_2_OFFSET = 28;
+    var f_VERTEX_TANGENT_0_OFFSET = 32;
+    var f_VERTEX_TANGENT_1_OFFSET = 36;
+    var f_VERTEX_TANGENT_2_OFFSET = 40;
+
+    // Header
+    var i_MODEL_STRUCT_PTR_OFFSET = 0;
+    var i_VERT_ARRAY_PTR_OFFSET = 4;
+    var i_ANIMATION_STRUCT_PTR_OFFSET = 8;
+
+    // Model struct
+    var i_MODEL_MESHES_PTR_OFFSET = 0;
+    var i_MODEL_MESHES_LENGTH_OFFSET = 4;
+    var i_MODEL_JOINTS_PTR_OFFSET = 8;
+
+    // Mesh struct
+    var MESH_STRUCT_SIZE = 20;
+    var i_MESH_VERT_OFFSET_OFFSET = 0;
+    var i_MESH_VERTS_PTR_OFFSET = 4;
+    var i_MESH_VERTS_LENGTH_OFFSET = 8;
+    var i_MESH_WEIGHTS_PTR_OFFSET = 12;
+
+    // Vert struct
+    var VERT_STRUCT_SIZE = 16;
+    var f_VERT_TEXCOORD_0_OFFSET = 0;
+    var f_VERT_TEXCOORD_1_OFFSET = 4;
+    var i_VERT_WEIGHT_INDEX_OFFSET = 8;
+    var i_VERT_WEIGHT_COUNT_OFFSET = 12;
+
+    // Weight struct
+    var WEIGHT_STRUCT_SIZE = 56;
+    var i_WEIGHT_JOINT_INDEX_OFFSET = 0;
+    var f_WEIGHT_BIAS_OFFSET = 4;
+    var f_WEIGHT_POS_0_OFFSET = 8;
+    var f_WEIGHT_NORMAL_0_OFFSET = 24;
+    var f_WEIGHT_TANGENT_0_OFFSET = 40;
+
+    // Joint struct
+    var JOINT_STRUCT_SIZE = 32;
+    var f_JOINT_POS_0_OFFSET = 0;
+    var f_JOINT_POS_1_OFFSET = 4;
+    var f_JOINT_POS_2_OFFSET = 8;
+    var f_JOINT_ORIENT_0_OFFSET = 16;
+    var f_JOINT_ORIENT_1_OFFSET = 20;
+    var f_JOINT_ORIENT_2_OFFSET = 24;
+    var f_JOINT_ORIENT_3_OFFSET = 28;
+
+    // Animation Struct
+    var i_ANIMATION_HIERARCHY_PTR_OFFSET = 0;
+    var i_ANIMATION_BASEFRAME_PTR_OFFSET = 8;
+    var i_ANIMATION_BASEFRAME_LENGTH_OFFSET = 12;
+    var i_ANIMATION_FRAMES_PTR_OFFSET = 16;
+    var i_ANIMATION_FRAMES_LENGTH_OFFSET = 20;
+
+    // Hierarchy Struct
+    var HIERARCHY_STRUCT_SIZE = 12;
+    var i_HIERARCHY_PARENT_OFFSET = 0;
+    var i_HIERARCHY_FLAGS_OFFSET = 4;
+    var i_HIERARCHY_INDEX_OFFSET = 8;
+
+    // BaseFrame Struct
+    var BASEFRAME_STRUCT_SIZE = 32;
+    var f_BASEFRAME_POS_0_OFFSET = 0;
+    var f_BASEFRAME_POS_1_OFFSET = 4;
+    var f_BASEFRAME_POS_2_OFFSET = 8;
+    var f_BASEFRAME_ORIENT_0_OFFSET = 16;
+    var f_BASEFRAME_ORIENT_1_OFFSET = 20;
+    var f_BASEFRAME_ORIENT_2_OFFSET = 24;
+
+    // Frames Struct
+    var FRAMES_STRUCT_SIZE = 8;
+    var i_FRAMES_PTR_OFFSET = 0;
+
+    // Frame
+    var FRAME_STRUCT_SIZE = 4;
+
+    // Value types
+    var I32 = 0x7f;
+    var F64 = 0x7c;
+    var V128 = 0x7b;
+
+    // Opcodes
+    var OP_BLOCK = 0x02;
+    var OP_LOOP = 0x03;
+    var OP_IF = 0x04;
+    var OP_END = 0x0b;
+    var OP_BR = 0x0c;
+    var OP_BR_IF = 0x0d;
+    var OP_LOCAL_GET = 0x20;
+    var OP_LOCAL_SET = 0x21;
+    var OP_I32_LOAD = 0x28;
+    var OP_F32_LOAD = 0x2a;
+    var OP_F32_STORE = 0x38;
+    var OP_I32_CONST = 0x41;
+    var OP_F32_CONST = 0x43;
+    var OP_F64_CONST = 0x44;
+    var OP_I32_GE_S = 0x4e;
+    var OP_I32_ADD = 0x6a;
+    var OP_I32_MUL = 0x6c;
+    var OP_I32_REM_S = 0x6f;
+    var OP_I32_AND = 0x71;
+    var OP_I32_SHL = 0x74;
+    var OP_F64_ABS = 0x99;
+    var OP_F64_NEG = 0x9a;
+    var OP_F64_SQRT = 0x9f;
+    var OP_F64_ADD = 0xa0;
+    var OP_F64_SUB = 0xa1;
+    var OP_F64_MUL = 0xa2;
+    var OP_F32_DEMOTE_F64 = 0xb6;
+    var OP_F64_PROMOTE_F32 = 0xbb;
+    var BLOCK_VOID = 0x40;
+
+    // SIMD128 opcodes, after the 0xfd prefix
+    var OP_SIMD = 0xfd;
+    var SIMD_V128_LOAD = 0x00;
+    var SIMD_V128_STORE = 0x0b;
+    var SIMD_V128_CONST = 0x0c;
+    var SIMD_I8X16_SHUFFLE = 0x0d;
+    var SIMD_F32X4_SPLAT = 0x13;
+    var SIMD_F32X4_REPLACE_LANE = 0x20;
+    var SIMD_F32X4_ADD = 0xe4;
+    var SIMD_F32X4_SUB = 0xe5;
+    var SIMD_F32X4_MUL = 0xe6;
+
+    // Encoding
+
+    var uleb = function(value) {
+        var bytes = [];
+        do {
+            var byte = value & 0x7f;
+            value >>>= 7;
+            bytes.push(value !== 0 ? byte | 0x80 : byte);
+        } while (value !== 0);
+        return bytes;
+    };
+
+    var sleb = function(value) {
+        var bytes = [];
+        while (true) {
+            var byte = value & 0x7f;
+            value >>= 7;
+            if ((value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0)) {
+                bytes.push(byte);
+                return bytes;
+            }
+            bytes.push(byte | 0x80);
+        }
+    };
+
+    var floatBytes = function(array) {
+        return Array.prototype.slice.call(new Uint8Array(array.buffer));
+    };
+
+    var name = function(str) {
+        var bytes = uleb(str.length);
+        for (var i = 0; i < str.length; ++i) {
+            bytes.push(str.charCodeAt(i));
+        }
+        return bytes;
+    };
+
+    // Instructions are built as nested arrays of bytes, flattened once the
+    // function is done
+    var flatten = function(code, bytes) {
+        for (var i = 0; i < code.length; ++i) {
+            if (Array.isArray(code[i])) {
+                flatten(code[i], bytes);
+            } else {
+                bytes.push(code[i]);
+            }
+        }
+        return bytes;
+    };
+
+    var vec = function(items) {
+        return [uleb(items.length), items];
+    };
+
+    var section = function(id, items) {
+        var bytes = flatten(vec(items), []);
+        return [id, uleb(bytes.length), bytes];
+    };
+
+    // Locals are declared by name, grouped by type after the i32 params.
+    // Returns the index of each name and a local.get of each
+    var declareLocals = function(params, groups) {
+        var index = {}, get = {}, entries = [], count = 0;
+        var add = function(local) {
+            index[local] = count;
+            get[local] = [OP_LOCAL_GET, uleb(count)];
+            count++;
+        };
+        params.forEach(add);
+        groups.forEach(function(group) {
+            group.names.forEach(add);
+            entries.push([uleb(group.names.length), group.type]);
+        });
+        return {index: index, get: get, entries: entries};
+    };
+
+    var set = function(local, value) {
+        return [value, OP_LOCAL_SET, uleb(local)];
+    };
+
+    var i32 = function(value) {
+        return [OP_I32_CONST, sleb(value)];
+    };
+
+    var iadd = function(a, b) { return [a, b, OP_I32_ADD]; };
+    var imul = function(a, b) { return [a, b, OP_I32_MUL]; };
+    var iand = function(a, b) { return [a, b, OP_I32_AND]; };
+
+    // Loads and stores, offset is the memarg offset added to ptr
+    var loadI32 = function(ptr, offset) {
+        return [ptr, OP_I32_LOAD, 2, uleb(offset)];
+    };
+
+    var loadF32 = function(ptr, offset) {
+        return [ptr, OP_F32_LOAD, 2, uleb(offset)];
+    };
+
+    var loadF64 = function(ptr, offset) {
+        return [loadF32(ptr, offset), OP_F64_PROMOTE_F32];
+    };
+
+    var storeF32 = function(ptr, offset, value) {
+        return [ptr, value, OP_F32_STORE, 2, uleb(offset)];
+    };
+
+    var storeF64 = function(ptr, offset, value) {
+        return storeF32(ptr, offset, [value, OP_F32_DEMOTE_F64]);
+    };
+
+    var f64 = function(value) {
+        return [OP_F64_CONST, floatBytes(new Float64Array([value]))];
+    };
+
+    var fadd = function(a, b) { return [a, b, OP_F64_ADD]; };
+    var fsub = function(a, b) { return [a, b, OP_F64_SUB]; };
+    var fmul = function(a, b) { return [a, b, OP_F64_MUL]; };
+    var fneg = function(a) { return [a, OP_F64_NEG]; };
+
+    var simd = function(op) {
+        return [OP_SIMD, uleb(op)];
+    };
+
+    var loadV128 = function(ptr, offset) {
+        return [ptr, simd(SIMD_V128_LOAD), 2, uleb(offset)];
+    };
+
+    var storeV128 = function(ptr, offset, value) {
+        return [ptr, value, simd(SIMD_V128_STORE), 2, uleb(offset)];
+    };
+
+    var f32x4 = function(x, y, z, w) {
+        return [simd(SIMD_V128_CONST), floatBytes(new Float32Array([x, y, z, w]))];
+    };
+
+    // Makes a float32x4 from four f32 values
+    var f32x4Lanes = function(x, y, z, w) {
+        return [x, simd(SIMD_F32X4_SPLAT),
+                y, simd(SIMD_F32X4_REPLACE_LANE), 1,
+                z, simd(SIMD_F32X4_REPLACE_LANE), 2,
+                w, simd(SIMD_F32X4_REPLACE_LANE), 3];
+    };
+
+    var splat = function(value) {
+        return [value, simd(SIMD_F32X4_SPLAT)];
+    };
+
+    // Lanes 0-3 are a's and 4-7 b's
+    var shuffle = function(a, b, x, y, z, w) {
+        var lanes = [];
+        [x, y, z, w].forEach(function(lane) {
+            lanes.push(lane * 4, lane * 4 + 1, lane * 4 + 2, lane * 4 + 3);
+        });
+        return [a, b, simd(SIMD_I8X16_SHUFFLE), lanes];
+    };
+
+    // v has to be a local.get, it is shuffled with itself
+    var swizzle = function(v, x, y, z, w) {
+        return shuffle(v, v, x, y, z, w);
+    };
+
+    var vadd = function(a, b) { return [a, b, simd(SIMD_F32X4_ADD)]; };
+    var vsub = function(a, b) { return [a, b, simd(SIMD_F32X4_SUB)]; };
+    var vmul = function(a, b) { return [a, b, simd(SIMD_F32X4_MUL)]; };
+
+    var ifThen = function(condition, body) {
+        return [condition, OP_IF, BLOCK_VOID, body, OP_END];
+    };
+
+    // for (counter = 0; counter < length; counter++) body
+    var forLoop = function(L, counter, length, body) {
+        return [
+            set(L.index[counter], i32(0)),
+            OP_BLOCK, BLOCK_VOID, OP_LOOP, BLOCK_VOID,
+            L.get[counter], length, OP_I32_GE_S, OP_BR_IF, 1,
+            body,
+            set(L.index[counter], iadd(L.get[counter], i32(1))),
+            OP_BR, 0,
+            OP_END, OP_END
+        ];
+    };
+
+    var functionBody = function(L, code) {
+        var bytes = flatten([vec(L.entries), code, OP_END], []);
+        return [uleb(bytes.length), bytes];
+    };
+
+    // Functions
+
+    var SKIN_I32_LOCALS = ["i", "j", "k", "modelPtr", "meshesPtr", "meshesLength", "jointsPtr",
+                           "vertexArrayPtr", "meshPtr", "meshOffset", "vertsPtr", "vertsLength",
+                           "weightsPtr", "vertPtr", "vertexPtr", "vertWeightsIndex",
+                           "vertWeightsCount", "weightPtr", "jointPtr"];
+
+    // The loops of asmSkin around the weights, skinWeight is the body for
+    // each weight of a vertex and storeVertex writes it out
+    var skinLoops = function(L, clearVertex, skinWeight, storeVertex) {
+        var get = L.get, index = L.index;
+        return [
+            set(index.modelPtr, loadI32(get.headerPtr, i_MODEL_STRUCT_PTR_OFFSET)),
+            set(index.meshesPtr, loadI32(get.modelPtr, i_MODEL_MESHES_PTR_OFFSET)),
+            set(index.meshesLength, loadI32(get.modelPtr, i_MODEL_MESHES_LENGTH_OFFSET)),
+            set(index.jointsPtr, loadI32(get.modelPtr, i_MODEL_JOINTS_PTR_OFFSET)),
+            set(index.vertexArrayPtr, loadI32(get.headerPtr, i_VERT_ARRAY_PTR_OFFSET)),
+
+            forLoop(L, "i", get.meshesLength, [
+                set(index.meshPtr, iadd(get.meshesPtr, imul(get.i, i32(MESH_STRUCT_SIZE)))),
+                set(index.meshOffset, iadd([loadI32(get.meshPtr, i_MESH_VERT_OFFSET_OFFSET), i32(2), OP_I32_SHL],
+                                           get.vertexArrayPtr)),
+                set(index.vertsPtr, loadI32(get.meshPtr, i_MESH_VERTS_PTR_OFFSET)),
+                set(index.vertsLength, loadI32(get.meshPtr, i_MESH_VERTS_LENGTH_OFFSET)),
+                set(index.weightsPtr, loadI32(get.meshPtr, i_MESH_WEIGHTS_PTR_OFFSET)),
+
+                forLoop(L, "j", get.vertsLength, [
+                    set(index.vertexPtr, iadd(imul(get.j, i32(VERTEX_STRIDE)), get.meshOffset)),
+                    set(index.vertPtr, iadd(get.vertsPtr, imul(get.j, i32(VERT_STRUCT_SIZE)))),
+                    clearVertex,
+
+                    set(index.vertWeightsIndex, loadI32(get.vertPtr, i_VERT_WEIGHT_INDEX_OFFSET)),
+                    set(index.vertWeightsCount, loadI32(get.vertPtr, i_VERT_WEIGHT_COUNT_OFFSET)),
+                    forLoop(L, "k", get.vertWeightsCount, [
+                        set(index.weightPtr, iadd(get.weightsPtr, imul(iadd(get.k, get.vertWeightsIndex),
+                                                                       i32(WEIGHT_STRUCT_SIZE)))),
+                        set(index.jointPtr, iadd(get.jointsPtr, imul(loadI32(get.weightPtr, i_WEIGHT_JOINT_INDEX_OFFSET),
+                                                                     i32(JOINT_STRUCT_SIZE)))),
+                        skinWeight
+                    ]),
+
+                    storeVertex
+                ])
+            ])
+        ];
+    };
+
+    // Rotates x, y, z by the joint's qx, qy, qz, qw into rx, ry, rz, the
+    // way asmSkin writes it out
+    var rotate = function(L) {
+        var get = L.get, index = L.index;
+        return [
+            // calculate quat * vec
+            set(index.ix, fsub(fadd(fmul(get.qw, get.x), fmul(get.qy, get.z)), fmul(get.qz, get.y))),
+            set(index.iy, fsub(fadd(fmul(get.qw, get.y), fmul(get.qz, get.x)), fmul(get.qx, get.z))),
+            set(index.iz, fsub(fadd(fmul(get.qw, get.z), fmul(get.qx, get.y)), fmul(get.qy, get.x))),
+            set(index.iw, fsub(fsub(fmul(fneg(get.qx), get.x), fmul(get.qy, get.y)), fmul(get.qz, get.z))),
+
+            // calculate result * inverse quat
+            set(index.rx, fsub(fadd(fadd(fmul(get.ix, get.qw), fmul(get.iw, fneg(get.qx))), fmul(get.iy, fneg(get.qz))),
+                               fmul(get.iz, fneg(get.qy)))),
+            set(index.ry, fsub(fadd(fadd(fmul(get.iy, get.qw), fmul(get.iw, fneg(get.qy))), fmul(get.iz, fneg(get.qx))),
+                               fmul(get.ix, fneg(get.qz)))),
+            set(index.rz, fsub(fadd(fadd(fmul(get.iz, get.qw), fmul(get.iw, fneg(get.qz))), fmul(get.ix, fneg(get.qy))),
+                               fmul(get.iy, fneg(get.qx))))
+        ];
+    };
+
+    var loadVec3 = function(L, ptr, offset) {
+        return [
+            set(L.index.x, loadF64(ptr, offset)),
+            set(L.index.y, loadF64(ptr, offset + 4)),
+            set(L.index.z, loadF64(ptr, offset + 8))
+        ];
+    };
+
+    // acc += r * bias for rx, ry, rz
+    var accumulate = function(L, x, y, z) {
+        var get = L.get, index = L.index;
+        return [
+            set(index[x], fadd(fmul(get.rx, get.bias), get[x])),
+            set(index[y], fadd(fmul(get.ry, get.bias), get[y])),
+            set(index[z], fadd(fmul(get.rz, get.bias), get[z]))
+        ];
+    };
+
+    var skinBody = function() {
+        var L = declareLocals(["headerPtr"], [
+            {type: I32, names: SKIN_I32_LOCALS},
+            {type: F64, names: ["vx", "vy", "vz", "nx", "ny", "nz", "tx", "ty", "tz",
+                                "rx", "ry", "rz", "x", "y", "z", "qx", "qy", "qz", "qw",
+                                "ix", "iy", "iz", "iw", "bias"]}
+        ]);
+        var get = L.get, index = L.index;
+
+        var clearVertex = ["vx", "vy", "vz", "nx", "ny", "nz", "tx", "ty", "tz"].map(function(local) {
+            return set(index[local], f64(0));
+        });
+
+        var skinWeight = [
+            // Rotate position
+            loadVec3(L, get.weightPtr, f_WEIGHT_POS_0_OFFSET),
+            set(index.qx, loadF64(get.jointPtr, f_JOINT_ORIENT_0_OFFSET)),
+            set(index.qy, loadF64(get.jointPtr, f_JOINT_ORIENT_1_OFFSET)),
+            set(index.qz, loadF64(get.jointPtr, f_JOINT_ORIENT_2_OFFSET)),
+            set(index.qw, loadF64(get.jointPtr, f_JOINT_ORIENT_3_OFFSET)),
+            rotate(L),
+
+            // Translate position
+            set(index.bias, loadF64(get.weightPtr, f_WEIGHT_BIAS_OFFSET)),
+            set(index.vx, fadd(fmul(fadd(loadF64(get.jointPtr, f_JOINT_POS_0_OFFSET), get.rx), get.bias), get.vx)),
+            set(index.vy, fadd(fmul(fadd(loadF64(get.jointPtr, f_JOINT_POS_1_OFFSET), get.ry), get.bias), get.vy)),
+            set(index.vz, fadd(fmul(fadd(loadF64(get.jointPtr, f_JOINT_POS_2_OFFSET), get.rz), get.bias), get.vz)),
+
+            // Rotate Normal
+            loadVec3(L, get.weightPtr, f_WEIGHT_NORMAL_0_OFFSET),
+            rotate(L),
+            accumulate(L, "nx", "ny", "nz"),
+
+            // Rotate Tangent
+            loadVec3(L, get.weightPtr, f_WEIGHT_TANGENT_0_OFFSET),
+            rotate(L),
+            accumulate(L, "tx", "ty", "tz")
+        ];
+
+        var storeVertex = [
+            storeF64(get.vertexPtr, f_VERTEX_POS_0_OFFSET, get.vx),
+            storeF64(get.vertexPtr, f_VERTEX_POS_1_OFFSET, get.vy),
+            storeF64(get.vertexPtr, f_VERTEX_POS_2_OFFSET, get.vz),
+            storeF32(get.vertexPtr, f_VERTEX_UV_0_OFFSET, loadF32(get.vertPtr, f_VERT_TEXCOORD_0_OFFSET)),
+            storeF32(get.vertexPtr, f_VERTEX_UV_1_OFFSET, loadF32(get.vertPtr, f_VERT_TEXCOORD_1_OFFSET)),
+            storeF64(get.vertexPtr, f_VERTEX_NORMAL_0_OFFSET, get.nx),
+            storeF64(get.vertexPtr, f_VERTEX_NORMAL_1_OFFSET, get.ny),
+            storeF64(get.vertexPtr, f_VERTEX_NORMAL_2_OFFSET, get.nz),
+            storeF64(get.vertexPtr, f_VERTEX_TANGENT_0_OFFSET, get.tx),
+            storeF64(get.vertexPtr, f_VERTEX_TANGENT_1_OFFSET, get.ty),
+            storeF64(get.vertexPtr, f_VERTEX_TANGENT_2_OFFSET, get.tz)
+        ];
+
+        return functionBody(L, skinLoops(L, clearVertex, skinWeight, storeVertex));
+    };
+
+    // The quaternion rotation of asmSkinSIMD, v by the local q into the
+    // local r, through the local i
+    var rotateSIMD = function(L, q, v, i, r) {
+        var get = L.get, index = L.index;
+        var signs = f32x4(1.0, 1.0, 1.0, -1.0);
+        return [
+            set(index[i], vsub(vadd(vmul(vmul(swizzle(get[q], 3, 3, 3, 0), signs), swizzle(get[v], 0, 1, 2, 0)),
+                                    vmul(vmul(swizzle(get[q], 1, 2, 0, 1), signs), swizzle(get[v], 2, 0, 1, 1))),
+                               vmul(swizzle(get[q], 2, 0, 1, 2), swizzle(get[v], 1, 2, 0, 2)))),
+            set(index[r], vadd(vsub(vmul(get[i], swizzle(get[q], 3, 3, 3, 0)),
+                                    vmul(swizzle(get[i], 3, 3, 3, 0), get[q])),
+                               vsub(vmul(swizzle(get[i], 2, 0, 1, 0), swizzle(get[q], 1, 2, 0, 0)),
+                                    vmul(swizzle(get[i], 1, 2, 0, 0), swizzle(get[q], 2, 0, 1, 0)))))
+        ];
+    };
+
+    var skinSIMDBody = function() {
+        var L = declareLocals(["headerPtr"], [
+            {type: I32, names: SKIN_I32_LOCALS},
+            {type: V128, names: ["vx4", "nx4", "tx4", "jointOrient", "weight", "weightBias", "ix4", "rotated"]}
+        ]);
+        var get = L.get, index = L.index;
+
+        var clearVertex = [
+            set(index.vx4, f32x4(0, 0, 0, 0)),
+            set(index.nx4, f32x4(0, 0, 0, 0)),
+            set(index.tx4, f32x4(0, 0, 0, 0))
+        ];
+
+        var skinWeight = [
+            // Rotate position
+            set(index.jointOrient, loadV128(get.jointPtr, f_JOINT_ORIENT_0_OFFSET)),
+            set(index.weight, loadV128(get.weightPtr, f_WEIGHT_POS_0_OFFSET)),
+            rotateSIMD(L, "jointOrient", "weight", "ix4", "rotated"),
+
+            // Translate position
+            set(index.weightBias, splat(loadF32(get.weightPtr, f_WEIGHT_BIAS_OFFSET))),
+            set(index.vx4, vadd(get.vx4, vmul(vadd(loadV128(get.jointPtr, f_JOINT_POS_0_OFFSET), get.rotated),
+                                              get.weightBias))),
+
+            // Rotate Normal
+            set(index.weight, loadV128(get.weightPtr, f_WEIGHT_NORMAL_0_OFFSET)),
+            rotateSIMD(L, "jointOrient", "weight", "ix4", "rotated"),
+            set(index.nx4, vadd(get.nx4, vmul(get.rotated, get.weightBias))),
+
+            // Rotate Tangent
+            set(index.weight, loadV128(get.weightPtr, f_WEIGHT_TANGENT_0_OFFSET)),
+            rotateSIMD(L, "jointOrient", "weight", "ix4", "rotated"),
+            set(index.tx4, vadd(get.tx4, vmul(get.rotated, get.weightBias)))
+        ];
+
+        // Each store spills into the next field, which the next store
+        // overwrites, as in asmSkinSIMD. The tangent goes in with the
+        // normal's z so it doesn't spill into the next vertex, which may be
+        // another worker's (see md5-workers.js)
+        var storeVertex = [
+            storeV128(get.vertexPtr, f_VERTEX_POS_0_OFFSET, get.vx4),
+            storeV128(get.vertexPtr, f_VERTEX_UV_0_OFFSET, loadV128(get.vertPtr, f_VERT_TEXCOORD_0_OFFSET)),
+            storeV128(get.vertexPtr, f_VERTEX_NORMAL_0_OFFSET, get.nx4),
+            storeV128(get.vertexPtr, f_VERTEX_NORMAL_2_OFFSET, shuffle(get.nx4, get.tx4, 2, 4, 5, 6))
+        ];
+
+        return functionBody(L, skinLoops(L, clearVertex, skinWeight, storeVertex));
+    };
+
+    var FRAME_I32_LOCALS = ["frame", "headerPtr", "i", "j", "jointsPtr", "animationPtr",
+                            "hierarchyArrayPtr", "baseFramePtr", "baseFrameLength", "framesPtr",
+                            "baseJointPtr", "hierarchyPtr", "parentIndex", "flags", "frameIndex",
+                            "parentJointPtr", "jointPtr"];
+    var FRAME_F64_LOCALS = ["posX", "posY", "posZ", "orientX", "orientY", "orientZ", "orientW"];
+
+    // The loop of asmGetFrameJoints over the joints, reading the base frame
+    // and the animated components into posX..orientW. composeJoint does
+    // the rest for joint i
+    var frameLoop = function(L, composeJoint) {
+        var get = L.get, index = L.index;
+
+        // Sets local from the next animated component if flags has flag
+        var component = function(flag, local) {
+            return ifThen(iand(get.flags, i32(flag)), [
+                set(index[local], loadF64(iadd(iadd(get.framesPtr, imul(get.frameIndex, i32(FRAME_STRUCT_SIZE))),
+                                               get.j), 0)),
+                set(index.j, iadd(get.j, i32(FRAME_STRUCT_SIZE)))
+            ]);
+        };
+
+        return [
+            set(index.animationPtr, loadI32(get.headerPtr, i_ANIMATION_STRUCT_PTR_OFFSET)),
+            set(index.jointsPtr, loadI32(loadI32(get.headerPtr, i_MODEL_STRUCT_PTR_OFFSET), i_MODEL_JOINTS_PTR_OFFSET)),
+            set(index.hierarchyArrayPtr, loadI32(get.animationPtr, i_ANIMATION_HIERARCHY_PTR_OFFSET)),
+            set(index.baseFramePtr, loadI32(get.animationPtr, i_ANIMATION_BASEFRAME_PTR_OFFSET)),
+            set(index.baseFrameLength, loadI32(get.animationPtr, i_ANIMATION_BASEFRAME_LENGTH_OFFSET)),
+
+            set(index.frame, [get.frame, loadI32(get.animationPtr, i_ANIMATION_FRAMES_LENGTH_OFFSET), OP_I32_REM_S]),
+            set(index.framesPtr, loadI32(iadd(loadI32(get.animationPtr, i_ANIMATION_FRAMES_PTR_OFFSET),
+                                              imul(get.frame, i32(FRAMES_STRUCT_SIZE))), i_FRAMES_PTR_OFFSET)),
+
+            forLoop(L, "i", get.baseFrameLength, [
+                set(index.baseJointPtr, iadd(get.baseFramePtr, imul(get.i, i32(BASEFRAME_STRUCT_SIZE)))),
+                set(index.posX, loadF64(get.baseJointPtr, f_BASEFRAME_POS_0_OFFSET)),
+                set(index.posY, loadF64(get.baseJointPtr, f_BASEFRAME_POS_1_OFFSET)),
+                set(index.posZ, loadF64(get.baseJointPtr, f_BASEFRAME_POS_2_OFFSET)),
+                set(index.orientX, loadF64(get.baseJointPtr, f_BASEFRAME_ORIENT_0_OFFSET)),
+                set(index.orientY, loadF64(get.baseJointPtr, f_BASEFRAME_ORIENT_1_OFFSET)),
+                set(index.orientZ, loadF64(get.baseJointPtr, f_BASEFRAME_ORIENT_2_OFFSET)),
+
+                set(index.hierarchyPtr, iadd(get.hierarchyArrayPtr, imul(get.i, i32(HIERARCHY_STRUCT_SIZE)))),
+                set(index.parentIndex, loadI32(get.hierarchyPtr, i_HIERARCHY_PARENT_OFFSET)),
+                set(index.flags, loadI32(get.hierarchyPtr, i_HIERARCHY_FLAGS_OFFSET)),
+                set(index.frameIndex, loadI32(get.hierarchyPtr, i_HIERARCHY_INDEX_OFFSET)),
+
+                set(index.j, i32(0)),
+                component(1, "posX"),
+                component(2, "posY"),
+                component(4, "posZ"),
+                component(8, "orientX"),
+                component(16, "orientY"),
+                component(32, "orientZ"),
+
+                set(index.orientW, fneg([fsub(fsub(fsub(f64(1.0), fmul(get.orientX, get.orientX)),
+                                                   fmul(get.orientY, get.orientY)),
+                                              fmul(get.orientZ, get.orientZ)), OP_F64_ABS, OP_F64_SQRT])),
+
+                set(index.jointPtr, iadd(get.jointsPtr, imul(get.i, i32(JOINT_STRUCT_SIZE)))),
+                composeJoint
+            ])
+        ];
+    };
+
+    // (parentIndex >= 0)
+    var hasParent = function(L) {
+        return [L.get.parentIndex, i32(0), OP_I32_GE_S];
+    };
+
+    var getFrameJointsBody = function() {
+        var L = declareLocals(["frame", "headerPtr"], [
+            {type: I32, names: FRAME_I32_LOCALS.slice(2)},
+            {type: F64, names: FRAME_F64_LOCALS.concat(["parentPosX", "parentPosY", "parentPosZ",
+                                                        "parentOrientX", "parentOrientY", "parentOrientZ",
+                                                        "parentOrientW", "ix", "iy", "iz", "iw"])}
+        ]);
+        var get = L.get, index = L.index;
+        var pw = get.parentOrientW, px = get.parentOrientX, py = get.parentOrientY, pz = get.parentOrientZ;
+
+        var composeJoint = [
+            ifThen(hasParent(L), [
+                set(index.parentJointPtr, iadd(get.jointsPtr, imul(get.parentIndex, i32(JOINT_STRUCT_SIZE)))),
+                set(index.parentPosX, loadF64(get.parentJointPtr, f_JOINT_POS_0_OFFSET)),
+                set(index.parentPosY, loadF64(get.parentJointPtr, f_JOINT_POS_1_OFFSET)),
+                set(index.parentPosZ, loadF64(get.parentJointPtr, f_JOINT_POS_2_OFFSET)),
+                set(index.parentOrientX, loadF64(get.parentJointPtr, f_JOINT_ORIENT_0_OFFSET)),
+                set(index.parentOrientY, loadF64(get.parentJointPtr, f_JOINT_ORIENT_1_OFFSET)),
+                set(index.parentOrientZ, loadF64(get.parentJointPtr, f_JOINT_ORIENT_2_OFFSET)),
+                set(index.parentOrientW, loadF64(get.parentJointPtr, f_JOINT_ORIENT_3_OFFSET)),
+
+                set(index.ix, fsub(fadd(fmul(pw, get.posX), fmul(py, get.posZ)), fmul(pz, get.posY))),
+                set(index.iy, fsub(fadd(fmul(pw, get.posY), fmul(pz, get.posX)), fmul(px, get.posZ))),
+                set(index.iz, fsub(fadd(fmul(pw, get.posZ), fmul(px, get.posY)), fmul(py, get.posX))),
+                set(index.iw, fsub(fsub(fmul(fneg(px), get.posX), fmul(py, get.posY)), fmul(pz, get.posZ))),
+
+                set(index.posX, fsub(fadd(fadd(fmul(get.ix, pw), fmul(get.iw, fneg(px))), fmul(get.iy, fneg(pz))),
+                                     fmul(get.iz, fneg(py)))),
+                set(index.posY, fsub(fadd(fadd(fmul(get.iy, pw), fmul(get.iw, fneg(py))), fmul(get.iz, fneg(px))),
+                                     fmul(get.ix, fneg(pz)))),
+                set(index.posZ, fsub(fadd(fadd(fmul(get.iz, pw), fmul(get.iw, fneg(pz))), fmul(get.ix, fneg(py))),
+                                     fmul(get.iy, fneg(px)))),
+
+                set(index.posX, fadd(get.posX, get.parentPosX)),
+                set(index.posY, fadd(get.posY, get.parentPosY)),
+                set(index.posZ, fadd(get.posZ, get.parentPosZ)),
+
+                set(index.ix, fsub(fadd(fadd(fmul(px, get.orientW), fmul(pw, get.orientX)), fmul(py, get.orientZ)),
+                                   fmul(pz, get.orientY))),
+                set(index.iy, fsub(fadd(fadd(fmul(py, get.orientW), fmul(pw, get.orientY)), fmul(pz, get.orientX)),
+                                   fmul(px, get.orientZ))),
+                set(index.iz, fsub(fadd(fadd(fmul(pz, get.orientW), fmul(pw, get.orientZ)), fmul(px, get.orientY)),
+                                   fmul(py, get.orientX))),
+                set(index.iw, fsub(fsub(fsub(fmul(pw, get.orientW), fmul(px, get.orientX)), fmul(py, get.orientY)),
+                                   fmul(pz, get.orientZ))),
+                set(index.orientX, get.ix),
+                set(index.orientY, get.iy),
+                set(index.orientZ, get.iz),
+                set(index.orientW, get.iw)
+            ]),
+
+            storeF64(get.jointPtr, f_JOINT_POS_0_OFFSET, get.posX),
+            storeF64(get.jointPtr, f_JOINT_POS_1_OFFSET, get.posY),
+            storeF64(get.jointPtr, f_JOINT_POS_2_OFFSET, get.posZ),
+            storeF64(get.jointPtr, f_JOINT_ORIENT_0_OFFSET, get.orientX),
+            storeF64(get.jointPtr, f_JOINT_ORIENT_1_OFFSET, get.orientY),
+            storeF64(get.jointPtr, f_JOINT_ORIENT_2_OFFSET, get.orientZ),
+            storeF64(get.jointPtr, f_JOINT_ORIENT_3_OFFSET, get.orientW)
+        ];
+
+        return functionBody(L, frameLoop(L, composeJoint));
+    };
+
+    var getFrameJointsSIMDBody = function() {
+        var L = declareLocals(["frame", "headerPtr"], [
+            {type: I32, names: FRAME_I32_LOCALS.slice(2)},
+            {type: F64, names: FRAME_F64_LOCALS},
+            {type: V128, names: ["pos", "orient", "parentOrient", "ix4"]}
+        ]);
+        var get = L.get, index = L.index;
+        var signs = f32x4(1.0, 1.0, 1.0, -1.0);
+        var demote = function(value) {
+            return [value, OP_F32_DEMOTE_F64];
+        };
+
+        var composeJoint = [
+            set(index.pos, f32x4Lanes(demote(get.posX), demote(get.posY), demote(get.posZ), [OP_F32_CONST, 0, 0, 0, 0])),
+            set(index.orient, f32x4Lanes(demote(get.orientX), demote(get.orientY), demote(get.orientZ),
+                                         demote(get.orientW))),
+
+            ifThen(hasParent(L), [
+                set(index.parentJointPtr, iadd(get.jointsPtr, imul(get.parentIndex, i32(JOINT_STRUCT_SIZE)))),
+                set(index.parentOrient, loadV128(get.parentJointPtr, f_JOINT_ORIENT_0_OFFSET)),
+                rotateSIMD(L, "parentOrient", "pos", "ix4", "pos"),
+                set(index.pos, vmul(vadd(get.pos, loadV128(get.parentJointPtr, f_JOINT_POS_0_OFFSET)),
+                                    f32x4(1.0, 1.0, 1.0, 0.0))),
+
+                set(index.orient, vsub(vadd(vadd(vmul(swizzle(get.parentOrient, 3, 3, 3, 3), get.orient),
+                                                 vmul(vmul(swizzle(get.parentOrient, 0, 1, 2, 0),
+                                                           swizzle(get.orient, 3, 3, 3, 0)), signs)),
+                                            vmul(vmul(swizzle(get.parentOrient, 1, 2, 0, 1),
+                                                      swizzle(get.orient, 2, 0, 1, 1)), signs)),
+                                       vmul(swizzle(get.parentOrient, 2, 0, 1, 2), swizzle(get.orient, 1, 2, 0, 2))))
+            ]),
+
+            storeV128(get.jointPtr, f_JOINT_POS_0_OFFSET, get.pos),
+            storeV128(get.jointPtr, f_JOINT_ORIENT_0_OFFSET, get.orient)
+        ];
+
+        return functionBody(L, frameLoop(L, composeJoint));
+    };
+
+    // Modules
+
+    var TYPE_SKIN = 0;      // (headerPtr)
+    var TYPE_FRAME = 1;     // (frame, headerPtr)
+
+    // WebAssembly memory pages
+    var PAGE_SIZE = 0x10000;
+    var MAX_PAGES = 0x10000;
+
+    // functions is a list of [export name, type, body]. The memory is
+    // imported as env.memory, a shared one has to declare its maximum
+    var buildModule = function(functions, shared) {
+        var types = [
+            [0x60, vec([I32]), vec([])],
+            [0x60, vec([I32, I32]), vec([])]
+        ];
+        var limits = shared ? [0x03, uleb(1), uleb(MAX_PAGES)] : [0x00, uleb(1)];
+        var imports = [
+            [name("env"), name("memory"), 0x02, limits]
+        ];
+        return new Uint8Array(flatten([
+            [0x00, 0x61, 0x73, 0x6d], [0x01, 0x00, 0x00, 0x00],
+            section(1, types),
+            section(2, imports),
+            section(3, functions.map(function(f) { return uleb(f[1]); })),
+            section(7, functions.map(function(f, i) { return [name(f[0]), 0x00, uleb(i)]; })),
+            section(10, functions.map(function(f) { return f[2]; }))
+        ], []));
+    };
+
+    // Module bytes, for unshared and shared memory
+    var scalarBytes = [null, null];
+    var simdBytes = [null, null];
+
+    var getScalarBytes = function(shared) {
+        var i = shared ? 1 : 0;
+        if (!scalarBytes[i]) {
+            scalarBytes[i] = buildModule([
+                ["skin", TYPE_SKIN, skinBody()],
+                ["getFrameJoints", TYPE_FRAME, getFrameJointsBody()]
+            ], shared);
+        }
+        return scalarBytes[i];
+    };
+
+    var getSIMDBytes = function(shared) {
+        var i = shared ? 1 : 0;
+        if (!simdBytes[i]) {
+            simdBytes[i] = buildModule([
+                ["skinSIMD", TYPE_SKIN, skinSIMDBody()],
+                ["getFrameJointsSIMD", TYPE_FRAME, getFrameJointsSIMDBody()]
+            ], shared);
+        }
+        return simdBytes[i];
+    };
+
+    var isSupported = function() {
+        return typeof WebAssembly === "object" && WebAssembly.validate(getScalarBytes(false));
+    };
+
+    var isSIMDSupported = function() {
+        return isSupported() && WebAssembly.validate(getSIMDBytes(false));
+    };
+
+    var isShared = function(memory) {
+        return typeof SharedArrayBuffer !== "undefined" && memory.buffer instanceof SharedArrayBuffer;
+    };
+
+    // A WebAssembly.Memory of size bytes that doesn't grow, shared between
+    // threads if shared is set
+    var createMemory = function(size, shared) {
+        var pages = Math.ceil(size / PAGE_SIZE);
+        return new WebAssembly.Memory({initial: pages, maximum: pages, shared: !!shared});
+    };
+
+    // Compiles the modules against memory, a WebAssembly.Memory, shared or
+    // not. Returns skin and getFrameJoints, and skinSIMD and
+    // getFrameJointsSIMD when the engine has SIMD128
+    var instantiate = function(memory) {
+        var shared = isShared(memory);
+        var imports = {env: {memory: memory}};
+        var exports = new WebAssembly.Instance(new WebAssembly.Module(getScalarBytes(shared)), imports).exports;
+        var functions = {
+            skin: exports.skin,
+            getFrameJoints: exports.getFrameJoints,
+            skinSIMD: null,
+            getFrameJointsSIMD: null
+        };
+        if (isSIMDSupported()) {
+            exports = new WebAssembly.Instance(new WebAssembly.Module(getSIMDBytes(shared)), imports).exports;
+            functions.skinSIMD = exports.skinSIMD;
+            functions.getFrameJointsSIMD = exports.getFrameJointsSIMD;
+        }
+        return functions;
+    };
+
+    return {
+        isSupported: isSupported,
+        isSIMDSupported: isSIMDSupported,
+        createMemory: createMemory,
+        instantiate: instantiate
+    };
+}));
@@ -0,0 +1,142 @@
+/*
+ * md5-worker.js - Worker script of Md5WorkerPool (js/md5-workers.js)
+ *
+ * Runs as a Web Worker or under Node's worker_threads. Gets the shared heap
+ * once, then waits for jobs: for each it computes the instance's frame
+ * joints into its own scratch block, so workers skinning instances of the
+ * same model don't overwrite each other's joints, and skins the job's
+ * meshes into the instance's vertex array.
+ */
+
+/*
+ * Copyright (c) 2015 Ningxin Hu
+ *
+ * This software is provided 'as-is', without any express or implied
+ * warranty. In no event will the authors be held liable for any damages
+ * arising from the use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ *    1. The origin of this software must not be misrepresented; you must not
+ *    claim that you wrote the original software. If you use this software
+ *    in a product, an acknowledgment in the product documentation would be
+ *    appreciated but is not required.
+ *
+ *    2. Altered source versions must be plainly marked as such, and must not
+ *    be misrepresented as being the original software.
+ *
+ *    3. This notice may not be removed or altered from any source
+ *    distribution.
+ */
+
+(function () {
+
+    "use strict";
+
+    // Header
+    var HEADER_SIZE = 16;
+    var i_MODEL_STRUCT_PTR_OFFSET = 0;
+
+    // Model struct
+    var MODEL_STRUCT_SIZE = 16;
+    var i_MODEL_MESHES_PTR_OFFSET = 0;
+    var i_MODEL_MESHES_LENGTH_OFFSET = 4;
+    var i_MODEL_JOINTS_PTR_OFFSET = 8;
+
+    // Mesh struct
+    var MESH_STRUCT_SIZE = 20;
+
+    // Control struct, see md5-workers.js
+    var i_CONTROL_GENERATION_OFFSET = 0;
+    var i_CONTROL_NEXT_JOB_OFFSET = 4;
+    var i_CONTROL_JOBS_LENGTH_OFFSET = 8;
+    var i_CONTROL_JOBS_PTR_OFFSET = 12;
+    var i_CONTROL_WORKERS_OFFSET = 16;
+    var i_CONTROL_FINISHED_OFFSET = 20;
+
+    // Job struct
+    var JOB_STRUCT_SIZE = 32;
+    var i_JOB_HEADER_PTR_OFFSET = 0;
+    var i_JOB_FRAME_OFFSET = 4;
+    var i_JOB_MESH_START_OFFSET = 8;
+    var i_JOB_MESHES_LENGTH_OFFSET = 12;
+    var i_JOB_SCRATCH_PTR_OFFSET = 16;
+    var i_JOB_SCRATCH_SIZE_OFFSET = 20;
+    var i_JOB_FLAGS_OFFSET = 24;
+    var JOB_FLAG_SIMD = 1;
+
+    var Md5Wasm, post;
+    if (typeof importScripts === "function") {
+        importScripts("md5-wasm.js");
+        Md5Wasm = self.Md5Wasm;
+        post = function(message) { self.postMessage(message); };
+        self.onmessage = function(event) { start(event.data); };
+    } else {
+        var parentPort = require('worker_threads').parentPort;
+        Md5Wasm = require('./md5-wasm');
+        post = function(message) { parentPort.postMessage(message); };
+        parentPort.once("message", start);
+    }
+
+    // Waits for jobs for good, the pool terminates the worker
+    function start(init) {
+        var wasm = Md5Wasm.instantiate(init.memory);
+        var HEAP32 = new Int32Array(init.memory.buffer);
+        var controlPtr = init.controlPtr;
+        var generation = 0;
+
+        while (true) {
+            Atomics.wait(HEAP32, (controlPtr + i_CONTROL_GENERATION_OFFSET)>>2, generation);
+            generation = Atomics.load(HEAP32, (controlPtr + i_CONTROL_GENERATION_OFFSET)>>2);
+
+            var jobsPtr = HEAP32[(controlPtr + i_CONTROL_JOBS_PTR_OFFSET)>>2];
+            var jobsLength = HEAP32[(controlPtr + i_CONTROL_JOBS_LENGTH_OFFSET)>>2];
+            var job;
+            while ((job = Atomics.add(HEAP32, (controlPtr + i_CONTROL_NEXT_JOB_OFFSET)>>2, 1)) < jobsLength) {
+                runJob(wasm, HEAP32, jobsPtr + job * JOB_STRUCT_SIZE, init.index);
+            }
+
+            // Every worker has to be through before the next run can reset
+            // the control struct, the last one tells the pool
+            var workers = HEAP32[(controlPtr + i_CONTROL_WORKERS_OFFSET)>>2];
+            if (Atomics.add(HEAP32, (controlPtr + i_CONTROL_FINISHED_OFFSET)>>2, 1) + 1 == workers) {
+                post("done");
+            }
+        }
+    }
+
+    // Points a copy of the instance's header at a copy of the model struct
+    // with the job's meshes and the worker's own joints
+    function runJob(wasm, HEAP32, job_ptr, index) {
+        var headerPtr = HEAP32[(job_ptr + i_JOB_HEADER_PTR_OFFSET)>>2];
+        var frame = HEAP32[(job_ptr + i_JOB_FRAME_OFFSET)>>2];
+        var meshStart = HEAP32[(job_ptr + i_JOB_MESH_START_OFFSET)>>2];
+        var meshesLength = HEAP32[(job_ptr + i_JOB_MESHES_LENGTH_OFFSET)>>2];
+        var scratchPtr = HEAP32[(job_ptr + i_JOB_SCRATCH_PTR_OFFSET)>>2] +
+                         HEAP32[(job_ptr + i_JOB_SCRATCH_SIZE_OFFSET)>>2] * index;
+        var simd = (HEAP32[(job_ptr + i_JOB_FLAGS_OFFSET)>>2] & JOB_FLAG_SIMD) && wasm.skinSIMD;
+
+        var header_ptr = scratchPtr;
+        var model_ptr = header_ptr + HEADER_SIZE;
+        var joints_ptr = model_ptr + MODEL_STRUCT_SIZE;
+        var modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2];
+
+        HEAP32.copyWithin(header_ptr>>2, headerPtr>>2, (headerPtr + HEADER_SIZE)>>2);
+        HEAP32.copyWithin(model_ptr>>2, modelPtr>>2, (modelPtr + MODEL_STRUCT_SIZE)>>2);
+        HEAP32[(header_ptr + i_MODEL_STRUCT_PTR_OFFSET)>>2] = model_ptr;
+        HEAP32[(model_ptr + i_MODEL_MESHES_PTR_OFFSET)>>2] += meshStart * MESH_STRUCT_SIZE;
+        HEAP32[(model_ptr + i_MODEL_MESHES_LENGTH_OFFSET)>>2] = meshesLength;
+        HEAP32[(model_ptr + i_MODEL_JOINTS_PTR_OFFSET)>>2] = joints_ptr;
+
+        if (simd) {
+            wasm.getFrameJointsSIMD(frame, header_ptr);
+            wasm.skinSIMD(header_ptr);
+        } else {
+            wasm.getFrameJoints(frame, header_ptr);
+            wasm.skin(header_ptr);
+        }
+    }
+
+}());
@@ -0,0 +1,285 @@
+/*
+ * md5-workers.js - Skins instances of md5-asm.js models on worker threads
+ *
+ * The workers (js/md5-worker.js) run the WebAssembly getFrameJoints and skin
+ * of md5-wasm.js over a shared heap, a WebAssembly.Memory created with
+ * shared: true. Each frame the main thread writes a list of jobs to the heap
+ * and wakes the workers with Atomics.notify. They take jobs off the list
+ * until it is empty, and the last one to finish posts a message back, so
+ * run's callback only comes once every vertex array is skinned.
+ *
+ * Works with Web Workers, which need a cross origin isolated page for
+ * SharedArrayBuffer, and with Node's worker_threads.
+ */
+
+/*
+ * Copyright (c) 2015 Ningxin Hu
+ *
+ * This software is provided 'as-is', without any express or implied
+ * warranty. In no event will the authors be held liable for any damages
+ * arising from the use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ *    1. The origin of this software must not be misrepresented; you must not
+ *    claim that you wrote the original software. If you use this software
+ *    in a product, an acknowledgment in the product documentation would be
+ *    appreciated but is not required.
+ *
+ *    2. Altered source versions must be plainly marked as such, and must not
+ *    be misrepresented as being the original software.
+ *
+ *    3. This notice may not be removed or altered from any source
+ *    distribution.
+ */
+
+(function (root, factory) {
+    if (typeof exports === 'object') {
+        // Node
+        module.exports = factory(require('worker_threads'), __dirname + '/md5-worker.js');
+    } else if (typeof define === 'function' && define.amd) {
+        define([], function() { return factory(null, "js/md5-worker.js"); });
+    } else {
+        // Browser globals
+        root.Md5Workers = factory(null, "js/md5-worker.js");
+    }
+}(this, function (workerThreads, defaultUrl) {
+
+    "use strict";
+
+    // Header
+    var i_MODEL_STRUCT_PTR_OFFSET = 0;
+
+    // Model struct
+    var i_MODEL_MESHES_PTR_OFFSET = 0;
+    var i_MODEL_MESHES_LENGTH_OFFSET = 4;
+    var i_MODEL_JOINTS_LENGTH_OFFSET = 12;
+    var MODEL_STRUCT_SIZE = 16;
+
+    // Mesh struct
+    var MESH_STRUCT_SIZE = 20;
+    var i_MESH_VERTS_LENGTH_OFFSET = 8;
+
+    var HEADER_SIZE = 16;
+    var JOINT_STRUCT_SIZE = 32;
+
+    // Control struct, shared with md5-worker.js. Generation is bumped for
+    // every run, the workers wait on it
+    var CONTROL_STRUCT_SIZE = 32;
+    var i_CONTROL_GENERATION_OFFSET = 0;
+    var i_CONTROL_NEXT_JOB_OFFSET = 4;
+    var i_CONTROL_JOBS_LENGTH_OFFSET = 8;
+    var i_CONTROL_JOBS_PTR_OFFSET = 12;
+    var i_CONTROL_WORKERS_OFFSET = 16;
+    var i_CONTROL_FINISHED_OFFSET = 20;
+
+    // Job struct, shared with md5-worker.js. Skins meshes [meshStart,
+    // meshStart + meshesLength) of the instance at headerPtr at frame. The
+    // worker copies the header and the model struct to its scratch block,
+    // scratchPtr + its index * scratchSize, and computes the joints there
+    var JOB_STRUCT_SIZE = 32;
+    var i_JOB_HEADER_PTR_OFFSET = 0;
+    var i_JOB_FRAME_OFFSET = 4;
+    var i_JOB_MESH_START_OFFSET = 8;
+    var i_JOB_MESHES_LENGTH_OFFSET = 12;
+    var i_JOB_SCRATCH_PTR_OFFSET = 16;
+    var i_JOB_SCRATCH_SIZE_OFFSET = 20;
+    var i_JOB_FLAGS_OFFSET = 24;
+    var JOB_FLAG_SIMD = 1;
+
+    var align = function(size) {
+        return (size + 15) & ~15;
+    };
+
+    var isSupported = function() {
+        return typeof SharedArrayBuffer !== "undefined" && typeof Atomics !== "undefined" &&
+               typeof WebAssembly === "object" && (workerThreads !== null || typeof Worker !== "undefined");
+    };
+
+    // Starts count workers on memory, a shared WebAssembly.Memory holding the
+    // md5-asm.js structs. alloc(size) returns a 16 byte aligned block of the
+    // heap for the pool's own structs, they are never given back. url is
+    // the worker script, js/md5-worker.js by default
+    var Md5WorkerPool = function(memory, alloc, count, url) {
+        this.memory = memory;
+        this.alloc = alloc;
+        this.workers = [];
+        // Split every instance in up to one range of meshes per worker,
+        // instead of skinning each one in a single job
+        this.splitMeshes = false;
+        // Called with the error when a worker fails
+        this.onerror = function(error) { throw error; };
+        // Set from run until its callback
+        this.busy = false;
+
+        this.controlPtr = alloc(CONTROL_STRUCT_SIZE);
+        this.jobsPtr = 0;
+        this.jobsCapacity = 0;
+        this.jobsLength = 0;
+        this.callback = null;
+        // Scratch blocks and mesh ranges by model pointer
+        this.scratch = {};
+        this.ranges = {};
+
+        var HEAP32 = new Int32Array(memory.buffer);
+        for (var i = 0; i < CONTROL_STRUCT_SIZE; i += 4) {
+            HEAP32[(this.controlPtr + i)>>2] = 0;
+        }
+        HEAP32[(this.controlPtr + i_CONTROL_WORKERS_OFFSET)>>2] = count;
+
+        var self = this;
+        var onMessage = function(message) {
+            if (message === "done") {
+                self._done();
+            }
+        };
+        var onError = function(error) {
+            self.onerror(error);
+        };
+        for (var i = 0; i < count; ++i) {
+            var worker;
+            if (workerThreads) {
+                worker = new workerThreads.Worker(url || defaultUrl);
+                worker.on("message", onMessage);
+                worker.on("error", onError);
+            } else {
+                worker = new Worker(url || defaultUrl);
+                worker.onmessage = function(event) { onMessage(event.data); };
+                worker.onerror = onError;
+            }
+            worker.postMessage({memory: memory, controlPtr: this.controlPtr, index: i});
+            this.workers.push(worker);
+        }
+    };
+
+    // Queues skinning the instance at headerPtr at frame for the next run,
+    // with SIMD128 if simd is set and the workers have it
+    Md5WorkerPool.prototype.add = function(headerPtr, frame, simd) {
+        var HEAP32 = new Int32Array(this.memory.buffer);
+        var modelPtr = HEAP32[(headerPtr + i_MODEL_STRUCT_PTR_OFFSET)>>2];
+        var scratch = this._getScratch(modelPtr);
+        var ranges = this.splitMeshes ? this._getRanges(modelPtr) :
+                     [[0, HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2]]];
+
+        for (var i = 0; i < ranges.length; ++i) {
+            var job_ptr = this._addJob();
+            HEAP32 = new Int32Array(this.memory.buffer);
+            HEAP32[(job_ptr + i_JOB_HEADER_PTR_OFFSET)>>2] = headerPtr;
+            HEAP32[(job_ptr + i_JOB_FRAME_OFFSET)>>2] = frame;
+            HEAP32[(job_ptr + i_JOB_MESH_START_OFFSET)>>2] = ranges[i][0];
+            HEAP32[(job_ptr + i_JOB_MESHES_LENGTH_OFFSET)>>2] = ranges[i][1];
+            HEAP32[(job_ptr + i_JOB_SCRATCH_PTR_OFFSET)>>2] = scratch.ptr;
+            HEAP32[(job_ptr + i_JOB_SCRATCH_SIZE_OFFSET)>>2] = scratch.size;
+            HEAP32[(job_ptr + i_JOB_FLAGS_OFFSET)>>2] = simd ? JOB_FLAG_SIMD : 0;
+        }
+    };
+
+    // Runs the queued jobs on the workers and calls callback once they are
+    // all done. Nothing may be added until then
+    Md5WorkerPool.prototype.run = function(callback) {
+        if (this.busy) {
+            throw new Error("Md5WorkerPool is still running the last jobs");
+        }
+        if (this.jobsLength === 0) {
+            if (callback) { callback(); }
+            return;
+        }
+        this.busy = true;
+        this.callback = callback;
+
+        var HEAP32 = new Int32Array(this.memory.buffer);
+        var controlPtr = this.controlPtr;
+        HEAP32[(controlPtr + i_CONTROL_JOBS_PTR_OFFSET)>>2] = this.jobsPtr;
+        HEAP32[(controlPtr + i_CONTROL_JOBS_LENGTH_OFFSET)>>2] = this.jobsLength;
+        HEAP32[(controlPtr + i_CONTROL_NEXT_JOB_OFFSET)>>2] = 0;
+        HEAP32[(controlPtr + i_CONTROL_FINISHED_OFFSET)>>2] = 0;
+        Atomics.add(HEAP32, (controlPtr + i_CONTROL_GENERATION_OFFSET)>>2, 1);
+        Atomics.notify(HEAP32, (controlPtr + i_CONTROL_GENERATION_OFFSET)>>2);
+    };
+
+    Md5WorkerPool.prototype.terminate = function() {
+        for (var i = 0; i < this.workers.length; ++i) {
+            this.workers[i].terminate();
+        }
+        this.workers = [];
+    };
+
+    Md5WorkerPool.prototype._done = function() {
+        var callback = this.callback;
+        this.busy = false;
+        this.callback = null;
+        this.jobsLength = 0;
+        if (callback) { callback(); }
+    };
+
+    // Returns the next free job struct, growing the list when it is full
+    Md5WorkerPool.prototype._addJob = function() {
+        if (this.busy) {
+            throw new Error("Md5WorkerPool is still running the last jobs");
+        }
+        if (this.jobsLength == this.jobsCapacity) {
+            var capacity = Math.max(64, this.jobsCapacity * 2);
+            var jobsPtr = this.alloc(capacity * JOB_STRUCT_SIZE);
+            var HEAPU8 = new Uint8Array(this.memory.buffer);
+            HEAPU8.copyWithin(jobsPtr, this.jobsPtr, this.jobsPtr + this.jobsLength * JOB_STRUCT_SIZE);
+            this.jobsPtr = jobsPtr;
+            this.jobsCapacity = capacity;
+        }
+        return this.jobsPtr + JOB_STRUCT_SIZE * this.jobsLength++;
+    };
+
+    // A scratch block per worker for instances of the model, with room for
+    // a header, a model struct and the joints
+    Md5WorkerPool.prototype._getScratch = function(modelPtr) {
+        var scratch = this.scratch[modelPtr];
+        if (!scratch) {
+            var HEAP32 = new Int32Array(this.memory.buffer);
+            var jointsLength = HEAP32[(modelPtr + i_MODEL_JOINTS_LENGTH_OFFSET)>>2];
+            var size = align(HEADER_SIZE + MODEL_STRUCT_SIZE + jointsLength * JOINT_STRUCT_SIZE);
+            scratch = this.scratch[modelPtr] = {ptr: this.alloc(size * this.workers.length), size: size};
+        }
+        return scratch;
+    };
+
+    // Splits the model's meshes in up to one [start, length] range per
+    // worker, with about as many vertices in each
+    Md5WorkerPool.prototype._getRanges = function(modelPtr) {
+        var ranges = this.ranges[modelPtr];
+        if (!ranges) {
+            var HEAP32 = new Int32Array(this.memory.buffer);
+            var meshesPtr = HEAP32[(modelPtr + i_MODEL_MESHES_PTR_OFFSET)>>2];
+            var meshesLength = HEAP32[(modelPtr + i_MODEL_MESHES_LENGTH_OFFSET)>>2];
+            var verts = [];
+            var total = 0;
+            for (var i = 0; i < meshesLength; ++i) {
+                verts.push(HEAP32[(meshesPtr + i * MESH_STRUCT_SIZE + i_MESH_VERTS_LENGTH_OFFSET)>>2]);
+                total += verts[i];
+            }
+
+            ranges = this.ranges[modelPtr] = [];
+            var count = Math.min(this.workers.length, meshesLength);
+            var start = 0, sum = 0;
+            for (var i = 0; i < meshesLength; ++i) {
+                sum += verts[i];
+                // Close the range once it has its share, leaving a mesh for
+                // each of the ranges still to come
+                if (sum * count >= total * (ranges.length + 1) || meshesLength - i - 1 < count - ranges.length) {
+                    ranges.push([start, i + 1 - start]);
+                    start = i + 1;
+                }
+            }
+            // Meshes without vertices at the end
+            if (start < meshesLength) {
+                ranges[ranges.length - 1][1] += meshesLength - start;
+            }
+        }
+        return ranges;
+    };
+
+    return {
+        isSupported: isSupported,
+        Md5WorkerPool: Md5WorkerPool
+    };
+}));
@@ -28,46 +28,88 @@
 
 define([
     "util/gl-util",
+    "md5-core",
     "util/gl-matrix-min"
-], function(glUtil) {
+], function(glUtil, Md5Core) {
 
     "use strict";
 
     var BASE_PATH = "root/"
-    var MAX_WEIGHTS = 6;
-    var VERTEX_ELEMENTS = 11; // 3 Pos, 2 UV, 3 Norm, 3 Tangent
-    var VERTEX_STRIDE = 44;
+    var MAX_WEIGHTS = Md5Core.GPU_MAX_WEIGHTS;
+    var VERTEX_STRIDE = Md5Core.VERTEX_STRIDE;
+    var GPU_VERTEX_STRIDE = Md5Core.GPU_VERTEX_ELEMENTS * 4;
 
-    var useSIMD = false;
+    var setSIMD = Md5Core.setSIMD;
+    var setSIMDJoints = Md5Core.setSIMDJoints;
+    var setSoA = Md5Core.setSoA;
 
-    var setSIMD = function(set) {
-        useSIMD = set;
-    }
+    // Skin in the vertex shader instead of rewriting the vertex buffer, the
+    // shader has to read the weights and joints textures (see draw)
+    var useGPU = false;
+
+    var setGPU = function(set) {
+        useGPU = set;
+    };
+
+    // GPU skinning needs float textures readable from the vertex shader
+    var supportsGPUSkinning = function(gl) {
+        return !!gl.getExtension("OES_texture_float") &&
+               gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) >= 2;
+    };
+
+    var createFloatTexture = function(gl, size, texels) {
+        var texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size[0], size[1], 0, gl.RGBA, gl.FLOAT, texels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    };
     
+    // Hands error to errorCallback, or throws it without one as a parse
+    // error always was
+    var loadFailed = function(errorCallback, error) {
+        if (!errorCallback) { throw error; }
+        errorCallback(error);
+    };
+
+    // Parsing and skinning live in Md5Core, this adds loading and drawing
     var Md5Mesh = function() {
+        Md5Core.Md5Mesh.call(this);
         this.simd = false
-        this.joints = null;
-        this.jointsData = null;
-        this.meshes = null;
         this.pos = vec3.create([0.0, 0.0, 0.0]);
         this.mesh_texture_loaded = 0;
+        // Level of getWeightLod to skin with, GPU skinning ignores it
+        this.weightLod = 0;
     }; 
 
-    Md5Mesh.prototype.load = function(gl, url, callback) {
-        this.joints = new Array();
-        this.jointsData = new Float32Array(4000);
-        this.meshes = new Array();
-        
+    Md5Mesh.prototype = Object.create(Md5Core.Md5Mesh.prototype);
+    Md5Mesh.prototype.constructor = Md5Mesh;
+
+    // errorCallback gets an Error when the request or the parse fails
+    Md5Mesh.prototype.load = function(gl, url, callback, errorCallback) {
         var self = this;
         
         var request = new XMLHttpRequest();
         request.addEventListener("load", function() {
-            self._parse(request.responseText);
+            if (request.status >= 400) {
+                return loadFailed(errorCallback, new Error("Loading " + url + " failed with status " + request.status));
+            }
+            try {
+                self._parse(request.responseText, url);
+            } catch (e) {
+                return loadFailed(errorCallback, e);
+            }
             self._initializeTextures(gl, function() {
                 self._initializeBuffers(gl);
                 if(callback) callback(self);
             });
         });
+        request.addEventListener("error", function() {
+            loadFailed(errorCallback, new Error("Loading " + url + " failed"));
+        });
         request.open('GET', BASE_PATH + url, true);
         request.overrideMimeType('text/plain');
         request.setRequestHeader('Content-Type', 'text/plain');
@@ -76,193 +118,6 @@ define([
         return this;
     };
 
-    /*
-     * Md5Mesh
-     */
-
-    Md5Mesh.prototype._parse = function(src) {
-        var model = this;
-        var jointsOffset = 0;
-        src.replace(/joints \{([^}]*)\}/m, function($0, jointSrc) {
-            jointSrc.replace(/\"(.+)\"\s(.+) \( (.+) (.+) (.+) \) \( (.+) (.+) (.+) \)/g, function($0, name, parent, x, y, z, ox, oy, oz) {
-                model.joints.push({
-                    name: name,
-                    parent: parseInt(parent), 
-                    pos: [parseFloat(x), parseFloat(y), parseFloat(z)], 
-                    orient: quat4.calculateW([parseFloat(ox), parseFloat(oy), parseFloat(oz), 0]),
-                });
-                // Initialize jointsData for SIMD version
-                // pos
-                model.jointsData[jointsOffset++] = parseFloat(x);
-                model.jointsData[jointsOffset++] = parseFloat(y);
-                model.jointsData[jointsOffset++] = parseFloat(z);
-                model.jointsData[jointsOffset++] = 0;
-                // orient
-                model.jointsData[jointsOffset++] = parseFloat(ox);
-                model.jointsData[jointsOffset++] = parseFloat(oy);
-                model.jointsData[jointsOffset++] = parseFloat(oz);
-                model.jointsData[jointsOffset++] = 0;
-            });
-        });
-
-        src.replace(/mesh \{([^}]*)\}/mg, function($0, meshSrc) {
-            var mesh = {
-                shader: '',
-                verts: new Array(),
-                tris: new Array(),
-                weights: new Array(),
-                weightsData: new Float32Array(50000),
-                vertBuffer: null,
-                indexBuffer: null,
-                vertArray: null,
-                elementCount: 0
-            };
-
-            meshSrc.replace(/shader \"(.+)\"/, function($0, shader) {
-                mesh.shader = shader;
-            });
-
-            meshSrc.replace(/vert .+ \( (.+) (.+) \) (.+) (.+)/g, function($0, u, v, weightIndex, weightCount) {
-                mesh.verts.push({
-                    pos: [0, 0, 0],
-                    normal: [0, 0, 0],
-                    tangent: [0, 0, 0],
-                    texCoord: new Float32Array([parseFloat(u), parseFloat(v), 0, 0]),
-                    weight: {
-                        index: parseInt(weightIndex), 
-                        count: parseInt(weightCount)
-                    }
-                });
-            });
-
-            mesh.tris = new Array();
-            meshSrc.replace(/tri .+ (.+) (.+) (.+)/g, function($0, i1, i2, i3) {
-                mesh.tris.push(parseInt(i1));
-                mesh.tris.push(parseInt(i2));
-                mesh.tris.push(parseInt(i3));
-            });
-            mesh.elementCount = mesh.tris.length;
-
-            var weightsOffset = 0;
-            meshSrc.replace(/weight .+ (.+) (.+) \( (.+) (.+) (.+) \)/g, function($0, joint, bias, x, y, z) {
-                mesh.weights.push({
-                    joint: parseInt(joint), 
-                    bias: parseFloat(bias), 
-                    pos: [parseFloat(x), parseFloat(y), parseFloat(z)],
-                    normal: [0, 0, 0],
-                    tangent: [0, 0, 0],
-                });
-                // Initialize weigthsData for SIMD version
-                mesh.weightsData[weightsOffset++] = parseFloat(bias);
-                // pos
-                mesh.weightsData[weightsOffset++] = parseFloat(x);
-                mesh.weightsData[weightsOffset++] = parseFloat(y);
-                mesh.weightsData[weightsOffset++] = parseFloat(z);
-                mesh.weightsData[weightsOffset++] = 0;
-                // normal
-                mesh.weightsData[weightsOffset++] = 0;
-                mesh.weightsData[weightsOffset++] = 0;
-                mesh.weightsData[weightsOffset++] = 0;
-                mesh.weightsData[weightsOffset++] = 0;
-                // tangent
-                mesh.weightsData[weightsOffset++] = 0;
-                mesh.weightsData[weightsOffset++] = 0;
-                mesh.weightsData[weightsOffset++] = 0;
-                mesh.weightsData[weightsOffset++] = 0;
-            });
-
-            model._compile(mesh);
-
-            model.meshes.push(mesh);
-        });
-    };
-    
-    Md5Mesh.prototype._compile = function(mesh) {
-        var joints = this.joints;
-        var rotatedPos = [0, 0, 0];
-
-        // Calculate transformed vertices in the bind pose
-        for(var i = 0; i < mesh.verts.length; ++i) {
-            var vert = mesh.verts[i];
-
-            vert.pos = [0, 0, 0];
-            for (var j = 0; j < vert.weight.count; ++j) {
-                var weight = mesh.weights[vert.weight.index + j];
-                var joint = joints[weight.joint];
-
-                // Rotate position
-                quat4.multiplyVec3(joint.orient, weight.pos, rotatedPos);
-
-                // Translate position
-                // The sum of all weight biases should be 1.0
-                vert.pos[0] += (joint.pos[0] + rotatedPos[0]) * weight.bias;
-                vert.pos[1] += (joint.pos[1] + rotatedPos[1]) * weight.bias;
-                vert.pos[2] += (joint.pos[2] + rotatedPos[2]) * weight.bias;
-            }
-        }
-
-        // Calculate normals/tangents
-        var a = [0, 0, 0], b = [0, 0, 0];
-        var triNormal = [0, 0, 0];
-        var triTangent = [0, 0, 0];
-        for(var i = 0; i < mesh.tris.length; i+=3) {
-            var vert1 = mesh.verts[mesh.tris[i]];
-            var vert2 = mesh.verts[mesh.tris[i+1]];
-            var vert3 = mesh.verts[mesh.tris[i+2]];
-
-            // Normal
-            vec3.subtract(vert2.pos, vert1.pos, a);
-            vec3.subtract(vert3.pos, vert1.pos, b);
-
-            vec3.cross(b, a, triNormal);
-            vec3.add(vert1.normal, triNormal);
-            vec3.add(vert2.normal, triNormal);
-            vec3.add(vert3.normal, triNormal);
-
-            // Tangent
-            var c2c1t = vert2.texCoord[0] - vert1.texCoord[0];
-            var c2c1b = vert2.texCoord[1] - vert1.texCoord[1];
-            var c3c1t = vert3.texCoord[0] - vert1.texCoord[0];
-            var c3c1b = vert3.texCoord[0] - vert1.texCoord[1];
-
-            triTangent = [c3c1b * a[0] - c2c1b * b[0], c3c1b * a[1] - c2c1b * b[1], c3c1b * a[2] - c2c1b * b[2]];
-            vec3.add(vert1.tangent, triTangent);
-            vec3.add(vert2.tangent, triTangent);
-            vec3.add(vert3.tangent, triTangent);
-        }
-
-        var invOrient = [0, 0, 0, 0];
-        // Get the "weighted" normal and tangent
-        for(var i = 0; i < mesh.verts.length; ++i) {
-            var vert = mesh.verts[i];
-
-            vec3.normalize(vert.normal);
-            vec3.normalize(vert.tangent);
-
-            for (var j = 0; j < vert.weight.count; ++j) {
-                var weight = mesh.weights[vert.weight.index + j];
-                if(weight.bias != 0) {
-                    var joint = joints[weight.joint];
-
-                    // Rotate position
-                    quat4.inverse(joint.orient, invOrient);
-                    quat4.multiplyVec3(invOrient, vert.normal, weight.normal);
-                    quat4.multiplyVec3(invOrient, vert.tangent, weight.tangent);
-
-                    // Set weigthsData for SIMD version
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 5] = weight.normal[0];
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 6] = weight.normal[1];
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 7] = weight.normal[2];
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 8] = 0;
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 9] = weight.tangent[0];
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 10] = weight.tangent[1];
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 11] = weight.tangent[2];
-                    mesh.weightsData[(vert.weight.index + j) * 13 + 12] = 0;
-                }
-            }
-        }
-    };
-    
     Md5Mesh.prototype._initializeTextures = function(gl, callback) {
         var self = this;
         var mesh_texture_loaded = 0;
@@ -308,29 +163,17 @@ define([
         var meshes = this.meshes;
         var i;
         
-        var vertBufferLength = 0;
-        var indexBufferLength = 0;
-        for(i = 0; i < meshes.length; ++i) {
-            var mesh = meshes[i];
-            mesh.vertOffset = vertBufferLength;
-            vertBufferLength += VERTEX_ELEMENTS * mesh.verts.length;
-            
-            mesh.indexOffset = indexBufferLength;
-            indexBufferLength += mesh.elementCount;
-        }
-        
         // Fill the vertex buffer
-        // Append 1 byte for using SIMD.float32x4.store.
-        this.vertArray = new Float32Array(vertBufferLength + 1);
-        if (!useSIMD)
-            this._skin();
-        else
-            this._skinSIMD();
+        this._initializeVertArray();
         this.vertBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, this.vertArray, gl.STATIC_DRAW);
         
         // Fill the index buffer
+        var indexBufferLength = 0;
+        for(i = 0; i < meshes.length; ++i) {
+            indexBufferLength += meshes[i].elementCount;
+        }
         var indexArray = new Uint16Array(indexBufferLength);
         for(i = 0; i < meshes.length; ++i) {
             var mesh = meshes[i];
@@ -340,208 +183,100 @@ define([
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexArray, gl.STATIC_DRAW);
     };
-    
-    // Skins the vertexArray with the given joint set
-    // Passing null to joints results in the bind pose
-    Md5Mesh.prototype._skin = function(joints, vertArray, arrayOffset) {
-        if(!joints) { joints = this.joints; }
-        if(!vertArray) { vertArray = this.vertArray }
-        if(!arrayOffset) { arrayOffset = 0; }
-
-        var rotatedPos = [0, 0, 0];
-
-        var vx, vy, vz;
-        var nx, ny, nz;
-        var tx, ty, tz;
-        
-        var meshes = this.meshes;
-        
-        for(var i = 0; i < meshes.length; ++i) {
-            var mesh = meshes[i];
-            var meshOffset = mesh.vertOffset + arrayOffset;
-
-            // Calculate transformed vertices in the bind pose
-            for(var j = 0; j < mesh.verts.length; ++j) {
-                var vertOffset = (j * VERTEX_ELEMENTS) + meshOffset;
-                var vert = mesh.verts[j];
-
-                vx = 0; vy = 0; vz = 0;
-                nx = 0; ny = 0; nz = 0;
-                tx = 0; ty = 0; tz = 0;
-
-                for (var k = 0; k < vert.weight.count; ++k) {
-                    var weight = mesh.weights[vert.weight.index + k];
-                    var joint = joints[weight.joint];
-
-                    // Rotate position
-                    quat4.multiplyVec3(joint.orient, weight.pos, rotatedPos);
-
-                    // Translate position
-                    vx += (joint.pos[0] + rotatedPos[0]) * weight.bias;
-                    vy += (joint.pos[1] + rotatedPos[1]) * weight.bias;
-                    vz += (joint.pos[2] + rotatedPos[2]) * weight.bias;
-
-                    // Rotate Normal
-                    quat4.multiplyVec3(joint.orient, weight.normal, rotatedPos);
-                    nx += rotatedPos[0] * weight.bias;
-                    ny += rotatedPos[1] * weight.bias;
-                    nz += rotatedPos[2] * weight.bias;
-
-                    // Rotate Tangent
-                    quat4.multiplyVec3(joint.orient, weight.tangent, rotatedPos);
-                    tx += rotatedPos[0] * weight.bias;
-                    ty += rotatedPos[1] * weight.bias;
-                    tz += rotatedPos[2] * weight.bias;
-                }
-
-                // Position
-                vertArray[vertOffset] = vx;
-                vertArray[vertOffset+1] = vy;
-                vertArray[vertOffset+2] = vz;
-
-                // TexCoord
-                vertArray[vertOffset+3] = vert.texCoord[0];
-                vertArray[vertOffset+4] = vert.texCoord[1];
 
-                // Normal
-                vertArray[vertOffset+5] = nx;
-                vertArray[vertOffset+6] = ny;
-                vertArray[vertOffset+7] = nz;
+    // Creates the buffer and textures for GPU skinning the first time it is
+    // used, the weights are uploaded once and only the joints change
+    Md5Mesh.prototype._initializeGPUBuffers = function(gl) {
+        var gpu = this._initializeGPUData();
+        this.gpuVertBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.gpuVertBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, gpu.vertArray, gl.STATIC_DRAW);
 
-                // Tangent
-                vertArray[vertOffset+8] = tx;
-                vertArray[vertOffset+9] = ty;
-                vertArray[vertOffset+10] = tz;
-            }
-        }
+        this.weightsTexture = createFloatTexture(gl, gpu.weightsSize, gpu.weightTexels);
+        this.jointsTexture = createFloatTexture(gl, gpu.jointsSize, gpu.jointTexels);
+    };
+    
+    // Returns a new Md5Instance drawing this mesh
+    Md5Mesh.prototype.createInstance = function(gl) {
+        return new Md5Instance(gl, this);
     };
 
-    Md5Mesh.prototype._skinSIMD = function(jointsData, vertArray, arrayOffset) {
-        // joints holds pos4f and orient4f
-        if(!jointsData) { jointsData = this.jointsData; }
-        if(!vertArray) { vertArray = this.vertArray }
-        if(!arrayOffset) { arrayOffset = 0; }
-
-        var rotatedPos = SIMD.float32x4.splat(0);
-        var tempx4 = SIMD.float32x4(1, 1, 1, -1);
-        
-        var meshes = this.meshes;
-        
-        for(var i = 0; i < meshes.length; ++i) {
-            var mesh = meshes[i];
-            var meshOffset = mesh.vertOffset + arrayOffset;
-
-            // Calculate transformed vertices in the bind pose
-            for(var j = 0; j < mesh.verts.length; ++j) {
-                var vertOffset = (j * VERTEX_ELEMENTS) + meshOffset;
-                var vert = mesh.verts[j];
-
-                var vx4 = SIMD.float32x4.splat(0);
-                var nx4 = SIMD.float32x4.splat(0);
-                var tx4 = SIMD.float32x4.splat(0);
-
-                for (var k = 0; k < vert.weight.count; ++k) {
-                    var weight = mesh.weights[vert.weight.index + k];
-                    var weigthsData = mesh.weightsData;
-                    var weightsOffset = (vert.weight.index + k) * 13;
-
-                    // Rotate position
-                    var jointOrient = SIMD.float32x4.load(jointsData, weight.joint * 8 + 4);
-                    var weightPos = SIMD.float32x4.load(weigthsData, weightsOffset + 1);
-                    var ix4 = SIMD.float32x4.sub(
-                        SIMD.float32x4.add(
-                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0), tempx4),
-                                               SIMD.float32x4.swizzle(weightPos, 0, 1, 2, 0)),
-                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 1), tempx4),
-                                               SIMD.float32x4.swizzle(weightPos, 2, 0, 1, 1))),
-                        SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 2),
-                                           SIMD.float32x4.swizzle(weightPos, 1, 2, 0, 2)));
-
-                    var rotatedPos = SIMD.float32x4.add(
-                        SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0)),
-                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), jointOrient)),
-                        SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 0)),
-                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 0))));
-
-                    var jointPos = SIMD.float32x4.load(jointsData, weight.joint * 8);
-                    var weightBias = SIMD.float32x4.swizzle(SIMD.float32x4.load(weigthsData, weightsOffset), 0, 0, 0, 0);
-
-                    // Translate position
-                    vx4 = SIMD.float32x4.add(vx4, SIMD.float32x4.mul(SIMD.float32x4.add(jointPos, rotatedPos), weightBias));
-
-                    // Rotate Normal
-                    var weightNormal = SIMD.float32x4.load(weigthsData, weightsOffset + 5);
-                    ix4 = SIMD.float32x4.sub(
-                        SIMD.float32x4.add(
-                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0), tempx4),
-                                               SIMD.float32x4.swizzle(weightNormal, 0, 1, 2, 0)),
-                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 1), tempx4),
-                                               SIMD.float32x4.swizzle(weightNormal, 2, 0, 1, 1))),
-                        SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 2),
-                                           SIMD.float32x4.swizzle(weightNormal, 1, 2, 0, 2)));
-
-                    rotatedPos = SIMD.float32x4.add(
-                        SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0)),
-                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), jointOrient)),
-                        SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 0)),
-                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 0))));
-
-                    nx4 = SIMD.float32x4.add(nx4, SIMD.float32x4.mul(rotatedPos, weightBias))
-
-                    // Rotate Tangent
-                    var weightTangent = SIMD.float32x4.load(weigthsData, weightsOffset + 9);
-                    ix4 = SIMD.float32x4.sub(
-                        SIMD.float32x4.add(
-                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0), tempx4),
-                                               SIMD.float32x4.swizzle(weightTangent, 0, 1, 2, 0)),
-                            SIMD.float32x4.mul(SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 1), tempx4),
-                                               SIMD.float32x4.swizzle(weightTangent, 2, 0, 1, 1))),
-                        SIMD.float32x4.mul(SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 2),
-                                           SIMD.float32x4.swizzle(weightTangent, 1, 2, 0, 2)));
-
-                    rotatedPos = SIMD.float32x4.add(
-                        SIMD.float32x4.sub(SIMD.float32x4.mul(ix4, SIMD.float32x4.swizzle(jointOrient, 3, 3, 3, 0)),
-                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 3, 3, 3, 0), jointOrient)),
-                        SIMD.float32x4.sub(SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 2, 0, 1, 0), SIMD.float32x4.swizzle(jointOrient, 1, 2, 0, 0)),
-                                           SIMD.float32x4.mul(SIMD.float32x4.swizzle(ix4, 1, 2, 0, 0), SIMD.float32x4.swizzle(jointOrient, 2, 0, 1, 0))));
-
-                    tx4 = SIMD.float32x4.add(tx4, SIMD.float32x4.mul(rotatedPos, weightBias))
-                }
-
-                // Position
-                SIMD.float32x4.store(vertArray, vertOffset, vx4);
+    // Throws a Md5Core.Md5CompatibilityError if animation doesn't fit the
+    // mesh's joints, set remapJoints to accept it in a different joint order
+    Md5Mesh.prototype.setAnimationFrame = function(gl, animation, frame) {
+        animation = this.bindAnimation(animation);
+        this._setJoints(gl, animation.getFrameJoints(frame));
+    };
 
-                // TexCoord
-                SIMD.float32x4.store(vertArray, vertOffset + 3, SIMD.float32x4.load(vert.texCoord, 0));
+    // Like setAnimationFrame, but interpolates between frames so the
+    // animation stays smooth when drawn faster than its frame rate
+    Md5Mesh.prototype.setAnimationTime = function(gl, animation, time) {
+        animation = this.bindAnimation(animation);
+        this._setJoints(gl, animation.getJointsAtTime(time));
+    };
 
-                // Normal
-                SIMD.float32x4.store(vertArray, vertOffset + 5, nx4);
+    // Skins with a weighted blend of several animations of the same skeleton,
+    // layers is an array of {animation, time, weight} (see Md5AnimMixer)
+    Md5Mesh.prototype.setAnimationBlend = function(gl, layers) {
+        this._setJoints(gl, this._blendJoints(layers));
+    };
 
-                // Tangent
-                SIMD.float32x4.store(vertArray, vertOffset + 8, tx4);
-            }
+    Md5Mesh.prototype._blendJoints = function(layers) {
+        var bound = new Array();
+        for (var i = 0; i < layers.length; ++i) {
+            var layer = layers[i];
+            bound.push({animation: this.bindAnimation(layer.animation), time: layer.time, weight: layer.weight});
         }
+        return Md5Core.blendJoints(bound);
     };
-        
-    Md5Mesh.prototype.setAnimationFrame = function(gl, animation, frame) {
-        if (!useSIMD) {
-            var joints = animation.getFrameJoints(frame);
-            this._skin(joints);
-        } else {
-            var jointsData = animation.getFrameJoints(frame);
-            this._skinSIMD(jointsData);
+
+    // Skins with joints (jointsData for SIMD, null for the bind pose) into
+    // target, this mesh or one of its instances, and uploads the vertices.
+    // When skinning on the GPU only the joints are uploaded
+    Md5Mesh.prototype._setJoints = function(gl, joints, target) {
+        if (!target) { target = this; }
+        if (useGPU) {
+            if (!this.gpuVertBuffer) { this._initializeGPUBuffers(gl); }
+            var gpu = this.gpu;
+            this.packJoints(joints);
+            if (!target.jointsTexture) {
+                target.jointsTexture = createFloatTexture(gl, gpu.jointsSize, gpu.jointTexels);
+                return;
+            }
+            gl.bindTexture(gl.TEXTURE_2D, target.jointsTexture);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gpu.jointsSize[0], gpu.jointsSize[1], gl.RGBA, gl.FLOAT, gpu.jointTexels);
+            return;
         }
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, this.vertArray, gl.STATIC_DRAW);
+        this.getWeightLod(target.weightLod).skin(joints, target.vertArray);
+        gl.bindBuffer(gl.ARRAY_BUFFER, target.vertBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, target.vertArray, gl.STATIC_DRAW);
     };
         
-    Md5Mesh.prototype.draw =function(gl, shader) {
-        if(!this.vertBuffer || !this.indexBuffer) { return; }
+    // Draws this mesh, or target posed as one of its instances. With
+    // setGPU(true) shader has to be the skinning one, taking texture and
+    // weight attributes
+    Md5Mesh.prototype.draw =function(gl, shader, target) {
+        if (!target) { target = this; }
+        if(!target.vertBuffer || !this.indexBuffer) { return; }
+        if(useGPU && !this.gpuVertBuffer) { this._initializeGPUBuffers(gl); }
+        if(useGPU && !target.jointsTexture) { this._setJoints(gl, null, target); }
         
         // Bind the appropriate buffers
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
+        gl.bindBuffer(gl.ARRAY_BUFFER, useGPU ? this.gpuVertBuffer : target.vertBuffer);
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
 
+        if (useGPU) {
+            gl.activeTexture(gl.TEXTURE3);
+            gl.bindTexture(gl.TEXTURE_2D, this.weightsTexture);
+            gl.uniform1i(shader.uniform.weights, 3);
+            gl.uniform2fv(shader.uniform.weightsSize, this.gpu.weightsSize);
+
+            gl.activeTexture(gl.TEXTURE4);
+            gl.bindTexture(gl.TEXTURE_2D, target.jointsTexture);
+            gl.uniform1i(shader.uniform.joints, 4);
+            gl.uniform2fv(shader.uniform.jointsSize, this.gpu.jointsSize);
+        }
+
         var meshes = this.meshes;
         var meshCount = meshes.length;
         for(var i = 0; i < meshCount; ++i) {
@@ -561,6 +296,21 @@ define([
             gl.bindTexture(gl.TEXTURE_2D, mesh.normalMap);
             gl.uniform1i(shader.uniform.normalMap, 2);
 
+            gl.uniform3fv(shader.uniform.meshPos, target.pos);
+
+            if (useGPU) {
+                var gpuOffset = mesh.gpuVertOffset * 4;
+
+                gl.enableVertexAttribArray(shader.attribute.texture);
+                gl.enableVertexAttribArray(shader.attribute.weight);
+
+                gl.vertexAttribPointer(shader.attribute.texture, 2, gl.FLOAT, false, GPU_VERTEX_STRIDE, gpuOffset+0);
+                gl.vertexAttribPointer(shader.attribute.weight, 2, gl.FLOAT, false, GPU_VERTEX_STRIDE, gpuOffset+8);
+
+                gl.drawElements(gl.TRIANGLES, mesh.elementCount, gl.UNSIGNED_SHORT, mesh.indexOffset*2);
+                continue;
+            }
+
             // Enable vertex arrays
             gl.enableVertexAttribArray(shader.attribute.position);
             gl.enableVertexAttribArray(shader.attribute.texture);
@@ -573,40 +323,133 @@ define([
             gl.vertexAttribPointer(shader.attribute.normal, 3, gl.FLOAT, false, VERTEX_STRIDE, meshOffset+20);
             gl.vertexAttribPointer(shader.attribute.tangent, 3, gl.FLOAT, false, VERTEX_STRIDE, meshOffset+32);
 
-            gl.uniform3fv(shader.uniform.meshPos, this.pos);
-            
             gl.drawElements(gl.TRIANGLES, mesh.elementCount, gl.UNSIGNED_SHORT, mesh.indexOffset*2);
         }
     };
 
+    /*
+     * Md5Instance
+     */
+
+    // One drawn copy of a loaded Md5Mesh. The parsed model, its textures and
+    // index buffer are shared, an instance only has a position, the clip and
+    // time it was last set to, and its own skinned vertices
+    var Md5Instance = function(gl, model) {
+        this.model = model;
+        this.pos = vec3.create([0.0, 0.0, 0.0]);
+        this.animation = null;
+        this.time = 0;
+        this.layers = null;
+        // Set by the renderer when out of view, skinning then waits until
+        // the instance is drawn again
+        this.culled = false;
+        this.stale = false;
+        // Level of the model's getWeightLod to skin with
+        this.weightLod = 0;
+        this.vertArray = new Float32Array(model.vertArray);
+        this.vertBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.vertArray, gl.STATIC_DRAW);
+        // Created on demand when skinning on the GPU
+        this.jointsTexture = null;
+    };
+
+    Md5Instance.prototype.setAnimationFrame = function(gl, animation, frame) {
+        var model = this.model;
+        this.animation = animation;
+        this.time = frame * animation.frameTime;
+        this.layers = null;
+        if (this.culled) {
+            this.stale = true;
+            return;
+        }
+        this.stale = false;
+        model._setJoints(gl, model.bindAnimation(animation).getFrameJoints(frame), this);
+    };
+
+    Md5Instance.prototype.setAnimationTime = function(gl, animation, time) {
+        this.animation = animation;
+        this.time = time;
+        this.layers = null;
+        this.stale = true;
+        if (!this.culled) { this._skin(gl); }
+    };
+
+    // The clip and time are those of the first layer
+    Md5Instance.prototype.setAnimationBlend = function(gl, layers) {
+        this.animation = layers[0].animation;
+        this.time = layers[0].time;
+        this.layers = layers;
+        this.stale = true;
+        if (!this.culled) { this._skin(gl); }
+    };
+
+    // Skins at the clip and time, or the layers, set last
+    Md5Instance.prototype._skin = function(gl) {
+        var model = this.model;
+        var joints;
+        if (this.layers) {
+            joints = model._blendJoints(this.layers);
+        } else {
+            joints = model.bindAnimation(this.animation).getJointsAtTime(this.time);
+        }
+        this.stale = false;
+        model._setJoints(gl, joints, this);
+    };
+
+    // Returns the {min, max} box of the animation at the instance's time,
+    // relative to pos, or null when it isn't animated or has no bounds
+    Md5Instance.prototype.getBounds = function(out) {
+        if (!this.animation) { return null; }
+        return this.animation.getBoundsAtTime(this.time, out);
+    };
+
+    // Catches up on skinning skipped while culled
+    Md5Instance.prototype.draw = function(gl, shader) {
+        if (this.stale) { this._skin(gl); }
+        this.model.draw(gl, shader, this);
+    };
+
+    // Deletes the instance's gl objects, the model's are kept
+    Md5Instance.prototype.release = function(gl) {
+        gl.deleteBuffer(this.vertBuffer);
+        this.vertBuffer = null;
+        if (this.jointsTexture) {
+            gl.deleteTexture(this.jointsTexture);
+            this.jointsTexture = null;
+        }
+    };
+
     /*
      * Md5Anim
      */
 
     var Md5Anim = function() {
-        this.frameRate = 24;
-        this.frameTime = 1000.0 / this.frameRate;
-        this.hierarchy = null;
-        this.baseFrame = null;
-        this.baseFrameJointsData = null;
-        this.jointsData = null;
-        this.frames = null;
+        Md5Core.Md5Anim.call(this);
     };
+
+    Md5Anim.prototype = Object.create(Md5Core.Md5Anim.prototype);
+    Md5Anim.prototype.constructor = Md5Anim;
         
-    Md5Anim.prototype.load = function(url, callback) {
-        this.hierarchy = new Array();
-        this.baseFrame = new Array();
-        this.baseFrameJointsData = new Float32Array(4000);
-        this.jointsData = new Float32Array(4000);
-        this.frames = new Array();
-        
+    // errorCallback gets an Error when the request or the parse fails
+    Md5Anim.prototype.load = function(url, callback, errorCallback) {
         var self = this;
         
         var request = new XMLHttpRequest();
         request.addEventListener("load", function() {
-            self._parse(request.responseText);
+            if (request.status >= 400) {
+                return loadFailed(errorCallback, new Error("Loading " + url + " failed with status " + request.status));
+            }
+            try {
+                self._parse(request.responseText, url);
+            } catch (e) {
+                return loadFailed(errorCallback, e);
+            }
             if(callback) { callback(self); }
         });
+        request.addEventListener("error", function() {
+            loadFailed(errorCallback, new Error("Loading " + url + " failed"));
+        });
         
         request.open('GET', BASE_PATH + url, true);
         request.overrideMimeType('text/plain');
@@ -615,135 +458,88 @@ define([
 
         return this;
     };
-        
-    Md5Anim.prototype._parse = function(src) {
-        var anim = this;
-        
-        src.replace(/frameRate (.+)/, function($0, frameRate) {
-            anim.frameRate = parseInt(frameRate);
-            anim.frameTime = 1000 / frameRate;
-        });
 
-        src.replace(/hierarchy \{([^}]*)\}/m, function($0, hierarchySrc) {
-            hierarchySrc.replace(/\"(.+)\"\s([-\d]+) (\d+) (\d+)\s/g, function($0, name, parent, flags, index) {
-                anim.hierarchy.push({
-                    name: name,
-                    parent: parseInt(parent), 
-                    flags: parseInt(flags), 
-                    index: parseInt(index)
-                });
-            });
-        });
-
-        src.replace(/baseframe \{([^}]*)\}/m, function($0, baseframeSrc) {
-            var offset = 0;
-            baseframeSrc.replace(/\( (.+) (.+) (.+) \) \( (.+) (.+) (.+) \)/g, function($0, x, y, z, ox, oy, oz) {
-                anim.baseFrame.push({
-                    pos: [parseFloat(x), parseFloat(y), parseFloat(z)], 
-                    orient: [parseFloat(ox), parseFloat(oy), parseFloat(oz)]
-                });
-            });
-        });
-
-
-        src.replace(/frame \d+ \{([^}]*)\}/mg, function($0, frameSrc) {
-            var frame = new Array();
-            var offset = 0;
+    /*
+     * Cache
+     */
 
-            frameSrc.replace(/([-\.\d]+)/g, function($0, value) {
-                frame.push(parseFloat(value));
+    // Loaded meshes and animations by url, shared by everything using them
+    var modelCache = {};
+    var animationCache = {};
+
+    // Calls callback with the resource cached under key, starting
+    // load(done, fail) the first time it is asked for. A failed load is
+    // dropped from the cache, so the next call starts it again, and its
+    // error goes to the errorCallback of every caller waiting on it
+    var loadCached = function(cache, key, load, callback, errorCallback) {
+        var entry = cache[key];
+        if (!entry) {
+            entry = cache[key] = {resource: null, callbacks: new Array(), errorCallbacks: new Array()};
+            load(function(resource) {
+                var callbacks = entry.callbacks;
+                entry.resource = resource;
+                entry.callbacks = null;
+                entry.errorCallbacks = null;
+                for (var i = 0; i < callbacks.length; ++i) {
+                    callbacks[i](resource);
+                }
+            }, function(error) {
+                var errorCallbacks = entry.errorCallbacks;
+                delete cache[key];
+                entry.callbacks = null;
+                entry.errorCallbacks = null;
+                if (errorCallbacks.length == 0) {
+                    throw error;
+                }
+                for (var i = 0; i < errorCallbacks.length; ++i) {
+                    errorCallbacks[i](error);
+                }
             });
+        }
 
-            anim.frames.push(frame);
-        });
+        if (entry.resource) {
+            if (callback) { callback(entry.resource); }
+        } else {
+            if (callback) { entry.callbacks.push(callback); }
+            if (errorCallback) { entry.errorCallbacks.push(errorCallback); }
+        }
     };
-        
-    Md5Anim.prototype.getFrameJoints = function(frame) {
-        frame = frame % this.frames.length;
-    
-        var frameData = this.frames[frame]; 
-        var joints = new Array();
-        var jointsOffset = 0;
-
-        for (var i = 0; i < this.baseFrame.length; ++i) {
-            var baseJoint = this.baseFrame[i];
-            var offset = this.hierarchy[i].index;
-            var flags = this.hierarchy[i].flags;
-
-            var aPos = [baseJoint.pos[0], baseJoint.pos[1], baseJoint.pos[2]];
-            var aOrient = [baseJoint.orient[0], baseJoint.orient[1], baseJoint.orient[2], 0];
 
-            var j = 0;
-
-            if (flags & 1) { // Translate X
-                aPos[0] = frameData[offset + j];
-                ++j;
-            }
-
-            if (flags & 2) { // Translate Y
-                aPos[1] = frameData[offset + j];
-                ++j;
-            }
-
-            if (flags & 4) { // Translate Z
-                aPos[2] = frameData[offset + j];
-                ++j;
-            }
-
-            if (flags & 8) { // Orient X
-                aOrient[0] = frameData[offset + j];
-                ++j;
-            }
-
-            if (flags & 16) { // Orient Y
-                aOrient[1] = frameData[offset + j];
-                ++j;
-            }
-
-            if (flags & 32) { // Orient Z
-                aOrient[2] = frameData[offset + j];
-                ++j;
-            }
-
-            // Recompute W value
-            quat4.calculateW(aOrient);
-
-            // Multiply against parent 
-            //(assumes parents always have a lower index than their children)
-            var parentIndex = this.hierarchy[i].parent;
-
-            if(parentIndex >= 0) {
-                var parentJoint = joints[parentIndex];
-
-                quat4.multiplyVec3(parentJoint.orient, aPos);
-                vec3.add(aPos, parentJoint.pos);
-                quat4.multiply(parentJoint.orient, aOrient, aOrient);
-            }
-
-            if (!useSIMD) {
-                joints.push({pos: aPos, orient: aOrient}); // This could be so much better!
-            } else {
-                joints.push({pos: aPos, orient: aOrient}); // This could be so much better!
-                this.jointsData[jointsOffset++] = aPos[0];
-                this.jointsData[jointsOffset++] = aPos[1];
-                this.jointsData[jointsOffset++] = aPos[2];
-                this.jointsData[jointsOffset++] = 0;
-                this.jointsData[jointsOffset++] = aOrient[0];
-                this.jointsData[jointsOffset++] = aOrient[1];
-                this.jointsData[jointsOffset++] = aOrient[2];
-                this.jointsData[jointsOffset++] = aOrient[3];
-            }
-        }
+    // Calls callback with the Md5Mesh for url, downloading and parsing it
+    // only once. simd picks the _simd diffuse textures. Draw it through
+    // createInstance. errorCallback gets the Error when it fails to load,
+    // later calls try again
+    var loadModel = function(gl, url, callback, simd, errorCallback) {
+        loadCached(modelCache, url + (simd ? "#simd" : ""), function(done, fail) {
+            var model = new Md5Mesh();
+            model.simd = !!simd;
+            model.load(gl, url, done, fail);
+        }, callback, errorCallback);
+    };
 
-        if (!useSIMD)
-            return joints;
-        else
-            return this.jointsData;
+    // Calls callback with the Md5Anim for url, downloading and parsing it
+    // only once. errorCallback as for loadModel
+    var loadAnimation = function(url, callback, errorCallback) {
+        loadCached(animationCache, url, function(done, fail) {
+            new Md5Anim().load(url, done, fail);
+        }, callback, errorCallback);
     };
 
     return {
         Md5Mesh: Md5Mesh,
+        Md5Instance: Md5Instance,
         Md5Anim: Md5Anim,
-        setSIMD: setSIMD
+        Md5AnimMixer: Md5Core.Md5AnimMixer,
+        Md5LodSelector: Md5Core.Md5LodSelector,
+        MAX_WEIGHTS: MAX_WEIGHTS,
+        getFrustumPlanes: Md5Core.getFrustumPlanes,
+        isBoxVisible: Md5Core.isBoxVisible,
+        loadModel: loadModel,
+        loadAnimation: loadAnimation,
+        setSIMD: setSIMD,
+        setSIMDJoints: setSIMDJoints,
+        setSoA: setSoA,
+        setGPU: setGPU,
+        supportsGPUSkinning: supportsGPUSkinning
     };
 });
\ No newline at end of file
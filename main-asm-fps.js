@@ -98,6 +98,15 @@ require([
 
     var fps = document.getElementById("fps");
 
+    // ?cache composes each frame of idle2 once and skins each frame once
+    // for all the meshes on it, the rest copy the vertices
+    var useFrameCache = /[?&]cache\b/.test(window.location.search);
+    var skinsSaved = document.getElementById("skinsSaved");
+    if (useFrameCache) {
+        MD5.setFrameCache(true);
+        skinsSaved.parentNode.style.display = "block";
+    }
+
     var Renderer = function (gl, canvas) {
         this.camera = new Camera.OrbitCamera(canvas);
         this.camera.setCenter([-50, 0, 64]);
@@ -107,6 +116,9 @@ require([
         
         this.projectionMat = mat4.create();
         this.modelViewInvMat = mat3.create();
+        this.viewProjMat = mat4.create();
+        this.frustum = new Float32Array(24);
+        this.bounds = {min: [0, 0, 0], max: [0, 0, 0]};
         
         gl.clearColor(0.0, 0.0, 0.1, 1.0);
         gl.clearDepth(1.0);
@@ -145,6 +157,9 @@ require([
 
         setInterval(function() {
             fps.innerHTML = stats.getFps();
+            if (useFrameCache) {
+                skinsSaved.innerHTML = MD5.frameCacheStats(true).skinsSaved;
+            }
         }, 1000);
 
         contextHelper.start(renderer);
@@ -157,7 +172,7 @@ require([
     };
 
     Renderer.prototype.draw = function (gl, timing) {
-        bindVertexBuffer(gl);
+        MD5.bindVertexBuffers(gl);
         this.camera.update(timing.frameTime);
 
         var viewMat = this.camera.getViewMat();
@@ -179,28 +194,22 @@ require([
         gl.uniform3fv(shader.uniform.specularColor, specularColor);
         gl.uniform1f(shader.uniform.shininess, shininess);
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertBuffer);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, diffuseMap);
-        gl.uniform1i(shader.uniform.diffuse, 0);
-
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, specularMap);
-        gl.uniform1i(shader.uniform.specular, 1);
-
-        gl.activeTexture(gl.TEXTURE2);
-        gl.bindTexture(gl.TEXTURE_2D, normalMap);
-        gl.uniform1i(shader.uniform.normalMap, 2);
-
         gl.enableVertexAttribArray(shader.attribute.position);
         gl.enableVertexAttribArray(shader.attribute.texture);
         gl.enableVertexAttribArray(shader.attribute.normal);
         gl.enableVertexAttribArray(shader.attribute.tangent);
 
+        // Meshes out of view are neither drawn nor skinned
+        mat4.multiply(this.projectionMat, viewMat, this.viewProjMat);
+        MD5.getFrustumPlanes(this.viewProjMat, this.frustum);
+
         for (var i = 0; i < this.meshCount; ++i) {
-            this.models[i].draw(gl, shader);
+            var mesh = this.models[i];
+            var bounds = mesh.getBounds(this.bounds);
+            mesh.culled = bounds !== null && !MD5.isBoxVisible(this.frustum, bounds.min, bounds.max, mesh.pos);
+            if (!mesh.culled) {
+                mesh.draw(gl, shader);
+            }
         }
     };
 
@@ -233,8 +242,6 @@ require([
             mesh.pos = vec3.create([x, y, 0.0]);
             self.models.push(mesh);
 
-            createVertexBuffer(gl,self.models.length);
-
             if (self.models.length == 1) {
                 var loading = document.getElementById('loading');
                 loading.style.visibility = 'hidden';
@@ -265,8 +272,7 @@ require([
         }
         meshIndex--;
         this.animations.pop();
-        this.models.pop();
-        createVertexBuffer(gl, this.models.length);
+        this.models.pop().free();
         //meshNumber.innerHTML = this.models.length;
     }
 
@@ -395,4 +401,4 @@ var MeshAdjuster = function (renderer, gl, stats) {
         stop: stop,
         reset: reset
     };
-}
\ No newline at end of file
+}
\ No newline at end of file
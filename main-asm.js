@@ -96,6 +96,44 @@ require([
 
     var meshNumber = document.getElementById("meshes");
 
+    // ?workers=N skins on a pool of N workers over a shared heap, which needs
+    // the page to be cross-origin isolated. Add &split to spread the meshes
+    // of each instance over the workers too
+    var workersParam = /[?&]workers=(\d+)/.exec(window.location.search);
+    var pool = workersParam ? MD5.createWorkerPool(parseInt(workersParam[1], 10)) : null;
+    if (pool) {
+        pool.splitMeshes = /[?&]split\b/.test(window.location.search);
+    }
+
+    // ?lod skins the meshes further from the camera with fewer weights per
+    // vertex, ?lod=300,600,1200 sets the distances of the levels. Add
+    // &budget=MS to also drop levels while skinning a frame takes longer
+    var lodParam = /[?&]lod(?:=([\d,]+))?(?:&|$)/.exec(window.location.search);
+    var budgetParam = /[?&]budget=([\d.]+)/.exec(window.location.search);
+    var lodSelector = null;
+    if (lodParam || budgetParam) {
+        lodSelector = new MD5.Md5LodSelector(lodParam && lodParam[1] ? lodParam[1].split(",").map(Number) : null);
+        lodSelector.budget = budgetParam ? parseFloat(budgetParam[1]) : 0;
+        if (!lodParam) {
+            // The budget alone
+            lodSelector.distances = [];
+        }
+    }
+
+    // ?cache composes each frame of idle2 once and skins each frame once
+    // for all the meshes on it, the rest copy the vertices. Not with workers
+    var useFrameCache = /[?&]cache\b/.test(window.location.search) && !pool;
+    var skinsSaved = document.getElementById("skinsSaved");
+    if (useFrameCache) {
+        MD5.setFrameCache(true);
+        skinsSaved.parentNode.style.display = "block";
+    }
+
+    // ?quantized skins from the 16 bit weights while SIMD is on
+    if (/[?&]quantized\b/.test(window.location.search)) {
+        MD5.setQuantized(true);
+    }
+
     var Renderer = function (gl, canvas) {
         this.camera = new Camera.OrbitCamera(canvas);
         this.camera.setCenter([0, 0, 64]);
@@ -106,6 +144,10 @@ require([
         
         this.projectionMat = mat4.create();
         this.modelViewInvMat = mat3.create();
+        this.viewProjMat = mat4.create();
+        this.frustum = new Float32Array(24);
+        this.bounds = {min: [0, 0, 0], max: [0, 0, 0]};
+        this.eyePos = vec3.create();
         
         gl.clearColor(0.0, 0.0, 0.1, 1.0);
         gl.clearDepth(1.0);
@@ -125,19 +167,50 @@ require([
             var interval = 1000 / 24;
             var self = this;
             this.handle = setInterval(function() {
+                // Drop the frame if the workers are still on the last one
+                if (pool && pool.busy) {
+                    return;
+                }
+                var start = performance.now();
                 for (var i = 0; i < self.meshCount; ++i) {
                     var model = self.models[i];
                     var anim = model.anim;
                     if (anim !== null) {
+                        if (lodSelector) {
+                            model.setWeightLod(lodSelector.select(self.eyeDistance(model)));
+                        }
                         anim.currentFrame++;
-                        model.setAnimationFrame(gl, anim.currentFrame);
+                        if (pool) {
+                            model.queueAnimationFrame(pool, anim.currentFrame);
+                        } else {
+                            model.setAnimationFrame(gl, anim.currentFrame);
+                        }
                     }
                 }
-                bindVertexBuffer(gl);
+                var finish = function() {
+                    if (lodSelector) {
+                        lodSelector.update(performance.now() - start);
+                    }
+                    if (useFrameCache) {
+                        skinsSaved.innerHTML = MD5.frameCacheStats(true).skinsSaved;
+                    }
+                    MD5.bindVertexBuffers(gl);
+                };
+                if (pool) {
+                    pool.run(finish);
+                } else {
+                    finish();
+                }
             }, interval);
         }
     };
 
+    // Distance from the camera to the mesh's origin
+    Renderer.prototype.eyeDistance = function (mesh) {
+        mat4.multiplyVec3(this.camera.getViewMat(), mesh.pos, this.eyePos);
+        return vec3.length(this.eyePos);
+    };
+
     Renderer.prototype.resize = function (gl, canvas) {
         var fov = 45;
         gl.viewport(0, 0, canvas.width, canvas.height);
@@ -166,28 +239,22 @@ require([
         gl.uniform3fv(shader.uniform.specularColor, specularColor);
         gl.uniform1f(shader.uniform.shininess, shininess);
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertBuffer);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, diffuseMap);
-        gl.uniform1i(shader.uniform.diffuse, 0);
-
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, specularMap);
-        gl.uniform1i(shader.uniform.specular, 1);
-
-        gl.activeTexture(gl.TEXTURE2);
-        gl.bindTexture(gl.TEXTURE_2D, normalMap);
-        gl.uniform1i(shader.uniform.normalMap, 2);
-
         gl.enableVertexAttribArray(shader.attribute.position);
         gl.enableVertexAttribArray(shader.attribute.texture);
         gl.enableVertexAttribArray(shader.attribute.normal);
         gl.enableVertexAttribArray(shader.attribute.tangent);
 
+        // Meshes out of view are neither drawn nor skinned
+        mat4.multiply(this.projectionMat, viewMat, this.viewProjMat);
+        MD5.getFrustumPlanes(this.viewProjMat, this.frustum);
+
         for (var i = 0; i < this.meshCount; ++i) {
-            this.models[i].draw(gl, shader);
+            var mesh = this.models[i];
+            var bounds = mesh.getBounds(this.bounds);
+            mesh.culled = bounds !== null && !MD5.isBoxVisible(this.frustum, bounds.min, bounds.max, mesh.pos);
+            if (!mesh.culled) {
+                mesh.draw(gl, shader);
+            }
         }
     };
 
@@ -220,8 +287,6 @@ require([
             mesh.pos = vec3.create([x, y, 0.0]);
             self.models.push(mesh);
 
-            createVertexBuffer(gl,self.models.length);
-
             if (self.models.length == 1) {
                 var loading = document.getElementById('loading');
                 loading.style.visibility = 'hidden';
@@ -252,8 +317,7 @@ require([
         }
         meshIndex--;
         this.animations.pop();
-        this.models.pop();
-        createVertexBuffer(gl, this.models.length);
+        this.models.pop().free();
         //meshNumber.innerHTML = this.models.length;
     }
 
@@ -411,4 +475,4 @@ var MeshAdjuster = function (renderer, gl, stats) {
         stop: stop,
         reset: reset
     };
-}
\ No newline at end of file
+}
\ No newline at end of file
@@ -15,12 +15,7 @@ require([
     var meshStartNumber = 0;
     var per = document.getElementById("percentage");
     // Shader
-    var meshVS = [
-        "attribute vec3 position;",
-        "attribute vec2 texture;",
-        "attribute vec3 normal;",
-        "attribute vec3 tangent;",
-
+    var meshVSHeader = [
         "uniform vec3 meshPos;",
         "uniform vec3 lightPos;",
 
@@ -30,9 +25,11 @@ require([
 
         "varying vec2 vTexCoord;",
         "varying vec3 tangentLightDir;",
-        "varying vec3 tangentEyeDir;",
+        "varying vec3 tangentEyeDir;"
+    ];
 
-        "void main(void) {",
+    // Lights the skinned position, normal and tangent
+    var meshVSLighting = [
         " vec4 vPosition = modelViewMat * vec4(position + meshPos, 1.0);",
         " gl_Position = projectionMat * vPosition;",
         " vTexCoord = texture;",
@@ -51,7 +48,55 @@ require([
         " vec3 eyeDir = normalize(-vPosition.xyz);",
         " tangentEyeDir = eyeDir * tbnMat;",
         "}"
-    ].join("\n");
+    ];
+
+    var meshVS = [
+        "attribute vec3 position;",
+        "attribute vec2 texture;",
+        "attribute vec3 normal;",
+        "attribute vec3 tangent;"
+    ].concat(meshVSHeader, [
+        "void main(void) {"
+    ], meshVSLighting).join("\n");
+
+    // Skins on the GPU. Weights (joint and bias, pos, normal, tangent) and
+    // joints (pos, orient) are RGBA float texels, see MD5.setGPU
+    var skinVS = [
+        "#define MAX_WEIGHTS " + MD5.MAX_WEIGHTS,
+
+        "attribute vec2 texture;",
+        "attribute vec2 weight;", // first weight, weight count
+
+        "uniform highp sampler2D weights;",
+        "uniform highp sampler2D joints;",
+        "uniform vec2 weightsSize;",
+        "uniform vec2 jointsSize;"
+    ].concat(meshVSHeader, [
+        "vec4 texel(highp sampler2D tex, vec2 size, float index) {",
+        " float y = floor((index + 0.5) / size.x);",
+        " float x = index - y * size.x;",
+        " return texture2D(tex, vec2((x + 0.5) / size.x, (y + 0.5) / size.y));",
+        "}",
+
+        "vec3 rotate(vec4 q, vec3 v) {",
+        " return v + 2.0 * cross(q.xyz, cross(q.xyz, v) + q.w * v);",
+        "}",
+
+        "void main(void) {",
+        " vec3 position = vec3(0.0);",
+        " vec3 normal = vec3(0.0);",
+        " vec3 tangent = vec3(0.0);",
+        " for (int i = 0; i < MAX_WEIGHTS; ++i) {",
+        "  if (float(i) >= weight.y) break;",
+        "  float index = (weight.x + float(i)) * 4.0;",
+        "  vec4 jointBias = texel(weights, weightsSize, index);",
+        "  vec4 jointPos = texel(joints, jointsSize, jointBias.x * 2.0);",
+        "  vec4 jointOrient = texel(joints, jointsSize, jointBias.x * 2.0 + 1.0);",
+        "  position += (jointPos.xyz + rotate(jointOrient, texel(weights, weightsSize, index + 1.0).xyz)) * jointBias.y;",
+        "  normal += rotate(jointOrient, texel(weights, weightsSize, index + 2.0).xyz) * jointBias.y;",
+        "  tangent += rotate(jointOrient, texel(weights, weightsSize, index + 3.0).xyz) * jointBias.y;",
+        " }"
+    ], meshVSLighting).join("\n");
 
     // Fragment Shader
     var meshFS = [
@@ -103,6 +148,9 @@ require([
         
         this.projectionMat = mat4.create();
         this.modelViewInvMat = mat3.create();
+        this.viewProjMat = mat4.create();
+        this.frustum = new Float32Array(24);
+        this.bounds = {min: [0, 0, 0], max: [0, 0, 0]};
         
         gl.clearColor(0.0, 0.0, 0.1, 1.0);
         gl.clearDepth(1.0);
@@ -113,6 +161,8 @@ require([
         
         this.animations = [];
         this.meshShader = GLUtil.createProgram(gl, meshVS, meshFS);
+        if (MD5.supportsGPUSkinning(gl))
+            this.skinShader = GLUtil.createProgram(gl, skinVS, meshFS);
         this.models = [];
         this.isLoading = false;
         this.addMesh(gl);
@@ -132,7 +182,7 @@ require([
         
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-        var shader = this.meshShader;
+        var shader = useGpu ? this.skinShader : this.meshShader;
         gl.useProgram(shader.program);
 
         gl.uniformMatrix4fv(shader.uniform.modelViewMat, false, viewMat);
@@ -146,17 +196,27 @@ require([
         gl.uniform3fv(shader.uniform.specularColor, specularColor);
         gl.uniform1f(shader.uniform.shininess, shininess);
 
+        // Meshes out of view are neither drawn nor skinned
+        mat4.multiply(this.projectionMat, viewMat, this.viewProjMat);
+        MD5.getFrustumPlanes(this.viewProjMat, this.frustum);
+
         for (var i = 0; i < this.models.length; ++i) {
-            this.models[i].draw(gl, shader);
+            var mesh = this.models[i];
+            var bounds = mesh.getBounds(this.bounds);
+            mesh.culled = bounds !== null && !MD5.isBoxVisible(this.frustum, bounds.min, bounds.max, mesh.pos);
+            if (!mesh.culled) {
+                mesh.draw(gl, shader);
+            }
         }
     };
 
+    // The model and animation are only loaded for the first mesh, later ones
+    // are instances sharing them
     Renderer.prototype.addMesh = function(gl) {
         var self = this;
-        var model = new MD5.Md5Mesh();
-        if (autoAdjust && useSimd)
-            model.simd = true;
-        model.load(gl, 'models/md5/monsters/hellknight/hellknight.md5mesh', function(mesh) {
+        MD5.loadModel(gl, 'models/md5/monsters/hellknight/hellknight.md5mesh', function(model) {
+            model.recomputeNormals = recomputeNormals;
+            var mesh = model.createInstance(gl);
             var x = 0;
             var y = 0;
             if (self.models.length != 0) {
@@ -180,29 +240,31 @@ require([
               }
             }
 
-            var anim = new MD5.Md5Anim();
-            anim.load('models/md5/monsters/hellknight/idle2.md5anim', function(anim) {
-                var currentFrame = Math.round(Math.random() * 120);
-                var interval = 1000 / anim.frameRate;
+            MD5.loadAnimation('models/md5/monsters/hellknight/idle2.md5anim', function(anim) {
+                // Start at a random frame, then interpolate at display rate
+                var startTime = Date.now() - Math.round(Math.random() * 120) * anim.frameTime;
+                var interval = 1000 / 60;
 
                 var handle = setInterval(function() {
-                    currentFrame++;
-                    model.setAnimationFrame(gl, anim, currentFrame);
+                    mesh.setAnimationTime(gl, anim, Date.now() - startTime);
                 }, interval);
 
                 self.animations.push({anim: anim, handle: handle});
             });
+        }, autoAdjust && useSimd, function(error) {
+            // The next mesh added tries to load it again
+            document.getElementById('loading').innerHTML = "Loading failed: " + error.message;
         });
     };
 
-    Renderer.prototype.removeMesh = function() {
+    Renderer.prototype.removeMesh = function(gl) {
         if (this.models.length == 1) {
             //console.log('Only 1 model');
             return;
         }
         var anim = this.animations.pop();
         clearInterval(anim.handle);
-        this.models.pop();
+        this.models.pop().release(gl);
         meshNumber.innerHTML = this.models.length;
         if (meshStartNumber != 0) {
           var disPer = (this.models.length/meshStartNumber).toFixed(2);
@@ -228,11 +290,15 @@ require([
 
     var removeBtn = document.getElementById("removeBtn");
     removeBtn.addEventListener("click", function() {
-        renderer.removeMesh();
+        renderer.removeMesh(contextHelper.gl);
     });
 
     var meshNumber = document.getElementById("meshes");
 
+    // ?normals recomputes the normals and tangents from the skinned
+    // positions instead of rotating the bind pose ones
+    var recomputeNormals = /[?&]normals\b/.test(window.location.search);
+
     var simdBtn = document.getElementById("simdBtn");
     if (typeof SIMD === "undefined") {
         alert('SIMD not implemented in this browser. SIMD speedup button is disabled');
@@ -240,26 +306,48 @@ require([
         simdBtn.classList.add("btn-disable");
     }
     var useSimd = false;
+    var useGpu = false;
 
     var simdInfo = document.getElementById("info");
+    var updateInfo = function() {
+        if (useGpu)
+            info.innerHTML = 'GPU';
+        else if (useSimd)
+            info.innerHTML = 'SIMD';
+        else
+            info.innerHTML = 'No SIMD';
+    };
     simdBtn.addEventListener("click", function() {
         if (!useSimd) {
             useSimd = true;
             adjuster.reset(parseInt(targetFps.value));
             simdBtn.innerHTML = "Don't use SIMD";
-            info.innerHTML = 'SIMD';
             percentage.style.visibility = "visible";
             meshStartNumber = parseInt(meshNumber.innerHTML);
         } else {
             useSimd = false;
             adjuster.reset(parseInt(targetFps.value));
             simdBtn.innerHTML = 'Use SIMD';
-            info.innerHTML = 'No SIMD';
             percentage.style.visibility = "hidden";
         }
+        updateInfo();
         MD5.setSIMD(useSimd);
     });
 
+    var gpuBtn = document.getElementById("gpuBtn");
+    if (!renderer.skinShader) {
+        gpuBtn.disabled = true;
+        gpuBtn.classList.add("btn-disable");
+    }
+
+    gpuBtn.addEventListener("click", function() {
+        useGpu = !useGpu;
+        adjuster.reset(parseInt(targetFps.value));
+        gpuBtn.innerHTML = useGpu ? "Don't use GPU" : 'Use GPU';
+        updateInfo();
+        MD5.setGPU(useGpu);
+    });
+
     var adjuster = new MeshAdjuster(renderer, contextHelper.gl, stats);
 
     var autoBtn = document.getElementById("autoBtn");
@@ -368,7 +456,7 @@ var MeshAdjuster = function (renderer, gl, stats) {
             }
 
             if (missTarget >= missNumber && meetTarget == 0) {
-                renderer.removeMesh();
+                renderer.removeMesh(gl);
                 unstable = 1;
                 missNumber+=1;
                 //console.log('removeMesh');
@@ -0,0 +1,41 @@
+/*
+ * md5-convert.js - Converts .md5mesh/.md5anim text files to the binary
+ * container of js/md5-binary.js
+ *
+ * Usage: node tools/md5-convert.js <file.md5mesh|file.md5anim> [output]
+ *
+ * The output defaults to the input with a "b" prefixed to the extension,
+ * e.g. hellknight.md5mesh -> hellknight.bmd5mesh
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var Md5Core = require('../js/md5-core.js');
+var Md5Binary = require('../js/md5-binary.js');
+
+var input = process.argv[2];
+if (!input) {
+    console.error('Usage: node tools/md5-convert.js <file.md5mesh|file.md5anim> [output]');
+    process.exit(1);
+}
+
+var ext = path.extname(input);
+var output = process.argv[3] || input.slice(0, -ext.length) + '.b' + ext.slice(1);
+var src = fs.readFileSync(input);
+var data;
+
+if (ext === '.md5mesh') {
+    var model = new Md5Core.Md5Mesh();
+    model._parse(src, input);
+    data = Md5Binary.writeMesh(model);
+} else if (ext === '.md5anim') {
+    data = Md5Binary.writeAnim(Md5Core.parseAnim(src, input));
+} else {
+    console.error('Unknown file type ' + ext);
+    process.exit(1);
+}
+
+fs.writeFileSync(output, Buffer.from(data));
+console.log(input + ' -> ' + output + ' (' + data.byteLength + ' bytes)');